@@ -0,0 +1,291 @@
+// js/sell-pressure.js
+// Sell-pressure gauge of index.html: a 0-100 score of how much of the next
+// week's unbonding is likely to be sold, from the pending unlock schedule
+// (data/pending-undelegations.json, ICF excluded), where past unlocks went
+// (data/unbonding-flows.json), daily closes and 24h volume. Each component
+// explains itself; the narrative names the ones that score high.
+//   supply 0-25         next 7 days' unlocks against the average unlock day
+//   absorption 0-25     next 7 days' unlocks against a week of volume
+//   P&L 0-15            unlockers' gain or loss since they started unbonding
+//   concentration 0-15  unlocks bunched on one day (HHI)
+//   behavior 0-20       share of past unlocks sent to exchanges
+// Days are UTC dates throughout, so the score does not move with the viewer's
+// time zone or across a DST change.
+//
+// A classic script: the page gets window.SellPressure, node (test/unit) gets
+// the same object from module.exports.
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.SellPressure = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const UNBONDING_DAYS = 21;
+
+    // "YYYY-MM-DD" plus n UTC days
+    function addDays(dateStr, n) {
+        return new Date(Date.parse(dateStr + 'T00:00:00Z') + n * 86400000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Null when no unlock is scheduled from today on. `now` is "today" (the
+     * as-of time for a snapshot); with `asOf` the live 24h volume is ignored
+     * and the current price is the last daily close before that day.
+     */
+    function calculateSellPressure({
+        pendingUndelegations = null,
+        unbondingFlows = null,
+        dailyPriceHistory = [],
+        priceUsd = null,
+        volume24hUsd = null,
+        now = new Date(),
+        asOf = false,
+    } = {}) {
+        const schedule = pendingUndelegations?.schedule_excluding_icf || pendingUndelegations?.schedule;
+        const flows = unbondingFlows?.daily_flows || [];
+        if (!schedule?.length) return null;
+
+        const today = now.toISOString().slice(0, 10);
+        const allFuture = schedule.filter(d => d.date >= today);
+        const next7 = allFuture.slice(0, 7);
+        if (!next7.length) return null;
+        const windowStart = next7[0].date;
+        const windowEnd = next7[next7.length - 1].date;
+
+        function shortAtom(n) {
+            if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + 'M';
+            if (n >= 1_000) return Math.round(n / 1_000).toLocaleString() + 'K';
+            return n.toLocaleString();
+        }
+
+        function lookupPrice(dateStr) {
+            const targetUnix = Math.floor(Date.parse(dateStr + 'T12:00:00Z') / 1000);
+            let closest = null, minDist = Infinity;
+            for (const p of dailyPriceHistory) {
+                const dist = Math.abs(p.time - targetUnix);
+                if (dist < minDist) { minDist = dist; closest = p; }
+            }
+            // History only reaches back 45 days; an older date has no close
+            return minDist <= 2 * 86400 ? (closest?.close || null) : null;
+        }
+
+        function computeSupplyAndConcentration(slice, future) {
+            let weightedSum = 0, totalWeight = 0;
+            for (let i = 0; i < slice.length; i++) {
+                const weight = 7 - i;
+                weightedSum += Number(slice[i].atom || 0) * weight;
+                totalWeight += weight;
+            }
+            const weightedAvgDaily = totalWeight > 0 ? weightedSum / totalWeight : 0;
+            const baseline = future.length > 0
+                ? future.reduce((s, d) => s + Number(d.atom || 0), 0) / future.length
+                : 0;
+            const supplyRatio = baseline > 0 ? weightedAvgDaily / baseline : 0;
+            const supplyScore = Math.min(25, Math.round(Math.log2(1 + supplyRatio) * 12));
+
+            const weekTotal = slice.reduce((s, d) => s + Number(d.atom || 0), 0);
+            let concentrationScore = 0;
+            let concExplanation = 'unlocks spread across the week';
+            if (weekTotal > 0 && slice.length > 1) {
+                const shares = slice.map(d => Number(d.atom || 0) / weekTotal);
+                const hhi = shares.reduce((s, p) => s + p * p, 0);
+                const minHHI = 1 / slice.length;
+                const normalizedHHI = minHHI < 1 ? (hhi - minHHI) / (1 - minHHI) : 0;
+                concentrationScore = Math.round(normalizedHHI * 15);
+
+                const peakDay = slice.reduce((a, b) => (Number(b.atom || 0) > Number(a.atom || 0) ? b : a));
+                const peakShare = Number(peakDay.atom || 0) / weekTotal;
+                if (peakShare >= 0.4) {
+                    const peakDate = new Date(peakDay.date + 'T00:00:00Z')
+                        .toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+                    concExplanation = Math.round(peakShare * 100) + '% concentrated on ' + peakDate;
+                }
+            }
+            return { supplyScore, concentrationScore, concExplanation };
+        }
+
+        // ===== SUPPLY PRESSURE (0-25) =====
+        const { supplyScore, concentrationScore, concExplanation } = computeSupplyAndConcentration(next7, allFuture);
+
+        let supplyExplanation;
+        if (next7[0] && next7[0].atom >= 500_000) {
+            supplyExplanation = shortAtom(next7[0].atom) + ' ATOM unlocking tomorrow';
+        } else {
+            const weekSum = next7.reduce((s, d) => s + d.atom, 0);
+            supplyExplanation = shortAtom(weekSum) + ' ATOM unlocking this week';
+        }
+
+        // ===== ABSORPTION (0-25) =====
+        let absorptionScore = 0;
+        let absorptionExplanation = '';
+        // 24h volume is only known live
+        const dailyVolumeAtom = (!asOf && volume24hUsd && priceUsd && priceUsd > 0)
+            ? volume24hUsd / priceUsd : 0;
+
+        if (dailyVolumeAtom > 0) {
+            const weekUnlockAtom = next7.reduce((s, d) => s + Number(d.atom || 0), 0);
+            const unlockVolumeRatio = weekUnlockAtom / (dailyVolumeAtom * 7);
+            absorptionScore = Math.min(25, Math.round(Math.sqrt(unlockVolumeRatio) * 25));
+
+            if (unlockVolumeRatio >= 0.3) {
+                absorptionExplanation = 'unlocks = ' + Math.round(unlockVolumeRatio * 100) + '% of weekly volume';
+            } else if (unlockVolumeRatio >= 0.1) {
+                absorptionExplanation = 'unlock/volume ratio ' + Math.round(unlockVolumeRatio * 100) + '%';
+            }
+        }
+
+        // ===== P&L POSITION (0-15) =====
+        let pnlScore = 0;
+        let pnlExplanation = '';
+        // As of a past day: the last daily close before it
+        const currentPrice = asOf ? lookupPrice(addDays(today, -1)) : priceUsd;
+
+        if (currentPrice > 0 && dailyPriceHistory.length >= 14) {
+            let weightedPnlSum = 0, pnlWeightTotal = 0;
+            for (const day of next7) {
+                const priceAtInit = lookupPrice(addDays(day.date, -UNBONDING_DAYS));
+                if (!priceAtInit) continue;
+                const pnlPct = (currentPrice - priceAtInit) / priceAtInit;
+                const atomAmount = Number(day.atom || 0);
+                weightedPnlSum += pnlPct * atomAmount;
+                pnlWeightTotal += atomAmount;
+            }
+
+            if (pnlWeightTotal > 0) {
+                const weightedPnl = weightedPnlSum / pnlWeightTotal;
+
+                if (weightedPnl < 0) {
+                    pnlScore = Math.min(15, Math.round(Math.abs(weightedPnl) * 50));
+                    pnlExplanation = 'avg unlocker down ' + Math.abs(Math.round(weightedPnl * 100)) + '% since initiation';
+                } else {
+                    pnlScore = Math.min(8, Math.round(weightedPnl * 15));
+                    pnlExplanation = 'avg unlocker up ' + Math.round(weightedPnl * 100) + '% since initiation';
+                }
+            }
+        }
+
+        // ===== BEHAVIOR SIGNAL (0-20) =====
+        const numFlowDays = flows.length;
+        const calibrating = numFlowDays < 7;
+        let behaviorScore = 0;
+        let behaviorExplanation = 'no historical data yet';
+
+        if (numFlowDays >= 3) {
+            let totalWeightedExPct = 0, totalWeightedRsPct = 0, totalBW = 0;
+            for (let i = 0; i < flows.length; i++) {
+                const dayWeight = 1 + (flows.length - 1 - i) * 0.5;
+                totalWeightedExPct += (flows[i].flows?.exchange?.pct || 0) * dayWeight;
+                totalWeightedRsPct += (flows[i].flows?.restaked?.pct || 0) * dayWeight;
+                totalBW += dayWeight;
+            }
+            const avgExchangePct = totalWeightedExPct / totalBW;
+            const avgRestakePct = totalWeightedRsPct / totalBW;
+
+            behaviorScore = Math.round(Math.sqrt(avgExchangePct / 100) * 20);
+            if (avgRestakePct > 50) behaviorScore = Math.round(behaviorScore * 0.7);
+
+            if (calibrating) {
+                behaviorScore = Math.round(behaviorScore * (numFlowDays / 7));
+            }
+
+            if (avgExchangePct > 20) {
+                behaviorExplanation = Math.round(avgExchangePct) + '% sent to exchanges';
+            } else if (avgRestakePct > 40) {
+                behaviorExplanation = Math.round(avgRestakePct) + '% historically re-staked';
+            } else {
+                behaviorExplanation = 'mostly held after unlock';
+            }
+        }
+
+        // ===== COMPOSITE =====
+        const total = Math.max(0, Math.min(100,
+            supplyScore + absorptionScore + pnlScore + concentrationScore + behaviorScore
+        ));
+        const scoreFormula = `${supplyScore} + ${absorptionScore} + ${pnlScore} + ${concentrationScore} + ${behaviorScore} = ${total}`;
+
+        // ===== CONFIDENCE =====
+        let confidenceLabel = 'Low';
+        let confidenceColor = '#f59e0b';
+        const hasVolume = dailyVolumeAtom > 0;
+        const hasPriceHistory = dailyPriceHistory.length >= 14;
+        const dataSignals = (numFlowDays >= 7 ? 1 : 0) + (hasVolume ? 1 : 0) + (hasPriceHistory ? 1 : 0);
+        if (dataSignals >= 3) {
+            confidenceLabel = 'High';
+            confidenceColor = '#22c55e';
+        } else if (dataSignals >= 2) {
+            confidenceLabel = 'Medium';
+            confidenceColor = '#60a5fa';
+        }
+        const confidenceText = `Confidence: ${confidenceLabel}`;
+
+        // ===== DELTA =====
+        const yesterday = addDays(today, -1);
+        const prevFuture = schedule.filter(d => d.date >= yesterday);
+        let deltaVsYesterday = null;
+        if (prevFuture.length > 0) {
+            const prevSlice = prevFuture.slice(0, 7);
+            const prevScores = computeSupplyAndConcentration(prevSlice, prevFuture);
+            const prevTotal = Math.max(0, Math.min(100,
+                prevScores.supplyScore + absorptionScore + pnlScore + prevScores.concentrationScore + behaviorScore
+            ));
+            deltaVsYesterday = total - prevTotal;
+        }
+        const rollingTotals = [];
+        const rollingN = Math.min(7, schedule.length);
+        for (let i = 0; i < rollingN; i++) {
+            const future = schedule.slice(i);
+            const slice = future.slice(0, 7);
+            if (!slice.length) continue;
+            const scores = computeSupplyAndConcentration(slice, future);
+            rollingTotals.push(Math.max(0, Math.min(100,
+                scores.supplyScore + absorptionScore + pnlScore + scores.concentrationScore + behaviorScore
+            )));
+        }
+        const avg7 = rollingTotals.length
+            ? rollingTotals.reduce((s, n) => s + n, 0) / rollingTotals.length
+            : null;
+        const deltaVs7Avg = avg7 === null ? null : (total - avg7);
+
+        function getLabel(s) {
+            if (s <= 30) return 'Low';
+            if (s <= 50) return 'Moderate';
+            if (s <= 70) return 'Elevated';
+            return 'High';
+        }
+        function getColor(s) {
+            if (s <= 30) return '#22c55e';
+            if (s <= 50) return '#eab308';
+            if (s <= 70) return '#f97316';
+            return '#ef4444';
+        }
+
+        // Narrative
+        const parts = [];
+        if (supplyScore >= 10) parts.push(supplyExplanation);
+        if (absorptionScore >= 8) parts.push(absorptionExplanation);
+        if (pnlScore >= 5) parts.push(pnlExplanation);
+        if (concentrationScore >= 7) parts.push(concExplanation);
+        if (behaviorScore >= 5 && numFlowDays >= 3) parts.push(behaviorExplanation);
+        const narrative = parts.length > 0
+            ? parts.join(' · ')
+            : 'normal unlock schedule with no concerning signals';
+
+        return {
+            total, label: getLabel(total), color: getColor(total), narrative,
+            formula: scoreFormula,
+            confidence: { text: confidenceText, label: confidenceLabel, color: confidenceColor },
+            updatedAt: now.toISOString(),
+            window: { start: windowStart, end: windowEnd },
+            delta: { day: deltaVsYesterday, avg7: deltaVs7Avg },
+            supply: { score: supplyScore, max: 25 },
+            absorption: { score: absorptionScore, max: 25 },
+            pnl: { score: pnlScore, max: 15 },
+            concentration: { score: concentrationScore, max: 15 },
+            behavior: { score: behaviorScore, max: 20, calibrating, numDays: numFlowDays },
+        };
+    }
+
+    return { calculateSellPressure };
+});
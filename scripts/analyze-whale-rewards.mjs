@@ -12,18 +12,19 @@
  * Output: data/whale-reward-patterns.json
  */
 
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createChainClient } from './lib/chain-client.mjs';
+import { writeJsonChecked } from './lib/data-contracts.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = resolve(__dirname, '..', 'data');
 
 // ── CONFIG ──
-const REST_ENDPOINTS = [
-  'https://cosmos-rest.publicnode.com',
-  'https://api.silknodes.io/cosmos',
-];
+// REST pool: REST_BASES / REST_BASE or the shared defaults in lib/chain-client.mjs
+const client = createChainClient();
+
 const SELL_WINDOW_MS = 24 * 60 * 60 * 1000;  // 24 hours
 const TX_LIMIT = 100;                         // txs per query (publicnode returns up to 100)
 const DELAY_MS = 800;                         // delay between API calls (rate limit)
@@ -36,19 +37,11 @@ const SEND_ACTION = '/cosmos.bank.v1beta1.MsgSend';
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 async function fetchFromEndpoints(path) {
-  for (const base of REST_ENDPOINTS) {
-    try {
-      const res = await fetch(base + path, {
-        headers: { 'Accept': 'application/json' },
-        signal: AbortSignal.timeout(20000),
-      });
-      if (!res.ok) continue;
-      return await res.json();
-    } catch (e) {
-      // try next
-    }
+  try {
+    return await client.rest(path);
+  } catch {
+    return null;
   }
-  return null;
 }
 
 async function queryTxs(address, action, limit = TX_LIMIT) {
@@ -291,7 +284,7 @@ async function main() {
   };
 
   const outPath = resolve(DATA_DIR, 'whale-reward-patterns.json');
-  writeFileSync(outPath, JSON.stringify(output, null, 2));
+  await writeJsonChecked(outPath, output);
 
   console.log(`\n${'═'.repeat(50)}`);
   console.log(`✅ Analysis complete → ${outPath}`);
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import { runDaemon } from './lib/daemon.mjs';
+import { LockHeldError } from './lib/file-lock.mjs';
+import { JOBS, PipelineError, formatSummary, runPipeline } from './lib/pipeline.mjs';
+import { serveStatic } from './lib/static-server.mjs';
+
+// One entry point for the v2 pipeline's job graph (scripts/lib/pipeline.mjs).
+//   node scripts/atomprice.mjs run <job>... [--force[=<job>,...]] [--dry-run]
+//   node scripts/atomprice.mjs status [<job>...]
+//   node scripts/atomprice.mjs list
+//   node scripts/atomprice.mjs daemon [--port=8080] [--host=127.0.0.1] [--log-requests] [--no-serve] [--once]
+//   node scripts/atomprice.mjs serve [--port=8080] [--host=127.0.0.1] [--log-requests]
+// `run` runs the jobs and whatever stale jobs they depend on, in this process,
+// then prints a summary; it exits 1 when a job failed. Other flags reach the
+// jobs' scripts: --as-of=<ISO> replays a past instant, --full makes rebuild
+// ignore its partition caches. `status` reports what a run would do.
+// `daemon` runs the jobs on their schedules and serves the site and data/
+// (scripts/lib/daemon.mjs); --once runs what is due and exits. `serve` only
+// serves.
+
+const USAGE = 'usage: atomprice run <job>... [--force[=<job>,...]] [--dry-run] | status [<job>...] | list | daemon [--port=<n>] [--host=<h>] [--no-serve] [--once] | serve [--port=<n>] [--host=<h>]';
+
+function flag(name, fallback) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : fallback;
+}
+
+function serveArgs() {
+  const port = Number(flag('port', process.env.PORT || 8080));
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new PipelineError(`--port=${flag('port')} is not a port number`);
+  return { host: flag('host', process.env.HOST || '127.0.0.1'), port, log: process.argv.includes('--log-requests') };
+}
+
+function forceArg() {
+  const hit = process.argv.find((a) => a === '--force' || a.startsWith('--force='));
+  if (!hit) return false;
+  return hit === '--force' ? true : hit.slice('--force='.length).split(',').filter(Boolean);
+}
+
+function listJobs() {
+  for (const job of JOBS) {
+    const traits = [
+      job.always ? 'always' : null,
+      job.maxAgeMinutes !== undefined ? `max age ${job.maxAgeMinutes} min` : null,
+      job.asOf ? '--as-of' : null,
+    ].filter(Boolean);
+    console.log(`${job.name}: ${job.description}${traits.length ? ` [${traits.join(', ')}]` : ''}`);
+    if (job.deps.length) console.log(`   after:   ${job.deps.join(', ')}`);
+    if (job.locks?.length) console.log(`   locks:   ${job.locks.join(', ')}`);
+    if (job.inputs.length) console.log(`   reads:   ${job.inputs.join(', ')}`);
+    if (job.outputs.length) console.log(`   writes:  ${job.outputs.join(', ')}`);
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  if (command === 'list') {
+    listJobs();
+    return;
+  }
+  if (command === 'daemon') {
+    const once = process.argv.includes('--once');
+    await runDaemon({ serve: once || process.argv.includes('--no-serve') ? null : serveArgs(), once });
+    return;
+  }
+  if (command === 'serve') {
+    await serveStatic({ root: process.cwd(), ...serveArgs() });
+    return;
+  }
+  if (command !== 'run' && command !== 'status') throw new PipelineError(USAGE);
+
+  const targets = rest.length ? rest : (command === 'status' ? JOBS.map((j) => j.name) : []);
+  if (!targets.length) throw new PipelineError(USAGE);
+  const dryRun = command === 'status' || process.argv.includes('--dry-run');
+
+  const summary = await runPipeline(targets, { force: forceArg(), dryRun });
+  console.log(formatSummary(summary));
+  if (!summary.ok) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  if (err instanceof PipelineError || err instanceof LockHeldError) console.error(`❌ ${err.message}`);
+  else console.error('❌ atomprice failed:', err);
+  process.exit(1);
+});
@@ -1,6 +1,6 @@
 // scripts/build-event-intelligence.mjs
 // Builds a historical delegation/undelegation intelligence layer with
-// volatility-adjusted forward outcomes.
+// volatility-adjusted forward outcomes (scripts/lib/event-outcomes.mjs).
 //
 // Output:
 //   data/event-intelligence.json
@@ -10,8 +10,20 @@
 //   BASELINE_LOOKBACK_DAYS default: 30
 //   HORIZONS_HOURS       default: "1,4,24,168"
 //   EVENT_WINDOW_DAYS    default: 30 (rolling window for event set)
+//   KRAKEN_BASE          default: https://api.kraken.com
+//
+// --as-of=<ISO> (scripts/lib/as-of.mjs) builds from that time's snapshot inputs
+// (`node scripts/atomprice.mjs run event-intelligence --as-of=<ISO>` builds them
+// first) and the candles closed by then, and writes into the snapshot.
+//
+// run() is the event-intelligence job of scripts/lib/pipeline.mjs.
 
 import fs from "node:fs/promises";
+import { writeJsonChecked } from "./lib/data-contracts.mjs";
+import { AS_OF, nowIso, nowMs, outputPath, readInput, recordSnapshot } from "./lib/as-of.mjs";
+import { isEntryPoint } from "./lib/pipeline.mjs";
+import { buildEventOutcomes, buildEventSet, median, pickEdgeCard, summarizeByCategory } from "./lib/event-outcomes.mjs";
+import { ICF_DELEGATORS } from "./lib/icf.mjs";
 
 const MIN_EVENT_ATOM = Number(process.env.MIN_EVENT_ATOM ?? "1");
 const BASELINE_LOOKBACK_DAYS = Number(process.env.BASELINE_LOOKBACK_DAYS ?? "30");
@@ -22,33 +34,11 @@ const HORIZONS_HOURS = String(process.env.HORIZONS_HOURS ?? "1,4,24,168")
   .filter((n) => Number.isFinite(n) && n > 0)
   .sort((a, b) => a - b);
 
-const OUT_FILE = "data/event-intelligence.json";
-const KRAKEN_OHLC = "https://api.kraken.com/0/public/OHLC?pair=ATOMUSD&interval=60&since=";
+const OUT_FILE = outputPath("data/event-intelligence.json");
+const KRAKEN_BASE = (process.env.KRAKEN_BASE || "https://api.kraken.com").replace(/\/+$/, "");
+const KRAKEN_OHLC = `${KRAKEN_BASE}/0/public/OHLC?pair=ATOMUSD&interval=60&since=`;
 const EDGE_MIN_SAMPLES = Number(process.env.EDGE_MIN_SAMPLES ?? "12");
 const EDGE_MIN_EXACT_PCT = Number(process.env.EDGE_MIN_EXACT_PCT ?? "0.7");
-const ICF_EXCLUDED_DELEGATORS = new Set([
-  "cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7",
-  "cosmos1z6czaavlk6kjd48rpf58kqqw9ssad2uaxnazgl",
-]);
-
-function median(arr) {
-  if (!arr.length) return null;
-  const s = arr.slice().sort((a, b) => a - b);
-  const m = Math.floor(s.length / 2);
-  return s.length % 2 === 0 ? (s[m - 1] + s[m]) / 2 : s[m];
-}
-
-function mean(arr) {
-  if (!arr.length) return null;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
-}
-
-function stdev(arr) {
-  if (arr.length < 2) return null;
-  const m = mean(arr);
-  const v = mean(arr.map((x) => (x - m) ** 2));
-  return Math.sqrt(v);
-}
 
 function clamp(n, lo, hi) {
   return Math.max(lo, Math.min(hi, n));
@@ -61,17 +51,8 @@ function shortAtom(n) {
   return String(Math.round(n));
 }
 
-async function readJson(path, fallback) {
-  try {
-    const txt = await fs.readFile(path, "utf8");
-    return JSON.parse(txt);
-  } catch {
-    return fallback;
-  }
-}
-
 async function fetchKrakenHourlyCandles(sinceSec) {
-  const nowSec = Math.floor(Date.now() / 1000);
+  const nowSec = Math.floor(nowMs() / 1000);
   const seen = new Set();
   const candles = [];
   let cursor = sinceSec;
@@ -102,273 +83,10 @@ async function fetchKrakenHourlyCandles(sinceSec) {
   }
 
   candles.sort((a, b) => a.time - b.time);
-  return candles.filter((c) => Number.isFinite(c.close) && c.close > 0);
-}
-
-function findIndexAtOrAfter(times, target) {
-  let lo = 0;
-  let hi = times.length - 1;
-  if (!times.length) return -1;
-  if (times[hi] < target) return -1;
-  while (lo < hi) {
-    const mid = (lo + hi) >> 1;
-    if (times[mid] < target) lo = mid + 1;
-    else hi = mid;
-  }
-  return lo;
-}
-
-function buildEventSet({ topDelegations, whaleEvents, whalePending, pendingUndelegations, rawEvents }) {
-  const out = [];
-
-  for (const e of rawEvents?.items || []) {
-    out.push({
-      category: e.type === "delegate" ? "delegation" : "undelegation_initiated",
-      stage: "initiation",
-      atom: Number(e.amount_atom || 0),
-      timestamp: e.timestamp || null,
-      delegator: e.delegator || "",
-      estimated: false,
-      txhash: e.txhash || "",
-      source: "raw_archive",
-    });
-  }
-
-  for (const d of topDelegations?.delegations || []) {
-    out.push({
-      category: "delegation",
-      stage: "initiation",
-      atom: Number(d.amount_atom || 0),
-      timestamp: d.timestamp || null,
-      delegator: d.delegator || "",
-      estimated: false,
-      txhash: d.txhash || "",
-      source: "top_delegations",
-    });
-  }
-
-  for (const e of whaleEvents?.events || []) {
-    out.push({
-      category: e.type === "delegate" ? "delegation" : "undelegation_initiated",
-      stage: "initiation",
-      atom: Number(e.atom || 0),
-      timestamp: e.timestamp || null,
-      delegator: e.delegator || "",
-      estimated: false,
-      txhash: e.txhash || "",
-      source: "whale_events",
-    });
-  }
-
-  for (const e of whalePending?.events || []) {
-    out.push({
-      category: "undelegation_completed",
-      stage: "unlock",
-      atom: Number(e.atom || 0),
-      timestamp: e.timestamp || null,
-      delegator: e.delegator || "",
-      estimated: false,
-      txhash: e.txhash || "",
-      source: "whale_pending",
-    });
-  }
-
-  const pendingSchedule = pendingUndelegations?.schedule_excluding_icf || pendingUndelegations?.schedule || [];
-  for (const d of pendingSchedule) {
-    out.push({
-      category: "undelegation_completed",
-      stage: "unlock",
-      atom: Number(d.atom || 0),
-      timestamp: d.date ? `${d.date}T12:00:00.000Z` : null,
-      estimated: true,
-      txhash: "",
-      source: "pending_schedule_daily",
-    });
-  }
-
-  const dedupe = new Set();
-  const filtered = [];
-  const windowCutoffMs = Date.now() - EVENT_WINDOW_DAYS * 86400000;
-  for (const e of out) {
-    const delegator = String(e.delegator || "").toLowerCase();
-    if (delegator && ICF_EXCLUDED_DELEGATORS.has(delegator)) continue;
-    const tsMs = e.timestamp ? Date.parse(e.timestamp) : NaN;
-    if (!Number.isFinite(tsMs)) continue;
-    if (tsMs < windowCutoffMs) continue;
-    if (!Number.isFinite(e.atom) || e.atom < MIN_EVENT_ATOM) continue;
-    const key = e.txhash
-      ? `${e.category}:${e.txhash}`
-      : `${e.category}:${Math.round(e.atom)}:${Math.floor(tsMs / 3600000)}`;
-    if (dedupe.has(key)) continue;
-    dedupe.add(key);
-    filtered.push({
-      ...e,
-      ts: Math.floor(tsMs / 1000),
-    });
-  }
-
-  filtered.sort((a, b) => a.ts - b.ts);
-  const exactUnlockDays = new Set(
-    filtered
-      .filter((e) => e.category === "undelegation_completed" && !e.estimated)
-      .map((e) => new Date(e.ts * 1000).toISOString().slice(0, 10))
-  );
-
-  // If we already have an exact unlock event for a day, drop estimated daily schedule
-  // rows for the same day from edge/backtest inputs.
-  return filtered.filter((e) => {
-    if (e.category !== "undelegation_completed") return true;
-    if (!e.estimated) return true;
-    if (e.source !== "pending_schedule_daily") return true;
-    const day = new Date(e.ts * 1000).toISOString().slice(0, 10);
-    return !exactUnlockDays.has(day);
-  });
-}
-
-function buildEventOutcomes(events, candles) {
-  const times = candles.map((c) => c.time);
-  const closes = candles.map((c) => c.close);
-  const maxH = Math.max(...HORIZONS_HOURS) * 3600;
-  const lookbackSec = BASELINE_LOOKBACK_DAYS * 86400;
-  const firstCandle = times[0];
-  const lastCandle = times[times.length - 1];
-
-  const localVol24hAt = (ts) => {
-    const baseIdx = findIndexAtOrAfter(times, ts);
-    if (baseIdx <= 1) return null;
-    const fromIdx = Math.max(1, baseIdx - 24);
-    const rets = [];
-    for (let i = fromIdx; i <= baseIdx; i++) {
-      const prev = closes[i - 1];
-      const curr = closes[i];
-      if (!Number.isFinite(prev) || prev <= 0 || !Number.isFinite(curr) || curr <= 0) continue;
-      rets.push((curr / prev) - 1);
-    }
-    if (rets.length < 12) return null;
-    return stdev(rets);
-  };
-
-  const enriched = events.map((e) => {
-    if (e.ts < firstCandle || e.ts > lastCandle) {
-      return {
-        ...e,
-        outcomes: {},
-        baseline_samples: 0,
-        timestamp_quality: e.estimated ? "estimated" : "exact",
-        price_at_event: null,
-        price_time: null,
-        local_vol_24h: null,
-      };
-    }
-    const baseIdx = findIndexAtOrAfter(times, e.ts);
-    if (baseIdx < 0) {
-      return {
-        ...e,
-        outcomes: {},
-        baseline_samples: 0,
-        timestamp_quality: e.estimated ? "estimated" : "exact",
-        price_at_event: null,
-        price_time: null,
-        local_vol_24h: null,
-      };
-    }
-    const baseTime = times[baseIdx];
-    const baseClose = closes[baseIdx];
-    const outcomes = {};
-    let baselineSamplesMax = 0;
-
-    for (const h of HORIZONS_HOURS) {
-      const hSec = h * 3600;
-      const futureIdx = findIndexAtOrAfter(times, e.ts + hSec);
-      if (futureIdx < 0) {
-        outcomes[`h${h}`] = { return: null, alpha: null, z: null, samples: 0 };
-        continue;
-      }
-
-      const actualReturn = (closes[futureIdx] / baseClose) - 1;
-
-      const fromTs = e.ts - lookbackSec;
-      const samples = [];
-      for (let i = 0; i < times.length; i++) {
-        const t = times[i];
-        if (t >= e.ts) break;
-        if (t < fromTs) continue;
-        const fIdx = findIndexAtOrAfter(times, t + hSec);
-        if (fIdx < 0) continue;
-        if (times[fIdx] - (t + hSec) > 3 * 3600) continue;
-        samples.push((closes[fIdx] / closes[i]) - 1);
-      }
-
-      const m = mean(samples);
-      const s = stdev(samples);
-      const alpha = m === null ? null : (actualReturn - m);
-      const z = (alpha === null || !s || s <= 0) ? null : (alpha / s);
-      baselineSamplesMax = Math.max(baselineSamplesMax, samples.length);
-
-      outcomes[`h${h}`] = {
-        return: actualReturn,
-        alpha,
-        z,
-        samples: samples.length,
-        base_time: baseTime,
-        future_time: times[futureIdx],
-      };
-    }
-
-    return {
-      ...e,
-      outcomes,
-      baseline_samples: baselineSamplesMax,
-      timestamp_quality: e.estimated ? "estimated" : "exact",
-      price_at_event: baseClose,
-      price_time: baseTime,
-      local_vol_24h: localVol24hAt(e.ts),
-    };
-  });
-
-  return {
-    events: enriched,
-    candles,
-    horizon_max_sec: maxH,
-  };
-}
-
-function summarizeByCategory(enrichedEvents) {
-  const categories = ["delegation", "undelegation_initiated", "undelegation_completed"];
-  const out = {};
-
-  for (const cat of categories) {
-    const evs = enrichedEvents.filter((e) => e.category === cat);
-    const horizons = {};
-    for (const h of HORIZONS_HOURS) {
-      const key = `h${h}`;
-      const rows = evs
-        .map((e) => e.outcomes?.[key])
-        .filter((x) => x && Number.isFinite(x.return));
-
-      const rets = rows.map((r) => r.return);
-      const alphas = rows.map((r) => r.alpha).filter((v) => Number.isFinite(v));
-      const zs = rows.map((r) => r.z).filter((v) => Number.isFinite(v));
-      const wins = rets.filter((r) => r > 0).length;
-
-      horizons[key] = {
-        count: rets.length,
-        win_rate: rets.length ? wins / rets.length : null,
-        median_return: rets.length ? median(rets) : null,
-        median_alpha: alphas.length ? median(alphas) : null,
-        median_z: zs.length ? median(zs) : null,
-      };
-    }
-
-    out[cat] = {
-      events: evs.length,
-      exact_timestamps: evs.filter((e) => !e.estimated).length,
-      estimated_timestamps: evs.filter((e) => e.estimated).length,
-      horizons,
-    };
-  }
-
-  return out;
+  return candles
+    .filter((c) => Number.isFinite(c.close) && c.close > 0)
+    // As of a past time, only hours that had closed by then
+    .filter((c) => !AS_OF || c.time + 3600 <= nowSec);
 }
 
 function buildRegimeSplit(enrichedEvents) {
@@ -446,7 +164,7 @@ function buildStability(enrichedEvents, category) {
 }
 
 function buildRecentBiasFromEvents(enrichedEvents) {
-  const now = Math.floor(Date.now() / 1000);
+  const now = Math.floor(nowMs() / 1000);
   const since = now - 7 * 86400;
   const recent = enrichedEvents.filter((e) => e.ts >= since);
 
@@ -474,63 +192,45 @@ function buildRecentBiasFromEvents(enrichedEvents) {
   };
 }
 
-function pickEdgeCard(summary, coverage, key) {
-  const h24 = summary?.[key]?.horizons?.h24;
-  if (!h24 || !h24.count) {
-    return {
-      count: 0,
-      edge: null,
-      win_rate: null,
-      confidence: "Low",
-      qualified: false,
-      gate_reason: "No 24h sample yet",
-      mode: "exact_only",
-      window: "24h",
-    };
+async function save(out) {
+  await writeJsonChecked(OUT_FILE, out);
+  if (AS_OF) {
+    await recordSnapshot("build-event-intelligence", [OUT_FILE], [
+      "outcomes of horizons ending after the as-of time: their candles had not closed",
+    ]);
   }
-  const edge = Number.isFinite(h24.median_alpha) ? h24.median_alpha : h24.median_return;
-  const c = h24.count;
-  const confidence = c >= 30 ? "High" : c >= 12 ? "Medium" : "Low";
-  const exactPct = Number(coverage?.exact_pct || 0);
-  const qualified = c >= EDGE_MIN_SAMPLES && exactPct >= EDGE_MIN_EXACT_PCT;
-  const reasons = [];
-  if (c < EDGE_MIN_SAMPLES) reasons.push(`n<${EDGE_MIN_SAMPLES}`);
-  if (exactPct < EDGE_MIN_EXACT_PCT) reasons.push(`exact<${Math.round(EDGE_MIN_EXACT_PCT * 100)}%`);
-  return {
-    count: c,
-    edge,
-    win_rate: h24.win_rate,
-    confidence,
-    qualified,
-    gate_reason: qualified ? "Qualified" : `Calibrating (${reasons.join(", ")})`,
-    mode: "exact_only",
-    window: "24h",
-  };
 }
 
-async function main() {
+export async function run() {
   await fs.mkdir("data", { recursive: true });
+  if (AS_OF) console.log(`📸 As of ${AS_OF}`);
+
+  const topDelegations = await readInput("data/top-delegations.json", { delegations: [] });
+  const whaleEvents = await readInput("data/whale-events.json", { events: [] });
+  const whalePending = await readInput("data/whale-pending.json", { events: [] });
+  const pendingUndelegations = await readInput("data/pending-undelegations.json", { schedule: [] });
+  const rawEvents = await readInput("data/delegation-events-raw.json", { items: [] });
+  const flowHourly = await readInput("data/delegation-flow-hourly.json", { items: [] });
+  const flowDaily = await readInput("data/delegation-flow-daily.json", { items: [] });
+  if (AS_OF && !rawEvents.generated_at) {
+    console.log(`⚠️ No delegation-events-raw.json known at ${AS_OF}; run node scripts/atomprice.mjs run event-intelligence --as-of=${AS_OF}`);
+  }
 
-  const topDelegations = await readJson("data/top-delegations.json", { delegations: [] });
-  const whaleEvents = await readJson("data/whale-events.json", { events: [] });
-  const whalePending = await readJson("data/whale-pending.json", { events: [] });
-  const pendingUndelegations = await readJson("data/pending-undelegations.json", { schedule: [] });
-  const rawEvents = await readJson("data/delegation-events-raw.json", { items: [] });
-  const flowHourly = await readJson("data/delegation-flow-hourly.json", { items: [] });
-  const flowDaily = await readJson("data/delegation-flow-daily.json", { items: [] });
-
-  const events = buildEventSet({ topDelegations, whaleEvents, whalePending, pendingUndelegations, rawEvents });
+  const events = buildEventSet(
+    { topDelegations, whaleEvents, whalePending, pendingUndelegations, rawEvents },
+    { nowMs: nowMs(), windowDays: EVENT_WINDOW_DAYS, minEventAtom: MIN_EVENT_ATOM },
+  );
   if (!events.length) {
     const out = {
-      generated_at: new Date().toISOString(),
+      generated_at: nowIso(),
       timezone: "UTC",
       config: { min_event_atom: MIN_EVENT_ATOM, horizons_hours: HORIZONS_HOURS, baseline_lookback_days: BASELINE_LOOKBACK_DAYS },
       error: "No eligible events found",
       events_total: 0,
     };
-    await fs.writeFile(OUT_FILE, JSON.stringify(out, null, 2));
+    await save(out);
     console.log("⚠️ No eligible events found.");
-    return;
+    return { events: 0, candles: 0 };
   }
 
   const earliest = events[0].ts;
@@ -538,13 +238,13 @@ async function main() {
   const candles = await fetchKrakenHourlyCandles(sinceSec);
   if (!candles.length) throw new Error("No Kraken candles loaded");
 
-  const built = buildEventOutcomes(events, candles);
-  const summaryAll = summarizeByCategory(built.events);
+  const built = buildEventOutcomes(events, candles, { horizonsHours: HORIZONS_HOURS, baselineLookbackDays: BASELINE_LOOKBACK_DAYS });
+  const summaryAll = summarizeByCategory(built.events, { horizonsHours: HORIZONS_HOURS });
   const exactEvents = built.events.filter((e) => !e.estimated);
-  const summaryExact = summarizeByCategory(exactEvents);
+  const summaryExact = summarizeByCategory(exactEvents, { horizonsHours: HORIZONS_HOURS });
   const eventBias = buildRecentBiasFromEvents(built.events);
 
-  const now = Date.now();
+  const now = nowMs();
   const h24Cutoff = now - 24 * 3600000;
   const d7Cutoff = now - 7 * 86400000;
   const flow24 = (flowHourly.items || [])
@@ -597,8 +297,9 @@ async function main() {
         : 0,
     },
   };
-  const delegateCard = pickEdgeCard(summaryExact, coverage.delegation, "delegation");
-  const unlockCard = pickEdgeCard(summaryExact, coverage.undelegation_completed, "undelegation_completed");
+  const edgeGate = { minSamples: EDGE_MIN_SAMPLES, minExactPct: EDGE_MIN_EXACT_PCT };
+  const delegateCard = pickEdgeCard(summaryExact, coverage.delegation, "delegation", edgeGate);
+  const unlockCard = pickEdgeCard(summaryExact, coverage.undelegation_completed, "undelegation_completed", edgeGate);
   const regimeSplit = buildRegimeSplit(built.events);
   const stability = {
     delegation_24h: buildStability(built.events, "delegation"),
@@ -611,7 +312,7 @@ async function main() {
   const exactPct = totalCount ? exactCount / totalCount : 0;
 
   const out = {
-    generated_at: new Date().toISOString(),
+    generated_at: nowIso(),
     timezone: "UTC",
     config: {
       min_event_atom: MIN_EVENT_ATOM,
@@ -620,7 +321,7 @@ async function main() {
       event_window_days: EVENT_WINDOW_DAYS,
       price_source: "Kraken OHLC 1h",
       excluded_delegators: {
-        icf: Array.from(ICF_EXCLUDED_DELEGATORS),
+        icf: Array.from(ICF_DELEGATORS),
       },
     },
     data_quality: {
@@ -680,11 +381,14 @@ async function main() {
       })),
   };
 
-  await fs.writeFile(OUT_FILE, JSON.stringify(out, null, 2));
+  await save(out);
   console.log(`✅ Event intelligence saved: ${OUT_FILE} (events=${totalCount}, candles=${candles.length})`);
+  return { events: totalCount, candles: candles.length };
 }
 
-main().catch((err) => {
-  console.error("❌ Event intelligence build failed:", err?.message || err);
-  process.exit(1);
-});
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error("❌ Event intelligence build failed:", err?.message || err);
+    process.exit(1);
+  });
+}
@@ -13,9 +13,10 @@
  * Output: data/whale-watchlist.json
  */
 
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { writeJsonChecked } from './lib/data-contracts.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = resolve(__dirname, '..', 'data');
@@ -58,7 +59,7 @@ function parseCSV(filepath) {
 }
 
 // ── MAIN ──
-function main() {
+async function main() {
   // 1. Read the big address file
   const addrFile = resolve(__dirname, '..', '..', 'Cosmos ATOM Addresses.csv');
   console.log(`📖 Reading ${addrFile}...`);
@@ -172,7 +173,7 @@ function main() {
   };
 
   const outPath = resolve(DATA_DIR, 'whale-watchlist.json');
-  writeFileSync(outPath, JSON.stringify(output, null, 2));
+  await writeJsonChecked(outPath, output);
 
   console.log(`\n✅ Whale watchlist saved to ${outPath}`);
   console.log(`   🐋 ${stakers.length} whale stakers (top 50 saved)`);
@@ -188,4 +189,7 @@ function main() {
   );
 }
 
-main();
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
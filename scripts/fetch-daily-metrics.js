@@ -1,60 +1,34 @@
-const fs = require('fs');
-const https = require('https');
-
-const COSMOS_REST = 'https://rest.cosmos.directory/cosmoshub';
 const OUTPUT_FILE = 'data/daily-metrics.json';
 
-// Helper function to make HTTPS GET requests
-function fetchJSON(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    reject(e);
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
 async function main() {
     console.log('Fetching daily on-chain metrics...');
 
-    try {
-        // Fetch staking pool data, supply, and inflation
-        const [poolRes, supplyRes, inflationRes] = await Promise.all([
-            fetchJSON(`${COSMOS_REST}/cosmos/staking/v1beta1/pool`),
-            fetchJSON(`${COSMOS_REST}/cosmos/bank/v1beta1/supply/by_denom?denom=uatom`),
-            fetchJSON(`${COSMOS_REST}/cosmos/mint/v1beta1/inflation`)
-        ]);
-
-        console.log('Pool response:', JSON.stringify(poolRes, null, 2));
-        console.log('Supply response:', JSON.stringify(supplyRes, null, 2));
-        console.log('Inflation response:', JSON.stringify(inflationRes, null, 2));
+    const { createChainClient } = await import('./lib/chain-client.mjs');
+    const { MetricQuorumError, pickMetricSpecs, readMetricQuorum, recordMetricQuorum } = await import('./lib/metric-quorum.mjs');
+    const { writeJsonChecked } = await import('./lib/data-contracts.mjs');
+    const { readJsonSafe } = await import('./lib/data-files.mjs');
 
-        // Calculate staking ratio
-        const bondedTokens = parseInt(poolRes.pool.bonded_tokens) / 1e6;
-
-        // Handle different API response formats
-        let totalSupplyAmount;
-        if (supplyRes.amount && supplyRes.amount.amount) {
-            totalSupplyAmount = supplyRes.amount.amount;
-        } else if (supplyRes.supply && supplyRes.supply.amount) {
-            totalSupplyAmount = supplyRes.supply.amount;
-        } else {
-            throw new Error('Unable to parse supply data: ' + JSON.stringify(supplyRes));
+    try {
+        // Staking pool, supply and inflation, cross-checked across every REST provider
+        const client = createChainClient();
+        const { values, report } = await readMetricQuorum(
+            client,
+            pickMetricSpecs(['bonded_tokens', 'total_supply_uatom', 'inflation'])
+        );
+        await recordMetricQuorum('daily_metrics', report);
+
+        for (const [key, m] of Object.entries(report.metrics)) {
+            console.log(`${key}: ${m.value} (${m.supporters}/${m.provider_count} providers agree, ${m.status})`);
         }
 
-        const totalSupply = parseInt(totalSupplyAmount) / 1e6;
+        // Calculate staking ratio
+        const bondedTokens = parseInt(values.bonded_tokens) / 1e6;
+        const totalSupply = parseInt(values.total_supply_uatom) / 1e6;
         const stakingRatio = (bondedTokens / totalSupply) * 100;
 
         // Calculate APR: inflation * (total_supply / bonded_tokens) * (1 - community_tax)
         // Community tax is 2% on Cosmos Hub (deducted before distribution)
-        const inflation = parseFloat(inflationRes.inflation) * 100;
+        const inflation = parseFloat(values.inflation) * 100;
         const communityTax = 0.02; // 2% community tax
         const apr = inflation * (totalSupply / bondedTokens) * (1 - communityTax);
 
@@ -74,11 +48,7 @@ async function main() {
         };
 
         // Read existing data or create new array
-        let dailyMetrics = [];
-        if (fs.existsSync(OUTPUT_FILE)) {
-            const fileContent = fs.readFileSync(OUTPUT_FILE, 'utf8');
-            dailyMetrics = JSON.parse(fileContent);
-        }
+        const dailyMetrics = await readJsonSafe(OUTPUT_FILE, []);
 
         // Check if today's entry already exists
         const existingIndex = dailyMetrics.findIndex(entry => entry.date === today);
@@ -96,16 +66,12 @@ async function main() {
         // Sort by date (oldest to newest)
         dailyMetrics.sort((a, b) => new Date(a.date) - new Date(b.date));
 
-        // Ensure data directory exists
-        if (!fs.existsSync('data')) {
-            fs.mkdirSync('data', { recursive: true });
-        }
-
         // Write updated data
-        fs.writeFileSync(OUTPUT_FILE, JSON.stringify(dailyMetrics, null, 2));
+        await writeJsonChecked(OUTPUT_FILE, dailyMetrics);
         console.log(`✅ Saved to ${OUTPUT_FILE} (${dailyMetrics.length} total entries)`);
 
     } catch (err) {
+        if (err instanceof MetricQuorumError) await recordMetricQuorum('daily_metrics', err.report);
         console.error('Fatal error:', err);
         process.exit(1);
     }
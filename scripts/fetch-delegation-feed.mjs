@@ -1,6 +1,8 @@
 // scripts/fetch-delegation-feed.mjs
-// Fetches recent MsgDelegate + MsgUndelegate txs from Cosmos Hub
-// Resolves validator monikers, includes timestamps
+// Fetches recent MsgDelegate + MsgUndelegate + MsgBeginRedelegate +
+// MsgCancelUnbondingDelegation txs and liquid staking (LSM) share
+// tokenization / redemption / record transfers from Cosmos Hub
+// Resolves validator monikers (data/validator-registry.json), includes timestamps
 // Outputs: data/delegation_feed.json
 // Also outputs:
 //   - data/delegation-events-raw.json (event-level raw ledger; append-only by default)
@@ -10,7 +12,7 @@
 // Env (optional):
 //   RPC_BASES     comma-separated RPCs (preferred)
 //   RPC_BASE      single RPC fallback if RPC_BASES not set
-//   REST_BASE     default: https://rest.cosmos.directory/cosmoshub
+//   REST_BASE     default: shared REST pool (scripts/lib/chain-client.mjs)
 //   FEED_MIN      default: 1000 (minimum ATOM to include)
 //   FEED_KEEP     default: 1000 (max items to keep in feed)
 //   WHALE_FEED_MIN default: 50000 (always keep whale rows in feed)
@@ -22,23 +24,32 @@
 //   RAW_IMMUTABLE default: true (append-only; no trimming)
 //   HOURLY_KEEP_DAYS default: 370
 //   INCREMENTAL  default: true (set false for deep historical backfill)
+//   SCAN_FROM_HEIGHT  when set, scans every block in [SCAN_FROM_HEIGHT, SCAN_TO_HEIGHT]
+//                     instead of the newest LIMIT_PAGES pages (used by v2 ingest)
+//   SCAN_TO_HEIGHT    default: latest block height
+//   SCAN_CHUNK_BLOCKS default: 500 (blocks per tx_search window)
+//   SCAN_MAX_PAGES    default: 50 (pages per window before the window is rejected)
+//   LSM_MODULES       default: cosmos.staking.v1beta1,gaia.liquid.v1beta1
+//                     (proto packages that have carried the LSM messages)
 
 import fs from "node:fs/promises";
+import { createChainClient } from "./lib/chain-client.mjs";
+import { loadRegistry, saveRegistry, upsertValidator, validatorNames } from "./lib/validator-registry.mjs";
+import { writeJsonChecked } from "./lib/data-contracts.mjs";
+import { readJsonSafe } from "./lib/data-files.mjs";
+import { eventId } from "./lib/event-identity.mjs";
+import { atomThreshold, eventUatom, parseUatomCoin, uatomToAtom, uatomToWholeAtom } from "./lib/uatom.mjs";
 
 const OUT_FILE = "data/delegation_feed.json";
 const RAW_FILE = "data/delegation-events-raw.json";
 const HOURLY_FILE = "data/delegation-flow-hourly.json";
 const DAILY_FILE = "data/delegation-flow-daily.json";
 
-const RPC_BASES = (process.env.RPC_BASES
-  ? process.env.RPC_BASES.split(",")
-  : [process.env.RPC_BASE || "https://rpc.silknodes.io/cosmos"])
-  .map((s) => s.trim().replace(/\/+$/, ""))
-  .filter(Boolean);
-const REST_BASE = (process.env.REST_BASE || "https://rest.cosmos.directory/cosmoshub").replace(/\/+$/, "");
 const FEED_MIN = Number(process.env.FEED_MIN ?? "1000");
+const FEED_MIN_UATOM = atomThreshold(FEED_MIN);
 const FEED_KEEP = Number(process.env.FEED_KEEP ?? "1000");
 const WHALE_FEED_MIN = Number(process.env.WHALE_FEED_MIN ?? "50000");
+const WHALE_FEED_MIN_UATOM = atomThreshold(WHALE_FEED_MIN);
 const WHALE_FEED_DAYS = Number(process.env.WHALE_FEED_DAYS ?? "30");
 const PER_PAGE = Number(process.env.PER_PAGE ?? "100");
 const LIMIT_PAGES = Number(process.env.LIMIT_PAGES ?? "5");
@@ -47,91 +58,65 @@ const RAW_KEEP_DAYS = Number(process.env.RAW_KEEP_DAYS ?? "90");
 const HOURLY_KEEP_DAYS = Number(process.env.HOURLY_KEEP_DAYS ?? "370");
 const INCREMENTAL = String(process.env.INCREMENTAL ?? "true").toLowerCase() !== "false";
 const RAW_IMMUTABLE = String(process.env.RAW_IMMUTABLE ?? "true").toLowerCase() !== "false";
+const SCAN_FROM_HEIGHT = Number(process.env.SCAN_FROM_HEIGHT || 0);
+const SCAN_TO_HEIGHT = Number(process.env.SCAN_TO_HEIGHT || 0);
+const SCAN_CHUNK_BLOCKS = Math.max(1, Number(process.env.SCAN_CHUNK_BLOCKS ?? "500"));
+const SCAN_MAX_PAGES = Number(process.env.SCAN_MAX_PAGES ?? "50");
 
 const MSG_DELEGATE = "/cosmos.staking.v1beta1.MsgDelegate";
 const MSG_UNDELEGATE = "/cosmos.staking.v1beta1.MsgUndelegate";
+const MSG_BEGIN_REDELEGATE = "/cosmos.staking.v1beta1.MsgBeginRedelegate";
+const MSG_CANCEL_UNBONDING = "/cosmos.staking.v1beta1.MsgCancelUnbondingDelegation";
+
+// LSM messages moved from the SDK staking fork to Gaia's liquid module; scan both.
+const LSM_MODULES = (process.env.LSM_MODULES ?? "cosmos.staking.v1beta1,gaia.liquid.v1beta1")
+  .split(",").map((m) => m.trim()).filter(Boolean);
+const LSM_ACTIONS = [
+  ["tokenize_shares", "MsgTokenizeShares"],
+  ["redeem_tokens", "MsgRedeemTokensForShares"],
+  ["transfer_share_record", "MsgTransferTokenizeShareRecord"],
+].flatMap(([actionType, msg]) => LSM_MODULES.map((m) => ({ actionType, msgAction: `/${m}.${msg}` })));
 const MSG_EXEC = "/cosmos.authz.v1beta1.MsgExec";
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-const rpcStats = {};
-for (const rpc of RPC_BASES) {
-  rpcStats[rpc] = { ok: 0, fail: 0, empty: 0, last_error: null };
-}
-
-async function fetchJson(url, timeoutMs = 15000) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { signal: ac.signal, headers: { accept: "application/json" } });
-    const text = await res.text();
-    let json = null;
-    try { json = JSON.parse(text); } catch {}
-    if (!res.ok) {
-      const msg = json?.error?.data || json?.error?.message || json?.message || text?.slice(0, 200);
-      throw new Error(`HTTP ${res.status} for ${url}${msg ? ` :: ${msg}` : ""}`);
-    }
-    return json;
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-async function fetchJsonFromRpcPath(path, timeoutMs = 15000, requireNonEmptyTxs = false) {
-  let lastErr = null;
-  let firstEmpty = null;
-
-  for (const rpc of RPC_BASES) {
-    const url = `${rpc}${path}`;
-    try {
-      const data = await fetchJson(url, timeoutMs);
-      if (data?.error) {
-        throw new Error(data?.error?.message || JSON.stringify(data.error));
-      }
-      const txs = data?.result?.txs;
-      if (requireNonEmptyTxs && Array.isArray(txs) && txs.length === 0) {
-        rpcStats[rpc].empty++;
-        if (!firstEmpty) firstEmpty = { data, rpc };
-        continue;
-      }
-      rpcStats[rpc].ok++;
-      return { data, rpc };
-    } catch (e) {
-      rpcStats[rpc].fail++;
-      rpcStats[rpc].last_error = String(e?.message || e);
-      lastErr = e;
-    }
-  }
+const client = createChainClient();
 
-  if (firstEmpty) return firstEmpty;
-  throw lastErr || new Error(`All RPCs failed for path: ${path}`);
+async function fetchJsonFromRpcPath(path, requireNonEmptyTxs = false) {
+  const res = await client.request("rpc", path, {
+    accept: requireNonEmptyTxs
+      ? (data) => !(Array.isArray(data?.result?.txs) && data.result.txs.length === 0)
+      : null,
+  });
+  return { data: res.data, rpc: res.endpoint };
 }
 
-// ── Validator moniker cache ──
-const validatorCache = {};
+// ── Validator monikers (data/validator-registry.json) ──
+let registry = null;
+let validatorCache = {};
+let registryAdded = 0;
 
-async function loadValidatorCache() {
-  try {
-    const txt = await fs.readFile("data/validator_cache.json", "utf8");
-    const d = JSON.parse(txt);
-    Object.assign(validatorCache, d);
-    console.log(`📦 Loaded ${Object.keys(d).length} cached validators`);
-  } catch { /* no cache yet */ }
+async function loadValidatorRegistry() {
+  registry = await loadRegistry();
+  validatorCache = validatorNames(registry);
+  console.log(`📦 Loaded ${Object.keys(validatorCache).length} registry validators`);
 }
 
-async function saveValidatorCache() {
-  await fs.writeFile("data/validator_cache.json", JSON.stringify(validatorCache, null, 2));
+async function saveValidatorRegistry() {
+  if (registryAdded) await saveRegistry(registry);
 }
 
 async function resolveMoniker(valoperAddr) {
   if (!valoperAddr) return "";
   if (validatorCache[valoperAddr]) return validatorCache[valoperAddr];
   try {
-    const d = await fetchJson(`${REST_BASE}/cosmos/staking/v1beta1/validators/${valoperAddr}`);
+    const d = await client.rest(`/cosmos/staking/v1beta1/validators/${valoperAddr}`);
     const moniker = d?.validator?.description?.moniker || "";
     if (moniker) {
+      upsertValidator(registry, d.validator);
+      registryAdded++;
       validatorCache[valoperAddr] = moniker;
       return moniker;
     }
@@ -163,27 +148,45 @@ function getAttr(event, key) {
 }
 
 function parseUatom(str) {
-  if (!str || typeof str !== "string") return 0;
-  const m = str.match(/^(\d+)\s*uatom$/i);
-  return m ? Number(m[1]) / 1_000_000 : 0;
+  return parseUatomCoin(str) ?? "0";
 }
 
-function makeEventId(item) {
-  const atom = Number(item?.amount_atom || 0);
-  const atomKey = Number.isFinite(atom) ? atom.toFixed(6) : "0";
-  return [
-    item?.txhash || "",
-    item?.type || "",
-    item?.delegator || "",
-    item?.validator_addr || "",
-    atomKey,
-    String(item?.height || ""),
-    String(item?.event_index ?? 0)
-  ].join(":");
+// Staking / liquid module events emitted for each action type
+const EVENT_TYPES = {
+  delegate: ["delegate"],
+  undelegate: ["unbond"],
+  redelegate: ["redelegate"],
+  cancel_unbond: ["cancel_unbonding_delegation"],
+  tokenize_shares: ["tokenize_shares"],
+  redeem_tokens: ["redeem_tokens_for_shares", "redeem_shares"],
+  transfer_share_record: ["transfer_tokenize_share_record"],
+};
+
+const LSM_TYPES = new Set(["tokenize_shares", "redeem_tokens", "transfer_share_record"]);
+
+// Amount in uatom plus the validator for LSM share denoms ("<n>cosmosvaloper1…/<record>").
+// Share tokens are counted 1:1 with uatom, which holds for unslashed validators.
+function parseStakeCoin(str) {
+  if (!str || typeof str !== "string") return { uatom: "0", validator: "" };
+  for (const coin of str.split(",")) {
+    const m = coin.trim().match(/^(\d+)\s*(uatom|(cosmosvaloper1[0-9a-z]+)\/\d+)$/i);
+    if (m) return { uatom: BigInt(m[1]).toString(), validator: m[3] || "" };
+  }
+  return { uatom: "0", validator: "" };
+}
+
+// Older SDK versions omit `delegator` on redelegate events; the message sender is the delegator.
+function messageSender(tx) {
+  for (const ev of tx?.tx_result?.events ?? []) {
+    if (ev?.type !== "message") continue;
+    const sender = getAttr(ev, "sender");
+    if (sender && sender.startsWith("cosmos1")) return sender;
+  }
+  return "";
 }
 
 function parseTxEvents(txs, actionType) {
-  const eventType = actionType === "delegate" ? "delegate" : "unbond";
+  const eventTypes = EVENT_TYPES[actionType];
   const items = [];
 
   for (const tx of txs) {
@@ -192,20 +195,33 @@ function parseTxEvents(txs, actionType) {
     if (!txhash || !height) continue;
 
     for (const [eventIndex, ev] of (tx?.tx_result?.events ?? []).entries()) {
-      if (ev?.type !== eventType) continue;
+      if (!eventTypes.includes(ev?.type)) continue;
 
-      const amount = parseUatom(getAttr(ev, "amount"));
-      const validator = getAttr(ev, "validator") || "";
-      const delegator = getAttr(ev, "delegator") || "";
+      const isRedelegate = actionType === "redelegate";
+      const isLsm = LSM_TYPES.has(actionType);
+      const coin = isLsm ? parseStakeCoin(getAttr(ev, "amount")) : { uatom: parseUatom(getAttr(ev, "amount")), validator: "" };
+      const amount = BigInt(coin.uatom);
+      // Redelegations: validator_addr is the destination, src_validator_addr the source
+      const validator = (isRedelegate ? getAttr(ev, "destination_validator") : getAttr(ev, "validator")) || coin.validator || "";
+      const delegator = getAttr(ev, "delegator") || getAttr(ev, "sender") || (isRedelegate || isLsm ? messageSender(tx) : "");
 
-      if (amount < FEED_MIN) continue;
+      // Record transfers carry no amount; keep them so ownership changes stay in the ledger
+      if (amount < FEED_MIN_UATOM && actionType !== "transfer_share_record") continue;
 
       items.push({
         type: actionType,
-        amount_atom: amount,
+        amount_uatom: coin.uatom,
+        amount_atom: uatomToAtom(amount),
         delegator,
         validator_addr: validator,
         validator_name: "",
+        ...(isRedelegate ? { src_validator_addr: getAttr(ev, "source_validator") || "", src_validator_name: "" } : {}),
+        // Height of the undelegation whose unbonding entry was cancelled
+        ...(actionType === "cancel_unbond" ? { creation_height: Number(getAttr(ev, "creation_height") || 0) } : {}),
+        ...(isLsm ? {
+          share_record_id: getAttr(ev, "share_record_id") || getAttr(ev, "tokenize_share_record_id") || "",
+          share_owner: getAttr(ev, "share_owner") || getAttr(ev, "new_owner") || "",
+        } : {}),
         height,
         txhash,
         event_index: eventIndex,
@@ -243,7 +259,7 @@ async function fetchTxsByAction(msgAction, actionType, opts = {}) {
     let data;
     let usedRpc = null;
     try {
-      const res = await fetchJsonFromRpcPath(path, 15000, true);
+      const res = await fetchJsonFromRpcPath(path, true);
       data = res.data;
       usedRpc = res.rpc;
     } catch (e) {
@@ -286,6 +302,193 @@ async function fetchTxsByAction(msgAction, actionType, opts = {}) {
   return { items: allItems, pagesScanned, stoppedEarly };
 }
 
+// ── Fetch every tx of one action inside a closed height window ──
+async function fetchTxsInRange(msgAction, fromHeight, toHeight) {
+  const query = `message.action='${msgAction}' AND tx.height>=${fromHeight} AND tx.height<=${toHeight}`;
+  const txs = [];
+
+  for (let page = 1; page <= SCAN_MAX_PAGES; page++) {
+    if (page > 1) await sleep(400);
+
+    const params = new URLSearchParams();
+    params.set("query", JSON.stringify(query));
+    params.set("prove", "false");
+    params.set("page", String(page));
+    params.set("per_page", String(PER_PAGE));
+    params.set("order_by", JSON.stringify("asc"));
+
+    const { data } = await fetchJsonFromRpcPath(`/tx_search?${params.toString()}`, false);
+    const batch = data?.result?.txs ?? [];
+    const total = Number(data?.result?.total_count ?? 0);
+    txs.push(...batch);
+    if (!batch.length || txs.length >= total) return { txs, pages: page };
+  }
+
+  throw new Error(`${msgAction} in ${fromHeight}-${toHeight} exceeds ${SCAN_MAX_PAGES} pages; lower SCAN_CHUNK_BLOCKS`);
+}
+
+async function blockTime(height) {
+  try {
+    const { data } = await fetchJsonFromRpcPath(`/block?height=${height}`, false);
+    const time = data?.result?.block?.header?.time;
+    return time ? new Date(time).toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// ── Scan a height range window by window ──
+// A window only counts once all its queries succeed, so scannedTo is always a
+// height below which nothing was missed. Partial progress is returned rather
+// than thrown so the caller can persist it and resume from scannedTo + 1.
+async function scanHeightRange(fromHeight, toHeight) {
+  const items = [];
+  const pagesScanned = { delegate: 0, undelegate: 0, redelegate: 0, cancel_unbond: 0, lsm: 0, exec: 0 };
+  let scannedTo = fromHeight - 1;
+  let error = null;
+
+  for (let start = fromHeight; start <= toHeight; start += SCAN_CHUNK_BLOCKS) {
+    const end = Math.min(toHeight, start + SCAN_CHUNK_BLOCKS - 1);
+    let windowItems;
+    try {
+      const delegateRes = await fetchTxsInRange(MSG_DELEGATE, start, end);
+      const undelegateRes = await fetchTxsInRange(MSG_UNDELEGATE, start, end);
+      const redelegateRes = await fetchTxsInRange(MSG_BEGIN_REDELEGATE, start, end);
+      const cancelRes = await fetchTxsInRange(MSG_CANCEL_UNBONDING, start, end);
+      const lsmItems = [];
+      for (const { actionType, msgAction } of LSM_ACTIONS) {
+        const lsmRes = await fetchTxsInRange(msgAction, start, end);
+        lsmItems.push(...parseTxEvents(lsmRes.txs, actionType));
+        pagesScanned.lsm += lsmRes.pages;
+      }
+      const execRes = await fetchTxsInRange(MSG_EXEC, start, end);
+      windowItems = [
+        ...parseTxEvents(delegateRes.txs, "delegate"),
+        ...parseTxEvents(execRes.txs, "delegate"),
+        ...parseTxEvents(undelegateRes.txs, "undelegate"),
+        ...parseTxEvents(execRes.txs, "undelegate"),
+        ...parseTxEvents(redelegateRes.txs, "redelegate"),
+        ...parseTxEvents(execRes.txs, "redelegate"),
+        ...parseTxEvents(cancelRes.txs, "cancel_unbond"),
+        ...parseTxEvents(execRes.txs, "cancel_unbond"),
+        ...lsmItems,
+      ];
+      pagesScanned.delegate += delegateRes.pages;
+      pagesScanned.undelegate += undelegateRes.pages;
+      pagesScanned.redelegate += redelegateRes.pages;
+      pagesScanned.cancel_unbond += cancelRes.pages;
+      pagesScanned.exec += execRes.pages;
+    } catch (e) {
+      error = String(e?.message || e);
+      console.log(`  ⚠️ Blocks ${start}-${end} failed: ${error}`);
+      break;
+    }
+    items.push(...windowItems);
+    scannedTo = end;
+    console.log(`  Blocks ${start}-${end}: ${windowItems.length} qualifying events`);
+  }
+
+  if (scannedTo < fromHeight) {
+    throw new Error(`No blocks scanned in ${fromHeight}-${toHeight}: ${error}`);
+  }
+
+  // Block times of the scanned ends anchor the range in the ledger coverage index
+  const [fromTime, toTime] = await Promise.all([blockTime(fromHeight), blockTime(scannedTo)]);
+
+  return {
+    items,
+    pagesScanned,
+    scan: {
+      from_height: fromHeight,
+      to_height: toHeight,
+      scanned_to_height: scannedTo,
+      from_time: fromTime,
+      to_time: toTime,
+      complete: scannedTo === toHeight,
+      error,
+    },
+  };
+}
+
+// ── Fetch the newest pages of each action (legacy live mode) ──
+async function fetchLatestPages(cutoffHeight, knownTxHashes) {
+  console.log(`\n📥 Fetching MsgDelegate (min ${FEED_MIN} ATOM)...`);
+  const delegateRes = await fetchTxsByAction(MSG_DELEGATE, "delegate", { cutoffHeight, knownTxHashes });
+  console.log(`  → ${delegateRes.items.length} delegates (${delegateRes.pagesScanned} pages${delegateRes.stoppedEarly ? ", stopped early" : ""})`);
+
+  console.log(`📥 Fetching MsgExec for delegated events...`);
+  const execDelegateRes = await fetchTxsByAction(MSG_EXEC, "delegate", { cutoffHeight, knownTxHashes, limitPages: EXEC_LIMIT_PAGES });
+  const delegates = [...delegateRes.items, ...execDelegateRes.items];
+  console.log(`  → +${execDelegateRes.items.length} delegates via MsgExec (${execDelegateRes.pagesScanned} pages${execDelegateRes.stoppedEarly ? ", stopped early" : ""})`);
+  console.log(`  → ${delegates.length} total delegates\n`);
+
+  console.log(`📥 Fetching MsgUndelegate (min ${FEED_MIN} ATOM)...`);
+  const undelegateRes = await fetchTxsByAction(MSG_UNDELEGATE, "undelegate", { cutoffHeight, knownTxHashes });
+  console.log(`  → ${undelegateRes.items.length} undelegates (${undelegateRes.pagesScanned} pages${undelegateRes.stoppedEarly ? ", stopped early" : ""})`);
+
+  console.log(`📥 Fetching MsgExec for undelegated events...`);
+  const execUndelegateRes = await fetchTxsByAction(MSG_EXEC, "undelegate", { cutoffHeight, knownTxHashes, limitPages: EXEC_LIMIT_PAGES });
+  const undelegates = [...undelegateRes.items, ...execUndelegateRes.items];
+  console.log(`  → +${execUndelegateRes.items.length} undelegates via MsgExec (${execUndelegateRes.pagesScanned} pages${execUndelegateRes.stoppedEarly ? ", stopped early" : ""})`);
+  console.log(`  → ${undelegates.length} total undelegates\n`);
+
+  console.log(`📥 Fetching MsgBeginRedelegate (min ${FEED_MIN} ATOM)...`);
+  const redelegateRes = await fetchTxsByAction(MSG_BEGIN_REDELEGATE, "redelegate", { cutoffHeight, knownTxHashes });
+  console.log(`  → ${redelegateRes.items.length} redelegates (${redelegateRes.pagesScanned} pages${redelegateRes.stoppedEarly ? ", stopped early" : ""})`);
+
+  console.log(`📥 Fetching MsgExec for redelegated events...`);
+  const execRedelegateRes = await fetchTxsByAction(MSG_EXEC, "redelegate", { cutoffHeight, knownTxHashes, limitPages: EXEC_LIMIT_PAGES });
+  const redelegates = [...redelegateRes.items, ...execRedelegateRes.items];
+  console.log(`  → +${execRedelegateRes.items.length} redelegates via MsgExec (${execRedelegateRes.pagesScanned} pages${execRedelegateRes.stoppedEarly ? ", stopped early" : ""})`);
+  console.log(`  → ${redelegates.length} total redelegates\n`);
+
+  console.log(`📥 Fetching MsgCancelUnbondingDelegation (min ${FEED_MIN} ATOM)...`);
+  const cancelRes = await fetchTxsByAction(MSG_CANCEL_UNBONDING, "cancel_unbond", { cutoffHeight, knownTxHashes });
+  console.log(`  → ${cancelRes.items.length} cancelled unbondings (${cancelRes.pagesScanned} pages${cancelRes.stoppedEarly ? ", stopped early" : ""})`);
+
+  console.log(`📥 Fetching MsgExec for cancelled unbondings...`);
+  const execCancelRes = await fetchTxsByAction(MSG_EXEC, "cancel_unbond", { cutoffHeight, knownTxHashes, limitPages: EXEC_LIMIT_PAGES });
+  const cancels = [...cancelRes.items, ...execCancelRes.items];
+  console.log(`  → +${execCancelRes.items.length} cancelled unbondings via MsgExec (${execCancelRes.pagesScanned} pages${execCancelRes.stoppedEarly ? ", stopped early" : ""})`);
+  console.log(`  → ${cancels.length} total cancelled unbondings\n`);
+
+  // LSM messages are rare enough that the MsgExec variants are not scanned here
+  const lsmItems = [];
+  let lsmPages = 0;
+  for (const { actionType, msgAction } of LSM_ACTIONS) {
+    console.log(`📥 Fetching ${msgAction}...`);
+    const res = await fetchTxsByAction(msgAction, actionType, { cutoffHeight, knownTxHashes });
+    console.log(`  → ${res.items.length} ${actionType} events (${res.pagesScanned} pages)`);
+    lsmItems.push(...res.items);
+    lsmPages += res.pagesScanned;
+  }
+
+  return {
+    items: [...delegates, ...undelegates, ...redelegates, ...cancels, ...lsmItems],
+    pagesScanned: {
+      delegate: delegateRes.pagesScanned,
+      undelegate: undelegateRes.pagesScanned,
+      redelegate: redelegateRes.pagesScanned,
+      exec_delegate: execDelegateRes.pagesScanned,
+      exec_undelegate: execUndelegateRes.pagesScanned,
+      exec_redelegate: execRedelegateRes.pagesScanned,
+      cancel_unbond: cancelRes.pagesScanned,
+      exec_cancel_unbond: execCancelRes.pagesScanned,
+      lsm: lsmPages,
+    },
+    stoppedEarly: {
+      delegate: delegateRes.stoppedEarly,
+      undelegate: undelegateRes.stoppedEarly,
+      redelegate: redelegateRes.stoppedEarly,
+      exec_delegate: execDelegateRes.stoppedEarly,
+      exec_undelegate: execUndelegateRes.stoppedEarly,
+      exec_redelegate: execRedelegateRes.stoppedEarly,
+      cancel_unbond: cancelRes.stoppedEarly,
+      exec_cancel_unbond: execCancelRes.stoppedEarly,
+    },
+  };
+}
+
 // ── Resolve block timestamps ──
 async function resolveTimestamps(items) {
   const heightsToResolve = [...new Set(items.filter(i => !i.timestamp).map(i => i.height))];
@@ -298,7 +501,7 @@ async function resolveTimestamps(items) {
     const batch = heightsToResolve.slice(i, i + 5);
     const results = await Promise.allSettled(
       batch.map(async (h) => {
-        const { data: d } = await fetchJsonFromRpcPath(`/block?height=${h}`, 10000, false);
+        const { data: d } = await fetchJsonFromRpcPath(`/block?height=${h}`, false);
         const time = d?.result?.block?.header?.time;
         if (time) heightToTime[h] = new Date(time).toISOString();
       })
@@ -316,6 +519,13 @@ async function resolveTimestamps(items) {
   console.log(`  ✅ Resolved ${Object.keys(heightToTime).length} timestamps`);
 }
 
+const FLOW_AMOUNT_FIELDS = ["delegate_atom", "undelegate_atom", "redelegate_atom", "cancel_unbond_atom", "tokenize_atom", "redeem_atom", "net_atom"];
+
+// Buckets sum integer uatom; amounts become ATOM only in the written row
+function toAtomBucket(b) {
+  return { ...b, ...Object.fromEntries(FLOW_AMOUNT_FIELDS.map((f) => [f, uatomToAtom(b[f])])) };
+}
+
 function aggregateByTime(items, keyFn, includeWindowDays = null) {
   const nowMs = Date.now();
   const cutoffMs = includeWindowDays ? nowMs - includeWindowDays * 86400000 : null;
@@ -331,17 +541,25 @@ function aggregateByTime(items, keyFn, includeWindowDays = null) {
     if (!buckets.has(key)) {
       buckets.set(key, {
         key,
-        delegate_atom: 0,
-        undelegate_atom: 0,
-        net_atom: 0,
+        delegate_atom: 0n,
+        undelegate_atom: 0n,
+        redelegate_atom: 0n,
+        cancel_unbond_atom: 0n,
+        tokenize_atom: 0n,
+        redeem_atom: 0n,
+        net_atom: 0n,
         delegates_count: 0,
         undelegates_count: 0,
+        redelegates_count: 0,
+        cancel_unbonds_count: 0,
+        tokenize_count: 0,
+        redeem_count: 0,
         total_count: 0,
       });
     }
     const b = buckets.get(key);
-    const amt = Number(item.amount_atom || 0);
-    if (!Number.isFinite(amt) || amt <= 0) continue;
+    const amt = eventUatom(item);
+    if (amt <= 0n) continue;
     if (item.type === "delegate") {
       b.delegate_atom += amt;
       b.delegates_count += 1;
@@ -350,73 +568,72 @@ function aggregateByTime(items, keyFn, includeWindowDays = null) {
       b.undelegate_atom += amt;
       b.undelegates_count += 1;
       b.net_atom -= amt;
+    } else if (item.type === "redelegate") {
+      // Validator-to-validator move: bonded stake is unchanged, so net_atom is untouched
+      b.redelegate_atom += amt;
+      b.redelegates_count += 1;
+    } else if (item.type === "cancel_unbond") {
+      // Unbonding entry returned to the validator: stake is bonded again
+      b.cancel_unbond_atom += amt;
+      b.cancel_unbonds_count += 1;
+      b.net_atom += amt;
+    } else if (item.type === "tokenize_shares") {
+      // Tokenized delegations stay bonded; tracked separately from net stake
+      b.tokenize_atom += amt;
+      b.tokenize_count += 1;
+    } else if (item.type === "redeem_tokens") {
+      b.redeem_atom += amt;
+      b.redeem_count += 1;
     }
     b.total_count += 1;
   }
 
-  return Array.from(buckets.values()).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+  return Array.from(buckets.values())
+    .map(toAtomBucket)
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)));
 }
 
 // ── Main ──
 async function main() {
   await fs.mkdir("data", { recursive: true });
-  await loadValidatorCache();
+  await loadValidatorRegistry();
 
   // Load previous feed for merging
-  let prevItems = [];
-  try {
-    const txt = await fs.readFile(OUT_FILE, "utf8");
-    const prev = JSON.parse(txt);
-    prevItems = prev?.items || [];
-    console.log(`📦 Previous feed: ${prevItems.length} items`);
-  } catch { /* fresh start */ }
+  const prevItems = (await readJsonSafe(OUT_FILE))?.items || [];
+  if (prevItems.length) console.log(`📦 Previous feed: ${prevItems.length} items`);
   const prevMaxHeight = prevItems.reduce((m, i) => Math.max(m, Number(i?.height || 0)), 0);
   const prevTxHashes = new Set(prevItems.map((i) => i?.txhash).filter(Boolean));
   const cutoffHeight = INCREMENTAL ? Math.max(0, prevMaxHeight - 100) : 0;
   const knownTxHashes = INCREMENTAL ? prevTxHashes : new Set();
 
-  let prevRawItems = [];
-  try {
-    const txt = await fs.readFile(RAW_FILE, "utf8");
-    prevRawItems = JSON.parse(txt)?.items || [];
-    console.log(`📦 Previous raw archive: ${prevRawItems.length} items`);
-  } catch { /* fresh start */ }
+  const prevRawItems = (await readJsonSafe(RAW_FILE))?.items || [];
+  if (prevRawItems.length) console.log(`📦 Previous raw archive: ${prevRawItems.length} items`);
 
-  let prevDaily = [];
-  try {
-    const txt = await fs.readFile(DAILY_FILE, "utf8");
-    prevDaily = JSON.parse(txt)?.items || [];
-  } catch { /* fresh start */ }
+  const prevDaily = (await readJsonSafe(DAILY_FILE))?.items || [];
 
   // Fetch delegates and undelegates
-  console.log(`\n📥 Fetching MsgDelegate (min ${FEED_MIN} ATOM)...`);
-  const delegateRes = await fetchTxsByAction(MSG_DELEGATE, "delegate", { cutoffHeight, knownTxHashes });
-  console.log(`  → ${delegateRes.items.length} delegates (${delegateRes.pagesScanned} pages${delegateRes.stoppedEarly ? ", stopped early" : ""})`);
-
-  console.log(`📥 Fetching MsgExec for delegated events...`);
-  const execDelegateRes = await fetchTxsByAction(MSG_EXEC, "delegate", { cutoffHeight, knownTxHashes, limitPages: EXEC_LIMIT_PAGES });
-  const delegates = [...delegateRes.items, ...execDelegateRes.items];
-  console.log(`  → +${execDelegateRes.items.length} delegates via MsgExec (${execDelegateRes.pagesScanned} pages${execDelegateRes.stoppedEarly ? ", stopped early" : ""})`);
-  console.log(`  → ${delegates.length} total delegates\n`);
-
-  console.log(`📥 Fetching MsgUndelegate (min ${FEED_MIN} ATOM)...`);
-  const undelegateRes = await fetchTxsByAction(MSG_UNDELEGATE, "undelegate", { cutoffHeight, knownTxHashes });
-  console.log(`  → ${undelegateRes.items.length} undelegates (${undelegateRes.pagesScanned} pages${undelegateRes.stoppedEarly ? ", stopped early" : ""})`);
-
-  console.log(`📥 Fetching MsgExec for undelegated events...`);
-  const execUndelegateRes = await fetchTxsByAction(MSG_EXEC, "undelegate", { cutoffHeight, knownTxHashes, limitPages: EXEC_LIMIT_PAGES });
-  const undelegates = [...undelegateRes.items, ...execUndelegateRes.items];
-  console.log(`  → +${execUndelegateRes.items.length} undelegates via MsgExec (${execUndelegateRes.pagesScanned} pages${execUndelegateRes.stoppedEarly ? ", stopped early" : ""})`);
-  console.log(`  → ${undelegates.length} total undelegates\n`);
+  let fetched;
+  if (SCAN_FROM_HEIGHT > 0) {
+    let toHeight = SCAN_TO_HEIGHT;
+    if (!toHeight) {
+      const status = await client.rpc("/status");
+      toHeight = Number(status?.result?.sync_info?.latest_block_height || 0);
+    }
+    console.log(`\n📥 Scanning blocks ${SCAN_FROM_HEIGHT}-${toHeight} (min ${FEED_MIN} ATOM)...`);
+    fetched = await scanHeightRange(SCAN_FROM_HEIGHT, toHeight);
+    console.log(`  → ${fetched.items.length} events, scanned to ${fetched.scan.scanned_to_height}${fetched.scan.complete ? "" : " (partial)"}\n`);
+  } else {
+    fetched = await fetchLatestPages(cutoffHeight, knownTxHashes);
+  }
 
-  const freshItems = [...delegates, ...undelegates];
+  const freshItems = fetched.items;
   await resolveTimestamps(freshItems);
 
   // Merge with previous feed, dedupe by stable event identity
   const seenKeys = new Set();
   const merged = [];
   for (const item of [...freshItems, ...prevItems]) {
-    const key = makeEventId(item);
+    const key = eventId(item);
     if (seenKeys.has(key)) continue;
     seenKeys.add(key);
     merged.push(item);
@@ -434,8 +651,8 @@ async function main() {
   // Build raw ledger
   // - Immutable mode: append-only, never trims previous rows
   // - Legacy mode: rolling retention by RAW_KEEP_DAYS
-  const prevRawIds = new Set(prevRawItems.map(makeEventId));
-  const newRawItems = freshItems.filter((i) => !prevRawIds.has(makeEventId(i)));
+  const prevRawIds = new Set(prevRawItems.map(eventId));
+  const newRawItems = freshItems.filter((i) => !prevRawIds.has(eventId(i)));
   await resolveTimestamps(newRawItems);
   let rawArchive = [...prevRawItems, ...newRawItems];
 
@@ -461,13 +678,13 @@ async function main() {
   const recentFeed = merged.slice(0, FEED_KEEP);
   const whaleCutoffIso = new Date(Date.now() - WHALE_FEED_DAYS * 86400000).toISOString();
   const whaleFeed = rawArchive.filter((i) =>
-    Number(i.amount_atom || 0) >= WHALE_FEED_MIN &&
+    eventUatom(i) >= WHALE_FEED_MIN_UATOM &&
     (!i.timestamp || i.timestamp >= whaleCutoffIso)
   );
 
   const feedById = new Map();
   for (const item of [...recentFeed, ...whaleFeed]) {
-    feedById.set(makeEventId(item), item);
+    feedById.set(eventId(item), item);
   }
   const feed = Array.from(feedById.values()).sort((a, b) => {
     const ta = Date.parse(a.timestamp || 0) || 0;
@@ -477,7 +694,7 @@ async function main() {
   });
 
   // Resolve validator monikers
-  const unknownAddrs = [...new Set(feed.filter(i => i.validator_addr && !validatorCache[i.validator_addr]).map(i => i.validator_addr))];
+  const unknownAddrs = [...new Set(feed.flatMap(i => [i.validator_addr, i.src_validator_addr]).filter(a => a && !validatorCache[a]))];
   console.log(`\n🏷️  Resolving ${unknownAddrs.length} validator monikers...`);
   for (let i = 0; i < unknownAddrs.length; i += 5) {
     const batch = unknownAddrs.slice(i, i + 5);
@@ -490,11 +707,16 @@ async function main() {
     if (item.validator_addr && validatorCache[item.validator_addr]) {
       item.validator_name = validatorCache[item.validator_addr];
     }
+    if (item.src_validator_addr && validatorCache[item.src_validator_addr]) {
+      item.src_validator_name = validatorCache[item.src_validator_addr];
+    }
   }
 
   // Count stats
   const dCount = feed.filter(i => i.type === "delegate").length;
   const uCount = feed.filter(i => i.type === "undelegate").length;
+  const rCount = feed.filter(i => i.type === "redelegate").length;
+  const cCount = feed.filter(i => i.type === "cancel_unbond").length;
 
   const output = {
     generated_at: new Date().toISOString(),
@@ -502,26 +724,19 @@ async function main() {
     total: feed.length,
     delegates: dCount,
     undelegates: uCount,
+    redelegates: rCount,
+    cancel_unbonds: cCount,
     ingestion_health: {
-      rpc_bases: RPC_BASES,
+      rpc_bases: client.rpcBases,
       pages: LIMIT_PAGES,
       exec_pages: EXEC_LIMIT_PAGES,
-      pages_scanned: {
-        delegate: delegateRes.pagesScanned,
-        undelegate: undelegateRes.pagesScanned,
-        exec_delegate: execDelegateRes.pagesScanned,
-        exec_undelegate: execUndelegateRes.pagesScanned,
-      },
+      pages_scanned: fetched.pagesScanned,
       incremental: {
         enabled: INCREMENTAL && cutoffHeight > 0,
         cutoff_height: cutoffHeight || null,
-        stopped_early: {
-          delegate: delegateRes.stoppedEarly,
-          undelegate: undelegateRes.stoppedEarly,
-          exec_delegate: execDelegateRes.stoppedEarly,
-          exec_undelegate: execUndelegateRes.stoppedEarly,
-        }
+        stopped_early: fetched.stoppedEarly || null,
       },
+      scan: fetched.scan || null,
       per_page: PER_PAGE,
       feed_keep: FEED_KEEP,
       whale_feed_min: WHALE_FEED_MIN,
@@ -529,39 +744,34 @@ async function main() {
       raw_keep_days: RAW_IMMUTABLE ? null : RAW_KEEP_DAYS,
       raw_immutable: RAW_IMMUTABLE,
       raw_appended_in_run: newRawItems.length,
-      rpc_stats: rpcStats,
+      rpc_stats: client.stats().rpc,
     },
     items: feed,
   };
 
-  await fs.writeFile(OUT_FILE, JSON.stringify(output, null, 2));
-
-  await fs.writeFile(
-    RAW_FILE,
-    JSON.stringify({
-      generated_at: new Date().toISOString(),
-      timezone: "UTC",
-      min_atom: FEED_MIN,
-      retention_days: RAW_IMMUTABLE ? null : RAW_KEEP_DAYS,
-      immutable: RAW_IMMUTABLE,
-      appended_in_run: newRawItems.length,
-      total: rawArchive.length,
-      items: rawArchive,
-    }, null, 2)
-  );
+  await writeJsonChecked(OUT_FILE, output);
+
+  await writeJsonChecked(RAW_FILE, {
+    generated_at: new Date().toISOString(),
+    timezone: "UTC",
+    min_atom: FEED_MIN,
+    retention_days: RAW_IMMUTABLE ? null : RAW_KEEP_DAYS,
+    immutable: RAW_IMMUTABLE,
+    appended_in_run: newRawItems.length,
+    scan: fetched.scan || null,
+    total: rawArchive.length,
+    items: rawArchive,
+  });
 
   const hourly = aggregateByTime(rawArchive, toIsoHour, HOURLY_KEEP_DAYS);
-  await fs.writeFile(
-    HOURLY_FILE,
-    JSON.stringify({
-      generated_at: new Date().toISOString(),
-      timezone: "UTC",
-      source: "delegation-events-raw",
-      retention_days: HOURLY_KEEP_DAYS,
-      total: hourly.length,
-      items: hourly,
-    }, null, 2)
-  );
+  await writeJsonChecked(HOURLY_FILE, {
+    generated_at: new Date().toISOString(),
+    timezone: "UTC",
+    source: "delegation-events-raw",
+    retention_days: HOURLY_KEEP_DAYS,
+    total: hourly.length,
+    items: hourly,
+  });
 
   const dailyFresh = aggregateByTime(rawArchive, toIsoDay, null);
   const dailyMap = new Map();
@@ -572,20 +782,17 @@ async function main() {
     dailyMap.set(d.key, d);
   }
   const daily = Array.from(dailyMap.values()).sort((a, b) => String(a.key).localeCompare(String(b.key)));
-  await fs.writeFile(
-    DAILY_FILE,
-    JSON.stringify({
-      generated_at: new Date().toISOString(),
-      timezone: "UTC",
-      source: "delegation-events-raw",
-      total: daily.length,
-      items: daily,
-    }, null, 2)
-  );
+  await writeJsonChecked(DAILY_FILE, {
+    generated_at: new Date().toISOString(),
+    timezone: "UTC",
+    source: "delegation-events-raw",
+    total: daily.length,
+    items: daily,
+  });
 
-  await saveValidatorCache();
+  await saveValidatorRegistry();
 
-  console.log(`\n✅ Feed saved: ${dCount} delegates + ${uCount} undelegates = ${feed.length} total`);
+  console.log(`\n✅ Feed saved: ${dCount} delegates + ${uCount} undelegates + ${rCount} redelegates = ${feed.length} total`);
   console.log(`✅ Raw archive: ${rawArchive.length} events${RAW_IMMUTABLE ? " (immutable)" : ` (${RAW_KEEP_DAYS}d)`}`);
   console.log(`✅ Hourly buckets: ${hourly.length}`);
   console.log(`✅ Daily buckets: ${daily.length}`);
@@ -593,28 +800,29 @@ async function main() {
 
   // ── Whale events accumulation (≥50K ATOM individual transactions) ──
   const WHALE_MIN = Number(process.env.WHALE_EVENT_MIN ?? "50000");
+  const WHALE_MIN_UATOM = atomThreshold(WHALE_MIN);
   const WHALE_FILE = "data/whale-events.json";
 
   // Load previous whale events for merging
-  let prevWhaleEvents = [];
-  try {
-    const txt = await fs.readFile(WHALE_FILE, "utf8");
-    prevWhaleEvents = JSON.parse(txt)?.events || [];
-  } catch { /* fresh start */ }
+  const prevWhaleEvents = (await readJsonSafe(WHALE_FILE))?.events || [];
 
   // Filter from raw archive so multi-event txs are preserved for markers.
   // Keep height for timestamp resolution, then strip it
   const freshWhales = rawArchive
-    .filter(i => i.amount_atom >= WHALE_MIN)
+    .filter(i => eventUatom(i) >= WHALE_MIN_UATOM)
     .map(i => ({
       type: i.type,
-      atom: Math.round(i.amount_atom),
+      atom: uatomToWholeAtom(eventUatom(i)),
       timestamp: i.timestamp,
       height: i.height,
       txhash: i.txhash,
       validator_name: i.validator_name || (i.validator_addr ? (validatorCache[i.validator_addr] || "") : ""),
       validator_addr: i.validator_addr || "",
-      delegator: i.delegator || ""
+      delegator: i.delegator || "",
+      ...(i.type === "redelegate" ? {
+        src_validator_addr: i.src_validator_addr || "",
+        src_validator_name: i.src_validator_name || (i.src_validator_addr ? (validatorCache[i.src_validator_addr] || "") : ""),
+      } : {})
     }));
 
   // Resolve timestamps for whale events missing them
@@ -654,12 +862,12 @@ async function main() {
   // Sort by timestamp descending
   prunedWhales.sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
 
-  await fs.writeFile(WHALE_FILE, JSON.stringify({
+  await writeJsonChecked(WHALE_FILE, {
     generated_at: new Date().toISOString(),
     whale_min_atom: WHALE_MIN,
     total: prunedWhales.length,
     events: prunedWhales,
-  }, null, 2));
+  });
 
   console.log(`🐋 Whale events: ${prunedWhales.length} events ≥${WHALE_MIN.toLocaleString()} ATOM → ${WHALE_FILE}`);
 }
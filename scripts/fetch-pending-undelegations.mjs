@@ -2,72 +2,70 @@
 // Fetches pending (in-progress) unbonding delegations from Cosmos Hub validators
 // Groups by completion_time date → daily schedule
 // Stores delegator addresses per date for flow tracking (Phase 2)
-// Outputs: data/pending-undelegations.json
+// Refreshes the validator registry from the same validator walk
+// Outputs: data/pending-undelegations.json, data/validator-registry.json,
+//          data/validator-history/YYYY-MM.jsonl
+//
+// With --as-of=<ISO> (or AS_OF, see scripts/lib/as-of.mjs) the queue is rebuilt
+// from the ledger instead, since the chain only reports today's: undelegations
+// known at that time which started less than UNBONDING_DAYS before it, less
+// their cancels. Only the queue files are written, to the as-of snapshot.
 //
 // Env (optional):
-//   REST_BASE     default: https://rest.cosmos.directory/cosmoshub
+//   REST_BASE     default: shared REST pool (scripts/lib/chain-client.mjs)
 //   MIN_ATOM      default: 100 (minimum ATOM per entry to include)
 //   BATCH_SIZE    default: 5 (concurrent validator requests)
 //   VALIDATOR_STATUS optional: BOND_STATUS_BONDED | BOND_STATUS_UNBONDED | BOND_STATUS_UNBONDING
 //                    default: all statuses (recommended for full coverage)
+//   REGISTRY_SELF_BOND default: true (see scripts/lib/validator-registry.mjs)
+//   UNBONDING_DAYS default: 21 (--as-of only)
+//
+// run() is the pending job of scripts/lib/pipeline.mjs.
 
 import fs from "node:fs/promises";
+import path from "node:path";
+import { createChainClient } from "./lib/chain-client.mjs";
+import { recordDailySnapshot, refreshRegistry, saveRegistry } from "./lib/validator-registry.mjs";
+import { writeJsonChecked } from "./lib/data-contracts.mjs";
+import { AS_OF, knownAt, nowIso, outputPath, recordSnapshot } from "./lib/as-of.mjs";
+import { listPartitions, parseLedgerLines, partitionKey } from "./lib/ledger-chain.mjs";
+import { assertReadableRow } from "./lib/ledger-schema.mjs";
+import { ICF_DELEGATORS as ICF_EXCLUDED_DELEGATORS } from "./lib/icf.mjs";
+import { eventUatom, uatomToAtom } from "./lib/uatom.mjs";
+import { isEntryPoint } from "./lib/pipeline.mjs";
+
+const OUT_FILE = outputPath("data/pending-undelegations.json");
+const WHALE_PENDING_FILE = outputPath("data/whale-pending.json");
+const LEDGER_DIR = "data/ledger";
 
-const OUT_FILE = "data/pending-undelegations.json";
-
-const REST_BASE = (process.env.REST_BASE || "https://rest.cosmos.directory/cosmoshub").replace(/\/+$/, "");
 const MIN_ATOM = Number(process.env.MIN_ATOM ?? "100");
 const BATCH_SIZE = Number(process.env.BATCH_SIZE ?? "5");
 const VALIDATOR_STATUS = (process.env.VALIDATOR_STATUS || "").trim();
-const ICF_EXCLUDED_DELEGATORS = new Set([
-  "cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7",
-  "cosmos1z6czaavlk6kjd48rpf58kqqw9ssad2uaxnazgl",
-]);
+const UNBONDING_DAYS = Number(process.env.UNBONDING_DAYS ?? "21");
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-async function fetchJson(url, timeoutMs = 20000) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { signal: ac.signal, headers: { accept: "application/json" } });
-    const text = await res.text();
-    let json = null;
-    try { json = JSON.parse(text); } catch {}
-    if (!res.ok) {
-      const msg = json?.error?.data || json?.error?.message || json?.message || text?.slice(0, 200);
-      throw new Error(`HTTP ${res.status} for ${url}${msg ? ` :: ${msg}` : ""}`);
-    }
-    return json;
-  } finally {
-    clearTimeout(t);
-  }
-}
+const client = createChainClient();
 
 // ── Fetch validators (all statuses by default for full unbonding coverage) ──
 async function fetchValidators() {
   const validators = [];
   let nextKey = null;
-
-  for (let page = 0; page < 15; page++) {
-    const params = new URLSearchParams();
-    if (VALIDATOR_STATUS) params.set("status", VALIDATOR_STATUS);
-    params.set("pagination.limit", "100");
-    if (nextKey) params.set("pagination.key", nextKey);
-
-    const url = `${REST_BASE}/cosmos/staking/v1beta1/validators?${params}`;
-    console.log(`📡 Fetching validators page ${page + 1}${VALIDATOR_STATUS ? ` (${VALIDATOR_STATUS})` : " (all statuses)"}...`);
-
-    const data = await fetchJson(url);
-    const vals = data?.validators ?? [];
-    validators.push(...vals);
-
+  let page = 0;
+
+  const params = VALIDATOR_STATUS ? { status: VALIDATOR_STATUS } : {};
+  for await (const data of client.paginate("/cosmos/staking/v1beta1/validators", {
+    params,
+    itemsKey: "validators",
+    maxPages: 15,
+    pageDelayMs: 300,
+  })) {
+    page++;
+    console.log(`📡 Fetched validators page ${page}${VALIDATOR_STATUS ? ` (${VALIDATOR_STATUS})` : " (all statuses)"}...`);
+    validators.push(...(data?.validators ?? []));
     nextKey = data?.pagination?.next_key;
-    if (!nextKey || !vals.length) break;
-
-    await sleep(300);
   }
 
   if (nextKey) console.warn(`⚠️ Validator pagination truncated — ${validators.length} fetched, more exist`);
@@ -80,56 +78,96 @@ async function fetchUnbondingForValidator(valoperAddr) {
   const entries = [];
   let nextKey = null;
 
-  for (let page = 0; page < 40; page++) {
-    const params = new URLSearchParams();
-    params.set("pagination.limit", "100");
-    if (nextKey) params.set("pagination.key", nextKey);
-
-    const url = `${REST_BASE}/cosmos/staking/v1beta1/validators/${valoperAddr}/unbonding_delegations?${params}`;
-
-    let data;
-    try {
-      data = await fetchJson(url);
-    } catch (e) {
-      console.log(`  ⚠️ Error for ${valoperAddr.slice(0, 24)}: ${e.message}`);
-      return entries;
-    }
-
-    const responses = data?.unbonding_responses ?? [];
-    for (const resp of responses) {
-      const delegator = resp?.delegator_address || "";
-      for (const entry of resp?.entries ?? []) {
-        const balance = Number(entry?.balance || "0") / 1_000_000;
-        const completionTime = entry?.completion_time || "";
-        if (balance >= MIN_ATOM && completionTime) {
-          entries.push({
-            delegator,
-            validator: valoperAddr,
-            atom: balance,
-            completion_time: completionTime,
-          });
+  try {
+    for await (const data of client.paginate(`/cosmos/staking/v1beta1/validators/${valoperAddr}/unbonding_delegations`, {
+      maxPages: 40,
+      pageDelayMs: 200,
+    })) {
+      const responses = data?.unbonding_responses ?? [];
+      for (const resp of responses) {
+        const delegator = resp?.delegator_address || "";
+        for (const entry of resp?.entries ?? []) {
+          const balance = Number(entry?.balance || "0") / 1_000_000;
+          const completionTime = entry?.completion_time || "";
+          if (balance >= MIN_ATOM && completionTime) {
+            entries.push({
+              delegator,
+              validator: valoperAddr,
+              atom: balance,
+              completion_time: completionTime,
+            });
+          }
         }
       }
+      nextKey = data?.pagination?.next_key;
     }
-
-    nextKey = data?.pagination?.next_key;
-    if (!nextKey) break;
-
-    await sleep(200);
+  } catch (e) {
+    console.log(`  ⚠️ Error for ${valoperAddr.slice(0, 24)}: ${e.message}`);
+    return entries;
   }
 
   if (nextKey) console.warn(`⚠️ Unbonding pagination truncated for ${valoperAddr.slice(0,24)}`);
   return entries;
 }
 
-// ── Main ──
-async function main() {
-  await fs.mkdir("data", { recursive: true });
+// ── Unbonding entries at AS_OF, from the ledger ──
+// Each undelegation completes UNBONDING_DAYS after its block; a cancel names the
+// undelegation it takes back by creation_height.
+async function ledgerUnbondingEntries() {
+  const asOfMs = Date.parse(AS_OF);
+  const fromMs = asOfMs - UNBONDING_DAYS * 86400000;
+  const fromMonth = new Date(fromMs).toISOString().slice(0, 7);
+  const rows = new Map();
+  for (const name of await listPartitions(LEDGER_DIR)) {
+    const key = partitionKey(name);
+    if (key < fromMonth || key > AS_OF.slice(0, 7)) continue;
+    const { rows: parsed } = parseLedgerLines(await fs.readFile(path.join(LEDGER_DIR, name), "utf8"));
+    for (const { row } of parsed) {
+      assertReadableRow(row, name);
+      if (knownAt(row)) rows.set(row.id, row);
+    }
+  }
+
+  const unbonding = new Map();
+  for (const row of rows.values()) {
+    const startedMs = Date.parse(row.timestamp || "");
+    if (row.type !== "undelegate" || !(startedMs > fromMs)) continue;
+    const key = `${row.height}|${row.delegator}|${row.validator_addr}`;
+    const entry = unbonding.get(key) || {
+      delegator: row.delegator || "",
+      validator: row.validator_addr || "",
+      uatom: 0n,
+      completion_time: new Date(startedMs + UNBONDING_DAYS * 86400000).toISOString(),
+    };
+    entry.uatom += eventUatom(row);
+    unbonding.set(key, entry);
+  }
+  for (const row of rows.values()) {
+    if (row.type !== "cancel_unbond") continue;
+    const entry = unbonding.get(`${row.creation_height}|${row.delegator}|${row.validator_addr}`);
+    if (entry) entry.uatom = entry.uatom > eventUatom(row) ? entry.uatom - eventUatom(row) : 0n;
+  }
 
+  return [...unbonding.values()]
+    .map(({ uatom, ...e }) => ({ ...e, atom: uatomToAtom(uatom) }))
+    .filter((e) => e.atom >= MIN_ATOM);
+}
+
+// ── Unbonding entries now, from the chain (refreshing the registry on the way) ──
+async function chainUnbondingEntries() {
   // 1. Fetch validators (all statuses by default)
   const validators = await fetchValidators();
 
-  // 2. Fetch unbonding delegations for each validator (batched)
+  // 2. Refresh the validator registry from the same walk; pending data does not depend on it
+  try {
+    const registry = await saveRegistry(await refreshRegistry(client, validators, { batchSize: BATCH_SIZE }));
+    const snapshot = await recordDailySnapshot(registry);
+    console.log(`🗂️ Validator registry: ${registry.total} validators (${registry.bonded_count} bonded), snapshot ${snapshot.date}`);
+  } catch (e) {
+    console.warn(`⚠️ Validator registry not refreshed: ${e.message}`);
+  }
+
+  // 3. Fetch unbonding delegations for each validator (batched)
   console.log(`\n📥 Fetching unbonding delegations (min ${MIN_ATOM} ATOM)...`);
   const allEntries = [];
 
@@ -149,9 +187,24 @@ async function main() {
     if (i + BATCH_SIZE < validators.length) await sleep(400);
   }
 
+  return allEntries;
+}
+
+// ── Main ──
+export async function run() {
+  await fs.mkdir("data", { recursive: true });
+
+  let allEntries;
+  if (AS_OF) {
+    console.log(`📸 As of ${AS_OF}: unbonding queue from the ledger's undelegations of the ${UNBONDING_DAYS} days before`);
+    allEntries = await ledgerUnbondingEntries();
+  } else {
+    allEntries = await chainUnbondingEntries();
+  }
+
   console.log(`\n📊 Total unbonding entries (≥${MIN_ATOM} ATOM): ${allEntries.length}`);
 
-  // 3. Group by completion_time date
+  // 4. Group by completion_time date
   const byDate = {};
   for (const entry of allEntries) {
     const date = entry.completion_time.slice(0, 10); // YYYY-MM-DD
@@ -163,7 +216,7 @@ async function main() {
     });
   }
 
-  // 4. Build schedule (sorted by date ascending)
+  // 5. Build schedule (sorted by date ascending)
   const dates = Object.keys(byDate).sort();
   const schedule = dates.map(date => {
     const entries = byDate[date];
@@ -175,7 +228,7 @@ async function main() {
     };
   });
 
-  // 5. Build delegators_by_date (sorted by atom descending within each date)
+  // 6. Build delegators_by_date (sorted by atom descending within each date)
   const delegatorsByDate = {};
   for (const date of dates) {
     delegatorsByDate[date] = byDate[date]
@@ -205,7 +258,8 @@ async function main() {
   const totalUnbondingExcludingIcf = scheduleExcludingIcf.reduce((s, d) => s + d.atom, 0);
 
   const output = {
-    generated_at: new Date().toISOString(),
+    generated_at: nowIso(),
+    ...(AS_OF ? { source: "event-ledger-v2" } : {}),
     total_unbonding_atom: totalUnbonding,
     total_unbonding_atom_excluding_icf: totalUnbondingExcludingIcf,
     excluded_delegators: {
@@ -216,14 +270,14 @@ async function main() {
     delegators_by_date: delegatorsByDate,
   };
 
-  await fs.writeFile(OUT_FILE, JSON.stringify(output, null, 2));
+  await writeJsonChecked(OUT_FILE, output);
 
   console.log(`\n✅ Pending undelegations saved:`);
   console.log(`   ${schedule.length} dates, ${totalUnbonding.toLocaleString()} total ATOM`);
   console.log(`   Output: ${OUT_FILE}`);
 
   // Show next 7 days preview
-  const today = new Date().toISOString().slice(0, 10);
+  const today = nowIso().slice(0, 10);
   const next7 = schedule.filter(d => d.date >= today).slice(0, 7);
   if (next7.length) {
     console.log(`\n📅 Next 7 days:`);
@@ -245,12 +299,25 @@ async function main() {
     }))
     .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
 
-  await fs.writeFile("data/whale-pending.json", JSON.stringify({
-    generated_at: new Date().toISOString(),
+  await writeJsonChecked(WHALE_PENDING_FILE, {
+    generated_at: nowIso(),
     events: whalePending,
-  }, null, 2));
+  });
 
   console.log(`\n🐋 Whale pending: ${whalePending.length} events ≥${WHALE_MIN.toLocaleString()} ATOM`);
+
+  if (AS_OF) {
+    await recordSnapshot("fetch-pending-undelegations", [OUT_FILE, WHALE_PENDING_FILE], [
+      "unbonding entries whose undelegation is not in the ledger (before its first partition, or missed by ingest)",
+      "validator-registry.json refresh: the validator walk only sees the chain as it is now",
+    ]);
+  }
+  return { dates: schedule.length, total_unbonding_atom: totalUnbonding, whale_events: whalePending.length };
 }
 
-main();
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error("❌ Pending undelegations failed:", err?.message || err);
+    process.exit(1);
+  });
+}
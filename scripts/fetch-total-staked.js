@@ -1,37 +1,24 @@
-const fs = require('fs');
-const https = require('https');
-
-const COSMOS_REST = 'https://rest.cosmos.directory/cosmoshub';
 const OUTPUT_FILE = 'data/historical-total-staked.json';
 
-// Helper function to make HTTPS GET requests
-function fetchJSON(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    reject(e);
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
 async function main() {
     console.log('📊 Fetching daily total staked ATOM...');
 
+    const { createChainClient } = await import('./lib/chain-client.mjs');
+    const { MetricQuorumError, pickMetricSpecs, readMetricQuorum, recordMetricQuorum } = await import('./lib/metric-quorum.mjs');
+    const { writeJsonChecked } = await import('./lib/data-contracts.mjs');
+    const { readJsonSafe } = await import('./lib/data-files.mjs');
+
     try {
-        // Fetch staking pool data
-        const poolRes = await fetchJSON(`${COSMOS_REST}/cosmos/staking/v1beta1/pool`);
+        // Bonded tokens, cross-checked across every REST provider
+        const client = createChainClient();
+        const { values, report } = await readMetricQuorum(client, pickMetricSpecs(['bonded_tokens']));
+        await recordMetricQuorum('total_staked', report);
 
-        console.log('Pool response:', JSON.stringify(poolRes, null, 2));
+        const quorum = report.metrics.bonded_tokens;
+        console.log(`🔎 Quorum: ${quorum.supporters}/${quorum.provider_count} providers agree (${quorum.status})`);
 
         // Get bonded tokens (total staked)
-        const bondedTokensUatom = parseInt(poolRes.pool.bonded_tokens);
+        const bondedTokensUatom = parseInt(values.bonded_tokens);
         const bondedTokensAtom = bondedTokensUatom / 1e6; // Convert uatom to ATOM
         const bondedTokensInMillions = bondedTokensAtom / 1e6; // Convert to millions
 
@@ -42,19 +29,17 @@ async function main() {
         // Get today's date in YYYY-MM-DD format
         const today = new Date().toISOString().split('T')[0];
 
-        // Prepare new entry (store in millions for display)
+        // Prepare new entry (store in millions for display; exact reading for mass-balance reconciliation)
         const newEntry = {
             date: today,
-            total: parseFloat(bondedTokensInMillions.toFixed(2))
+            total: parseFloat(bondedTokensInMillions.toFixed(2)),
+            bonded_atom: bondedTokensAtom,
+            observed_at: new Date().toISOString()
         };
 
         // Read existing data or create new array
-        let historicalData = [];
-        if (fs.existsSync(OUTPUT_FILE)) {
-            const fileContent = fs.readFileSync(OUTPUT_FILE, 'utf8');
-            historicalData = JSON.parse(fileContent);
-            console.log(`📂 Loaded ${historicalData.length} existing records`);
-        }
+        const historicalData = await readJsonSafe(OUTPUT_FILE, []);
+        if (historicalData.length) console.log(`📂 Loaded ${historicalData.length} existing records`);
 
         // Check if today's entry already exists
         const existingIndex = historicalData.findIndex(entry => entry.date === today);
@@ -73,13 +58,8 @@ async function main() {
         // Sort by date (oldest to newest)
         historicalData.sort((a, b) => new Date(a.date) - new Date(b.date));
 
-        // Ensure data directory exists
-        if (!fs.existsSync('data')) {
-            fs.mkdirSync('data', { recursive: true });
-        }
-
         // Write updated data
-        fs.writeFileSync(OUTPUT_FILE, JSON.stringify(historicalData, null, 2));
+        await writeJsonChecked(OUTPUT_FILE, historicalData);
         console.log(`💾 Saved to ${OUTPUT_FILE} (${historicalData.length} total entries)`);
 
         // Show summary stats
@@ -95,6 +75,7 @@ async function main() {
         }
 
     } catch (err) {
+        if (err instanceof MetricQuorumError) await recordMetricQuorum('total_staked', err.report);
         console.error('❌ Fatal error:', err);
         process.exit(1);
     }
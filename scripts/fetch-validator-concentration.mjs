@@ -0,0 +1,92 @@
+// scripts/fetch-validator-concentration.mjs
+// Daily voting-power concentration of the active (bonded) validator set:
+// Nakamoto coefficient (fewest validators holding more than 1/3 of voting power,
+// enough to halt the chain), top-10 / top-20 share, Gini and HHI.
+// Upserts today's entry in data/historical-validator-concentration.json
+//
+// Env (optional):
+//   REST_BASE            default: shared REST pool (scripts/lib/chain-client.mjs)
+//   NAKAMOTO_THRESHOLD   default: 0.3333333 (share of voting power that halts the chain)
+
+import fs from "node:fs/promises";
+import { createChainClient } from "./lib/chain-client.mjs";
+import { writeJsonChecked } from "./lib/data-contracts.mjs";
+import { readJsonSafe } from "./lib/data-files.mjs";
+
+const OUTPUT_FILE = "data/historical-validator-concentration.json";
+const NAKAMOTO_THRESHOLD = Number(process.env.NAKAMOTO_THRESHOLD ?? String(1 / 3));
+
+const client = createChainClient();
+
+async function fetchActiveSet() {
+  const tokens = [];
+  let nextKey = null;
+  for await (const data of client.paginate("/cosmos/staking/v1beta1/validators", {
+    params: { status: "BOND_STATUS_BONDED" },
+    itemsKey: "validators",
+    maxPages: 5,
+    pageDelayMs: 300,
+  })) {
+    for (const v of data?.validators ?? []) {
+      const t = Number(v.tokens);
+      if (Number.isFinite(t) && t > 0) tokens.push(t / 1_000_000);
+    }
+    nextKey = data?.pagination?.next_key;
+  }
+  if (nextKey) throw new Error(`Active set pagination truncated at ${tokens.length} validators`);
+  return tokens.sort((a, b) => b - a);
+}
+
+function concentration(tokens) {
+  const total = tokens.reduce((s, t) => s + t, 0);
+  const shares = tokens.map((t) => t / total);
+
+  let nakamoto = 0;
+  let acc = 0;
+  while (nakamoto < shares.length && acc <= NAKAMOTO_THRESHOLD) acc += shares[nakamoto++];
+
+  const topShare = (n) => shares.slice(0, n).reduce((s, x) => s + x, 0) * 100;
+
+  // Gini over ascending stakes: 0 = equal voting power, 1 = one validator holds it all
+  const asc = tokens.slice().reverse();
+  const weighted = asc.reduce((s, t, i) => s + (i + 1) * t, 0);
+  const gini = (2 * weighted) / (asc.length * total) - (asc.length + 1) / asc.length;
+
+  return {
+    nakamoto,
+    top10_pct: Number(topShare(10).toFixed(2)),
+    top20_pct: Number(topShare(20).toFixed(2)),
+    gini: Number(gini.toFixed(4)),
+    hhi: Math.round(shares.reduce((s, x) => s + (x * 100) ** 2, 0)),
+    active_count: tokens.length,
+    bonded_atom: Math.round(total),
+  };
+}
+
+async function main() {
+  console.log("📊 Fetching active validator set...");
+  const tokens = await fetchActiveSet();
+  if (!tokens.length) throw new Error("No bonded validators returned");
+
+  const today = new Date().toISOString().slice(0, 10);
+  const entry = { date: today, ...concentration(tokens) };
+  console.log(`🔗 Nakamoto ${entry.nakamoto} · top10 ${entry.top10_pct}% · top20 ${entry.top20_pct}% · gini ${entry.gini} · hhi ${entry.hhi} (${entry.active_count} active)`);
+
+  const history = (await readJsonSafe(OUTPUT_FILE, [])).filter((d) => d.date !== today);
+  const prev = history.filter((d) => d.date < today).sort((a, b) => a.date.localeCompare(b.date)).pop();
+  if (prev && entry.nakamoto < prev.nakamoto) {
+    console.warn(`⚠️ Nakamoto coefficient dropped ${prev.nakamoto} → ${entry.nakamoto} since ${prev.date}`);
+  }
+
+  history.push(entry);
+  history.sort((a, b) => a.date.localeCompare(b.date));
+
+  await fs.mkdir("data", { recursive: true });
+  await writeJsonChecked(OUTPUT_FILE, history);
+  console.log(`💾 Saved to ${OUTPUT_FILE} (${history.length} total entries)`);
+}
+
+main().catch((err) => {
+  console.error("❌ Fatal error:", err);
+  process.exit(1);
+});
@@ -1,42 +1,16 @@
 import fs from "node:fs/promises";
+import { writeJsonChecked } from "./lib/data-contracts.mjs";
+import { FX_CURRENCIES, parseEcbXml } from "./lib/ecb-rates.mjs";
 
 const OUT_FILE = "data/fx_rates.json";
 
-const ECB_XML = "https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml";
-// Frankfurter uses ECB rates (very stable fallback)
-const FRANKFURTER = "https://api.frankfurter.app/latest?from=EUR&to=USD,GBP,TRY,JPY,CNY";
-
-const NEED = ["USD", "GBP", "TRY", "JPY", "CNY"];
-
-function parseEcbXml(xml) {
-  // If we received HTML (blocked/proxy/error), bail early
-  if (!xml.includes("<Cube") || !xml.includes("eurofxref")) {
-    return { rates: null, ecb_date: null, reason: "ECB response did not look like eurofxref XML" };
-  }
-
-  const timeMatch = xml.match(/<Cube\s+time="([^"]+)">/);
-  const ecb_date = timeMatch ? timeMatch[1] : null;
+// ECB_BASE / FRANKFURTER_BASE point the updater elsewhere (test/mock-chain)
+const ECB_BASE = (process.env.ECB_BASE || "https://www.ecb.europa.eu").replace(/\/+$/, "");
+const FRANKFURTER_BASE = (process.env.FRANKFURTER_BASE || "https://api.frankfurter.app").replace(/\/+$/, "");
 
-  // Accept both attribute orders:
-  // <Cube currency="USD" rate="1.23" />
-  // <Cube rate="1.23" currency="USD" />
-  const rates = { EUR: 1 };
-  const re = /<Cube\b[^>]*\bcurrency="([A-Z]{3})"[^>]*\brate="([0-9.]+)"[^>]*\/>|<Cube\b[^>]*\brate="([0-9.]+)"[^>]*\bcurrency="([A-Z]{3})"[^>]*\/>/g;
-
-  let m;
-  while ((m = re.exec(xml)) !== null) {
-    // Two possible shapes due to alternation:
-    // 1) currency then rate => m[1], m[2]
-    // 2) rate then currency => m[3], m[4]
-    const c = m[1] || m[4];
-    const rStr = m[2] || m[3];
-    const r = Number(rStr);
-    if (c && Number.isFinite(r)) rates[c] = r;
-  }
-
-  const missing = NEED.filter((k) => !rates[k]);
-  return { rates, ecb_date, missing, reason: null };
-}
+const ECB_XML = `${ECB_BASE}/stats/eurofxref/eurofxref-daily.xml`;
+// Frankfurter uses ECB rates (very stable fallback)
+const FRANKFURTER = `${FRANKFURTER_BASE}/latest?from=EUR&to=USD,GBP,TRY,JPY,CNY`;
 
 async function fetchText(url) {
   const res = await fetch(url, {
@@ -87,7 +61,7 @@ async function main() {
           source: { name: "ECB", url: ECB_XML, ecb_date: parsed.ecb_date },
           rates: parsed.rates,
         };
-        await fs.writeFile(OUT_FILE, JSON.stringify(out, null, 2));
+        await writeJsonChecked(OUT_FILE, out);
         console.log(`✅ Wrote ${OUT_FILE} from ECB (date ${parsed.ecb_date})`);
         return;
       }
@@ -104,7 +78,7 @@ async function main() {
     }
 
     const rates = { EUR: 1, ...r.json.rates };
-    const missing = NEED.filter((k) => !rates[k]);
+    const missing = FX_CURRENCIES.filter((k) => !rates[k]);
     if (missing.length) {
       throw new Error(`Frankfurter missing: ${missing.join(", ")}`);
     }
@@ -122,7 +96,7 @@ async function main() {
       date: r.json.date || null,
     };
 
-    await fs.writeFile(OUT_FILE, JSON.stringify(out, null, 2));
+    await writeJsonChecked(OUT_FILE, out);
     console.log(`✅ Wrote ${OUT_FILE} from Frankfurter fallback`);
     return;
   } catch (e) {
@@ -134,7 +108,7 @@ async function main() {
       ecb_issue: ecbInfo,
       fallback_url: FRANKFURTER,
     };
-    await fs.writeFile(OUT_FILE, JSON.stringify(out, null, 2));
+    await writeJsonChecked(OUT_FILE, out);
     console.error("❌ FX updater failed:", out.error);
     process.exit(1);
   }
@@ -0,0 +1,114 @@
+// scripts/lib/as-of.mjs
+// Reference time of the derived builders (rebuild-derived-v2.mjs,
+// fetch-pending-undelegations.mjs, build-event-intelligence.mjs,
+// reconcile-health-v2.mjs and the gauge in index.html).
+//
+// A live run takes "now" from the clock and reads and writes the files under
+// data/. With --as-of=<ISO> (or AS_OF=<ISO>; `atomprice run <job> --as-of=<ISO>`
+// runs the builders a job needs in order) a builder instead:
+//   - uses that instant for every window, cutoff and generated_at stamp, so two
+//     runs over the same inputs write the same bytes;
+//   - reads only what was known at that instant: ledger rows ingested by then
+//     (knownAt) and input files from the snapshot, or live files generated by
+//     then (readInput);
+//   - writes into data/snapshots/<key>/ (snapshotKey) instead of over the live
+//     files, and lists what it wrote and what it had to leave out in that
+//     snapshot's manifest.json.
+// A bare date means 00:00 UTC that day; instants are kept to the second.
+// Sources that only describe the chain or market as they are now (REST queues,
+// chain totals, 24h volume) are left out of a snapshot, never substituted.
+
+import path from 'node:path';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe } from './data-files.mjs';
+
+// Bump when the layout of a snapshot directory or its manifest changes.
+export const SNAPSHOT_VERSION = 1;
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+export const SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+
+export class AsOfError extends Error {
+  constructor(value, reason) {
+    super(`--as-of=${value} ${reason}`);
+    this.name = 'AsOfError';
+    this.value = value;
+  }
+}
+
+/** ISO instant (whole seconds) for an --as-of value, or null when none is given. */
+export function parseAsOf(value, nowMs = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = Date.parse(value);
+  if (!Number.isFinite(t)) throw new AsOfError(value, 'is not an ISO date or date-time');
+  if (t > nowMs) throw new AsOfError(value, 'is in the future');
+  return new Date(Math.floor(t / 1000) * 1000).toISOString();
+}
+
+const asOfArg = process.argv.find((a) => a.startsWith('--as-of='));
+export const AS_OF = parseAsOf(asOfArg ? asOfArg.slice('--as-of='.length) : process.env.AS_OF);
+
+export function nowMs() {
+  return AS_OF ? Date.parse(AS_OF) : Date.now();
+}
+
+export function nowIso() {
+  return new Date(nowMs()).toISOString();
+}
+
+// A ledger row the pipeline had at AS_OF: about an event by then and ingested by then.
+export function knownAt(row) {
+  if (!AS_OF) return true;
+  return (!row.timestamp || row.timestamp <= AS_OF) && (!row.ingested_at || row.ingested_at <= AS_OF);
+}
+
+// "2026-02-20T06:00:00.000Z" → "2026-02-20T060000Z", safe in paths and URLs
+export function snapshotKey(iso) {
+  return iso.replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '');
+}
+
+export function snapshotDir() {
+  return AS_OF ? path.join(SNAPSHOTS_DIR, snapshotKey(AS_OF)) : null;
+}
+
+function dataRelative(file) {
+  return path.relative(DATA_DIR, path.resolve(file)).split(path.sep).join('/');
+}
+
+/** Where a builder writes data/<file>: the file itself, or its copy in the AS_OF snapshot. */
+export function outputPath(file) {
+  return AS_OF ? path.join(snapshotDir(), dataRelative(file)) : file;
+}
+
+/**
+ * An input file as a builder could have read it at AS_OF: the snapshot's copy
+ * when an earlier builder wrote one, else the live file if its generated_at is
+ * not after AS_OF, else fallback. Live runs read the live file.
+ */
+export async function readInput(file, fallback = null) {
+  if (!AS_OF) return readJsonSafe(file, fallback);
+  const copy = await readJsonSafe(outputPath(file), null);
+  if (copy) return copy;
+  const live = await readJsonSafe(file, null);
+  return live?.generated_at && live.generated_at <= AS_OF ? live : fallback;
+}
+
+/**
+ * Records in the snapshot's manifest.json which files `builder` wrote (paths
+ * inside the snapshot, the same as the live files' under data/) and which
+ * sources it left out. Other builders' entries are kept.
+ */
+export async function recordSnapshot(builder, files, omitted = []) {
+  const file = path.join(snapshotDir(), 'manifest.json');
+  const manifest = await readJsonSafe(file, null);
+  const next = {
+    snapshot_version: SNAPSHOT_VERSION,
+    as_of: AS_OF,
+    builders: {
+      ...(manifest?.snapshot_version === SNAPSHOT_VERSION ? manifest.builders : {}),
+      [builder]: { files: files.map((f) => path.relative(snapshotDir(), path.resolve(f)).split(path.sep).join('/')).sort(), omitted },
+    },
+  };
+  await writeJsonChecked(file, next);
+  return next;
+}
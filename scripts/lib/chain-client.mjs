@@ -0,0 +1,404 @@
+// scripts/lib/chain-client.mjs
+// Shared Cosmos Hub REST/RPC client used by every fetcher.
+//   - REST and RPC endpoint pools with per-endpoint health scoring
+//   - retry rounds with exponential backoff
+//   - rate-limit awareness (HTTP 429 + Retry-After puts an endpoint on cooldown)
+//   - pagination iterator for REST `pagination.next_key`
+//   - fan-out of one request to every endpoint, for provider cross-checks
+//   - uniform error types (ChainHttpError, ChainTimeoutError, ...)
+//
+// Env (optional):
+//   REST_BASES        comma-separated REST/LCD bases (preferred)
+//   REST_BASE         single REST base fallback if REST_BASES not set
+//   RPC_BASES         comma-separated RPC bases (preferred)
+//   RPC_BASE          single RPC fallback if RPC_BASES not set
+//   CHAIN_TIMEOUT_MS  default: 15000 (per request)
+//   CHAIN_RETRIES     default: 2 (extra rounds over the pool after the first)
+//   CHAIN_BACKOFF_MS  default: 500 (doubles every round)
+
+export const DEFAULT_REST_BASES = [
+  'https://rest.cosmos.directory/cosmoshub',
+  'https://cosmos-rest.publicnode.com',
+  'https://api.silknodes.io/cosmos',
+];
+
+export const DEFAULT_RPC_BASES = [
+  'https://rpc.silknodes.io/cosmos',
+  'https://cosmos-rpc.publicnode.com',
+  'https://rpc.cosmos.directory/cosmoshub',
+];
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.CHAIN_TIMEOUT_MS ?? '15000');
+const DEFAULT_RETRIES = Number(process.env.CHAIN_RETRIES ?? '2');
+const DEFAULT_BACKOFF_MS = Number(process.env.CHAIN_BACKOFF_MS ?? '500');
+const MAX_COOLDOWN_MS = 60_000;
+const USER_AGENT = 'atomprice-chain-client/1.0 (+github-actions)';
+
+// ── Errors ──
+
+export class ChainClientError extends Error {
+  constructor(message, { url = null, endpoint = null, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ChainClientError';
+    this.url = url;
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+  }
+}
+
+export class ChainHttpError extends ChainClientError {
+  constructor(status, url, detail = '', opts = {}) {
+    super(`HTTP ${status} for ${url}${detail ? ` :: ${detail}` : ''}`, {
+      url,
+      retryable: status === 408 || status === 429 || status >= 500,
+      ...opts,
+    });
+    this.name = 'ChainHttpError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+export class ChainRateLimitError extends ChainHttpError {
+  constructor(url, retryAfterMs, detail = '', opts = {}) {
+    super(429, url, detail, opts);
+    this.name = 'ChainRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class ChainTimeoutError extends ChainClientError {
+  constructor(url, timeoutMs, opts = {}) {
+    super(`Timeout after ${timeoutMs}ms for ${url}`, { url, retryable: true, ...opts });
+    this.name = 'ChainTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class ChainRpcError extends ChainClientError {
+  constructor(url, rpcError, opts = {}) {
+    const detail = rpcError?.data || rpcError?.message || JSON.stringify(rpcError);
+    super(`RPC error for ${url} :: ${detail}`, { url, ...opts });
+    this.name = 'ChainRpcError';
+    this.code = rpcError?.code ?? null;
+    this.rpcError = rpcError;
+  }
+}
+
+export class ChainUnavailableError extends ChainClientError {
+  constructor(kind, path, errors) {
+    const last = errors[errors.length - 1];
+    super(`All ${kind} endpoints failed for ${path}${last ? `: ${last.message}` : ''}`, {
+      retryable: errors.some((e) => e?.retryable),
+      cause: last,
+    });
+    this.name = 'ChainUnavailableError';
+    this.kind = kind;
+    this.errors = errors;
+  }
+}
+
+// ── Helpers ──
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function normalizeBase(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+export function splitBases(value) {
+  if (!value) return [];
+  return String(value).split(',').map(normalizeBase).filter(Boolean);
+}
+
+export function defaultRestBases(env = process.env) {
+  const fromEnv = splitBases(env.REST_BASES || env.REST_BASE);
+  return fromEnv.length ? fromEnv : DEFAULT_REST_BASES.slice();
+}
+
+export function defaultRpcBases(env = process.env) {
+  const fromEnv = splitBases(env.RPC_BASES || env.RPC_BASE);
+  return fromEnv.length ? fromEnv : DEFAULT_RPC_BASES.slice();
+}
+
+// Host names a provider; an explicit port is kept so local providers differ.
+export function endpointName(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return String(url).replace(/^https?:\/\//, '');
+  }
+}
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * Fetches one URL and parses JSON, mapping every failure onto the error types above.
+ */
+export async function fetchJson(url, { timeoutMs = DEFAULT_TIMEOUT_MS, headers = {} } = {}) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  let res;
+  let text;
+  try {
+    res = await fetch(url, {
+      signal: ac.signal,
+      headers: { accept: 'application/json', 'user-agent': USER_AGENT, ...headers },
+    });
+    text = await res.text();
+  } catch (e) {
+    if (ac.signal.aborted) throw new ChainTimeoutError(url, timeoutMs, { cause: e });
+    throw new ChainClientError(`Network error for ${url}: ${e?.message || e}`, { url, retryable: true, cause: e });
+  } finally {
+    clearTimeout(t);
+  }
+
+  let json = null;
+  try { json = JSON.parse(text); } catch {}
+
+  if (!res.ok) {
+    const detail = json?.error?.data || json?.error?.message || json?.message || text?.slice(0, 200) || '';
+    if (res.status === 429) {
+      throw new ChainRateLimitError(url, parseRetryAfter(res.headers.get('retry-after')), detail);
+    }
+    throw new ChainHttpError(res.status, url, detail);
+  }
+  if (json === null) {
+    throw new ChainClientError(`Invalid JSON from ${url}: ${String(text).slice(0, 120)}`, { url, retryable: true });
+  }
+  return json;
+}
+
+// ── Endpoint pool ──
+
+function createEndpointState(base, index) {
+  return {
+    base,
+    index,
+    ok: 0,
+    fail: 0,
+    empty: 0,
+    rate_limited: 0,
+    consecutive_fail: 0,
+    latency_ms: null,
+    cooldown_until: 0,
+    last_error: null,
+  };
+}
+
+function healthScore(s) {
+  // Laplace-smoothed success rate, penalized by consecutive failures and slowness.
+  const rate = (s.ok + 1) / (s.ok + s.fail + 2);
+  const streak = Math.min(0.5, s.consecutive_fail * 0.15);
+  const slow = s.latency_ms ? Math.min(0.2, s.latency_ms / 50_000) : 0;
+  return rate - streak - slow;
+}
+
+export function createEndpointPool(kind, bases) {
+  const states = bases.map(normalizeBase).filter(Boolean).map(createEndpointState);
+  if (!states.length) throw new ChainClientError(`No ${kind} endpoints configured`);
+
+  function ordered(now = Date.now()) {
+    return states.slice().sort((a, b) => {
+      const ca = a.cooldown_until > now ? 1 : 0;
+      const cb = b.cooldown_until > now ? 1 : 0;
+      if (ca !== cb) return ca - cb;
+      const d = healthScore(b) - healthScore(a);
+      if (Math.abs(d) > 1e-9) return d;
+      return a.index - b.index;
+    });
+  }
+
+  function recordSuccess(s, latencyMs) {
+    s.ok++;
+    s.consecutive_fail = 0;
+    s.latency_ms = s.latency_ms === null ? latencyMs : Math.round(s.latency_ms * 0.7 + latencyMs * 0.3);
+  }
+
+  function recordFailure(s, err, backoffMs) {
+    s.fail++;
+    s.consecutive_fail++;
+    s.last_error = String(err?.message || err);
+    if (err instanceof ChainRateLimitError) {
+      s.rate_limited++;
+      const wait = err.retryAfterMs ?? backoffMs * 2 ** Math.min(4, s.consecutive_fail);
+      s.cooldown_until = Date.now() + Math.min(MAX_COOLDOWN_MS, wait);
+    }
+  }
+
+  function stats() {
+    return Object.fromEntries(states.map((s) => [s.base, {
+      ok: s.ok,
+      fail: s.fail,
+      empty: s.empty,
+      rate_limited: s.rate_limited,
+      latency_ms: s.latency_ms,
+      score: Number(healthScore(s).toFixed(3)),
+      last_error: s.last_error,
+    }]));
+  }
+
+  return { kind, states, ordered, recordSuccess, recordFailure, stats };
+}
+
+// ── Client ──
+
+/**
+ * Creates a client over REST and RPC endpoint pools.
+ *
+ * request() walks the pool best-score-first; an endpoint that errors is skipped
+ * for the rest of the round. When every endpoint failed with a retryable error
+ * the whole pool is retried after an exponential backoff (or after the earliest
+ * rate-limit cooldown). `accept(data)` may reject a well-formed but empty answer,
+ * in which case the next endpoint is tried and the first empty answer is the
+ * fallback result.
+ */
+export function createChainClient({
+  restBases = defaultRestBases(),
+  rpcBases = defaultRpcBases(),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+} = {}) {
+  const pools = {
+    rest: restBases.length ? createEndpointPool('rest', restBases) : null,
+    rpc: rpcBases.length ? createEndpointPool('rpc', rpcBases) : null,
+  };
+
+  async function requestEndpoint(pool, s, path, reqTimeout) {
+    const url = `${s.base}${path}`;
+    const started = Date.now();
+    try {
+      const data = await fetchJson(url, { timeoutMs: reqTimeout });
+      if (pool.kind === 'rpc' && data?.error) throw new ChainRpcError(url, data.error);
+      pool.recordSuccess(s, Date.now() - started);
+      return data;
+    } catch (e) {
+      if (!e.endpoint) e.endpoint = s.base;
+      pool.recordFailure(s, e, backoffMs);
+      throw e;
+    }
+  }
+
+  async function request(kind, path, { accept = null, timeoutMs: reqTimeout = timeoutMs, retries: reqRetries = retries } = {}) {
+    const pool = pools[kind];
+    if (!pool) throw new ChainClientError(`No ${kind} endpoints configured`);
+
+    const errors = [];
+    let firstEmpty = null;
+
+    for (let round = 0; round <= reqRetries; round++) {
+      if (round > 0) {
+        const now = Date.now();
+        const soonest = Math.min(...pool.states.map((s) => s.cooldown_until));
+        const wait = soonest > now ? Math.min(MAX_COOLDOWN_MS, soonest - now) : backoffMs * 2 ** (round - 1);
+        await sleep(wait);
+      }
+
+      let roundRetryable = false;
+      for (const s of pool.ordered()) {
+        try {
+          const data = await requestEndpoint(pool, s, path, reqTimeout);
+          if (accept && !accept(data)) {
+            s.empty++;
+            if (!firstEmpty) firstEmpty = { data, endpoint: s.base };
+            continue;
+          }
+          return { data, endpoint: s.base };
+        } catch (e) {
+          errors.push(e);
+          if (e.retryable) roundRetryable = true;
+        }
+      }
+
+      if (firstEmpty) return firstEmpty;
+      if (!roundRetryable) break;
+    }
+
+    throw new ChainUnavailableError(kind, path, errors);
+  }
+
+  /**
+   * Sends the same request to every endpoint of a pool, without failover, so
+   * providers can be cross-checked. Each endpoint gets its own retry rounds.
+   * Resolves to [{ endpoint, data, error }] in pool order; never rejects.
+   */
+  async function fanout(kind, path, { timeoutMs: reqTimeout = timeoutMs, retries: reqRetries = retries } = {}) {
+    const pool = pools[kind];
+    if (!pool) throw new ChainClientError(`No ${kind} endpoints configured`);
+
+    return Promise.all(pool.states.map(async (s) => {
+      let lastErr = null;
+      for (let round = 0; round <= reqRetries; round++) {
+        if (round > 0) {
+          const cooldown = s.cooldown_until - Date.now();
+          await sleep(cooldown > 0 ? Math.min(MAX_COOLDOWN_MS, cooldown) : backoffMs * 2 ** (round - 1));
+        }
+        try {
+          return { endpoint: s.base, data: await requestEndpoint(pool, s, path, reqTimeout), error: null };
+        } catch (e) {
+          lastErr = e;
+          if (!e.retryable) break;
+        }
+      }
+      return { endpoint: s.base, data: null, error: lastErr };
+    }));
+  }
+
+  async function rest(path, opts) {
+    return (await request('rest', path, opts)).data;
+  }
+
+  async function rpc(path, opts) {
+    return (await request('rpc', path, opts)).data;
+  }
+
+  /**
+   * Iterates REST pages following `pagination.next_key`. Yields each page body.
+   * Stops when next_key is empty, a page has no items under `itemsKey`, or
+   * `maxPages` is reached (the last page's next_key then tells the caller it
+   * was truncated).
+   */
+  async function* paginate(path, { params = {}, itemsKey = null, limit = 100, maxPages = Infinity, pageDelayMs = 0, ...opts } = {}) {
+    let nextKey = null;
+    for (let page = 0; page < maxPages; page++) {
+      if (page > 0 && pageDelayMs) await sleep(pageDelayMs);
+      const qs = new URLSearchParams(params);
+      qs.set('pagination.limit', String(limit));
+      if (nextKey) qs.set('pagination.key', nextKey);
+
+      const data = await rest(`${path}?${qs}`, opts);
+      yield data;
+
+      nextKey = data?.pagination?.next_key || null;
+      if (!nextKey) break;
+      if (itemsKey && !(data?.[itemsKey] || []).length) break;
+    }
+  }
+
+  function stats() {
+    return {
+      rest: pools.rest ? pools.rest.stats() : {},
+      rpc: pools.rpc ? pools.rpc.stats() : {},
+    };
+  }
+
+  return {
+    restBases: pools.rest ? pools.rest.states.map((s) => s.base) : [],
+    rpcBases: pools.rpc ? pools.rpc.states.map((s) => s.base) : [],
+    request,
+    fanout,
+    rest,
+    rpc,
+    paginate,
+    stats,
+  };
+}
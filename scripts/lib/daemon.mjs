@@ -0,0 +1,338 @@
+// scripts/lib/daemon.mjs
+// Long-running scheduler for a self-hosted install: runs the job graph
+// (scripts/lib/pipeline.mjs) on the schedules the GitHub workflows use and,
+// optionally, serves the site and data/ (scripts/lib/static-server.mjs), so
+// the dashboard keeps updating without Actions. Started by
+//   node scripts/atomprice.mjs daemon
+//
+// Each task fires at `offset` minutes past every `every`-minute slot (UTC,
+// counted from the epoch), like the workflows' crons, and starts
+//   node scripts/atomprice.mjs run <targets> --force=<targets>
+// in its own process group: the targets run because they are due, whatever
+// they depend on only if stale. A task can also fire right after another one
+// succeeds (`after`), as the rebuild follows ingest. The child holds the
+// pipeline's per-job locks, so a manual `atomprice run` and the daemon never
+// run one job at the same time; a job the other side holds is skipped.
+//
+// data/pipeline/daemon.json keeps the last slot each task ran for. On start,
+// a task whose slot passed while the daemon was down runs once (however many
+// slots were missed), then follows its schedule. A failed attempt is retried
+// `retries` times; a run over `timeoutMinutes` is killed. At most
+// DAEMON_CONCURRENCY tasks run at once. SIGINT/SIGTERM stop scheduling and
+// wait up to DAEMON_SHUTDOWN_SECONDS for running tasks before killing them; a
+// second signal kills them at once. --once handles signals the same way: the
+// tasks run in their own process groups and would otherwise outlive it, still
+// holding their job locks. Only one daemon runs per checkout
+// (data/pipeline/locks/daemon.lock).
+//
+// Env set in a task is a default: the daemon's own environment wins.
+
+import { spawn } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe } from './data-files.mjs';
+import { LockHeldError, tryLock } from './file-lock.mjs';
+import { JOBS, PIPELINE_DIR, PipelineError } from './pipeline.mjs';
+import { serveStatic } from './static-server.mjs';
+
+const ROOT = process.cwd();
+const STATE_FILE = path.join(PIPELINE_DIR, 'daemon.json');
+const LOCK_FILE = path.join(PIPELINE_DIR, 'locks', 'daemon.lock');
+const CLI = path.join('scripts', 'atomprice.mjs');
+
+const CONCURRENCY = Math.max(1, Number(process.env.DAEMON_CONCURRENCY || 2));
+const TICK_MS = Math.max(1, Number(process.env.DAEMON_TICK_SECONDS || 30)) * 1000;
+const SHUTDOWN_MS = Math.max(0, Number(process.env.DAEMON_SHUTDOWN_SECONDS || 120)) * 1000;
+const KILL_GRACE_MS = 15000;
+const RETRY_DELAY_MS = 10000;
+
+const RPC_PROVIDERS = 'https://cosmos-rpc.publicnode.com,https://rpc.cosmos.directory/cosmoshub,https://rpc.silknodes.io/cosmos,https://cosmos.drpc.org';
+const REST_BASE = 'https://rest.cosmos.directory/cosmoshub';
+const FEED_ENV = { FEED_MIN: '1', FEED_KEEP: '1000', WHALE_FEED_MIN: '50000', WHALE_EVENT_MIN: '50000', WHALE_FEED_DAYS: '30' };
+
+// Schedules and env from .github/workflows/*.yml
+export const TASKS = [
+  {
+    name: 'ingest',
+    every: 15,
+    offset: 2,
+    targets: ['ingest'],
+    env: { RPC_PROVIDERS, RPC_QUORUM_MIN: '2', REST_BASE, FEED_MIN: '1', FEED_KEEP: '1000', WHALE_FEED_MIN: '50000', MAX_BLOCKS_PER_RUN: '3000' },
+    timeoutMinutes: 30,
+  },
+  {
+    name: 'rebuild',
+    every: 15,
+    offset: 7,
+    after: ['ingest'],
+    targets: ['event-intelligence', 'health'],
+    env: { ...FEED_ENV, RAW_KEEP_DAYS: '365', HOURLY_KEEP_DAYS: '370', REST_BASE, BATCH_SIZE: '5', MIN_ATOM: '100' },
+    timeoutMinutes: 20,
+  },
+  {
+    name: 'staking-ratio',
+    every: 15,
+    offset: 0,
+    targets: ['staking-ratio'],
+    env: { LCD_BASE: 'https://api.silknodes.io/cosmos,https://cosmos-rest.publicnode.com,https://rest.cosmos.directory/cosmoshub', REST_QUORUM_MIN: '2' },
+    timeoutMinutes: 10,
+  },
+  {
+    // ECB publishes its reference rates around 16:00 CET on business days
+    name: 'fx',
+    every: 1440,
+    offset: 15 * 60 + 15,
+    targets: ['fx'],
+    retries: 2,
+    timeoutMinutes: 10,
+  },
+  {
+    name: 'support-hourly',
+    every: 60,
+    offset: 0,
+    targets: ['daily-metrics', 'total-staked', 'validator-concentration'],
+    timeoutMinutes: 20,
+  },
+  {
+    name: 'whale-transfers',
+    every: 15,
+    offset: 5,
+    targets: ['whale-transfers'],
+    env: { BLOCKS_PER_SCAN: '200' },
+    retries: 2,
+    timeoutMinutes: 10,
+  },
+  {
+    name: 'whale-rewards',
+    every: 360,
+    offset: 5,
+    targets: ['whale-rewards'],
+    retries: 2,
+    timeoutMinutes: 30,
+  },
+  {
+    name: 'health',
+    every: 60,
+    offset: 11,
+    targets: ['health'],
+    timeoutMinutes: 10,
+  },
+  {
+    name: 'backfill-repair',
+    every: 1440,
+    offset: 3 * 60 + 25,
+    targets: ['backfill-gaps', 'health'],
+    env: { RPC_PROVIDERS, RPC_QUORUM_MIN: '2', ...FEED_ENV, REPAIR_MAX_BLOCKS: '50000' },
+    timeoutMinutes: 120,
+  },
+];
+
+/** Start (ms) of the latest slot of `task` at or before `nowMs`. */
+export function slotStart(task, nowMs) {
+  const every = task.every * 60000;
+  const offset = task.offset * 60000;
+  return Math.floor((nowMs - offset) / every) * every + offset;
+}
+
+function checkTasks() {
+  const jobs = new Set(JOBS.map((j) => j.name));
+  const names = new Set(TASKS.map((t) => t.name));
+  for (const task of TASKS) {
+    for (const target of task.targets) {
+      if (!jobs.has(target)) throw new PipelineError(`daemon task ${task.name}: unknown job ${target}`);
+    }
+    for (const name of task.after || []) {
+      if (!names.has(name)) throw new PipelineError(`daemon task ${task.name}: unknown task ${name} in after`);
+    }
+  }
+}
+
+async function loadState() {
+  const state = await readJsonSafe(STATE_FILE);
+  return state?.tasks ? state.tasks : {};
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // already gone
+  }
+}
+
+export async function runDaemon({ serve = null, once = false } = {}) {
+  checkTasks();
+  const lock = await tryLock(LOCK_FILE, { label: 'atomprice daemon', maxAgeMs: Infinity });
+  if (lock.held) throw new LockHeldError(LOCK_FILE, lock.held);
+
+  const startedAt = new Date().toISOString();
+  const tasks = await loadState();
+  const running = new Map();
+  const triggered = new Set();
+  let stopping = false;
+  let timer = null;
+  let wake = null;
+  let server = null;
+
+  const saveState = () => writeJsonChecked(STATE_FILE, {
+    generated_at: new Date().toISOString(),
+    pid: process.pid,
+    host: os.hostname(),
+    started_at: startedAt,
+    tasks,
+  });
+
+  const attempt = (task) => new Promise((resolve) => {
+    const targets = task.targets.join(',');
+    const child = spawn(process.execPath, [CLI, 'run', ...task.targets, `--force=${targets}`], {
+      cwd: ROOT,
+      env: { ...task.env, ...process.env },
+      stdio: 'inherit',
+      detached: true,
+    });
+    running.get(task.name).child = child;
+    let timedOut = false;
+    const limit = setTimeout(() => {
+      timedOut = true;
+      console.error(`⛔ [daemon] ${task.name} ran over ${task.timeoutMinutes} min, stopping it`);
+      killGroup(child, 'SIGTERM');
+      setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE_MS).unref();
+    }, task.timeoutMinutes * 60000);
+    child.on('error', (err) => {
+      clearTimeout(limit);
+      resolve({ status: 'failed', error: err.message });
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(limit);
+      if (timedOut) resolve({ status: 'timeout', error: `killed after ${task.timeoutMinutes} min` });
+      else if (code === 0) resolve({ status: 'ok', error: null });
+      else resolve({ status: 'failed', error: `exited with ${signal || code}` });
+    });
+  });
+
+  const start = async (task, slotMs, why) => {
+    const entry = tasks[task.name] || { runs: 0, failures: 0 };
+    tasks[task.name] = entry;
+    running.set(task.name, { child: null });
+    entry.last_slot_at = new Date(Math.max(slotMs, Date.parse(entry.last_slot_at || 0) || 0)).toISOString();
+    entry.last_started_at = new Date().toISOString();
+    entry.last_reason = why;
+    console.log(`▶️ [daemon] ${task.name} (${why}): ${task.targets.join(', ')}`);
+
+    const tries = 1 + (task.retries || 0);
+    let outcome;
+    for (let i = 1; i <= tries; i++) {
+      outcome = await attempt(task);
+      if (outcome.status === 'ok' || stopping || i === tries) break;
+      console.log(`⚠️ [daemon] ${task.name} attempt ${i}/${tries} ${outcome.status}: ${outcome.error}; retrying`);
+      await sleep(RETRY_DELAY_MS * i);
+    }
+
+    entry.last_finished_at = new Date().toISOString();
+    entry.last_status = outcome.status;
+    entry.last_error = outcome.error;
+    entry.runs += 1;
+    if (outcome.status !== 'ok') entry.failures += 1;
+    running.delete(task.name);
+    if (outcome.status === 'ok') {
+      console.log(`✅ [daemon] ${task.name} done`);
+      for (const next of TASKS) if ((next.after || []).includes(task.name)) triggered.add(next.name);
+    } else {
+      console.error(`❌ [daemon] ${task.name} ${outcome.status}: ${outcome.error}`);
+    }
+    await saveState().catch((err) => console.error('❌ [daemon] could not save state:', err.message));
+    wake?.();
+  };
+
+  const dueTasks = (nowMs) => {
+    const due = [];
+    for (const task of TASKS) {
+      if (running.has(task.name)) continue;
+      const slotMs = slotStart(task, nowMs);
+      const last = Date.parse(tasks[task.name]?.last_slot_at || '') || null;
+      if (last === null) {
+        due.push({ task, slotMs, why: 'first run' });
+      } else if (last < slotMs) {
+        const missed = Math.round((slotMs - last) / (task.every * 60000)) - 1;
+        due.push({ task, slotMs, why: missed > 0 ? `catching up ${missed} missed slot${missed === 1 ? '' : 's'}` : 'scheduled' });
+      } else if (triggered.has(task.name)) {
+        due.push({ task, slotMs, why: `after ${task.after.join(', ')}` });
+      }
+    }
+    return due;
+  };
+
+  const tick = () => {
+    if (stopping) return;
+    for (const { task, slotMs, why } of dueTasks(Date.now())) {
+      if (running.size >= CONCURRENCY) break;
+      triggered.delete(task.name);
+      start(task, slotMs, why);
+    }
+  };
+
+  const stop = async (signal) => {
+    if (stopping) {
+      console.log(`⛔ [daemon] ${signal} again, killing ${running.size} running task(s)`);
+      for (const { child } of running.values()) if (child) killGroup(child, 'SIGKILL');
+      return;
+    }
+    stopping = true;
+    clearTimeout(timer);
+    console.log(`ℹ️ [daemon] ${signal}: no new runs; waiting up to ${SHUTDOWN_MS / 1000}s for ${running.size} running task(s)`);
+    server?.close();
+    const deadline = Date.now() + SHUTDOWN_MS;
+    while (running.size && Date.now() < deadline) await sleep(250);
+    if (running.size) {
+      console.log(`⛔ [daemon] stopping ${[...running.keys()].join(', ')}`);
+      for (const { child } of running.values()) if (child) killGroup(child, 'SIGTERM');
+      while (running.size) await sleep(250);
+    }
+    wake?.();
+  };
+
+  const onSignal = (signal) => { stop(signal); };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  try {
+    if (serve) server = await serveStatic({ root: ROOT, ...serve });
+    console.log(`ℹ️ [daemon] pid ${process.pid}: ${TASKS.length} tasks, up to ${CONCURRENCY} at once`);
+
+    if (once) {
+      // Run what is due (and what that triggers) until nothing is left
+      for (;;) {
+        tick();
+        if (!running.size) break;
+        await new Promise((resolve) => { wake = resolve; });
+      }
+      if (stopping) console.log('✅ [daemon] stopped');
+      return tasks;
+    }
+
+    await new Promise((resolve) => {
+      const loop = () => {
+        if (stopping) {
+          if (!running.size) resolve();
+          else wake = loop;
+          return;
+        }
+        tick();
+        timer = setTimeout(loop, TICK_MS);
+      };
+      wake = () => { clearTimeout(timer); loop(); };
+      loop();
+    });
+    console.log('✅ [daemon] stopped');
+    return tasks;
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    server?.close();
+    await lock.release();
+  }
+}
@@ -0,0 +1,90 @@
+// scripts/lib/data-contracts.mjs
+// Schema contracts for the files under data/. schemas/index.json maps each
+// data file to its versioned schema; writers go through writeJsonChecked (or
+// assertContract before a sync write) so a shape change that would break a page
+// fails the job instead of being committed. The write itself is atomic and
+// keeps a last good backup (data-files.mjs).
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { writeFileAtomic } from './data-files.mjs';
+import { validate } from './json-schema.mjs';
+
+export const SCHEMA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'schemas');
+
+const MAX_REPORTED_ERRORS = 10;
+
+export class SchemaViolationError extends Error {
+  constructor(file, schemaId, errors) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `  ${e.path || '/'} ${e.message}`);
+    if (errors.length > MAX_REPORTED_ERRORS) shown.push(`  … ${errors.length - MAX_REPORTED_ERRORS} more`);
+    super(`${file} violates ${schemaId}:\n${shown.join('\n')}`);
+    this.name = 'SchemaViolationError';
+    this.file = file;
+    this.schemaId = schemaId;
+    this.errors = errors;
+  }
+}
+
+let index = null;
+const schemas = new Map();
+
+export function loadContractIndex() {
+  if (!index) index = JSON.parse(readFileSync(path.join(SCHEMA_DIR, 'index.json'), 'utf8'));
+  return index;
+}
+
+// data file path → "data/x.json". Keyed on the last data/ segment because
+// writers resolve it from the repo root, their own directory or, for feed
+// provider runs, a temp working directory.
+export function dataKey(file) {
+  const parts = path.resolve(file).split(path.sep);
+  const i = parts.lastIndexOf('data');
+  return i >= 0 ? parts.slice(i).join('/') : parts.join('/');
+}
+
+// "data/ledger/derived/events-*.json": `*` matches within one path segment.
+function patternRegex(pattern) {
+  return new RegExp(`^${pattern.split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+}
+
+// data/snapshots/<as-of>/x.json is data/x.json as it was at that time (scripts/lib/as-of.mjs)
+const SNAPSHOT_COPY_RE = /^data\/snapshots\/[^/]+\/(.+)$/;
+
+/**
+ * Schema for a data file, or null when the file is listed as unchecked.
+ * Exact `files` entries win over `patterns` (families of files such as
+ * per-partition caches); a snapshot copy without an entry of its own has the
+ * contract of the live file. Throws for data files with no entry at all, so
+ * new outputs need a contract.
+ */
+export function contractFor(file) {
+  let key = dataKey(file);
+  const { files, patterns = {}, unchecked = {} } = loadContractIndex();
+  const byPattern = (k) => Object.entries(patterns).find(([p]) => patternRegex(p).test(k))?.[1];
+  if (!files[key] && !byPattern(key) && SNAPSHOT_COPY_RE.test(key)) key = `data/${key.match(SNAPSHOT_COPY_RE)[1]}`;
+  if (key in unchecked) return null;
+  const name = files[key] || byPattern(key);
+  if (!name) throw new Error(`No schema contract for ${key}; add one to schemas/index.json`);
+  if (!schemas.has(name)) schemas.set(name, JSON.parse(readFileSync(path.join(SCHEMA_DIR, name), 'utf8')));
+  return schemas.get(name);
+}
+
+export function checkContract(file, data) {
+  const schema = contractFor(file);
+  return schema ? validate(schema, data) : [];
+}
+
+export function assertContract(file, data) {
+  const schema = contractFor(file);
+  if (!schema) return;
+  const errors = validate(schema, data);
+  if (errors.length) throw new SchemaViolationError(dataKey(file), schema.$id, errors);
+}
+
+// Validates, then writes pretty-printed JSON (space = null for compact output).
+export async function writeJsonChecked(file, data, { space = 2 } = {}) {
+  assertContract(file, data);
+  await writeFileAtomic(file, space === null ? JSON.stringify(data) : JSON.stringify(data, null, space));
+}
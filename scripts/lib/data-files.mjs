@@ -0,0 +1,160 @@
+// scripts/lib/data-files.mjs
+// Shared write layer for data/. A write goes to a temp file next to the target
+// and is renamed over it, so the site and other jobs see the old file or the
+// new one, never half of one. The writer holds an advisory lock per output
+// (file-lock.mjs) while it swaps the file in, and the file it replaces is kept
+// as data/.backup/<path> when it still parses: the last good copy, which
+// readJsonSafe falls back to when the live file is corrupt or has gone missing.
+//
+// Locks live under data/pipeline/locks/files/ and backups under data/.backup/
+// (both outside git and, as dotfiles, not served). Files outside a data/
+// directory keep both next to themselves.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { LockHeldError, tryLock } from './file-lock.mjs';
+
+// A write takes milliseconds; a lock this old was left by a crashed writer
+const LOCK_MAX_AGE_MS = 5 * 60 * 1000;
+const LOCK_WAIT_MS = Number(process.env.DATA_LOCK_WAIT_MS ?? '30000');
+const LOCK_POLL_MS = 100;
+
+// Lock files held by the calling async context, so a write inside withFileLock
+// does not wait on itself while unrelated writes in this process still queue
+const heldLocks = new AsyncLocalStorage();
+let tmpSeq = 0;
+
+// [data root, path below it], or null for a file outside any data/ directory
+function splitDataPath(file) {
+  const parts = path.resolve(file).split(path.sep);
+  const i = parts.lastIndexOf('data');
+  if (i < 0 || i === parts.length - 1) return null;
+  return [parts.slice(0, i + 1).join(path.sep) || path.sep, parts.slice(i + 1).join(path.sep)];
+}
+
+export function backupPath(file) {
+  const split = splitDataPath(file);
+  if (!split) return path.join(path.dirname(path.resolve(file)), '.backup', path.basename(file));
+  return path.join(split[0], '.backup', split[1]);
+}
+
+export function lockPath(file) {
+  const split = splitDataPath(file);
+  if (!split) return `${path.resolve(file)}.lock`;
+  return path.join(split[0], 'pipeline', 'locks', 'files', `${split[1]}.lock`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs fn holding the output lock of `file`, waiting up to DATA_LOCK_WAIT_MS
+ * for another writer to finish. Use it around a read-modify-write of a file
+ * other jobs also write; writes inside fn reuse the lock.
+ */
+export async function withFileLock(file, fn) {
+  const lockFile = lockPath(file);
+  const held = heldLocks.getStore() || new Set();
+  if (held.has(lockFile)) return fn();
+  const label = `${path.basename(process.argv[1] || 'node')} → ${path.basename(file)}`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  let lock = await tryLock(lockFile, { label, maxAgeMs: LOCK_MAX_AGE_MS });
+  while (!lock.release) {
+    if (Date.now() >= deadline) throw new LockHeldError(lockFile, lock.held);
+    await sleep(LOCK_POLL_MS);
+    lock = await tryLock(lockFile, { label, maxAgeMs: LOCK_MAX_AGE_MS });
+  }
+  try {
+    return await heldLocks.run(new Set([...held, lockFile]), fn);
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * withFileLock over several files, taken in the order given. Writers that
+ * share files should list them in the same order.
+ */
+export async function withFileLocks(files, fn) {
+  if (!files.length) return fn();
+  return withFileLock(files[0], () => withFileLocks(files.slice(1), fn));
+}
+
+// Whether text is a whole file of its kind: JSON that parses, or JSONL whose
+// every line does. Anything else only has to be non-empty.
+function isIntact(file, text) {
+  if (!text) return false;
+  try {
+    if (file.endsWith('.json')) JSON.parse(text);
+    else if (file.endsWith('.jsonl')) text.split('\n').filter(Boolean).forEach((l) => JSON.parse(l));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function writeThenRename(file, text) {
+  const tmp = `${file}.${process.pid}-${++tmpSeq}.tmp`;
+  try {
+    const handle = await fs.open(tmp, 'w');
+    try {
+      await handle.writeFile(text, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmp, file);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Replaces `file` with `text` atomically under its output lock. The current
+ * file becomes the backup first unless it is corrupt, in which case the older
+ * backup is kept. backup: false skips that step.
+ */
+export async function writeFileAtomic(file, text, { backup = true } = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await withFileLock(file, async () => {
+    if (backup) {
+      let current = null;
+      try {
+        current = await fs.readFile(file, 'utf8');
+      } catch { /* nothing to keep yet */ }
+      if (current !== null && isIntact(file, current)) {
+        const bak = backupPath(file);
+        await fs.mkdir(path.dirname(bak), { recursive: true });
+        await writeThenRename(bak, current);
+      } else if (current !== null) {
+        console.warn(`⚠️ ${path.basename(file)} was corrupt before this write; keeping the older backup`);
+      }
+    }
+    await writeThenRename(file, text);
+  });
+}
+
+/**
+ * Parsed JSON of `file`. When the file is corrupt, or missing while a backup
+ * exists, the last good copy is used instead (with a warning); fallback only
+ * when neither is readable.
+ */
+export async function readJsonSafe(file, fallback = null) {
+  let reason;
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    reason = err.code === 'ENOENT' ? 'missing' : `unreadable (${err.message})`;
+  }
+  try {
+    const data = JSON.parse(await fs.readFile(backupPath(file), 'utf8'));
+    console.warn(`⚠️ ${path.basename(file)} is ${reason}; using the last good copy from ${path.relative(process.cwd(), backupPath(file))}`);
+    return data;
+  } catch {
+    if (reason !== 'missing') console.warn(`⚠️ ${path.basename(file)} is ${reason} and has no backup; starting from the default`);
+    return fallback;
+  }
+}
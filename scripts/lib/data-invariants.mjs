@@ -0,0 +1,252 @@
+// scripts/lib/data-invariants.mjs
+// Declarative cross-file invariants over data/. Each entry names the files it
+// reads and returns { checked, offending } for every row it looked at, so the
+// report says which dates or items broke it, not just that something did.
+// Run by `node scripts/v2/guardrails-v2.mjs --mode=data`.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readJsonSafe } from './data-files.mjs';
+import { ICF_DELEGATORS as ICF } from './icf.mjs';
+import { listPartitions, parseLedgerLines, partitionKey } from './ledger-chain.mjs';
+import { assertReadableRow } from './ledger-schema.mjs';
+import { eventUatom, uatomToWholeAtom } from './uatom.mjs';
+
+const MAX_OFFENDING = 50;
+const ATOM_TOLERANCE = 0.001;
+
+// Dated series that must be strictly ordered (no duplicate keys).
+const SERIES = [
+  { file: 'data/daily-metrics.json', rows: (d) => d, key: 'date' },
+  { file: 'data/historical-apr.json', rows: (d) => d, key: 'date' },
+  { file: 'data/historical-staking.json', rows: (d) => d, key: 'date' },
+  { file: 'data/historical-total-staked.json', rows: (d) => d, key: 'date' },
+  { file: 'data/historical-validator-concentration.json', rows: (d) => d, key: 'date' },
+  { file: 'data/delegation-flow-daily.json', rows: (d) => d.items, key: 'key' },
+  { file: 'data/delegation-flow-hourly.json', rows: (d) => d.items, key: 'key' },
+  { file: 'data/tokenized-stake-daily.json', rows: (d) => d.items, key: 'date' },
+  { file: 'data/pending-undelegations.json', label: 'schedule', rows: (d) => d.schedule, key: 'date' },
+  { file: 'data/pending-undelegations.json', label: 'schedule_excluding_icf', rows: (d) => d.schedule_excluding_icf, key: 'date' },
+  { file: 'data/undelegation-history.json', rows: (d) => d.daily_totals, key: 'date' },
+  { file: 'data/unbonding-flows.json', rows: (d) => d.daily_flows, key: 'date', order: 'desc' },
+];
+
+const FLOW_FIELDS = ['delegate_atom', 'undelegate_atom', 'net_atom', 'delegates_count', 'undelegates_count', 'total_count'];
+
+const FEED_COUNTS = {
+  delegates: 'delegate',
+  undelegates: 'undelegate',
+  redelegates: 'redelegate',
+  cancel_unbonds: 'cancel_unbond',
+};
+
+// Absolute tolerance for float summation drift, not for real differences
+function near(a, b) {
+  return Math.abs(Number(a || 0) - Number(b || 0)) <= ATOM_TOLERANCE;
+}
+
+function ledgerKey(e) {
+  return [e.txhash || '', e.type || '', e.delegator || '', e.validator_addr || ''].join('|');
+}
+
+export const INVARIANTS = [
+  {
+    id: 'pending_excluding_icf_le_schedule',
+    description: 'Every schedule_excluding_icf day (and the total) is at most the same day of schedule',
+    inputs: ['data/pending-undelegations.json'],
+    check([pending]) {
+      const full = new Map((pending.schedule || []).map((d) => [d.date, Number(d.atom || 0)]));
+      const offending = [];
+      for (const d of pending.schedule_excluding_icf || []) {
+        const atom = full.get(d.date);
+        if (atom === undefined || Number(d.atom || 0) > atom) {
+          offending.push({ date: d.date, excluding_icf_atom: d.atom, schedule_atom: atom ?? null });
+        }
+      }
+      if (Number(pending.total_unbonding_atom_excluding_icf || 0) > Number(pending.total_unbonding_atom || 0)) {
+        offending.push({
+          date: 'total',
+          excluding_icf_atom: pending.total_unbonding_atom_excluding_icf,
+          schedule_atom: pending.total_unbonding_atom,
+        });
+      }
+      return { checked: (pending.schedule_excluding_icf || []).length + 1, offending };
+    },
+  },
+  {
+    id: 'hourly_sums_match_daily',
+    description: 'Hourly buckets of each UTC day sum to that day\'s daily bucket (first, partially retained hourly day excluded)',
+    inputs: ['data/delegation-flow-hourly.json', 'data/delegation-flow-daily.json'],
+    check([hourly, daily]) {
+      const sums = new Map();
+      for (const h of hourly.items || []) {
+        const day = String(h.key).slice(0, 10);
+        const s = sums.get(day) || Object.fromEntries(FLOW_FIELDS.map((f) => [f, 0]));
+        for (const f of FLOW_FIELDS) s[f] += Number(h[f] || 0);
+        sums.set(day, s);
+      }
+      const days = [...sums.keys()].sort();
+      if (days.length < 2) return { checked: 0, offending: [] };
+      const first = days[1];
+      const last = days[days.length - 1];
+
+      const byDay = new Map((daily.items || []).map((d) => [d.key, d]));
+      const span = [...new Set([...days, ...byDay.keys()])].filter((d) => d >= first && d <= last).sort();
+      const offending = [];
+      for (const day of span) {
+        const s = sums.get(day) || {};
+        const d = byDay.get(day) || {};
+        const diff = FLOW_FIELDS.filter((f) => !near(s[f], d[f]));
+        if (diff.length) {
+          offending.push({
+            date: day,
+            fields: Object.fromEntries(diff.map((f) => [f, { hourly: s[f] ?? 0, daily: d[f] ?? 0 }])),
+          });
+        }
+      }
+      return { checked: span.length, offending };
+    },
+  },
+  {
+    id: 'feed_counts_match_items',
+    description: 'delegation_feed.json total and per-type counts equal the items they summarise',
+    inputs: ['data/delegation_feed.json'],
+    check([feed]) {
+      const items = feed.items || [];
+      const offending = [];
+      if (feed.total !== undefined && Number(feed.total) !== items.length) {
+        offending.push({ field: 'total', declared: feed.total, actual: items.length });
+      }
+      for (const [field, type] of Object.entries(FEED_COUNTS)) {
+        if (feed[field] === undefined) continue;
+        const actual = items.filter((i) => i.type === type).length;
+        if (Number(feed[field]) !== actual) offending.push({ field, declared: feed[field], actual });
+      }
+      return { checked: 1 + Object.keys(FEED_COUNTS).length, offending };
+    },
+  },
+  ...SERIES.map((s) => ({
+    id: `dates_monotonic:${s.file.replace(/^data\//, '')}${s.label ? `#${s.label}` : ''}`,
+    description: `${s.label || s.key} keys strictly ${s.order === 'desc' ? 'decreasing' : 'increasing'} (ordered, no duplicates)`,
+    inputs: [s.file],
+    check([data]) {
+      const rows = s.rows(data) || [];
+      const offending = [];
+      for (let i = 1; i < rows.length; i++) {
+        const prev = String(rows[i - 1]?.[s.key]);
+        const key = String(rows[i]?.[s.key]);
+        const ok = s.order === 'desc' ? key < prev : key > prev;
+        if (!ok) offending.push({ index: i, previous: prev, key, problem: key === prev ? 'duplicate' : 'out_of_order' });
+      }
+      return { checked: rows.length, offending };
+    },
+  })),
+  {
+    id: 'whale_events_in_ledger',
+    description: 'Every whale event matches a ledger event (txhash, type, delegator, validator, amount); months without a ledger partition are counted as unverified',
+    inputs: ['data/whale-events.json', 'ledger'],
+    check([whales, ledger]) {
+      const byKey = new Map();
+      for (const e of ledger.events) {
+        const list = byKey.get(ledgerKey(e)) || [];
+        list.push(uatomToWholeAtom(eventUatom(e)));
+        byKey.set(ledgerKey(e), list);
+      }
+      const offending = [];
+      let checked = 0;
+      let unverified = 0;
+      for (const w of whales.events || []) {
+        if (!w.timestamp || !ledger.months.has(w.timestamp.slice(0, 7))) {
+          unverified++;
+          continue;
+        }
+        checked++;
+        const amounts = byKey.get(ledgerKey(w));
+        if (!amounts?.some((a) => Math.abs(a - Number(w.atom || 0)) <= 1)) {
+          offending.push({
+            txhash: w.txhash,
+            type: w.type,
+            delegator: w.delegator,
+            validator_addr: w.validator_addr,
+            atom: w.atom,
+            timestamp: w.timestamp,
+            problem: amounts ? 'amount_mismatch' : 'missing_from_ledger',
+          });
+        }
+      }
+      return { checked, offending, unverified };
+    },
+  },
+  {
+    id: 'icf_visible_downstream',
+    description: 'ICF events present in delegation-events-raw.json also reach delegation_feed.json and whale-events.json',
+    inputs: ['data/delegation-events-raw.json', 'data/delegation_feed.json', 'data/whale-events.json'],
+    check([raw, feed, whales]) {
+      const count = (rows) => (rows || []).filter((r) => ICF.has(String(r.delegator || '').toLowerCase())).length;
+      const rawIcf = count(raw.items);
+      const offending = [];
+      if (rawIcf > 0 && count(feed.items) === 0) offending.push({ file: 'data/delegation_feed.json', raw_icf_events: rawIcf });
+      if (rawIcf > 0 && count(whales.events) === 0) offending.push({ file: 'data/whale-events.json', raw_icf_events: rawIcf });
+      return { checked: 2, offending };
+    },
+  },
+];
+
+// All ledger partitions, plus which months have one.
+async function readLedger(root) {
+  const dir = path.join(root, 'data', 'ledger');
+  const names = await listPartitions(dir);
+  if (!names.length) return null;
+  const events = [];
+  for (const name of names) {
+    // Malformed lines are verify-ledger's to report
+    const { rows } = parseLedgerLines(await fs.readFile(path.join(dir, name), 'utf8'));
+    for (const { row } of rows) {
+      assertReadableRow(row, name);
+      events.push(row);
+    }
+  }
+  return { events, months: new Set(names.map(partitionKey)) };
+}
+
+/**
+ * Runs every invariant against the files under root/data. Invariants whose
+ * inputs are missing are reported as skipped.
+ */
+export async function runInvariants({ root = process.cwd() } = {}) {
+  const cache = new Map();
+  const load = (input) => {
+    if (!cache.has(input)) {
+      cache.set(input, input === 'ledger' ? readLedger(root) : readJsonSafe(path.join(root, input)));
+    }
+    return cache.get(input);
+  };
+
+  const results = [];
+  for (const inv of INVARIANTS) {
+    const inputs = await Promise.all(inv.inputs.map(load));
+    const missing = inv.inputs.filter((_, i) => inputs[i] === null);
+    const base = { id: inv.id, description: inv.description, inputs: inv.inputs };
+    if (missing.length) {
+      results.push({ ...base, status: 'skip', reason: `missing ${missing.join(', ')}`, checked: 0, offending_count: 0, offending: [] });
+      continue;
+    }
+    const { checked, offending, ...extra } = inv.check(inputs);
+    results.push({
+      ...base,
+      status: offending.length ? 'fail' : 'pass',
+      checked,
+      ...extra,
+      offending_count: offending.length,
+      offending: offending.slice(0, MAX_OFFENDING),
+    });
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    generated_at: new Date().toISOString(),
+    status: count('fail') ? 'fail' : 'pass',
+    summary: { pass: count('pass'), fail: count('fail'), skip: count('skip') },
+    invariants: results,
+  };
+}
@@ -0,0 +1,87 @@
+// scripts/lib/derived-cache.mjs
+// Per-partition aggregate cache for scripts/v2/rebuild-derived-v2.mjs, kept in
+// data/ledger/derived/events-YYYY-MM.json. Each entry holds what the rebuild
+// needs from one ledger partition (flow buckets, per-validator daily flows,
+// whale-sized and cancel_unbond rows) plus the partition's byte size and sealed
+// chain head (state.json `chains`, scripts/lib/ledger-chain.mjs) at build time.
+// A partition is re-aggregated only when its size or head moved; everything
+// else is merged from cache without opening the partition.
+//
+// data/ledger/derived/index.json records which partitions the last
+// delegation-events-raw.json was built from, so its items can be reused.
+//
+// Bump DERIVED_CACHE_VERSION whenever what goes into an entry changes.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe } from './data-files.mjs';
+import { listPartitions, partitionKey } from './ledger-chain.mjs';
+
+export const DERIVED_CACHE_VERSION = 1;
+
+const LEDGER_DIR = path.join(process.cwd(), 'data', 'ledger');
+export const DERIVED_DIR = path.join(LEDGER_DIR, 'derived');
+export const DERIVED_INDEX = path.join(DERIVED_DIR, 'index.json');
+
+function cacheFile(key) {
+  return path.join(DERIVED_DIR, `events-${key}.json`);
+}
+
+/** Ledger partitions, oldest first: { key, name, file, bytes, head }. */
+export async function ledgerSources() {
+  const chains = (await readJsonSafe(path.join(LEDGER_DIR, 'state.json'), {}))?.chains || {};
+  const sources = [];
+  for (const name of await listPartitions(LEDGER_DIR)) {
+    const key = partitionKey(name);
+    const file = path.join(LEDGER_DIR, name);
+    const { size } = await fs.stat(file);
+    sources.push({ key, name, file, bytes: size, head: chains[key]?.head ?? null });
+  }
+  return sources;
+}
+
+export function sameSource(a, b) {
+  return Boolean(a && b) && a.bytes === b.bytes && a.head === b.head;
+}
+
+// `requires` lists entry fields that must match the current build settings.
+export function isFresh(cache, source, requires = {}) {
+  if (cache?.cache_version !== DERIVED_CACHE_VERSION || !sameSource(cache.source, source)) return false;
+  return Object.entries(requires).every(([k, v]) => cache[k] === v);
+}
+
+export async function loadPartitionCache(key) {
+  return readJsonSafe(cacheFile(key));
+}
+
+export async function savePartitionCache(cache) {
+  await writeJsonChecked(cacheFile(cache.partition), cache, { space: null });
+}
+
+// Drops entries for partitions no longer rebuilt from (gone, or past retention).
+export async function pruneCaches(keep) {
+  let names = [];
+  try {
+    names = await fs.readdir(DERIVED_DIR);
+  } catch {
+    return 0;
+  }
+  let removed = 0;
+  for (const name of names) {
+    const key = partitionKey(name.replace(/\.json$/, '.jsonl'));
+    if (key && !keep.has(key)) {
+      await fs.rm(path.join(DERIVED_DIR, name), { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+export async function loadDerivedIndex() {
+  return readJsonSafe(DERIVED_INDEX);
+}
+
+export async function saveDerivedIndex(index) {
+  await writeJsonChecked(DERIVED_INDEX, { cache_version: DERIVED_CACHE_VERSION, ...index });
+}
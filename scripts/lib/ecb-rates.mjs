@@ -0,0 +1,36 @@
+// scripts/lib/ecb-rates.mjs
+// Parses the ECB daily reference rates (eurofxref-daily.xml) for
+// scripts/fx_ecb_updater.mjs. Rates are per 1 EUR.
+
+// Currencies the site converts into; a parse missing any of them is not used
+export const FX_CURRENCIES = ['USD', 'GBP', 'TRY', 'JPY', 'CNY'];
+
+/**
+ * { rates, ecb_date, missing, reason }: `rates` is null (and `reason` says why)
+ * when the body is not eurofxref XML, e.g. a proxy's HTML error page.
+ */
+export function parseEcbXml(xml, need = FX_CURRENCIES) {
+  if (!xml.includes('<Cube') || !xml.includes('eurofxref')) {
+    return { rates: null, ecb_date: null, missing: need.slice(), reason: 'ECB response did not look like eurofxref XML' };
+  }
+
+  const timeMatch = xml.match(/<Cube\s+time="([^"]+)">/);
+  const ecb_date = timeMatch ? timeMatch[1] : null;
+
+  // Accept both attribute orders:
+  // <Cube currency="USD" rate="1.23" />
+  // <Cube rate="1.23" currency="USD" />
+  const rates = { EUR: 1 };
+  const re = /<Cube\b[^>]*\bcurrency="([A-Z]{3})"[^>]*\brate="([0-9.]+)"[^>]*\/>|<Cube\b[^>]*\brate="([0-9.]+)"[^>]*\bcurrency="([A-Z]{3})"[^>]*\/>/g;
+
+  let m;
+  while ((m = re.exec(xml)) !== null) {
+    // currency then rate => m[1], m[2]; rate then currency => m[3], m[4]
+    const c = m[1] || m[4];
+    const r = Number(m[2] || m[3]);
+    if (c && Number.isFinite(r)) rates[c] = r;
+  }
+
+  const missing = need.filter((k) => !rates[k]);
+  return { rates, ecb_date, missing, reason: null };
+}
@@ -0,0 +1,34 @@
+// scripts/lib/event-identity.mjs
+// Canonical identity of a staking event, shared by the feed fetcher
+// (fetch-delegation-feed.mjs), the v2 ingest and ledger migrations, so one
+// on-chain event has one id whichever path wrote it.
+//
+// An event is the event_index-th event of its tx's result: chain, tx hash,
+// height and event_index locate it; type, delegator, validator and the integer
+// uatom amount guard against rows whose event_index was never recorded (0).
+// msg_index is left out because the feed path cannot always know it.
+
+import crypto from 'node:crypto';
+import { eventUatom } from './uatom.mjs';
+
+export const CHAIN_ID = 'cosmoshub-4';
+
+// Fields that make up the id, normalised the way ingest stores them.
+export function eventIdentity(e) {
+  return {
+    chain_id: String(e?.chain_id || CHAIN_ID),
+    txhash: String(e?.txhash || '').toUpperCase(),
+    height: Number(e?.height || 0) || 0,
+    event_index: Number(e?.event_index ?? 0) || 0,
+    type: String(e?.type || ''),
+    delegator: String(e?.delegator || '').toLowerCase(),
+    validator_addr: String(e?.validator_addr || '').toLowerCase(),
+    amount_uatom: eventUatom(e).toString(),
+  };
+}
+
+export function eventId(e) {
+  const k = eventIdentity(e);
+  const parts = [k.chain_id, k.txhash, k.height, k.event_index, k.type, k.delegator, k.validator_addr, k.amount_uatom];
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
@@ -0,0 +1,355 @@
+// scripts/lib/event-outcomes.mjs
+// Analysis behind scripts/build-event-intelligence.mjs, free of I/O: the
+// delegation/unlock event set drawn from the derived files, each event's
+// forward price outcome against hourly closes (return, alpha over the
+// baseline of the same horizon in the lookback before it, z-score), the
+// per-category summary and the 24h edge card the site shows. Times are unix
+// seconds (`ts`) or UTC ISO strings throughout.
+
+import { isIcfDelegator } from './icf.mjs';
+
+export const DEFAULT_HORIZONS_HOURS = [1, 4, 24, 168];
+
+export function median(arr) {
+  if (!arr.length) return null;
+  const s = arr.slice().sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 === 0 ? (s[m - 1] + s[m]) / 2 : s[m];
+}
+
+export function mean(arr) {
+  if (!arr.length) return null;
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+export function stdev(arr) {
+  if (arr.length < 2) return null;
+  const m = mean(arr);
+  const v = mean(arr.map((x) => (x - m) ** 2));
+  return Math.sqrt(v);
+}
+
+export function findIndexAtOrAfter(times, target) {
+  let lo = 0;
+  let hi = times.length - 1;
+  if (!times.length) return -1;
+  if (times[hi] < target) return -1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Ledger types that start (or are) a stake change; redelegations, cancelled
+// unbondings and LSM moves never start an unlock and are left out.
+export const INITIATION_CATEGORIES = { delegate: 'delegation', undelegate: 'undelegation_initiated' };
+
+/**
+ * Events of the last `windowDays` of at least `minEventAtom`, oldest first,
+ * ICF delegators left out and each event once: by category and tx hash, or by
+ * category, rounded amount and hour when it has no hash. A daily schedule
+ * estimate gives way to an exact unlock on the same UTC day.
+ */
+export function buildEventSet(
+  { topDelegations, whaleEvents, whalePending, pendingUndelegations, rawEvents },
+  { nowMs = Date.now(), windowDays = 30, minEventAtom = 1 } = {},
+) {
+  const out = [];
+
+  for (const e of rawEvents?.items || []) {
+    const category = INITIATION_CATEGORIES[e.type];
+    if (!category) continue;
+    out.push({
+      category,
+      stage: 'initiation',
+      atom: Number(e.amount_atom || 0),
+      timestamp: e.timestamp || null,
+      delegator: e.delegator || '',
+      estimated: false,
+      txhash: e.txhash || '',
+      source: 'raw_archive',
+    });
+  }
+
+  for (const d of topDelegations?.delegations || []) {
+    out.push({
+      category: 'delegation',
+      stage: 'initiation',
+      atom: Number(d.amount_atom || 0),
+      timestamp: d.timestamp || null,
+      delegator: d.delegator || '',
+      estimated: false,
+      txhash: d.txhash || '',
+      source: 'top_delegations',
+    });
+  }
+
+  for (const e of whaleEvents?.events || []) {
+    const category = INITIATION_CATEGORIES[e.type];
+    if (!category) continue;
+    out.push({
+      category,
+      stage: 'initiation',
+      atom: Number(e.atom || 0),
+      timestamp: e.timestamp || null,
+      delegator: e.delegator || '',
+      estimated: false,
+      txhash: e.txhash || '',
+      source: 'whale_events',
+    });
+  }
+
+  for (const e of whalePending?.events || []) {
+    out.push({
+      category: 'undelegation_completed',
+      stage: 'unlock',
+      atom: Number(e.atom || 0),
+      timestamp: e.timestamp || null,
+      delegator: e.delegator || '',
+      estimated: false,
+      txhash: e.txhash || '',
+      source: 'whale_pending',
+    });
+  }
+
+  const pendingSchedule = pendingUndelegations?.schedule_excluding_icf || pendingUndelegations?.schedule || [];
+  for (const d of pendingSchedule) {
+    out.push({
+      category: 'undelegation_completed',
+      stage: 'unlock',
+      atom: Number(d.atom || 0),
+      timestamp: d.date ? `${d.date}T12:00:00.000Z` : null,
+      estimated: true,
+      txhash: '',
+      source: 'pending_schedule_daily',
+    });
+  }
+
+  const dedupe = new Set();
+  const filtered = [];
+  const windowCutoffMs = nowMs - windowDays * 86400000;
+  for (const e of out) {
+    if (isIcfDelegator(e.delegator)) continue;
+    const tsMs = e.timestamp ? Date.parse(e.timestamp) : NaN;
+    if (!Number.isFinite(tsMs)) continue;
+    if (tsMs < windowCutoffMs) continue;
+    if (!Number.isFinite(e.atom) || e.atom < minEventAtom) continue;
+    const key = e.txhash
+      ? `${e.category}:${e.txhash}`
+      : `${e.category}:${Math.round(e.atom)}:${Math.floor(tsMs / 3600000)}`;
+    if (dedupe.has(key)) continue;
+    dedupe.add(key);
+    filtered.push({
+      ...e,
+      ts: Math.floor(tsMs / 1000),
+    });
+  }
+
+  filtered.sort((a, b) => a.ts - b.ts);
+  const exactUnlockDays = new Set(
+    filtered
+      .filter((e) => e.category === 'undelegation_completed' && !e.estimated)
+      .map((e) => new Date(e.ts * 1000).toISOString().slice(0, 10))
+  );
+
+  // If we already have an exact unlock event for a day, drop estimated daily schedule
+  // rows for the same day from edge/backtest inputs.
+  return filtered.filter((e) => {
+    if (e.category !== 'undelegation_completed') return true;
+    if (!e.estimated) return true;
+    if (e.source !== 'pending_schedule_daily') return true;
+    const day = new Date(e.ts * 1000).toISOString().slice(0, 10);
+    return !exactUnlockDays.has(day);
+  });
+}
+
+/**
+ * `events` with their outcomes at each horizon, from `candles` ({ time, close },
+ * hourly, ascending). Events outside the candles get no outcomes.
+ */
+export function buildEventOutcomes(events, candles, { horizonsHours = DEFAULT_HORIZONS_HOURS, baselineLookbackDays = 30 } = {}) {
+  const times = candles.map((c) => c.time);
+  const closes = candles.map((c) => c.close);
+  const maxH = Math.max(...horizonsHours) * 3600;
+  const lookbackSec = baselineLookbackDays * 86400;
+  const firstCandle = times[0];
+  const lastCandle = times[times.length - 1];
+
+  const localVol24hAt = (ts) => {
+    const baseIdx = findIndexAtOrAfter(times, ts);
+    if (baseIdx <= 1) return null;
+    const fromIdx = Math.max(1, baseIdx - 24);
+    const rets = [];
+    for (let i = fromIdx; i <= baseIdx; i++) {
+      const prev = closes[i - 1];
+      const curr = closes[i];
+      if (!Number.isFinite(prev) || prev <= 0 || !Number.isFinite(curr) || curr <= 0) continue;
+      rets.push((curr / prev) - 1);
+    }
+    if (rets.length < 12) return null;
+    return stdev(rets);
+  };
+
+  const enriched = events.map((e) => {
+    if (e.ts < firstCandle || e.ts > lastCandle) {
+      return {
+        ...e,
+        outcomes: {},
+        baseline_samples: 0,
+        timestamp_quality: e.estimated ? 'estimated' : 'exact',
+        price_at_event: null,
+        price_time: null,
+        local_vol_24h: null,
+      };
+    }
+    const baseIdx = findIndexAtOrAfter(times, e.ts);
+    if (baseIdx < 0) {
+      return {
+        ...e,
+        outcomes: {},
+        baseline_samples: 0,
+        timestamp_quality: e.estimated ? 'estimated' : 'exact',
+        price_at_event: null,
+        price_time: null,
+        local_vol_24h: null,
+      };
+    }
+    const baseTime = times[baseIdx];
+    const baseClose = closes[baseIdx];
+    const outcomes = {};
+    let baselineSamplesMax = 0;
+
+    for (const h of horizonsHours) {
+      const hSec = h * 3600;
+      const futureIdx = findIndexAtOrAfter(times, e.ts + hSec);
+      if (futureIdx < 0) {
+        outcomes[`h${h}`] = { return: null, alpha: null, z: null, samples: 0 };
+        continue;
+      }
+
+      const actualReturn = (closes[futureIdx] / baseClose) - 1;
+
+      const fromTs = e.ts - lookbackSec;
+      const samples = [];
+      for (let i = 0; i < times.length; i++) {
+        const t = times[i];
+        if (t >= e.ts) break;
+        if (t < fromTs) continue;
+        const fIdx = findIndexAtOrAfter(times, t + hSec);
+        if (fIdx < 0) continue;
+        if (times[fIdx] - (t + hSec) > 3 * 3600) continue;
+        samples.push((closes[fIdx] / closes[i]) - 1);
+      }
+
+      const m = mean(samples);
+      const s = stdev(samples);
+      const alpha = m === null ? null : (actualReturn - m);
+      const z = (alpha === null || !s || s <= 0) ? null : (alpha / s);
+      baselineSamplesMax = Math.max(baselineSamplesMax, samples.length);
+
+      outcomes[`h${h}`] = {
+        return: actualReturn,
+        alpha,
+        z,
+        samples: samples.length,
+        base_time: baseTime,
+        future_time: times[futureIdx],
+      };
+    }
+
+    return {
+      ...e,
+      outcomes,
+      baseline_samples: baselineSamplesMax,
+      timestamp_quality: e.estimated ? 'estimated' : 'exact',
+      price_at_event: baseClose,
+      price_time: baseTime,
+      local_vol_24h: localVol24hAt(e.ts),
+    };
+  });
+
+  return {
+    events: enriched,
+    candles,
+    horizon_max_sec: maxH,
+  };
+}
+
+/** Win rate and median return/alpha/z per category and horizon. */
+export function summarizeByCategory(enrichedEvents, { horizonsHours = DEFAULT_HORIZONS_HOURS } = {}) {
+  const categories = ['delegation', 'undelegation_initiated', 'undelegation_completed'];
+  const out = {};
+
+  for (const cat of categories) {
+    const evs = enrichedEvents.filter((e) => e.category === cat);
+    const horizons = {};
+    for (const h of horizonsHours) {
+      const key = `h${h}`;
+      const rows = evs
+        .map((e) => e.outcomes?.[key])
+        .filter((x) => x && Number.isFinite(x.return));
+
+      const rets = rows.map((r) => r.return);
+      const alphas = rows.map((r) => r.alpha).filter((v) => Number.isFinite(v));
+      const zs = rows.map((r) => r.z).filter((v) => Number.isFinite(v));
+      const wins = rets.filter((r) => r > 0).length;
+
+      horizons[key] = {
+        count: rets.length,
+        win_rate: rets.length ? wins / rets.length : null,
+        median_return: rets.length ? median(rets) : null,
+        median_alpha: alphas.length ? median(alphas) : null,
+        median_z: zs.length ? median(zs) : null,
+      };
+    }
+
+    out[cat] = {
+      events: evs.length,
+      exact_timestamps: evs.filter((e) => !e.estimated).length,
+      estimated_timestamps: evs.filter((e) => e.estimated).length,
+      horizons,
+    };
+  }
+
+  return out;
+}
+
+/**
+ * The 24h edge card of one category; qualified once it has `minSamples`
+ * outcomes and `minExactPct` of the category's events have exact timestamps.
+ */
+export function pickEdgeCard(summary, coverage, key, { minSamples = 12, minExactPct = 0.7 } = {}) {
+  const h24 = summary?.[key]?.horizons?.h24;
+  if (!h24 || !h24.count) {
+    return {
+      count: 0,
+      edge: null,
+      win_rate: null,
+      confidence: 'Low',
+      qualified: false,
+      gate_reason: 'No 24h sample yet',
+      mode: 'exact_only',
+      window: '24h',
+    };
+  }
+  const edge = Number.isFinite(h24.median_alpha) ? h24.median_alpha : h24.median_return;
+  const c = h24.count;
+  const confidence = c >= 30 ? 'High' : c >= 12 ? 'Medium' : 'Low';
+  const exactPct = Number(coverage?.exact_pct || 0);
+  const qualified = c >= minSamples && exactPct >= minExactPct;
+  const reasons = [];
+  if (c < minSamples) reasons.push(`n<${minSamples}`);
+  if (exactPct < minExactPct) reasons.push(`exact<${Math.round(minExactPct * 100)}%`);
+  return {
+    count: c,
+    edge,
+    win_rate: h24.win_rate,
+    confidence,
+    qualified,
+    gate_reason: qualified ? 'Qualified' : `Calibrating (${reasons.join(', ')})`,
+    mode: 'exact_only',
+    window: '24h',
+  };
+}
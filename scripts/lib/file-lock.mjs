@@ -0,0 +1,99 @@
+// scripts/lib/file-lock.mjs
+// Advisory locks between processes on one machine. A lock is a file created
+// exclusively (O_EXCL) that names its owner: pid, host, label and when it was
+// taken. The next taker breaks a lock whose owner is gone (same host, pid no
+// longer running) or that is older than maxAgeMs. A lock file without a
+// readable owner is one being written, or left empty by a taker that died
+// right after creating it: it counts as held until its mtime is older than
+// maxAgeMs. Only processes that ask for the lock are kept out.
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const DEFAULT_MAX_AGE_MS = 6 * 3600 * 1000;
+
+export class LockHeldError extends Error {
+  constructor(file, owner) {
+    super(`${file} is held by pid ${owner?.pid ?? '?'}${owner?.label ? ` (${owner.label})` : ''} since ${owner?.acquired_at ?? '?'}`);
+    this.name = 'LockHeldError';
+    this.file = file;
+    this.owner = owner;
+  }
+}
+
+async function readOwner(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Milliseconds since the file was last written, or null when it is gone
+async function fileAgeMs(file) {
+  try {
+    return Date.now() - (await fs.stat(file)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+function isAbandoned(owner, maxAgeMs) {
+  if (Date.now() - Date.parse(owner.acquired_at) > maxAgeMs) return true;
+  return owner.host === os.hostname() && !isRunning(owner.pid);
+}
+
+/**
+ * Takes the lock at `file`. Returns { release } when taken, or { held: owner }
+ * when another live process has it.
+ */
+export async function tryLock(file, { label = '', maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const owner = { pid: process.pid, host: os.hostname(), label, acquired_at: new Date().toISOString() };
+  // Second pass after breaking an abandoned lock; losing that race means it is held
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(file, `${JSON.stringify(owner)}\n`, { flag: 'wx' });
+      return {
+        release: async () => {
+          const current = await readOwner(file);
+          if (current?.pid === owner.pid && current.acquired_at === owner.acquired_at) await fs.rm(file, { force: true });
+        },
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const held = await readOwner(file);
+      if (!held?.pid || !held.acquired_at) {
+        const age = await fileAgeMs(file);
+        if (age === null) continue; // released meanwhile
+        if (age <= maxAgeMs) return { held: held || {} };
+      } else if (!isAbandoned(held, maxAgeMs)) {
+        return { held };
+      }
+      console.log(`⚠️ Breaking abandoned lock ${path.basename(file)}${held?.pid ? ` of pid ${held.pid}` : ''}`);
+      await fs.rm(file, { force: true });
+    }
+  }
+  return { held: (await readOwner(file)) || {} };
+}
+
+/** Runs fn holding the lock at `file`; throws LockHeldError when it is taken. */
+export async function withLock(file, fn, options = {}) {
+  const lock = await tryLock(file, options);
+  if (!lock.release) throw new LockHeldError(file, lock.held);
+  try {
+    return await fn();
+  } finally {
+    await lock.release();
+  }
+}
@@ -0,0 +1,117 @@
+// scripts/lib/flow-buckets.mjs
+// Delegation flow buckets of scripts/v2/rebuild-derived-v2.mjs: ledger rows
+// summed per UTC hour or UTC day and type. Keys come from the UTC clock only,
+// so every day has 24 hours and a row lands in the same bucket whatever offset
+// its timestamp was written with. Amounts are BigInt uatom while aggregating,
+// uatom strings in the partition cache (scripts/lib/derived-cache.mjs) and
+// ATOM only in the written row.
+
+import { eventUatom, uatomToAtom } from './uatom.mjs';
+
+export const FLOW_AMOUNT_FIELDS = ['delegate_atom', 'undelegate_atom', 'redelegate_atom', 'cancel_unbond_atom', 'tokenize_atom', 'redeem_atom', 'net_atom'];
+
+/** "2026-03-29T01:00:00.000Z" for any time within that UTC hour; null when unparseable. */
+export function toIsoHour(iso) {
+  const d = new Date(iso);
+  if (!Number.isFinite(d.getTime())) return null;
+  d.setUTCMinutes(0, 0, 0);
+  return d.toISOString();
+}
+
+/** "2026-03-29" for any time within that UTC day; null when unparseable. */
+export function toIsoDay(iso) {
+  const d = new Date(iso);
+  if (!Number.isFinite(d.getTime())) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+export function emptyBucket(key) {
+  return {
+    key,
+    delegate_atom: 0n,
+    undelegate_atom: 0n,
+    redelegate_atom: 0n,
+    cancel_unbond_atom: 0n,
+    tokenize_atom: 0n,
+    redeem_atom: 0n,
+    net_atom: 0n,
+    delegates_count: 0,
+    undelegates_count: 0,
+    redelegates_count: 0,
+    cancel_unbonds_count: 0,
+    tokenize_count: 0,
+    redeem_count: 0,
+    total_count: 0,
+  };
+}
+
+// aggregateByTime sums integer uatom; amounts become ATOM only in the written row
+export function toAtomBucket(b) {
+  return { ...b, ...Object.fromEntries(FLOW_AMOUNT_FIELDS.map((f) => [f, uatomToAtom(b[f])])) };
+}
+
+// Cached buckets keep amounts as uatom strings and leave zero fields out
+export function bucketToCache(b) {
+  return Object.fromEntries(Object.entries(b)
+    .filter(([k, v]) => k === 'key' || (v !== 0 && v !== 0n))
+    .map(([k, v]) => [k, typeof v === 'bigint' ? v.toString() : v]));
+}
+
+export function bucketFromCache(c) {
+  const b = emptyBucket(c.key);
+  for (const [k, v] of Object.entries(c)) {
+    if (k !== 'key') b[k] = FLOW_AMOUNT_FIELDS.includes(k) ? BigInt(v) : v;
+  }
+  return b;
+}
+
+/**
+ * Buckets of `items` (ledger rows) keyed by keyFn(timestamp), sorted by key.
+ * Rows are expected once each; callers dedupe by id first.
+ */
+export function aggregateByTime(items, keyFn) {
+  const buckets = new Map();
+
+  for (const item of items) {
+    const tsMs = Date.parse(item.timestamp || '');
+    if (!Number.isFinite(tsMs)) continue;
+
+    const key = keyFn(item.timestamp);
+    if (!key) continue;
+
+    if (!buckets.has(key)) buckets.set(key, emptyBucket(key));
+
+    const b = buckets.get(key);
+    const amt = eventUatom(item);
+    if (amt <= 0n) continue;
+
+    if (item.type === 'delegate') {
+      b.delegate_atom += amt;
+      b.delegates_count += 1;
+      b.net_atom += amt;
+    } else if (item.type === 'undelegate') {
+      b.undelegate_atom += amt;
+      b.undelegates_count += 1;
+      b.net_atom -= amt;
+    } else if (item.type === 'redelegate') {
+      // Validator-to-validator move: bonded stake is unchanged, so net_atom is untouched
+      b.redelegate_atom += amt;
+      b.redelegates_count += 1;
+    } else if (item.type === 'cancel_unbond') {
+      // Unbonding entry returned to the validator: stake is bonded again
+      b.cancel_unbond_atom += amt;
+      b.cancel_unbonds_count += 1;
+      b.net_atom += amt;
+    } else if (item.type === 'tokenize_shares') {
+      // Tokenized delegations stay bonded; tracked separately from net stake
+      b.tokenize_atom += amt;
+      b.tokenize_count += 1;
+    } else if (item.type === 'redeem_tokens') {
+      b.redeem_atom += amt;
+      b.redeem_count += 1;
+    }
+    b.total_count += 1;
+  }
+
+  return Array.from(buckets.values()).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
@@ -0,0 +1,14 @@
+// scripts/lib/icf.mjs
+// Interchain Foundation delegator accounts. Their undelegations are scheduled
+// treasury moves, not market signal: the pending schedule, unbonding flows and
+// event intelligence leave them out, while the feed and whale files keep every
+// ICF move whatever its size.
+
+export const ICF_DELEGATORS = new Set([
+  'cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7',
+  'cosmos1z6czaavlk6kjd48rpf58kqqw9ssad2uaxnazgl',
+]);
+
+export function isIcfDelegator(address) {
+  return ICF_DELEGATORS.has(String(address || '').toLowerCase());
+}
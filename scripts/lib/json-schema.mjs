@@ -0,0 +1,127 @@
+// scripts/lib/json-schema.mjs
+// Small JSON Schema (draft 2020-12) validator covering the keywords used by
+// schemas/*.json, so writers and guardrails need no npm dependencies.
+//
+// Supported: type (incl. integer and type lists), enum, const, properties,
+// required, additionalProperties, patternProperties, propertyNames, items,
+// minItems, maxItems, minimum, maximum, exclusiveMinimum, minLength, pattern,
+// format (date, date-time; asserted), allOf, anyOf, oneOf, local $ref ("#/$defs/x").
+// Unknown keywords are ignored, as the spec requires.
+
+const FORMATS = {
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && Number.isFinite(Date.parse(`${s}T00:00:00Z`)),
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(s) && Number.isFinite(Date.parse(s)),
+};
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  if (type === 'integer') return Number.isInteger(v);
+  if (type === 'number') return typeof v === 'number' && Number.isFinite(v);
+  return typeOf(v) === type;
+}
+
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $ref is supported: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+function check(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) throw new Error(`Unresolved $ref ${schema.$ref}`);
+    check(target, value, path, root, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((e) => e === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(', ')}` });
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must have length >= ${schema.minLength}` });
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push({ path, message: `must match ${schema.pattern}, got ${JSON.stringify(value.slice(0, 80))}` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a ${schema.format}, got ${JSON.stringify(value.slice(0, 80))}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have >= ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have <= ${schema.maxItems} items` });
+    if (schema.items !== undefined) value.forEach((item, i) => check(schema.items, item, pointer(path, i), root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path, message: `missing required property "${key}"` });
+    }
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p, 'u'), s]);
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.propertyNames) check(schema.propertyNames, key, pointer(path, key), root, errors);
+      let matched = false;
+      if (schema.properties && key in schema.properties) {
+        matched = true;
+        check(schema.properties[key], v, pointer(path, key), root, errors);
+      }
+      for (const [re, s] of patterns) {
+        if (!re.test(key)) continue;
+        matched = true;
+        check(s, v, pointer(path, key), root, errors);
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, v, pointer(path, key), root, errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) check(sub, value, path, root, errors);
+  if (schema.anyOf && !schema.anyOf.some((sub) => validate(sub, value, root).length === 0)) {
+    errors.push({ path, message: 'does not match any allowed shape (anyOf)' });
+  }
+  if (schema.oneOf) {
+    const hits = schema.oneOf.filter((sub) => validate(sub, value, root).length === 0).length;
+    if (hits !== 1) errors.push({ path, message: `must match exactly one shape (oneOf), matched ${hits}` });
+  }
+}
+
+/**
+ * Validates value against schema. Returns [{ path, message }] with JSON
+ * pointer paths ("" is the document root); empty when valid.
+ */
+export function validate(schema, value, root = schema) {
+  const errors = [];
+  check(schema, value, '', root, errors);
+  return errors;
+}
@@ -0,0 +1,113 @@
+// scripts/lib/ledger-chain.mjs
+// Tamper evidence for the append-only ledger. Every partition
+// data/ledger/events-YYYY-MM.jsonl has a rolling SHA-256 chain over its lines,
+// exactly as stored:
+//   h0 = sha256("atomprice-ledger|events-YYYY-MM.jsonl")
+//   hi = sha256(h(i-1) + "\n" + line i)
+// and state.json `chains` records each partition's sealed line count and head.
+// Editing, reordering, inserting or dropping any sealed line changes the head;
+// appending only extends it, so a head recorded at an earlier commit still
+// checks against today's file (scripts/v2/verify-ledger-v2.mjs --since=<rev>).
+//
+// Writers seal what they write: ingest extends the chain of the partitions it
+// appends to, the migration runner reseals the partitions it rewrites.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+
+export const CHAIN_ALGO = 'sha256-line-chain-v1';
+
+// Heads are also kept every CHECKPOINT_LINES lines so an altered partition can
+// be narrowed down to the block that changed.
+export const CHECKPOINT_LINES = 1000;
+
+export const PARTITION_RE = /^events-(\d{4}-\d{2})\.jsonl$/;
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+export function genesis(name) {
+  return sha256(`atomprice-ledger|${name}`);
+}
+
+// Lines as stored; a file ending without a newline has a torn last line.
+export function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Chain of a partition's lines: { lines, head, checkpoints }.
+export function chainOf(name, lines) {
+  let head = genesis(name);
+  const checkpoints = [];
+  for (let i = 0; i < lines.length; i++) {
+    head = sha256(`${head}\n${lines[i]}`);
+    if ((i + 1) % CHECKPOINT_LINES === 0) checkpoints.push(head);
+  }
+  return { lines: lines.length, head, checkpoints };
+}
+
+// Parsed rows with their 1-based line numbers, and the lines that are not ledger rows.
+export function parseLedgerLines(text) {
+  const rows = [];
+  const malformed = [];
+  splitLines(text).forEach((line, i) => {
+    if (!line.trim()) {
+      malformed.push({ line: i + 1, error: 'blank line' });
+      return;
+    }
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      malformed.push({ line: i + 1, error: err.message, text: line.slice(0, 120) });
+      return;
+    }
+    if (!row?.id) malformed.push({ line: i + 1, error: 'row without id', text: line.slice(0, 120) });
+    else rows.push({ line: i + 1, row });
+  });
+  return { rows, malformed };
+}
+
+/**
+ * Checks a partition's text against its sealed record ({ lines, head, checkpoints }).
+ * status: ok | unsealed (no record) | truncated (fewer lines than sealed) |
+ * altered (sealed lines changed; `altered_lines` is the first block whose
+ * checkpoint differs) | extended (sealed prefix intact, unsealed lines after it).
+ * `head` is the chain over the whole file.
+ */
+export function checkPartition(name, text, record) {
+  const lines = splitLines(text);
+  const current = chainOf(name, lines);
+  const base = { name, lines: current.lines, head: current.head, sealed_lines: record?.lines ?? null };
+  if (!record) return { ...base, status: 'unsealed' };
+  if (lines.length < record.lines) return { ...base, status: 'truncated' };
+  const prefix = chainOf(name, lines.slice(0, record.lines));
+  if (prefix.head !== record.head) {
+    const sealed = record.checkpoints || [];
+    const block = sealed.findIndex((h, i) => h !== prefix.checkpoints[i]);
+    const from = (block === -1 ? sealed.length : block) * CHECKPOINT_LINES + 1;
+    const to = block === -1 ? record.lines : Math.min(record.lines, from + CHECKPOINT_LINES - 1);
+    return { ...base, status: 'altered', altered_lines: { from, to } };
+  }
+  return { ...base, status: lines.length === record.lines ? 'ok' : 'extended' };
+}
+
+export async function listPartitions(dir) {
+  try {
+    return (await fs.readdir(dir)).filter((n) => PARTITION_RE.test(n)).sort();
+  } catch {
+    return [];
+  }
+}
+
+export function partitionKey(name) {
+  return name.match(PARTITION_RE)?.[1] ?? null;
+}
+
+// state.json `chains` entry for a partition's current text.
+export function sealRecord(name, text, nowIso) {
+  return { ...chainOf(name, splitLines(text)), sealed_at: nowIso };
+}
@@ -0,0 +1,196 @@
+// scripts/lib/ledger-coverage.mjs
+// Coverage index for the v2 ledger: which block heights each RPC provider has
+// fully scanned, kept next to state.json in data/ledger/coverage.json.
+//
+// Height ranges are closed intervals { from_height, to_height } and may carry
+// the block times of their ends (from_time / to_time) when the scan resolved them.
+//
+// Index shape:
+//   providers  { [name]: { rpc_base, ranges: [range] } }    merged per provider
+//   segments   [{ from_height, to_height, providers: [name] }]  constant provider set
+//   covered    [range]       union of all providers, with block times
+//   holes      [range]       heights below the frontier nobody has scanned
+//   partitions { 'YYYY-MM': { complete, covered_from_time, covered_to_time } }
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe } from './data-files.mjs';
+
+export const COVERAGE_FILE = path.join(process.cwd(), 'data', 'ledger', 'coverage.json');
+
+export function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter((r) => r && r.to_height >= r.from_height)
+    .map((r) => ({ ...r }))
+    .sort((a, b) => a.from_height - b.from_height);
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && r.from_height <= last.to_height + 1) {
+      if (r.to_height > last.to_height) {
+        last.to_height = r.to_height;
+        if ('to_time' in r || 'to_time' in last) last.to_time = r.to_time ?? null;
+      }
+      if (r.detected_at && (!last.detected_at || r.detected_at < last.detected_at)) last.detected_at = r.detected_at;
+    } else {
+      out.push(r);
+    }
+  }
+  return out;
+}
+
+// Removes covered heights from ranges; split pieces lose the block times of
+// the cut ends.
+export function subtractRanges(ranges, covered) {
+  let out = ranges.map((r) => ({ ...r }));
+  for (const c of mergeRanges(covered)) {
+    out = out.flatMap((r) => {
+      if (c.to_height < r.from_height || c.from_height > r.to_height) return [r];
+      const parts = [];
+      if (c.from_height > r.from_height) {
+        const part = { ...r, to_height: c.from_height - 1 };
+        if ('to_time' in part) part.to_time = null;
+        parts.push(part);
+      }
+      if (c.to_height < r.to_height) {
+        const part = { ...r, from_height: c.to_height + 1 };
+        if ('from_time' in part) part.from_time = null;
+        parts.push(part);
+      }
+      return parts;
+    });
+  }
+  return out;
+}
+
+export function blocksIn(ranges) {
+  return ranges.reduce((s, r) => s + (r.to_height - r.from_height + 1), 0);
+}
+
+export function parseRangeList(text) {
+  return String(text || '')
+    .split(',')
+    .map((s) => s.trim().match(/^(\d+)-(\d+)$/))
+    .filter(Boolean)
+    .map((m) => ({ from_height: Number(m[1]), to_height: Number(m[2]) }))
+    .filter((r) => r.from_height > 0 && r.to_height >= r.from_height);
+}
+
+export function formatRangeList(ranges) {
+  return ranges.map((r) => `${r.from_height}-${r.to_height}`).join(',');
+}
+
+// Sweeps every provider's ranges into maximal segments with the same provider set.
+function buildSegments(providers) {
+  const points = [];
+  for (const [name, p] of Object.entries(providers)) {
+    for (const r of p.ranges || []) {
+      points.push({ height: r.from_height, name, delta: 1 });
+      points.push({ height: r.to_height + 1, name, delta: -1 });
+    }
+  }
+  points.sort((a, b) => a.height - b.height);
+
+  const active = new Map();
+  const segments = [];
+  for (let i = 0; i < points.length; i++) {
+    const h = points[i].height;
+    while (i < points.length && points[i].height === h) {
+      const { name, delta } = points[i];
+      const n = (active.get(name) || 0) + delta;
+      if (n > 0) active.set(name, n);
+      else active.delete(name);
+      i++;
+    }
+    i--;
+    const next = points[i + 1]?.height;
+    if (!active.size || next === undefined) continue;
+
+    const names = [...active.keys()].sort();
+    const last = segments[segments.length - 1];
+    if (last && last.to_height === h - 1 && last.providers.join(',') === names.join(',')) {
+      last.to_height = next - 1;
+    } else {
+      segments.push({ from_height: h, to_height: next - 1, providers: names });
+    }
+  }
+  return segments;
+}
+
+function monthStart(key) {
+  return new Date(`${key}-01T00:00:00.000Z`);
+}
+
+function nextMonthKey(key) {
+  const d = monthStart(key);
+  d.setUTCMonth(d.getUTCMonth() + 1);
+  return d.toISOString().slice(0, 7);
+}
+
+// A partition is complete when one contiguous covered range spans its whole month.
+function buildPartitions(covered) {
+  const partitions = {};
+  for (const r of covered) {
+    if (!r.from_time || !r.to_time) continue;
+    for (let key = r.from_time.slice(0, 7); key <= r.to_time.slice(0, 7); key = nextMonthKey(key)) {
+      const start = monthStart(key).toISOString();
+      const end = monthStart(nextMonthKey(key)).toISOString();
+      const from = r.from_time > start ? r.from_time : start;
+      const to = r.to_time < end ? r.to_time : end;
+      const prev = partitions[key];
+      const complete = r.from_time <= start && r.to_time >= end;
+      partitions[key] = {
+        complete: Boolean(prev?.complete || complete),
+        covered_from_time: prev && prev.covered_from_time < from ? prev.covered_from_time : from,
+        covered_to_time: prev && prev.covered_to_time > to ? prev.covered_to_time : to,
+      };
+    }
+  }
+  return partitions;
+}
+
+export async function loadCoverage() {
+  return readJsonSafe(COVERAGE_FILE, { generated_at: null, chain_id: 'cosmoshub-4', frontier_height: null, providers: {} });
+}
+
+export function addCoverage(index, provider, rpcBase, range) {
+  const prev = index.providers[provider] || { rpc_base: rpcBase, ranges: [] };
+  index.providers[provider] = {
+    rpc_base: rpcBase || prev.rpc_base,
+    ranges: mergeRanges([...prev.ranges, {
+      from_height: range.from_height,
+      to_height: range.to_height,
+      from_time: range.from_time ?? null,
+      to_time: range.to_time ?? null,
+    }]),
+  };
+}
+
+// Heights in window covered by fewer than minProviders providers.
+export function findHoles(index, window, minProviders = 1) {
+  const covered = buildSegments(index.providers || {})
+    .filter((s) => s.providers.length >= minProviders);
+  return subtractRanges([{ from_height: window.from_height, to_height: window.to_height }], covered);
+}
+
+export async function saveCoverage(index, frontier) {
+  const covered = mergeRanges(Object.values(index.providers).flatMap((p) => p.ranges));
+  const out = {
+    generated_at: new Date().toISOString(),
+    chain_id: index.chain_id || 'cosmoshub-4',
+    frontier_height: frontier ?? index.frontier_height ?? null,
+    providers: index.providers,
+    segments: buildSegments(index.providers),
+    covered,
+    holes: [],
+    partitions: buildPartitions(covered),
+  };
+  if (covered.length && out.frontier_height) {
+    out.holes = findHoles(out, { from_height: covered[0].from_height, to_height: out.frontier_height });
+  }
+
+  await fs.mkdir(path.dirname(COVERAGE_FILE), { recursive: true });
+  await writeJsonChecked(COVERAGE_FILE, out);
+  return out;
+}
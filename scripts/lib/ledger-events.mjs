@@ -0,0 +1,72 @@
+// scripts/lib/ledger-events.mjs
+// Turns one provider's feed row (scripts/fetch-delegation-feed.mjs writes them
+// to delegation-events-raw.json) into a ledger row: the type folded onto the
+// ledger's types, the amount as integer uatom, the id of
+// scripts/lib/event-identity.mjs. Rows the ledger cannot hold (no known type,
+// no amount, neither time nor height) come back null.
+
+import { CHAIN_ID, eventId } from './event-identity.mjs';
+import { LEDGER_SCHEMA_VERSION } from './ledger-schema.mjs';
+import { atomToUatom, eventUatom } from './uatom.mjs';
+
+export const LSM_TYPES = new Set(['tokenize_shares', 'redeem_tokens', 'transfer_share_record']);
+
+export function normalizeType(v) {
+  const t = String(v || '').toLowerCase();
+  if (t.includes('tokenize_shares') || t.includes('tokenizeshares')) return 'tokenize_shares';
+  if (t.includes('redeem')) return 'redeem_tokens';
+  if (t.includes('share_record') || t.includes('sharerecord')) return 'transfer_share_record';
+  if (t.includes('cancel')) return 'cancel_unbond';
+  if (t.includes('redelegate')) return 'redelegate';
+  if (t.includes('undelegate') || t.includes('unbond')) return 'undelegate';
+  if (t.includes('delegate')) return 'delegate';
+  return null;
+}
+
+export function normalizeEvent(ev, source, ingestedAt = new Date().toISOString()) {
+  const type = normalizeType(ev.type || ev.msg_type || ev.action || ev.event_type);
+  if (!type) return null;
+
+  const txhash = String(ev.txhash || ev.tx_hash || ev.hash || ev.transaction_hash || '').toUpperCase();
+  const msgIndex = Number(ev.msg_index ?? ev.message_index ?? 0);
+  const eventIndex = Number(ev.event_index ?? ev.log_index ?? 0);
+  // Integer uatom from providers that have it, otherwise recovered from their float ATOM
+  const amountUatom = ev.amount_uatom !== undefined
+    ? eventUatom(ev)
+    : BigInt(atomToUatom(ev.amount_atom ?? ev.amount ?? ev.atom ?? 0) ?? -1);
+  const timestampRaw = ev.timestamp || ev.block_time || ev.time || ev.completion_time;
+  // An unparseable time counts as none rather than failing the provider's whole run
+  const timestampMs = timestampRaw ? new Date(timestampRaw).getTime() : NaN;
+  const timestamp = Number.isFinite(timestampMs) ? new Date(timestampMs).toISOString() : null;
+  const height = Number(ev.height || ev.block_height || 0) || 0;
+  const delegator = String(ev.delegator || ev.delegator_address || ev.address || '').toLowerCase();
+  const validatorAddr = String(ev.validator_addr || ev.validator || ev.validator_address || '');
+  const validatorName = String(ev.validator_name || ev.validator_moniker || '');
+  // Redelegations move stake from a source validator to validator_addr (the destination)
+  const srcValidatorAddr = String(ev.src_validator_addr || ev.validator_src_address || ev.source_validator || '');
+  const srcValidatorName = String(ev.src_validator_name || '');
+
+  // LSM record transfers change ownership only and carry no amount
+  if (amountUatom < 0n || (amountUatom === 0n && type !== 'transfer_share_record')) return null;
+  if (!timestamp && !height) return null;
+
+  const row = {
+    chain_id: CHAIN_ID,
+    source,
+    type,
+    txhash,
+    msg_index: msgIndex,
+    event_index: eventIndex,
+    timestamp,
+    height,
+    delegator,
+    validator_addr: validatorAddr,
+    validator_name: validatorName,
+    ...(type === 'redelegate' ? { src_validator_addr: srcValidatorAddr, src_validator_name: srcValidatorName } : {}),
+    ...(type === 'cancel_unbond' ? { creation_height: Number(ev.creation_height || 0) || null } : {}),
+    ...(LSM_TYPES.has(type) ? { share_record_id: String(ev.share_record_id || ''), share_owner: String(ev.share_owner || '') } : {}),
+    amount_uatom: amountUatom.toString(),
+    ingested_at: ingestedAt
+  };
+  return { id: eventId(row), schema_version: LEDGER_SCHEMA_VERSION, ...row };
+}
@@ -0,0 +1,271 @@
+// scripts/lib/ledger-quarantine.mjs
+// Events that some providers reported but that fell short of quorum. Ingest
+// keeps them here with their evidence instead of discarding them, merges the
+// evidence of later runs (a lagging provider's cursor reaching the height, a
+// --ranges repair) and promotes an event to the ledger once enough providers
+// have reported it.
+//
+// Store: data/ledger/quarantine/events-YYYY-MM.jsonl (by event time), one entry
+// per event, rewritten atomically by each ingest run (which holds the lock of
+// QUARANTINE_DIR from loading the store to saving it):
+//   { id, height, timestamp, first_seen_at, last_seen_at,
+//     supporters [provider]   reported the event
+//     scanned_by [provider]   fully scanned its height (supporters included)
+//     event { ledger row } }
+// scanned_by counts providers whose earlier runs covered the height
+// (coverage.json) as well as this run's. An event needs
+// min(RPC_QUORUM_MIN, max(2, |scanned_by|)) supporters, so a height only one
+// provider has reached (a lagging provider re-scanning, a tip a few blocks
+// ahead) is quarantined until another reaches it; only a single-provider setup
+// accepts one provider's word. Entries older than QUARANTINE_KEEP_DAYS (by
+// first_seen_at) expire.
+//
+// data/ledger/quorum-forensics.json tracks, per provider and UTC day, how many
+// events it reported, how many only it reported although others scanned the
+// height (unique: hallucinating, or the others miss data) and how many it missed
+// that others reported at heights it scanned (missed: lagging or dropping).
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe, withFileLock, writeFileAtomic } from './data-files.mjs';
+
+export const QUARANTINE_DIR = path.join(process.cwd(), 'data', 'ledger', 'quarantine');
+export const FORENSICS_FILE = path.join(process.cwd(), 'data', 'ledger', 'quorum-forensics.json');
+
+const KEEP_DAYS = Number(process.env.QUARANTINE_KEEP_DAYS ?? '30');
+const FORENSICS_DAYS = Number(process.env.QUORUM_FORENSICS_DAYS ?? '90');
+
+function partitionOf(entry) {
+  return /^\d{4}-\d{2}/.test(entry.timestamp || '') ? entry.timestamp.slice(0, 7) : entry.first_seen_at.slice(0, 7);
+}
+
+function round(n, places = 4) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/** All quarantined entries by event id. */
+export async function loadQuarantine() {
+  const entries = new Map();
+  let names = [];
+  try {
+    names = (await fs.readdir(QUARANTINE_DIR)).filter((n) => /^events-\d{4}-\d{2}\.jsonl$/.test(n)).sort();
+  } catch {
+    return entries;
+  }
+  for (const name of names) {
+    for (const line of (await fs.readFile(path.join(QUARANTINE_DIR, name), 'utf8')).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry?.id) entries.set(entry.id, entry);
+      } catch {
+        console.log(`⚠️ quarantine/${name}: skipped a malformed line`);
+      }
+    }
+  }
+  return entries;
+}
+
+/** Rewrites the quarantine partitions (atomically), removing emptied ones. */
+export async function saveQuarantine(entries) {
+  await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+  const byPartition = new Map();
+  for (const entry of [...entries.values()].sort((a, b) => (a.height - b.height) || a.id.localeCompare(b.id))) {
+    const key = partitionOf(entry);
+    if (!byPartition.has(key)) byPartition.set(key, []);
+    byPartition.get(key).push(JSON.stringify(entry));
+  }
+  const existing = (await fs.readdir(QUARANTINE_DIR)).filter((n) => /^events-\d{4}-\d{2}\.jsonl$/.test(n));
+  for (const name of existing) {
+    if (!byPartition.has(name.slice(7, 14))) await fs.rm(path.join(QUARANTINE_DIR, name), { force: true });
+  }
+  for (const [key, lines] of byPartition) {
+    await writeFileAtomic(path.join(QUARANTINE_DIR, `events-${key}.jsonl`), `${lines.join('\n')}\n`);
+  }
+}
+
+// Evidence of this run merged into an event's quarantine entry (new or existing).
+export function mergeEvidence(entry, { event, supporters, scannedBy, nowIso }) {
+  return {
+    id: event.id,
+    height: event.height,
+    timestamp: event.timestamp,
+    first_seen_at: entry?.first_seen_at || nowIso,
+    last_seen_at: supporters.size ? nowIso : (entry?.last_seen_at || nowIso),
+    supporters: [...new Set([...(entry?.supporters || []), ...supporters])].sort(),
+    scanned_by: [...new Set([...(entry?.scanned_by || []), ...scannedBy, ...supporters])].sort(),
+    event: entry?.event || event
+  };
+}
+
+export function requiredSupporters(entry, quorumMin) {
+  return Math.min(quorumMin, Math.max(2, entry.scanned_by.length));
+}
+
+export function isExpired(entry, nowIso) {
+  return Date.parse(entry.first_seen_at) < Date.parse(nowIso) - KEEP_DAYS * 86400000;
+}
+
+/** Heights a provider run fully scanned, or null when it scanned none. */
+export function scannedRange(run) {
+  return run.ok && run.scan && run.scan.scanned_to_height >= run.scan.from_height
+    ? { from_height: run.scan.from_height, to_height: run.scan.scanned_to_height }
+    : null;
+}
+
+/**
+ * Quorum over one ingest run. `providerRuns` are the providers' runs
+ * ({ provider, ok, scan, events: [ledger row] }), `quarantine` the entries
+ * loaded by loadQuarantine(), `priorCoverage` the coverage index's providers
+ * before this run ({ [name]: { ranges } }) and `providerCount` how many
+ * providers are configured; none is modified. An event whose supporters,
+ * this run's and its quarantine entry's, reach requiredSupporters() is
+ * selected (and promoted if it was quarantined); the others are quarantined
+ * with their evidence. Entries this run did not report gain the providers that
+ * scanned their height, and old ones expire. Returns the selected events, the
+ * next quarantine, the per-provider forensics counts and the evidence behind
+ * them.
+ */
+export function selectQuorum({ providerRuns, quarantine, quorumMin, nowIso, priorCoverage = {}, providerCount = providerRuns.length }) {
+  const okProviders = new Set(providerRuns.filter((r) => r.ok).map((r) => r.provider));
+  // With a single provider configured its word is all there is
+  const minSupporters = Math.max(1, Math.min(quorumMin, providerCount));
+
+  // Which providers fully scanned each height, in this run or an earlier one,
+  // decides how many supporters an event there needs (and whether a lone
+  // report is unique). Missed reports only count against this run's scanners.
+  const coverage = providerRuns
+    .map((r) => ({ provider: r.provider, range: scannedRange(r) }))
+    .filter((c) => c.range);
+  const priorRanges = Object.entries(priorCoverage)
+    .flatMap(([provider, p]) => (p?.ranges || []).map((range) => ({ provider, range })));
+  const coveringAt = (height, ranges = coverage) => new Set(
+    ranges
+      .filter((c) => height >= c.range.from_height && height <= c.range.to_height)
+      .map((c) => c.provider)
+  );
+  const scannedAt = (height) => new Set([...coveringAt(height), ...coveringAt(height, priorRanges)]);
+
+  const evidence = new Map();
+  const canonical = new Map();
+  for (const run of providerRuns.filter((r) => r.ok)) {
+    for (const e of run.events) {
+      if (!canonical.has(e.id)) canonical.set(e.id, e);
+      if (!evidence.has(e.id)) evidence.set(e.id, new Set());
+      evidence.get(e.id).add(run.provider);
+    }
+  }
+
+  const next = new Map(quarantine);
+  const forensics = Object.fromEntries([...okProviders].map((p) => [p, { events: 0, unique: 0, missed: 0 }]));
+  const quorumEvents = [];
+  let droppedByQuorum = 0;
+  let quarantined = 0;
+  let promoted = 0;
+  for (const [id, ev] of canonical.entries()) {
+    const supporters = evidence.get(id) || new Set();
+    const covering = coveringAt(ev.height);
+    const scanned = scannedAt(ev.height);
+    for (const p of supporters) {
+      forensics[p].events++;
+      if (supporters.size === 1 && scanned.size > 1) forensics[p].unique++;
+    }
+    for (const p of covering) if (!supporters.has(p)) forensics[p].missed++;
+
+    const prior = next.get(id);
+    const entry = mergeEvidence(prior, { event: ev, supporters, scannedBy: scanned, nowIso });
+    if (entry.supporters.length >= requiredSupporters(entry, minSupporters)) {
+      quorumEvents.push(ev);
+      if (prior) {
+        next.delete(id);
+        promoted++;
+      }
+    } else {
+      droppedByQuorum++;
+      if (!prior) quarantined++;
+      next.set(id, entry);
+    }
+  }
+
+  // Quarantined events this run's providers scanned past without reporting
+  let expired = 0;
+  for (const [id, entry] of next) {
+    if (isExpired(entry, nowIso)) {
+      next.delete(id);
+      expired++;
+    } else if (!canonical.has(id)) {
+      const covering = coveringAt(entry.height);
+      if (covering.size) next.set(id, mergeEvidence(entry, { event: entry.event, supporters: new Set(), scannedBy: covering, nowIso }));
+    }
+  }
+
+  return {
+    okProviders,
+    coverage,
+    evidence,
+    canonical,
+    quorumEvents,
+    quarantine: next,
+    forensics,
+    droppedByQuorum,
+    quarantined,
+    promoted,
+    expired,
+  };
+}
+
+/**
+ * Folds one run's per-provider counts ({ [provider]: { events, unique, missed } })
+ * and quarantine activity into the forensics report, keeping FORENSICS_DAYS days.
+ */
+export async function recordForensics({ providers, quarantine }, nowIso) {
+  return withFileLock(FORENSICS_FILE, async () => {
+    const report = await readJsonSafe(FORENSICS_FILE);
+    const date = nowIso.slice(0, 10);
+    const days = new Map((report?.days || []).map((d) => [d.date, d]));
+    const day = days.get(date) || { date, runs: 0, providers: {}, quarantined: 0, promoted: 0, expired: 0 };
+    day.runs++;
+    day.quarantined += quarantine.quarantined;
+    day.promoted += quarantine.promoted;
+    day.expired += quarantine.expired;
+    for (const [name, c] of Object.entries(providers)) {
+      const p = day.providers[name] || { events: 0, unique: 0, missed: 0 };
+      p.events += c.events;
+      p.unique += c.unique;
+      p.missed += c.missed;
+      day.providers[name] = p;
+    }
+    days.set(date, day);
+
+    const cutoff = new Date(Date.parse(nowIso) - (FORENSICS_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+    const kept = [...days.values()].filter((d) => d.date >= cutoff).sort((a, b) => a.date.localeCompare(b.date));
+
+    const totals = {};
+    for (const d of kept) {
+      for (const [name, c] of Object.entries(d.providers)) {
+        const t = totals[name] || { events: 0, unique: 0, missed: 0 };
+        t.events += c.events;
+        t.unique += c.unique;
+        t.missed += c.missed;
+        totals[name] = t;
+      }
+    }
+    for (const t of Object.values(totals)) {
+      t.unique_rate = t.events ? round(t.unique / t.events) : null;
+      // Share of the events it should have seen (its own plus those it missed) that it missed
+      t.missed_rate = t.events + t.missed ? round(t.missed / (t.events + t.missed)) : null;
+    }
+
+    const next = {
+      generated_at: nowIso,
+      window_days: FORENSICS_DAYS,
+      quarantine_open: quarantine.open,
+      providers: totals,
+      days: kept
+    };
+    await writeJsonChecked(FORENSICS_FILE, next);
+    return next;
+  });
+}
@@ -0,0 +1,98 @@
+// scripts/lib/ledger-schema.mjs
+// Versioned ledger rows. Every row in data/ledger/events-*.jsonl carries
+// `schema_version`; rows written before the field existed are version 1.
+// Readers accept any version up to LEDGER_SCHEMA_VERSION and refuse newer ones,
+// which only a newer tree can interpret. scripts/v2/migrate-ledger-v2.mjs
+// upgrades partitions in place by applying MIGRATIONS in order.
+//
+//   1  unversioned: float amount_atom, ids hashed per writer
+//   2  integer amount_uatom string in place of amount_atom
+//   3  canonical ids (scripts/lib/event-identity.mjs)
+//
+// A new row shape means a new version: bump LEDGER_SCHEMA_VERSION, change
+// normalizeEvent in ledger-events.mjs and append its migration here. Each
+// migration's `up` must leave a row it already upgraded unchanged.
+
+import { eventId } from './event-identity.mjs';
+import { atomToUatom } from './uatom.mjs';
+
+export const LEDGER_SCHEMA_VERSION = 3;
+
+export class LedgerSchemaVersionError extends Error {
+  constructor(where, version) {
+    super(`${where} is at ledger schema version ${JSON.stringify(version)}; this tree reads versions 1-${LEDGER_SCHEMA_VERSION}`);
+    this.name = 'LedgerSchemaVersionError';
+    this.where = where;
+    this.version = version;
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    id: '0002-amount-uatom',
+    version: 2,
+    description: 'Float amount_atom becomes the exact integer amount_uatom string',
+    up(row) {
+      if (!('amount_atom' in row)) return row;
+      const uatom = row.amount_uatom ?? atomToUatom(row.amount_atom);
+      if (uatom === null) throw new Error(`Row ${row.id || '?'} has a non-numeric amount_atom: ${JSON.stringify(row.amount_atom)}`);
+      // Keep field order: amount_uatom takes amount_atom's place
+      return Object.fromEntries(Object.entries(row).flatMap(([k, v]) => {
+        if (k === 'amount_atom') return [['amount_uatom', String(uatom)]];
+        if (k === 'amount_uatom') return [];
+        return [[k, v]];
+      }));
+    }
+  },
+  {
+    id: '0003-canonical-ids',
+    version: 3,
+    description: 'Ids recomputed from the canonical event identity; duplicates merged by the runner',
+    up(row) {
+      return {
+        ...row,
+        id: eventId(row),
+        txhash: String(row.txhash || '').toUpperCase(),
+        delegator: String(row.delegator || '').toLowerCase(),
+        validator_addr: String(row.validator_addr || '').toLowerCase()
+      };
+    }
+  }
+];
+
+// Rows without the field predate versioning.
+export function rowSchemaVersion(row) {
+  return row?.schema_version ?? 1;
+}
+
+export function isKnownVersion(version) {
+  return Number.isInteger(version) && version >= 1 && version <= LEDGER_SCHEMA_VERSION;
+}
+
+// Throws LedgerSchemaVersionError for a row this tree cannot interpret.
+export function assertReadableRow(row, where) {
+  const version = rowSchemaVersion(row);
+  if (!isKnownVersion(version)) throw new LedgerSchemaVersionError(where, version);
+  return version;
+}
+
+// `schema_version` sits right after `id`, ahead of the event fields.
+export function withSchemaVersion(row, version = LEDGER_SCHEMA_VERSION) {
+  const { id, schema_version: _, ...rest } = row;
+  return { ...(id !== undefined ? { id } : {}), schema_version: version, ...rest };
+}
+
+// Applies every migration newer than the row's version; returns the row unchanged
+// (same object) when it is already current.
+export function upgradeRow(row, where = 'ledger row') {
+  const from = assertReadableRow(row, where);
+  if (from === LEDGER_SCHEMA_VERSION) return { row, applied: [] };
+  let next = row;
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    next = m.up(next);
+    applied.push(m.id);
+  }
+  return { row: withSchemaVersion(next), applied };
+}
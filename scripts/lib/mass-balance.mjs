@@ -0,0 +1,229 @@
+// scripts/lib/mass-balance.mjs
+// Mass-balance reconciliation: each day's observed change in bonded tokens
+// (data/historical-total-staked.json) against what the ledger says should have
+// moved. A residual well outside tolerance on a fully covered day points at
+// events the ledger missed.
+//
+// Expected change over a day, per validator, using the daily validator-history
+// snapshots at the start (previous day) and end of the window:
+//   bonded at both ends     delegate - undelegate + cancel_unbond, plus
+//                           redelegation legs in (+) and out (-)
+//   left the bonded set     -voting power at the start. Jailing (and the slash
+//                           that comes with it on the Hub) removes the whole
+//                           stake at once; that day's events for it are skipped.
+//   joined the bonded set   +voting power at the end; events skipped likewise
+//   not bonded at either    nothing
+// Without snapshots for both ends every validator is assumed to stay bonded.
+// LSM tokenize/redeem keep stake bonded. Matured unbondings leave the
+// not-bonded pool, so they are reported for reference but are not part of the
+// expected change: an undelegation leaves bonded_tokens on the day it starts.
+//
+// Env (optional):
+//   MASS_BALANCE_DAYS            default: 30 (days reconciled, newest first)
+//   MASS_BALANCE_TOLERANCE_ATOM  default: 1000 (sub-FEED_MIN events, reading skew)
+//   MASS_BALANCE_TOLERANCE_PCT   default: 1 (% of the day's gross flow)
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readJsonSafe } from './data-files.mjs';
+import { listPartitions, parseLedgerLines, partitionKey } from './ledger-chain.mjs';
+import { loadCoverage } from './ledger-coverage.mjs';
+import { assertReadableRow } from './ledger-schema.mjs';
+import { eventUatom, uatomToAtom } from './uatom.mjs';
+import { loadSnapshotOnOrBefore } from './validator-registry.mjs';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+const DAYS = Number(process.env.MASS_BALANCE_DAYS ?? '30');
+const TOLERANCE_ATOM = Number(process.env.MASS_BALANCE_TOLERANCE_ATOM ?? '1000');
+const TOLERANCE_PCT = Number(process.env.MASS_BALANCE_TOLERANCE_PCT ?? '1');
+
+// historical-total-staked.json `total` is millions rounded to 0.01: ±5,000 ATOM per reading.
+const ROUNDED_READING_ATOM = 5000;
+
+const FLOW_SIGNS = { delegate: 1n, cancel_unbond: 1n, undelegate: -1n };
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function nextDay(date) {
+  return new Date(Date.parse(`${date}T00:00:00.000Z`) + 86400000).toISOString().slice(0, 10);
+}
+
+function bondedAtom(row) {
+  return Number.isFinite(row?.bonded_atom) ? row.bonded_atom : Number(row?.total || 0) * 1e6;
+}
+
+// Exact readings carry observed_at; older rows are end-of-UTC-day values.
+function readingTime(row) {
+  return row?.observed_at || `${nextDay(row.date)}T00:00:00.000Z`;
+}
+
+async function loadLedgerWindow(fromIso, toIso, asOf) {
+  const dir = path.join(DATA_DIR, 'ledger');
+  const dedup = new Map();
+  for (const name of await listPartitions(dir)) {
+    const key = partitionKey(name);
+    if (key < fromIso.slice(0, 7) || key > toIso.slice(0, 7)) continue;
+    // Malformed lines are verify-ledger's to report
+    const { rows } = parseLedgerLines(await fs.readFile(path.join(dir, name), 'utf8'));
+    for (const { row } of rows) {
+      assertReadableRow(row, name);
+      if (row.timestamp < fromIso || row.timestamp >= toIso) continue;
+      if (!asOf || !row.ingested_at || row.ingested_at <= asOf) dedup.set(row.id, row);
+    }
+  }
+  return [...dedup.values()];
+}
+
+// A window is covered when one scanned range with known block times spans it.
+function isCovered(coverage, fromIso, toIso) {
+  return (coverage?.covered || []).some((r) => r.from_time && r.to_time && r.from_time <= fromIso && r.to_time >= toIso);
+}
+
+// Validators missing from the snapshot (or with no snapshot) count as bonded.
+function isBonded(snapshot, addr) {
+  const v = snapshot?.validators?.[addr];
+  return v ? v.status === 'bonded' : true;
+}
+
+// [validator, signed uatom] for each validator an event moves stake in or out of
+function eventLegs(e) {
+  const amt = eventUatom(e);
+  if (amt <= 0n) return [];
+  if (e.type === 'redelegate') return [[e.validator_addr, amt], [e.src_validator_addr, -amt]];
+  return e.type in FLOW_SIGNS ? [[e.validator_addr, FLOW_SIGNS[e.type] * amt]] : [];
+}
+
+function reconcileDay(events, start, end) {
+  const left = [];
+  const joined = [];
+  let setChange = 0;
+  if (start && end) {
+    for (const addr of new Set([...Object.keys(start.validators || {}), ...Object.keys(end.validators || {})])) {
+      const before = start.validators?.[addr];
+      const after = end.validators?.[addr];
+      const wasBonded = before?.status === 'bonded';
+      const nowBonded = after?.status === 'bonded';
+      if (wasBonded && !nowBonded) {
+        setChange -= Number(before.voting_power_atom || 0);
+        left.push({ validator: addr, voting_power_atom: round(Number(before.voting_power_atom || 0)), jailed: Boolean(after?.jailed) });
+      } else if (!wasBonded && nowBonded) {
+        // Includes validators created that day: MsgCreateValidator self-bonds are not in the ledger
+        setChange += Number(after.voting_power_atom || 0);
+        joined.push({ validator: addr, voting_power_atom: round(Number(after.voting_power_atom || 0)) });
+      }
+    }
+  }
+
+  const moved = new Set([...left, ...joined].map((v) => v.validator));
+  let ledgerNet = 0n;
+  let redelegation = 0n;
+  let gross = 0n;
+  for (const e of events) {
+    for (const [addr, delta] of eventLegs(e)) {
+      if (moved.has(addr) || !isBonded(start, addr)) continue;
+      if (e.type === 'redelegate') redelegation += delta;
+      else ledgerNet += delta;
+      gross += delta < 0n ? -delta : delta;
+    }
+  }
+  return {
+    ledgerNet: uatomToAtom(ledgerNet),
+    redelegation: uatomToAtom(redelegation),
+    setChange,
+    gross: uatomToAtom(gross) + Math.abs(setChange),
+    left,
+    joined,
+  };
+}
+
+/**
+ * Reconciles the newest MASS_BALANCE_DAYS days of bonded-token readings
+ * against the ledger. Returns per-day rows (newest first) and
+ * a summary; days whose window the ledger coverage does not span are reported
+ * but never flagged. With asOf (ISO), only readings taken and ledger rows
+ * ingested by then count.
+ */
+export async function reconcileMassBalance({ days = DAYS, asOf = null } = {}) {
+  const series = (await readJsonSafe(path.join(DATA_DIR, 'historical-total-staked.json'), []))
+    .filter((r) => r?.date && (!asOf || readingTime(r) <= asOf))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const coverage = await loadCoverage();
+  const matured = new Map(((await readJsonSafe(path.join(DATA_DIR, 'undelegation-history.json'), {}))?.daily_totals || [])
+    .map((d) => [d.date, Number(d.atom || 0)]));
+
+  const pairs = [];
+  for (let i = series.length - 1; i > 0 && pairs.length < days; i--) {
+    if (nextDay(series[i - 1].date) === series[i].date) pairs.push([series[i - 1], series[i]]);
+  }
+  const fromIso = pairs.length ? readingTime(pairs[pairs.length - 1][0]) : null;
+  const toIso = pairs.length ? readingTime(pairs[0][1]) : null;
+  const events = pairs.length ? await loadLedgerWindow(fromIso, toIso, asOf) : [];
+
+  const rows = [];
+  for (const [prev, cur] of pairs) {
+    const windowFrom = readingTime(prev);
+    const windowTo = readingTime(cur);
+    const [startSnap, endSnap] = await Promise.all([
+      loadSnapshotOnOrBefore(prev.date),
+      loadSnapshotOnOrBefore(cur.date),
+    ]);
+    const snapshots = startSnap?.date === prev.date && endSnap?.date === cur.date;
+    const dayEvents = events.filter((e) => e.timestamp >= windowFrom && e.timestamp < windowTo);
+    const { ledgerNet, redelegation, setChange, gross, left, joined } = reconcileDay(
+      dayEvents,
+      snapshots ? startSnap : null,
+      snapshots ? endSnap : null,
+    );
+
+    const observed = bondedAtom(cur) - bondedAtom(prev);
+    const expected = ledgerNet + redelegation + setChange;
+    const residual = observed - expected;
+    const rounding = (Number.isFinite(prev.bonded_atom) ? 0 : ROUNDED_READING_ATOM) + (Number.isFinite(cur.bonded_atom) ? 0 : ROUNDED_READING_ATOM);
+    const tolerance = TOLERANCE_ATOM + rounding + (TOLERANCE_PCT / 100) * gross;
+    const covered = isCovered(coverage, windowFrom, windowTo);
+
+    let status = 'ok';
+    if (!covered) status = 'uncovered';
+    else if (Math.abs(residual) > tolerance) status = 'suspect';
+
+    rows.push({
+      date: cur.date,
+      window_from: windowFrom,
+      window_to: windowTo,
+      observed_delta_atom: round(observed),
+      ledger_net_atom: round(ledgerNet),
+      redelegation_atom: round(redelegation),
+      set_change_atom: round(setChange),
+      expected_delta_atom: round(expected),
+      residual_atom: round(residual),
+      tolerance_atom: round(tolerance),
+      completeness_pct: gross > 0 ? round(Math.max(0, 100 * (1 - Math.abs(residual) / gross))) : null,
+      matured_unbonding_atom: matured.has(cur.date) ? round(matured.get(cur.date)) : null,
+      events: dayEvents.length,
+      validator_snapshots: snapshots,
+      left_bonded_set: left,
+      joined_bonded_set: joined,
+      status,
+      ...(status === 'suspect' ? { hint: residual > 0 ? 'missed_inflow' : 'missed_outflow' } : {}),
+    });
+  }
+
+  const checked = rows.filter((r) => r.status !== 'uncovered');
+  const absResiduals = checked.map((r) => Math.abs(r.residual_atom)).sort((a, b) => a - b);
+  return {
+    window_days: days,
+    tolerance: { base_atom: TOLERANCE_ATOM, pct_of_gross: TOLERANCE_PCT, rounded_reading_atom: ROUNDED_READING_ATOM },
+    summary: {
+      days: rows.length,
+      days_checked: checked.length,
+      days_suspect: checked.filter((r) => r.status === 'suspect').length,
+      median_abs_residual_atom: absResiduals.length ? absResiduals[Math.floor(absResiduals.length / 2)] : null,
+      max_abs_residual_atom: absResiduals.length ? absResiduals[absResiduals.length - 1] : null,
+    },
+    flagged: checked.filter((r) => r.status === 'suspect').map((r) => ({ date: r.date, residual_atom: r.residual_atom, hint: r.hint })),
+    days: rows,
+  };
+}
@@ -0,0 +1,193 @@
+// scripts/lib/metric-quorum.mjs
+// Cross-checks scalar chain metrics (pool, supply, inflation) across every REST
+// provider in the pool, mirroring the event quorum in ingest-events-v2.mjs:
+// a value is accepted when at least REST_QUORUM_MIN providers agree within a
+// relative tolerance of the median. Per-provider agreement is recorded under
+// `rest_quorum.<job>` in data/source-status.json.
+//
+// Env (optional):
+//   REST_QUORUM_MIN        default: 2 (lowered to the number of answering providers)
+//   REST_QUORUM_TOLERANCE  default: 0.002 (relative deviation from the median)
+
+import path from 'node:path';
+import { endpointName } from './chain-client.mjs';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe, withFileLock } from './data-files.mjs';
+
+const SOURCE_STATUS_FILE = path.join(process.cwd(), 'data', 'source-status.json');
+
+export const REST_QUORUM_MIN = Math.max(1, Number(process.env.REST_QUORUM_MIN ?? '2'));
+export const REST_QUORUM_TOLERANCE = Number(process.env.REST_QUORUM_TOLERANCE ?? '0.002');
+
+// Metric specs shared by the staking ratio, daily metrics and total staked jobs.
+export const METRIC_SPECS = {
+  bonded_tokens: {
+    paths: ['/cosmos/staking/v1beta1/pool'],
+    extract: (d) => d?.pool?.bonded_tokens,
+  },
+  not_bonded_tokens: {
+    paths: ['/cosmos/staking/v1beta1/pool'],
+    extract: (d) => d?.pool?.not_bonded_tokens,
+  },
+  total_supply_uatom: {
+    // Prefer by_denom; some nodes only expose supply?by_denom (full list)
+    paths: [
+      '/cosmos/bank/v1beta1/supply/by_denom?denom=uatom',
+      '/cosmos/bank/v1beta1/supply?by_denom=uatom',
+    ],
+    extract: (d) => d?.amount?.amount
+      ?? (Array.isArray(d?.supply) ? d.supply.find((c) => c?.denom === 'uatom')?.amount : d?.supply?.amount),
+  },
+  inflation: {
+    paths: ['/cosmos/mint/v1beta1/inflation'],
+    extract: (d) => d?.inflation,
+  },
+};
+
+export function pickMetricSpecs(keys) {
+  return Object.fromEntries(keys.map((k) => [k, METRIC_SPECS[k]]));
+}
+
+export class MetricQuorumError extends Error {
+  constructor(report) {
+    const failed = Object.entries(report.metrics)
+      .filter(([, m]) => m.status === 'critical')
+      .map(([k, m]) => `${k} (${m.supporters}/${m.active_required})`);
+    super(`REST metric quorum not reached: ${failed.join(', ')}`);
+    this.name = 'MetricQuorumError';
+    this.report = report;
+  }
+}
+
+// Hostnames identify providers; fall back to the full base when two share a host.
+function providerNames(bases) {
+  const hosts = bases.map(endpointName);
+  return new Map(bases.map((b, i) => [b, hosts.indexOf(hosts[i]) === hosts.lastIndexOf(hosts[i]) ? hosts[i] : b]));
+}
+
+function median(arr) {
+  const s = arr.slice().sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 === 0 ? (s[m - 1] + s[m]) / 2 : s[m];
+}
+
+/**
+ * Reads every metric from every REST provider and checks agreement.
+ *
+ * specs: { [key]: { paths: [path, ...fallbacks], extract: (json) => string|number } }
+ * A provider answers a metric with the first path that yields a finite value.
+ *
+ * Returns { values, report } where values[key] is the raw value (string kept
+ * as-is, so uatom precision survives) from the supporting provider closest to
+ * the median. Throws MetricQuorumError when any metric lacks quorum.
+ */
+export async function readMetricQuorum(client, specs, {
+  quorumMin = REST_QUORUM_MIN,
+  tolerance = REST_QUORUM_TOLERANCE,
+} = {}) {
+  const responses = new Map();
+  const fetchPath = (p) => {
+    if (!responses.has(p)) responses.set(p, client.fanout('rest', p));
+    return responses.get(p);
+  };
+
+  const names = providerNames(client.restBases);
+  const values = {};
+  const metrics = {};
+
+  for (const [key, spec] of Object.entries(specs)) {
+    const byEndpoint = new Map(client.restBases.map((b) => [b, { raw: null, error: null }]));
+
+    for (const p of spec.paths) {
+      if ([...byEndpoint.values()].every((v) => v.raw !== null)) break;
+      const results = await fetchPath(p);
+      for (const r of results) {
+        const slot = byEndpoint.get(r.endpoint);
+        if (slot.raw !== null) continue;
+        if (r.error) {
+          slot.error = slot.error || String(r.error.message || r.error);
+          continue;
+        }
+        let raw = null;
+        try { raw = spec.extract(r.data); } catch {}
+        if (raw !== null && raw !== undefined && Number.isFinite(Number(raw))) {
+          slot.raw = raw;
+          slot.error = null;
+        } else if (!slot.error) {
+          slot.error = `Unparseable response for ${p}`;
+        }
+      }
+    }
+
+    const answered = [...byEndpoint.entries()].filter(([, v]) => v.raw !== null);
+    const mid = answered.length ? median(answered.map(([, v]) => Number(v.raw))) : null;
+    const activeRequired = answered.length >= quorumMin ? quorumMin : Math.max(1, answered.length);
+
+    const providers = {};
+    let best = null;
+    let supporters = 0;
+    for (const [base, v] of byEndpoint.entries()) {
+      const name = names.get(base);
+      if (v.raw === null) {
+        providers[name] = { rest_base: base, ok: false, value: null, deviation: null, agrees: false, error: v.error };
+        continue;
+      }
+      const n = Number(v.raw);
+      const deviation = mid ? Math.abs(n - mid) / Math.abs(mid) : (n === mid ? 0 : Infinity);
+      const agrees = deviation <= tolerance;
+      if (agrees) {
+        supporters++;
+        if (!best || deviation < best.deviation) best = { raw: v.raw, deviation };
+      }
+      providers[name] = {
+        rest_base: base,
+        ok: true,
+        value: String(v.raw),
+        deviation: Number.isFinite(deviation) ? Number(deviation.toFixed(6)) : null,
+        agrees,
+        error: null,
+      };
+    }
+
+    const status = supporters === 0 || supporters < activeRequired
+      ? 'critical'
+      : (activeRequired < quorumMin ? 'degraded' : 'ok');
+
+    if (best && status !== 'critical') values[key] = best.raw;
+    metrics[key] = {
+      value: best && status !== 'critical' ? String(best.raw) : null,
+      median: mid,
+      configured_min: quorumMin,
+      active_required: activeRequired,
+      provider_count: byEndpoint.size,
+      provider_success: answered.length,
+      supporters,
+      status,
+      providers,
+    };
+  }
+
+  const statuses = Object.values(metrics).map((m) => m.status);
+  const report = {
+    generated_at: new Date().toISOString(),
+    status: statuses.includes('critical') ? 'critical' : (statuses.includes('degraded') ? 'degraded' : 'ok'),
+    tolerance,
+    metrics,
+  };
+
+  if (report.status === 'critical') throw new MetricQuorumError(report);
+  return { values, report };
+}
+
+/**
+ * Merges one job's quorum report into data/source-status.json under
+ * `rest_quorum.<job>`, leaving the event-quorum fields written by ingest intact.
+ */
+export async function recordMetricQuorum(job, report) {
+  // Several metric jobs merge into this file; the lock keeps their updates from overwriting each other
+  await withFileLock(SOURCE_STATUS_FILE, async () => {
+    const status = await readJsonSafe(SOURCE_STATUS_FILE, {});
+    status.rest_quorum = { ...(status.rest_quorum || {}), [job]: report };
+    await writeJsonChecked(SOURCE_STATUS_FILE, status);
+  });
+}
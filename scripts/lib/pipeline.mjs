@@ -0,0 +1,478 @@
+// scripts/lib/pipeline.mjs
+// Job graph of the v2 pipeline, run by scripts/atomprice.mjs and
+// scripts/v2/backfill-repair-v2.mjs. Each job names the data files it reads
+// (`inputs`, `*` matching within one path segment) and writes (`outputs`), the
+// jobs that must run before it (`deps`), and a `run` that imports its script and
+// returns the script's result object. Inputs may come from outside the graph
+// (event-intelligence.json is built by the support-data workflow).
+//
+// runPipeline(targets) walks the targets' dependencies in order and runs each
+// job that is stale:
+//   - `always` jobs (checks) run every time;
+//   - a job that never ran, whose last run failed or whose output is missing;
+//   - a job that reads a live source (chain, REST, Kraken) whose last run is
+//     older than `maxAgeMinutes`;
+//   - a job whose inputs' contents changed since its last run.
+// data/pipeline/<job>.json records each run: status, timing, the sha-256 of
+// every input as the job left it, and the result. A job whose dependency failed
+// is blocked. A live run holds data/pipeline/locks/<job>.lock
+// (scripts/lib/file-lock.mjs) while it checks and runs a job, plus the locks of
+// the jobs named in `locks` (a job that writes another's outputs). A job
+// locked by another process is left to it; when later jobs of the run depend
+// on it, they wait up to PIPELINE_LOCK_WAIT_SECONDS for it to be released and
+// are blocked if it is not. Under --as-of (scripts/lib/as-of.mjs) the
+// jobs that can replay a past instant all run, the others are skipped, and
+// nothing is recorded or locked.
+//
+// Jobs run in this process, except the support and whale fetchers, which
+// still run on import and are started as a child process (result null).
+// Ingest also starts the legacy fetcher once per provider in a child process:
+// it writes relative to its working directory, which is what keeps the
+// providers' outputs apart.
+
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AS_OF } from './as-of.mjs';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe } from './data-files.mjs';
+import { tryLock } from './file-lock.mjs';
+
+const ROOT = process.cwd();
+export const PIPELINE_DIR = path.join(ROOT, 'data', 'pipeline');
+const LOCK_DIR = path.join(PIPELINE_DIR, 'locks');
+
+const LOCK_WAIT_MS = Number(process.env.PIPELINE_LOCK_WAIT_SECONDS ?? '300') * 1000;
+const LOCK_POLL_MS = 2000;
+
+const LEDGER_PARTITIONS = 'data/ledger/events-*.jsonl';
+
+function nodeScript(file) {
+  return () => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [file], { cwd: ROOT, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => (code === 0 ? resolve(null) : reject(new Error(`${file} exited with ${signal || code}`))));
+  });
+}
+
+export const JOBS = [
+  {
+    name: 'migrate-ledger',
+    description: 'upgrade ledger rows to the current schema version',
+    always: true,
+    deps: [],
+    inputs: [],
+    outputs: [],
+    run: async () => (await import('../v2/migrate-ledger-v2.mjs')).run(),
+  },
+  {
+    name: 'verify-ledger',
+    description: 'check ledger partitions against their sealed hash chains',
+    always: true,
+    asOf: true,
+    deps: [],
+    inputs: [],
+    outputs: [],
+    run: async () => (await import('../v2/verify-ledger-v2.mjs')).run(),
+  },
+  {
+    name: 'ingest',
+    description: 'append new chain events to the ledger (multi-RPC quorum)',
+    maxAgeMinutes: 10,
+    deps: ['migrate-ledger', 'verify-ledger'],
+    inputs: [],
+    outputs: ['data/ledger/state.json', 'data/ledger/coverage.json', 'data/source-status.json'],
+    run: async () => (await import('../v2/ingest-events-v2.mjs')).run(),
+  },
+  {
+    name: 'backfill-gaps',
+    description: 're-scan heights the coverage index has too few providers for',
+    always: true,
+    deps: ['migrate-ledger', 'verify-ledger'],
+    // Runs ingest over the holes, so it writes what ingest writes
+    locks: ['ingest'],
+    inputs: ['data/ledger/coverage.json'],
+    outputs: [
+      LEDGER_PARTITIONS,
+      'data/ledger/state.json',
+      'data/ledger/coverage.json',
+      'data/source-status.json',
+    ],
+    run: async () => (await import('../v2/backfill-gaps-v2.mjs')).run(),
+  },
+  {
+    name: 'pending',
+    description: 'pending undelegation schedule and validator registry',
+    maxAgeMinutes: 10,
+    asOf: true,
+    deps: [],
+    inputs: [],
+    outputs: ['data/pending-undelegations.json', 'data/whale-pending.json', 'data/validator-registry.json'],
+    run: async () => (await import('../fetch-pending-undelegations.mjs')).run(),
+  },
+  {
+    name: 'unbonding',
+    description: 'where matured unbondings went',
+    maxAgeMinutes: 10,
+    deps: ['pending'],
+    inputs: ['data/pending-undelegations.json'],
+    outputs: ['data/unbonding-flows.json', 'data/undelegation-archive.json', 'data/undelegation-history.json'],
+    run: async () => (await import('../fetch-unbonding-flows.mjs')).run(),
+  },
+  {
+    name: 'rebuild',
+    description: 'feed, flows, whale, tokenized and validator files from the ledger',
+    asOf: true,
+    deps: ['verify-ledger', 'pending', 'unbonding'],
+    inputs: [
+      LEDGER_PARTITIONS,
+      'data/ledger/state.json',
+      'data/source-status.json',
+      'data/pending-undelegations.json',
+      'data/validator-registry.json',
+    ],
+    outputs: [
+      'data/delegation_feed.json',
+      'data/delegation-events-raw.json',
+      'data/delegation-flow-hourly.json',
+      'data/delegation-flow-daily.json',
+      'data/whale-events.json',
+      'data/tokenized-stake-daily.json',
+      'data/validator-flows-daily.json',
+      'data/validator-leaderboard.json',
+    ],
+    run: async () => (await import('../v2/rebuild-derived-v2.mjs')).run(),
+  },
+  {
+    name: 'event-intelligence',
+    description: 'forward price outcomes of delegation events',
+    maxAgeMinutes: 60,
+    asOf: true,
+    deps: ['rebuild'],
+    inputs: [
+      'data/top-delegations.json',
+      'data/whale-events.json',
+      'data/whale-pending.json',
+      'data/pending-undelegations.json',
+      'data/delegation-events-raw.json',
+      'data/delegation-flow-hourly.json',
+      'data/delegation-flow-daily.json',
+    ],
+    outputs: ['data/event-intelligence.json'],
+    run: async () => (await import('../build-event-intelligence.mjs')).run(),
+  },
+  {
+    name: 'health',
+    description: 'freshness and mass-balance report',
+    maxAgeMinutes: 30,
+    asOf: true,
+    deps: ['rebuild'],
+    inputs: [
+      LEDGER_PARTITIONS,
+      'data/ledger/coverage.json',
+      'data/ledger/quorum-forensics.json',
+      'data/source-status.json',
+      'data/delegation_feed.json',
+      'data/pending-undelegations.json',
+      'data/unbonding-flows.json',
+      'data/event-intelligence.json',
+    ],
+    outputs: ['data/ingestion-health.json'],
+    run: async () => (await import('../v2/reconcile-health-v2.mjs')).run(),
+  },
+  {
+    name: 'staking-ratio',
+    description: 'bonded / total supply (REST quorum)',
+    maxAgeMinutes: 15,
+    deps: [],
+    inputs: [],
+    outputs: ['data/staking_ratio.json'],
+    run: nodeScript('scripts/staking_ratio_updater.mjs'),
+  },
+  {
+    name: 'fx',
+    description: 'ECB reference FX rates',
+    maxAgeMinutes: 360,
+    deps: [],
+    inputs: [],
+    outputs: ['data/fx_rates.json'],
+    run: nodeScript('scripts/fx_ecb_updater.mjs'),
+  },
+  {
+    name: 'daily-metrics',
+    description: 'daily on-chain metrics',
+    maxAgeMinutes: 60,
+    deps: [],
+    inputs: [],
+    outputs: ['data/daily-metrics.json'],
+    run: nodeScript('scripts/fetch-daily-metrics.js'),
+  },
+  {
+    name: 'total-staked',
+    description: 'total staked ATOM history',
+    maxAgeMinutes: 60,
+    deps: [],
+    inputs: [],
+    outputs: ['data/historical-total-staked.json'],
+    run: nodeScript('scripts/fetch-total-staked.js'),
+  },
+  {
+    name: 'validator-concentration',
+    description: 'voting power concentration history',
+    maxAgeMinutes: 60,
+    deps: [],
+    inputs: [],
+    outputs: ['data/historical-validator-concentration.json'],
+    run: nodeScript('scripts/fetch-validator-concentration.mjs'),
+  },
+  {
+    name: 'whale-transfers',
+    description: 'large transfers out of whale wallets',
+    maxAgeMinutes: 15,
+    deps: [],
+    inputs: [],
+    outputs: ['data/whale-transfers.json'],
+    run: nodeScript('scripts/monitor-whale-transfers.mjs'),
+  },
+  {
+    name: 'whale-rewards',
+    description: 'whale reward claim and restake patterns',
+    maxAgeMinutes: 360,
+    deps: [],
+    inputs: [],
+    outputs: ['data/whale-reward-patterns.json'],
+    run: nodeScript('scripts/analyze-whale-rewards.mjs'),
+  },
+];
+
+export class PipelineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PipelineError';
+  }
+}
+
+/** True when the module at metaUrl is the script node was started with. */
+export function isEntryPoint(metaUrl) {
+  return Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(metaUrl);
+}
+
+function jobByName(name) {
+  const job = JOBS.find((j) => j.name === name);
+  if (!job) throw new PipelineError(`Unknown job "${name}" (known: ${JOBS.map((j) => j.name).join(', ')})`);
+  return job;
+}
+
+/** The targets and everything they depend on, dependencies first. */
+export function planJobs(targets) {
+  const order = [];
+  const visiting = new Set();
+  const visit = (name, from) => {
+    const job = jobByName(name);
+    if (order.includes(job)) return;
+    if (visiting.has(name)) throw new PipelineError(`Dependency cycle: ${[...from, name].join(' → ')}`);
+    visiting.add(name);
+    for (const dep of job.deps) visit(dep, [...from, name]);
+    visiting.delete(name);
+    order.push(job);
+  };
+  for (const t of targets) visit(t, []);
+  return order;
+}
+
+function recordFile(name) {
+  return path.join(PIPELINE_DIR, `${name}.json`);
+}
+
+function lockFile(name) {
+  return path.join(LOCK_DIR, `${name}.lock`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Takes the job's own lock and those in `locks`: { release }, or
+// { held, name } for the first one another process has.
+async function lockJob(job) {
+  const taken = [];
+  const release = async () => {
+    for (const lock of taken.reverse()) await lock.release();
+  };
+  for (const name of [job.name, ...(job.locks || [])]) {
+    const lock = await tryLock(lockFile(name), { label: `atomprice ${job.name}` });
+    if (lock.held) {
+      await release();
+      return { held: lock.held, name };
+    }
+    taken.push(lock);
+  }
+  return { release };
+}
+
+export async function loadRunRecord(name) {
+  return readJsonSafe(recordFile(name));
+}
+
+// Repo-relative files an input pattern stands for, sorted
+async function expandInput(pattern) {
+  if (!pattern.includes('*')) return existsSync(path.join(ROOT, pattern)) ? [pattern] : [];
+  const dir = path.posix.dirname(pattern);
+  const re = new RegExp(`^${path.posix.basename(pattern).split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+  try {
+    return (await fs.readdir(path.join(ROOT, dir))).filter((n) => re.test(n)).sort().map((n) => `${dir}/${n}`);
+  } catch {
+    return [];
+  }
+}
+
+/** { file: sha-256 } of every file the input patterns match now. */
+export async function fingerprintInputs(patterns) {
+  const out = {};
+  for (const pattern of patterns) {
+    for (const file of await expandInput(pattern)) {
+      out[file] = createHash('sha256').update(await fs.readFile(path.join(ROOT, file))).digest('hex');
+    }
+  }
+  return out;
+}
+
+function changedInputs(before = {}, now) {
+  return [...new Set([...Object.keys(before), ...Object.keys(now)])].filter((f) => before[f] !== now[f]).sort();
+}
+
+/** Why a job has to run now, or null when its last run still stands. */
+export async function staleReason(job, record, nowMs = Date.now()) {
+  if (job.always) return 'always runs';
+  if (!record) return 'never ran';
+  if (record.status !== 'ok') return 'last run failed';
+  for (const pattern of job.outputs) {
+    if (!(await expandInput(pattern)).length) return `${pattern} is missing`;
+  }
+  if (job.maxAgeMinutes !== undefined) {
+    const mins = Math.floor((nowMs - Date.parse(record.finished_at)) / 60000);
+    if (!(mins < job.maxAgeMinutes)) return `last run ${mins} min ago (max ${job.maxAgeMinutes})`;
+  }
+  const changed = changedInputs(record.inputs, await fingerprintInputs(job.inputs));
+  if (changed.length) return `${changed[0]}${changed.length > 1 ? ` and ${changed.length - 1} more inputs` : ''} changed`;
+  return null;
+}
+
+function formatResult(result) {
+  if (!result || typeof result !== 'object') return '';
+  return Object.entries(result)
+    .filter(([, v]) => v === null || ['string', 'number', 'boolean'].includes(typeof v))
+    .map(([k, v]) => `${k}=${v}`)
+    .join(' ');
+}
+
+function formatStep(s) {
+  const secs = s.duration_ms !== undefined ? ` in ${(s.duration_ms / 1000).toFixed(1)}s` : '';
+  switch (s.status) {
+    case 'ran': return `✅ ${s.job}: ran${secs} (${s.reason}) ${formatResult(s.result)}`.trimEnd();
+    case 'fresh': return `⏭️ ${s.job}: fresh`;
+    case 'stale': return `🔸 ${s.job}: stale (${s.reason})`;
+    case 'skipped': return `⏭️ ${s.job}: skipped (${s.reason})`;
+    case 'locked': return `🔒 ${s.job}: locked (${s.reason})`;
+    case 'blocked': return `⛔ ${s.job}: blocked (${s.reason})`;
+    default: return `❌ ${s.job}: failed${secs}: ${s.error}`;
+  }
+}
+
+export function formatSummary(summary) {
+  const counts = {};
+  for (const s of summary.steps) counts[s.status] = (counts[s.status] || 0) + 1;
+  return [
+    `📊 ${summary.targets.join(', ')}${summary.as_of ? ` as of ${summary.as_of}` : ''}: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')}`,
+    ...summary.steps.map((s) => `   ${formatStep(s)}`),
+  ].join('\n');
+}
+
+/**
+ * Runs `targets` and their stale dependencies. force: true, or the names of
+ * jobs to run even when fresh. dryRun only reports what is stale. Returns
+ * { targets, as_of, ok, steps: [{ job, status, reason, duration_ms, result, error }] }.
+ */
+export async function runPipeline(targets, { force = false, dryRun = false } = {}) {
+  const plan = planJobs(targets);
+  const forced = (job) => force === true || (Array.isArray(force) && force.includes(job.name));
+  const steps = [];
+  const byJob = new Map();
+
+  for (const job of plan) {
+    // A dependency another process holds has not run for this one
+    const failedDep = job.deps.find((d) => ['failed', 'blocked', 'locked'].includes(byJob.get(d)?.status));
+    let step;
+    if (failedDep) {
+      step = { job: job.name, status: 'blocked', reason: `${failedDep} ${byJob.get(failedDep).status}` };
+    } else if (AS_OF && !job.asOf) {
+      step = { job: job.name, status: 'skipped', reason: 'reads the chain as it is now; not replayed --as-of' };
+    } else {
+      let lock = AS_OF || dryRun ? null : await lockJob(job);
+      if (lock?.held && plan.some((j) => j.deps.includes(job.name))) {
+        console.log(`🔒 ${job.name}: ${lock.name} is locked by pid ${lock.held.pid ?? '?'}; waiting up to ${LOCK_WAIT_MS / 1000}s`);
+        const deadline = Date.now() + LOCK_WAIT_MS;
+        while (lock.held && Date.now() < deadline) {
+          await sleep(LOCK_POLL_MS);
+          lock = await lockJob(job);
+        }
+      }
+      if (lock?.held) {
+        const what = lock.name === job.name ? '' : `${lock.name} lock: `;
+        step = { job: job.name, status: 'locked', reason: `${what}pid ${lock.held.pid ?? '?'} has held it since ${lock.held.acquired_at ?? '?'}` };
+      } else {
+        try {
+          const reason = AS_OF ? `as of ${AS_OF}` : (forced(job) ? 'forced' : await staleReason(job, await loadRunRecord(job.name)));
+          if (!reason) step = { job: job.name, status: 'fresh' };
+          else if (dryRun) step = { job: job.name, status: 'stale', reason };
+          else step = await runJob(job, reason);
+        } finally {
+          await lock?.release();
+        }
+      }
+    }
+    steps.push(step);
+    byJob.set(job.name, step);
+  }
+
+  return { targets, as_of: AS_OF, ok: !steps.some((s) => s.status === 'failed' || s.status === 'blocked'), steps };
+}
+
+async function runJob(job, reason) {
+  console.log(`▶️ ${job.name}: ${job.description} (${reason})`);
+  const startedAt = new Date();
+  let result = null;
+  let error = null;
+  try {
+    result = (await job.run()) ?? null;
+  } catch (err) {
+    console.error(`❌ ${job.name} failed:`, err);
+    error = err?.message || String(err);
+  }
+  const finishedAt = new Date();
+  const step = {
+    job: job.name,
+    status: error ? 'failed' : 'ran',
+    reason,
+    duration_ms: finishedAt - startedAt,
+    result,
+    ...(error ? { error } : {}),
+  };
+  if (!AS_OF) {
+    await writeJsonChecked(recordFile(job.name), {
+      job: job.name,
+      status: error ? 'failed' : 'ok',
+      reason,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: step.duration_ms,
+      inputs: await fingerprintInputs(job.inputs),
+      result,
+      error,
+    });
+  }
+  return step;
+}
@@ -0,0 +1,147 @@
+// scripts/lib/static-server.mjs
+// Serves the site (index.html, analytics/, buy/, validators/) and data/ from
+// the repo root over HTTP, the way GitHub Pages would, for self-hosting next to
+// the daemon (scripts/lib/daemon.mjs). GET and HEAD only; dotfiles and paths
+// outside the root are not served. Every response carries an ETag and
+// Last-Modified so a revalidation costs a 304:
+//   - pages and everything under data/: no-cache, so the browser revalidates
+//     on every load. Live files change every few minutes, and a snapshot under
+//     data/snapshots/<as-of>/ (scripts/lib/as-of.mjs) keeps changing while its
+//     builders run, or when the same --as-of is rebuilt;
+//   - other assets (svg, images): an hour.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jsonl': 'application/x-ndjson; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+};
+
+export function cacheControl(relPath) {
+  if (relPath.endsWith('.html') || relPath.startsWith('data/')) return 'no-cache';
+  return 'public, max-age=3600';
+}
+
+/** Repo-relative path for a URL path, or null when it must not be served. */
+export function resolveRequestPath(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+  const segments = decoded.split('/').filter(Boolean);
+  if (segments.some((s) => s.startsWith('.') || s.includes('\\'))) return null;
+  return segments.join('/');
+}
+
+function send(res, status, headers, body = '') {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+function etagOf(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+function notModified(req, etag, stat) {
+  const inm = req.headers['if-none-match'];
+  if (inm) return inm.split(',').some((t) => t.trim() === etag || t.trim() === '*');
+  const ims = Date.parse(req.headers['if-modified-since'] || '');
+  return Number.isFinite(ims) && Math.floor(stat.mtimeMs / 1000) * 1000 <= ims;
+}
+
+export function createStaticServer({ root = process.cwd(), log = false } = {}) {
+  const base = path.resolve(root);
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    res.on('finish', () => {
+      if (log) console.log(`   ${req.method} ${req.url} ${res.statusCode} ${Date.now() - started}ms`);
+    });
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      send(res, 405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' }, 'Method Not Allowed\n');
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    const rel = resolveRequestPath(url.pathname);
+    if (rel === null) {
+      send(res, 404, { 'Content-Type': 'text/plain; charset=utf-8' }, 'Not Found\n');
+      return;
+    }
+
+    let file = path.join(base, rel);
+    let fileRel = rel;
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+      if (stat.isDirectory()) {
+        if (!url.pathname.endsWith('/')) {
+          send(res, 301, { Location: `${url.pathname}/${url.search}` });
+          return;
+        }
+        file = path.join(file, 'index.html');
+        fileRel = rel ? `${rel}/index.html` : 'index.html';
+        stat = await fs.promises.stat(file);
+      }
+      if (!stat.isFile()) throw Object.assign(new Error('not a file'), { code: 'ENOENT' });
+    } catch (err) {
+      const status = err.code === 'ENOENT' || err.code === 'ENOTDIR' ? 404 : 500;
+      send(res, status, { 'Content-Type': 'text/plain; charset=utf-8' }, status === 404 ? 'Not Found\n' : 'Internal Server Error\n');
+      return;
+    }
+
+    const etag = etagOf(stat);
+    const headers = {
+      'Cache-Control': cacheControl(fileRel),
+      ETag: etag,
+      'Last-Modified': new Date(stat.mtimeMs).toUTCString(),
+      'X-Content-Type-Options': 'nosniff',
+    };
+    if (notModified(req, etag, stat)) {
+      send(res, 304, headers);
+      return;
+    }
+    headers['Content-Type'] = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    headers['Content-Length'] = stat.size;
+    res.writeHead(200, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(file)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  });
+}
+
+/** Starts serving `root` on host:port; resolves with the listening server. */
+export function serveStatic({ root = process.cwd(), host = '127.0.0.1', port = 8080, log = false } = {}) {
+  const server = createStaticServer({ root, log });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      console.log(`🌐 Serving ${path.resolve(root)} at http://${host}:${server.address().port}/`);
+      resolve(server);
+    });
+  });
+}
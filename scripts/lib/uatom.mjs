@@ -0,0 +1,57 @@
+// scripts/lib/uatom.mjs
+// Integer uatom amounts. Ledger rows carry `amount_uatom` as a decimal string
+// (BigInt-safe); sums are BigInt and ATOM floats only appear in files meant
+// for display. Rows written before amounts were integers only have the float
+// `amount_atom`; eventUatom() recovers their exact integer.
+
+const UATOM_PER_ATOM = 1_000_000n;
+
+// "12345uatom" → "12345"; null for any other denom or shape.
+export function parseUatomCoin(str) {
+  const m = String(str ?? '').trim().match(/^(\d+)\s*uatom$/i);
+  return m ? BigInt(m[1]).toString() : null;
+}
+
+// Legacy float ATOM → integer uatom string. Exact for values that came from
+// integer uatom / 1e6, which every ledger amount did.
+export function atomToUatom(atom) {
+  const n = Number(atom);
+  if (!Number.isFinite(n)) return null;
+  const [int, frac = ''] = Math.abs(n).toFixed(6).split('.');
+  const uatom = BigInt(int) * UATOM_PER_ATOM + BigInt(frac.padEnd(6, '0'));
+  return (n < 0 ? -uatom : uatom).toString();
+}
+
+// Amount of a ledger row or feed item as BigInt uatom; 0n when it has none.
+export function eventUatom(e) {
+  if (e?.amount_uatom !== undefined && e.amount_uatom !== null && /^-?\d+$/.test(String(e.amount_uatom))) {
+    return BigInt(e.amount_uatom);
+  }
+  const legacy = atomToUatom(e?.amount_atom ?? 0);
+  return legacy === null ? 0n : BigInt(legacy);
+}
+
+// "2759.000000": exact six-decimal ATOM, the representation event ids hash.
+export function uatomToDecimal(uatom) {
+  const v = BigInt(uatom);
+  const abs = v < 0n ? -v : v;
+  return `${v < 0n ? '-' : ''}${abs / UATOM_PER_ATOM}.${String(abs % UATOM_PER_ATOM).padStart(6, '0')}`;
+}
+
+// Presentation only: nearest float to the exact decimal, never accumulated.
+export function uatomToAtom(uatom) {
+  return Number(uatomToDecimal(uatom));
+}
+
+// Whole ATOM, half away from zero, without going through a float.
+export function uatomToWholeAtom(uatom) {
+  const v = BigInt(uatom);
+  const abs = v < 0n ? -v : v;
+  const whole = (abs + UATOM_PER_ATOM / 2n) / UATOM_PER_ATOM;
+  return Number(v < 0n ? -whole : whole);
+}
+
+// ATOM threshold from config → BigInt uatom for comparisons.
+export function atomThreshold(atom) {
+  return BigInt(atomToUatom(atom) ?? '0');
+}
@@ -0,0 +1,203 @@
+// scripts/lib/unbonding-flows.mjs
+// Classification behind scripts/fetch-unbonding-flows.mjs: where a delegator's
+// matured unbonding went, judged from their most recent txs.
+//   - MsgDelegate               → restaked
+//   - MsgTransfer (IBC)         → ibc_transfer, with the destination chain
+//   - MsgSend with a memo ≥ min → exchange (exchanges require deposit memos)
+//   - none of these             → held
+// classifyDelegator takes the chain client (scripts/lib/chain-client.mjs) it
+// queries; it never throws, a failed lookup leaves the delegator "held".
+
+import { isIcfDelegator } from './icf.mjs';
+
+// ── IBC channel → chain mapping (common Cosmos Hub channels) ──
+const IBC_CHANNELS = {
+  'channel-0': 'osmosis',
+  'channel-141': 'osmosis',
+  'channel-1': 'crypto-org',
+  'channel-4': 'iris',
+  'channel-207': 'stride',
+  'channel-391': 'stride',
+  'channel-405': 'dydx',
+  'channel-569': 'celestia',
+  'channel-570': 'neutron',
+  'channel-585': 'noble',
+};
+
+export const CLASSIFICATIONS = ['restaked', 'exchange', 'ibc_transfer', 'held'];
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function resolveIbcChain(sourceChannel) {
+  return IBC_CHANNELS[sourceChannel] || `ibc-${sourceChannel}`;
+}
+
+// Recent tx hashes of a sender (RPC tx_search), newest first, with the
+// message actions their events name.
+export async function findRecentTxHashes(client, address, limit = 10) {
+  const query = `message.sender='${address}'`;
+  const params = new URLSearchParams();
+  params.set('query', JSON.stringify(query));
+  params.set('per_page', String(limit));
+  params.set('order_by', JSON.stringify('desc'));
+  params.set('prove', 'false');
+
+  const data = await client.rpc(`/tx_search?${params}`);
+  const txs = data?.result?.txs ?? [];
+
+  return txs.map((tx) => {
+    const actions = [];
+    for (const ev of tx.tx_result?.events ?? []) {
+      if (ev.type !== 'message') continue;
+      for (const attr of ev.attributes ?? []) {
+        if (attr.key === 'action') actions.push(attr.value);
+      }
+    }
+    return { hash: tx.hash, actions };
+  });
+}
+
+// Decoded tx (with memo) via REST
+function fetchTxDetails(client, txhash) {
+  return client.rest(`/cosmos/tx/v1beta1/txs/${txhash}`);
+}
+
+/**
+ * { address, matured_atom, classification, amount, details } for one
+ * delegator; the first of their recent txs that qualifies decides.
+ */
+export async function classifyDelegator(client, address, maturedAtom, { memoMinAtom = 1000, pauseMs = 200 } = {}) {
+  const result = {
+    address,
+    matured_atom: maturedAtom,
+    classification: 'held',
+    amount: 0,
+    details: null,
+  };
+
+  try {
+    const txInfos = await findRecentTxHashes(client, address, 10);
+    if (!txInfos.length) return result;
+
+    // Delegations and IBC transfers classify from the RPC events alone
+    for (const info of txInfos) {
+      const hasDelegate = info.actions.some((a) => a.includes('MsgDelegate') && !a.includes('MsgUndelegate'));
+      const hasIbc = info.actions.some((a) => a.includes('MsgTransfer'));
+      const hasSend = info.actions.some((a) => a.includes('MsgSend'));
+
+      if (hasDelegate) {
+        result.classification = 'restaked';
+        result.amount = maturedAtom;
+        return result;
+      }
+
+      if (hasIbc) {
+        try {
+          const txData = await fetchTxDetails(client, info.hash);
+          for (const msg of txData?.tx?.body?.messages || []) {
+            if ((msg['@type'] || '').includes('MsgTransfer')) {
+              const amount = Number(msg.token?.amount || '0') / 1_000_000;
+              const channel = msg.source_channel || '';
+              result.classification = 'ibc_transfer';
+              result.amount = amount || maturedAtom;
+              result.details = { chain: resolveIbcChain(channel), channel };
+              return result;
+            }
+          }
+        } catch (e) {
+          console.log(`    ⚠️ Failed to fetch IBC tx details: ${e.message}`);
+        }
+        // Still IBC when the details could not be fetched
+        result.classification = 'ibc_transfer';
+        result.amount = maturedAtom;
+        return result;
+      }
+
+      // A send needs its memo, which only the decoded tx has
+      if (hasSend) {
+        try {
+          if (pauseMs) await sleep(pauseMs);
+          const txData = await fetchTxDetails(client, info.hash);
+          const memo = (txData?.tx?.body?.memo || '').trim();
+
+          for (const msg of txData?.tx?.body?.messages || []) {
+            if (!(msg['@type'] || '').includes('MsgSend')) continue;
+            const atomAmount = (msg.amount || []).reduce((sum, a) => (
+              (a.denom || '').toLowerCase() === 'uatom' ? sum + Number(a.amount || '0') / 1_000_000 : sum
+            ), 0);
+
+            if (atomAmount >= memoMinAtom && memo.length > 0) {
+              result.classification = 'exchange';
+              result.amount = atomAmount;
+              result.details = {
+                to_address: msg.to_address || '',
+                memo_hint: memo.slice(0, 20) + (memo.length > 20 ? '…' : ''),
+              };
+              return result;
+            }
+          }
+        } catch (e) {
+          console.log(`    ⚠️ Failed to fetch Send tx details: ${e.message}`);
+        }
+      }
+    }
+  } catch (e) {
+    console.log(`  ⚠️ Error classifying ${address.slice(0, 16)}: ${e.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * The delegators of one matured date worth classifying: ICF accounts left
+ * out, then the largest `maxDelegators` of at least `minAtom`.
+ */
+export function trackedDelegators(delegators, { minAtom = 1000, maxDelegators = 50 } = {}) {
+  const matured = (delegators || []).filter((d) => !isIcfDelegator(d.address));
+  const tracked = matured
+    .filter((d) => d.atom >= minAtom)
+    .sort((a, b) => b.atom - a.atom)
+    .slice(0, maxDelegators);
+  return { matured, tracked };
+}
+
+/** The daily_flows row of unbonding-flows.json for one date's classifications. */
+export function buildDailyFlow(date, matured, tracked, results) {
+  const totalMatured = matured.reduce((s, d) => s + d.atom, 0);
+  const trackedAtom = tracked.reduce((s, d) => s + d.atom, 0);
+  const classifications = Object.fromEntries(CLASSIFICATIONS.map((c) => [c, 0]));
+  const ibcDestinations = {};
+
+  for (const res of results) {
+    const cls = res.classification;
+    classifications[cls] = (classifications[cls] || 0) + res.matured_atom;
+    if (cls === 'ibc_transfer' && res.details?.chain) {
+      ibcDestinations[res.details.chain] = (ibcDestinations[res.details.chain] || 0) + (res.amount || res.matured_atom);
+    }
+  }
+
+  return {
+    date,
+    total_matured_atom: Math.round(totalMatured),
+    tracked_atom: Math.round(trackedAtom),
+    untracked_atom: Math.round(totalMatured - trackedAtom),
+    tracked_pct: totalMatured > 0 ? Math.round((trackedAtom / totalMatured) * 1000) / 10 : 0,
+    flows: Object.fromEntries(Object.entries(classifications).map(([key, atom]) => [key, {
+      atom: Math.round(atom),
+      pct: trackedAtom > 0 ? Math.round((atom / trackedAtom) * 1000) / 10 : 0,
+    }])),
+    top_ibc_destinations: Object.entries(ibcDestinations)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([chain, atom]) => ({ chain, atom: Math.round(atom) })),
+    // Per-delegator records for the proof layer
+    delegators: results.map((res) => ({
+      a: res.address,
+      atom: Math.round(res.matured_atom),
+      cls: res.classification,
+      d: res.details || null,
+    })),
+  };
+}
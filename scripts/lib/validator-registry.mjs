@@ -0,0 +1,304 @@
+// scripts/lib/validator-registry.mjs
+// Validator registry: one record per operator address with moniker, status,
+// commission (and its change history), voting power, self-bond, website and
+// consensus address. Built from the paginated validator list walked by
+// fetch-pending-undelegations.mjs; feed and rebuild scripts only upsert the
+// validators they meet that the last full walk did not list.
+//
+// Files:
+//   data/validator-registry.json            current registry
+//   data/validator-history/YYYY-MM.jsonl    one snapshot line per UTC day
+//
+// Env (optional):
+//   REGISTRY_SELF_BOND  default: true (one extra REST call per validator with tokens)
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonChecked } from './data-contracts.mjs';
+import { readJsonSafe, writeFileAtomic } from './data-files.mjs';
+
+export const REGISTRY_FILE = path.join(process.cwd(), 'data', 'validator-registry.json');
+export const HISTORY_DIR = path.join(process.cwd(), 'data', 'validator-history');
+
+const REGISTRY_SELF_BOND = String(process.env.REGISTRY_SELF_BOND ?? 'true').toLowerCase() !== 'false';
+
+const STATUS_NAMES = {
+  BOND_STATUS_BONDED: 'bonded',
+  BOND_STATUS_UNBONDING: 'unbonding',
+  BOND_STATUS_UNBONDED: 'unbonded',
+};
+
+// ── bech32 (BIP-173), enough to re-prefix operator and consensus addresses ──
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= GENERATOR[i];
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  return [...hrp].map((c) => c.charCodeAt(0) >> 5)
+    .concat(0, [...hrp].map((c) => c.charCodeAt(0) & 31));
+}
+
+function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const v of data) {
+    acc = (acc << from) | v;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & ((1 << to) - 1));
+    }
+  }
+  if (pad && bits > 0) out.push((acc << (to - bits)) & ((1 << to) - 1));
+  return out;
+}
+
+function bech32Encode(hrp, bytes) {
+  const words = convertBits(bytes, 8, 5, true);
+  const mod = polymod(hrpExpand(hrp).concat(words, [0, 0, 0, 0, 0, 0])) ^ 1;
+  const checksum = [0, 1, 2, 3, 4, 5].map((i) => (mod >> (5 * (5 - i))) & 31);
+  return `${hrp}1${words.concat(checksum).map((w) => CHARSET[w]).join('')}`;
+}
+
+function bech32Decode(str) {
+  const s = String(str || '').toLowerCase();
+  const sep = s.lastIndexOf('1');
+  if (sep < 1) return null;
+  const hrp = s.slice(0, sep);
+  const words = [...s.slice(sep + 1)].map((c) => CHARSET.indexOf(c));
+  if (words.length < 6 || words.includes(-1)) return null;
+  if (polymod(hrpExpand(hrp).concat(words)) !== 1) return null;
+  return { hrp, bytes: convertBits(words.slice(0, -6), 5, 8, false) };
+}
+
+// cosmosvaloper1… → cosmos1… (same key, account prefix)
+export function accountAddress(valoper) {
+  const d = bech32Decode(valoper);
+  return d ? bech32Encode('cosmos', d.bytes) : null;
+}
+
+// Tendermint address of an ed25519 consensus key: first 20 bytes of sha256(pubkey).
+export function consensusAddress(pubkey) {
+  if (!pubkey?.key || !String(pubkey['@type'] || '').includes('ed25519')) return null;
+  const hash = crypto.createHash('sha256').update(Buffer.from(pubkey.key, 'base64')).digest();
+  return bech32Encode('cosmosvalcons', [...hash.subarray(0, 20)]);
+}
+
+function toAtom(uatom) {
+  const n = Number(uatom);
+  return Number.isFinite(n) ? n / 1_000_000 : null;
+}
+
+function toRate(str) {
+  const n = Number(str);
+  return Number.isFinite(n) ? Number(n.toFixed(4)) : null;
+}
+
+function utcDay(iso) {
+  return iso.slice(0, 10);
+}
+
+export async function loadRegistry() {
+  return readJsonSafe(REGISTRY_FILE, { generated_at: null, chain_id: 'cosmoshub-4', full_walk_at: null, validators: {} });
+}
+
+// address → moniker, the shape validator_cache.json used to have
+export function validatorNames(registry) {
+  return Object.fromEntries(
+    Object.entries(registry?.validators || {})
+      .filter(([, v]) => v.moniker)
+      .map(([addr, v]) => [addr, v.moniker])
+  );
+}
+
+/**
+ * Merges one REST validator object into the registry. Commission history gets a
+ * new entry only when the rate changes; self_bond_atom is kept from the previous
+ * record unless given.
+ */
+export function upsertValidator(registry, v, { selfBondAtom, now = new Date().toISOString() } = {}) {
+  const addr = v?.operator_address;
+  if (!addr) return null;
+  const prev = registry.validators[addr] || {};
+
+  const rates = v.commission?.commission_rates || {};
+  const rate = toRate(rates.rate);
+  const history = (prev.commission_history || []).slice();
+  if (rate !== null && history[history.length - 1]?.rate !== rate) {
+    history.push({ rate, since: v.commission?.update_time || null, observed_at: now });
+  }
+
+  const status = STATUS_NAMES[v.status] || String(v.status || '').toLowerCase() || null;
+  const tokensAtom = toAtom(v.tokens);
+  registry.validators[addr] = {
+    operator_address: addr,
+    moniker: v.description?.moniker || prev.moniker || '',
+    identity: v.description?.identity || '',
+    website: v.description?.website || '',
+    status,
+    jailed: Boolean(v.jailed),
+    tokens_atom: tokensAtom,
+    voting_power_atom: status === 'bonded' ? tokensAtom : 0,
+    voting_power_pct: prev.voting_power_pct ?? null,
+    rank: prev.rank ?? null,
+    commission_rate: rate,
+    max_commission_rate: toRate(rates.max_rate),
+    max_change_rate: toRate(rates.max_change_rate),
+    commission_updated_at: v.commission?.update_time || null,
+    commission_history: history,
+    self_bond_atom: selfBondAtom !== undefined ? selfBondAtom : (prev.self_bond_atom ?? null),
+    account_address: accountAddress(addr),
+    consensus_address: consensusAddress(v.consensus_pubkey) || prev.consensus_address || null,
+    updated_at: now,
+  };
+  return registry.validators[addr];
+}
+
+// Voting power share and rank among bonded validators.
+function rankBonded(registry) {
+  const bonded = Object.values(registry.validators)
+    .filter((v) => v.status === 'bonded')
+    .sort((a, b) => (b.voting_power_atom || 0) - (a.voting_power_atom || 0));
+  const total = bonded.reduce((s, v) => s + (v.voting_power_atom || 0), 0);
+  for (const v of Object.values(registry.validators)) {
+    v.rank = null;
+    v.voting_power_pct = v.status === 'bonded' ? 0 : null;
+  }
+  bonded.forEach((v, i) => {
+    v.rank = i + 1;
+    v.voting_power_pct = total ? Number(((v.voting_power_atom / total) * 100).toFixed(4)) : 0;
+  });
+  return { bonded_count: bonded.length, total_bonded_atom: total };
+}
+
+async function fetchSelfBond(client, valoper) {
+  const acc = accountAddress(valoper);
+  if (!acc) return null;
+  try {
+    const d = await client.rest(`/cosmos/staking/v1beta1/validators/${valoper}/delegations/${acc}`);
+    return toAtom(d?.delegation_response?.balance?.amount ?? 0);
+  } catch (e) {
+    // Operators that withdrew their whole self-bond answer 404 everywhere
+    const errors = e?.errors || [e];
+    return errors.length && errors.every((x) => x?.status === 404) ? 0 : null;
+  }
+}
+
+/**
+ * Rebuilds the registry from a full validator walk. Validators missing from the
+ * walk are kept (they may have been listed by an earlier, wider walk).
+ */
+export async function refreshRegistry(client, validators, { batchSize = 5 } = {}) {
+  const registry = await loadRegistry();
+  const now = new Date().toISOString();
+
+  const selfBonds = new Map();
+  if (REGISTRY_SELF_BOND) {
+    const withTokens = validators.filter((v) => Number(v.tokens) > 0);
+    for (let i = 0; i < withTokens.length; i += batchSize) {
+      const batch = withTokens.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map((v) => fetchSelfBond(client, v.operator_address)));
+      batch.forEach((v, j) => { if (results[j] !== null) selfBonds.set(v.operator_address, results[j]); });
+    }
+  }
+
+  for (const v of validators) {
+    upsertValidator(registry, v, {
+      selfBondAtom: selfBonds.has(v.operator_address) ? selfBonds.get(v.operator_address) : undefined,
+      now,
+    });
+  }
+  registry.full_walk_at = now;
+  registry.full_walk_count = validators.length;
+  return registry;
+}
+
+export async function saveRegistry(registry) {
+  const { bonded_count, total_bonded_atom } = rankBonded(registry);
+  const validators = Object.fromEntries(Object.entries(registry.validators).sort(([a], [b]) => a.localeCompare(b)));
+  const out = {
+    generated_at: new Date().toISOString(),
+    chain_id: registry.chain_id || 'cosmoshub-4',
+    full_walk_at: registry.full_walk_at || null,
+    full_walk_count: registry.full_walk_count ?? null,
+    total: Object.keys(validators).length,
+    bonded_count,
+    total_bonded_atom,
+    validators,
+  };
+  await fs.mkdir(path.dirname(REGISTRY_FILE), { recursive: true });
+  await writeJsonChecked(REGISTRY_FILE, out);
+  return out;
+}
+
+/**
+ * Writes today's snapshot line to data/validator-history/YYYY-MM.jsonl,
+ * replacing an earlier line for the same UTC day.
+ */
+export async function recordDailySnapshot(registry) {
+  const generatedAt = registry.generated_at || new Date().toISOString();
+  const date = utcDay(generatedAt);
+  const file = path.join(HISTORY_DIR, `${date.slice(0, 7)}.jsonl`);
+
+  const validators = {};
+  for (const [addr, v] of Object.entries(registry.validators)) {
+    validators[addr] = {
+      status: v.status,
+      jailed: v.jailed,
+      commission_rate: v.commission_rate,
+      voting_power_atom: v.voting_power_atom,
+      self_bond_atom: v.self_bond_atom,
+      rank: v.rank,
+    };
+  }
+
+  let lines = [];
+  try {
+    lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+  } catch { /* first snapshot this month */ }
+  lines = lines.filter((l) => {
+    try { return JSON.parse(l).date !== date; } catch { return false; }
+  });
+  lines.push(JSON.stringify({ date, generated_at: generatedAt, validators }));
+  lines.sort();
+
+  await writeFileAtomic(file, `${lines.join('\n')}\n`);
+  return { date, file };
+}
+
+// Latest daily snapshot taken on or before date (YYYY-MM-DD), looking back one
+// month file at most; null when history does not reach that far.
+export async function loadSnapshotOnOrBefore(date) {
+  const month = date.slice(0, 7);
+  const prev = new Date(`${month}-01T00:00:00.000Z`);
+  prev.setUTCMonth(prev.getUTCMonth() - 1);
+
+  let best = null;
+  for (const key of [prev.toISOString().slice(0, 7), month]) {
+    let text = '';
+    try {
+      text = await fs.readFile(path.join(HISTORY_DIR, `${key}.jsonl`), 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        const snap = JSON.parse(line);
+        if (snap.date <= date && (!best || snap.date > best.date)) best = snap;
+      } catch { /* skip torn line */ }
+    }
+  }
+  return best;
+}
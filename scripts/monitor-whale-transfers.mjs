@@ -14,18 +14,21 @@
  *   node scripts/monitor-whale-transfers.mjs --watch   # continuous polling every 10s
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createChainClient } from './lib/chain-client.mjs';
+import { validatorNames } from './lib/validator-registry.mjs';
+import { writeJsonChecked } from './lib/data-contracts.mjs';
+import { readJsonSafe } from './lib/data-files.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = resolve(__dirname, '..', 'data');
 
 // ── CONFIG ──
-const REST_ENDPOINTS = [
-  'https://cosmos-rest.publicnode.com',
-  'https://api.silknodes.io/cosmos',
-];
+// REST pool: REST_BASES / REST_BASE or the shared defaults in lib/chain-client.mjs
+const client = createChainClient();
+
 const MIN_ATOM = 10_000;          // minimum ATOM for a transfer to count
 const MAX_TRANSFERS = 200;        // max events to keep in file
 const POLL_INTERVAL_MS = 10_000;  // poll every 10s in watch mode
@@ -65,28 +68,22 @@ function loadWatchlist() {
   console.log(`📋 Watchlist: ${WHALE_ADDRS.size} addresses (${EXCHANGE_ADDRS.size} exchanges)`);
 }
 
-// ── LOAD VALIDATOR CACHE ──
+// ── LOAD VALIDATOR REGISTRY ──
 let VALIDATOR_NAMES = {};
-function loadValidatorCache() {
-  const vPath = resolve(DATA_DIR, 'validator_cache.json');
+function loadValidatorNames() {
+  const vPath = resolve(DATA_DIR, 'validator-registry.json');
   if (existsSync(vPath)) {
-    VALIDATOR_NAMES = JSON.parse(readFileSync(vPath, 'utf8'));
+    VALIDATOR_NAMES = validatorNames(JSON.parse(readFileSync(vPath, 'utf8')));
   }
 }
 
 // ── REST API ──
 async function fetchRest(path) {
-  for (const base of REST_ENDPOINTS) {
-    try {
-      const res = await fetch(base + path, {
-        headers: { 'Accept': 'application/json' },
-        signal: AbortSignal.timeout(10000),
-      });
-      if (!res.ok) continue;
-      return await res.json();
-    } catch { /* try next */ }
+  try {
+    return await client.rest(path);
+  } catch {
+    return null;
   }
-  return null;
 }
 
 async function getLatestHeight() {
@@ -245,15 +242,10 @@ function parseTx(txResp) {
 const outputPath = resolve(DATA_DIR, 'whale-transfers.json');
 
 function loadExisting() {
-  if (existsSync(outputPath)) {
-    try {
-      return JSON.parse(readFileSync(outputPath, 'utf8'));
-    } catch { /* corrupt file */ }
-  }
-  return { transfers: [], last_height: 0, last_scan: null };
+  return readJsonSafe(outputPath, { transfers: [], last_height: 0, last_scan: null });
 }
 
-function save(state) {
+async function save(state) {
   // Dedupe by txhash+type, keep latest MAX_TRANSFERS
   const seen = new Set();
   state.transfers = state.transfers
@@ -266,12 +258,12 @@ function save(state) {
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
     .slice(0, MAX_TRANSFERS);
 
-  writeFileSync(outputPath, JSON.stringify(state, null, 2));
+  await writeJsonChecked(outputPath, state);
 }
 
 // ── SCAN CYCLE ──
 async function scan() {
-  const state = loadExisting();
+  const state = await loadExisting();
   const latestHeight = await getLatestHeight();
 
   if (!latestHeight) {
@@ -311,7 +303,7 @@ async function scan() {
 
   state.last_height = endHeight;
   state.last_scan = new Date().toISOString();
-  save(state);
+  await save(state);
 
   if (newEvents > 0) {
     console.log(`✅ ${newEvents} whale events detected`);
@@ -331,7 +323,7 @@ function fmtAtomLog(v) {
 // ── MAIN ──
 async function main() {
   loadWatchlist();
-  loadValidatorCache();
+  loadValidatorNames();
 
   if (WATCH_MODE) {
     console.log(`\n🔄 Watch mode — polling every ${POLL_INTERVAL_MS / 1000}s (Ctrl+C to stop)\n`);
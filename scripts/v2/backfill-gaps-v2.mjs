@@ -0,0 +1,134 @@
+import { createChainClient, defaultRpcBases, splitBases } from '../lib/chain-client.mjs';
+import { blocksIn, findHoles, formatRangeList, loadCoverage } from '../lib/ledger-coverage.mjs';
+import { isEntryPoint } from '../lib/pipeline.mjs';
+import { run as ingest } from './ingest-events-v2.mjs';
+
+// Re-fetches only the heights data/ledger/coverage.json has no (or too little)
+// coverage for. Window: --from-height/--to-height, --month=YYYY-MM, or the whole
+// indexed span up to the ingest frontier. A height fewer providers scanned than
+// quorum needs keeps its events in quarantine (scripts/lib/ledger-quarantine.mjs)
+// until another provider scans it, so by default that is too little:
+// --min-providers defaults to RPC_QUORUM_MIN, at most the configured providers.
+//   node scripts/v2/backfill-gaps-v2.mjs --month=2026-02 [--min-providers=2] [--dry-run]
+// The holes are handed to ingest-events-v2.mjs's run() as explicit ranges.
+// run() is the backfill-gaps job of scripts/lib/pipeline.mjs.
+
+function arg(name) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : null;
+}
+
+const FROM_HEIGHT = Number(arg('from-height') || 0);
+const TO_HEIGHT = Number(arg('to-height') || 0);
+const MONTH = arg('month');
+const PROVIDER_COUNT = (process.env.RPC_PROVIDERS ? splitBases(process.env.RPC_PROVIDERS) : defaultRpcBases()).length;
+const QUORUM_MIN = Math.max(1, Number(process.env.RPC_QUORUM_MIN ?? '2'));
+const MIN_PROVIDERS = Math.max(1, Number(
+  arg('min-providers') || process.env.BACKFILL_MIN_PROVIDERS || Math.min(QUORUM_MIN, PROVIDER_COUNT)
+));
+const REPAIR_MAX_BLOCKS = Number(process.env.REPAIR_MAX_BLOCKS ?? '50000');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function blockTime(client, height) {
+  const d = await client.rpc(`/block?height=${height}`);
+  const time = d?.result?.block?.header?.time;
+  if (!time) throw new Error(`No block time for height ${height}`);
+  return Date.parse(time);
+}
+
+// First height whose block time is at or after iso, or null when the chain has
+// not reached it yet.
+async function heightAtOrAfter(client, iso, lo, hi) {
+  const target = Date.parse(iso);
+  if (await blockTime(client, hi) < target) return null;
+  if (await blockTime(client, lo) >= target) return lo;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await blockTime(client, mid) >= target) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+async function monthWindow(month, frontier) {
+  if (!/^\d{4}-\d{2}$/.test(month)) throw new Error(`Invalid --month=${month} (expected YYYY-MM)`);
+  const start = new Date(`${month}-01T00:00:00.000Z`);
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+
+  const client = createChainClient();
+  const status = await client.rpc('/status');
+  const earliest = Number(status?.result?.sync_info?.earliest_block_height || 1);
+  const tip = Math.min(frontier, Number(status?.result?.sync_info?.latest_block_height || frontier));
+
+  const from = await heightAtOrAfter(client, start.toISOString(), earliest, tip);
+  if (!from) return null;
+  const next = await heightAtOrAfter(client, end.toISOString(), earliest, tip);
+  return { from_height: from, to_height: next ? next - 1 : tip };
+}
+
+export async function run() {
+  const index = await loadCoverage();
+  const frontier = index.frontier_height;
+  if (!frontier) {
+    console.log('⚠️ Coverage index is empty; run ingest-events-v2.mjs first');
+    return { hole_blocks: 0, filled_blocks: 0 };
+  }
+
+  let window;
+  if (MONTH) {
+    window = await monthWindow(MONTH, frontier);
+    if (!window) {
+      console.log(`✅ ${MONTH} is beyond the ingest frontier (${frontier}); nothing to backfill`);
+      return { hole_blocks: 0, filled_blocks: 0 };
+    }
+  } else {
+    window = {
+      from_height: FROM_HEIGHT || index.covered?.[0]?.from_height || frontier,
+      to_height: Math.min(TO_HEIGHT || frontier, frontier),
+    };
+  }
+  if (window.from_height > window.to_height) throw new Error(`Empty window ${window.from_height}-${window.to_height}`);
+
+  const holes = findHoles(index, window, MIN_PROVIDERS);
+  console.log(`🔎 Window ${window.from_height}-${window.to_height}: ${holes.length} holes, ${blocksIn(holes)} blocks (min ${MIN_PROVIDERS} providers)`);
+  if (!holes.length) {
+    console.log('✅ Window fully covered; nothing to backfill');
+    return { hole_blocks: 0, filled_blocks: 0 };
+  }
+
+  const ranges = [];
+  let budget = REPAIR_MAX_BLOCKS;
+  for (const h of holes) {
+    if (budget <= 0) break;
+    const to = Math.min(h.to_height, h.from_height + budget - 1);
+    ranges.push({ from_height: h.from_height, to_height: to });
+    budget -= to - h.from_height + 1;
+  }
+  if (blocksIn(ranges) < blocksIn(holes)) {
+    console.log(`⚠️ Limited to ${blocksIn(ranges)} blocks this run (REPAIR_MAX_BLOCKS=${REPAIR_MAX_BLOCKS})`);
+  }
+
+  if (DRY_RUN) {
+    console.log(`Would scan: ${formatRangeList(ranges)}`);
+    return { hole_blocks: blocksIn(holes), filled_blocks: 0 };
+  }
+
+  const scan = await ingest({ ranges });
+
+  const after = findHoles(await loadCoverage(), window, MIN_PROVIDERS);
+  console.log(`✅ v2 gap backfill done: ${blocksIn(holes) - blocksIn(after)} blocks filled, ${blocksIn(after)} still missing`);
+  return {
+    hole_blocks: blocksIn(holes),
+    filled_blocks: blocksIn(holes) - blocksIn(after),
+    missing_blocks: blocksIn(after),
+    appended: scan.appended,
+  };
+}
+
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error('❌ v2 gap backfill failed:', err);
+    process.exit(1);
+  });
+}
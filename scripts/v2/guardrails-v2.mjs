@@ -1,13 +1,12 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { checkContract, contractFor, writeJsonChecked } from '../lib/data-contracts.mjs';
+import { runInvariants } from '../lib/data-invariants.mjs';
 
 const ROOT = process.cwd();
 const MODE = (process.argv.find(a => a.startsWith('--mode=')) || '--mode=preflight').split('=')[1];
 
-const ICF = new Set([
-  'cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7',
-  'cosmos1z6czaavlk6kjd48rpf58kqqw9ssad2uaxnazgl'
-]);
+const INVARIANT_REPORT = path.join(ROOT, 'data', 'invariant-report.json');
 
 function readJson(p, fallback = null) {
   try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return fallback; }
@@ -18,11 +17,6 @@ function mustExist(rel, errors) {
   if (!fs.existsSync(p)) errors.push(`Missing required file: ${rel}`);
 }
 
-function icfCount(rows, getDelegator) {
-  if (!Array.isArray(rows)) return 0;
-  return rows.filter(r => ICF.has(String(getDelegator(r) || '').toLowerCase())).length;
-}
-
 function runPreflight() {
   const errors = [];
   [
@@ -30,6 +24,37 @@ function runPreflight() {
     'scripts/v2/rebuild-derived-v2.mjs',
     'scripts/v2/reconcile-health-v2.mjs',
     'scripts/v2/backfill-repair-v2.mjs',
+    'scripts/v2/backfill-gaps-v2.mjs',
+    'scripts/v2/migrate-ledger-v2.mjs',
+    'scripts/v2/verify-ledger-v2.mjs',
+    'scripts/lib/chain-client.mjs',
+    'scripts/lib/ledger-coverage.mjs',
+    'scripts/lib/validator-registry.mjs',
+    'scripts/lib/json-schema.mjs',
+    'scripts/lib/data-contracts.mjs',
+    'scripts/lib/data-files.mjs',
+    'scripts/lib/data-invariants.mjs',
+    'scripts/lib/mass-balance.mjs',
+    'scripts/lib/uatom.mjs',
+    'scripts/lib/event-identity.mjs',
+    'scripts/lib/ledger-schema.mjs',
+    'scripts/lib/ledger-chain.mjs',
+    'scripts/lib/ledger-quarantine.mjs',
+    'scripts/lib/derived-cache.mjs',
+    'scripts/lib/as-of.mjs',
+    'scripts/lib/pipeline.mjs',
+    'scripts/lib/file-lock.mjs',
+    'scripts/lib/daemon.mjs',
+    'scripts/lib/static-server.mjs',
+    'scripts/lib/icf.mjs',
+    'scripts/lib/ledger-events.mjs',
+    'scripts/lib/flow-buckets.mjs',
+    'scripts/lib/unbonding-flows.mjs',
+    'scripts/lib/event-outcomes.mjs',
+    'scripts/lib/ecb-rates.mjs',
+    'js/sell-pressure.js',
+    'scripts/atomprice.mjs',
+    'schemas/index.json',
     'scripts/fetch-delegation-feed.mjs',
     'scripts/fetch-pending-undelegations.mjs',
     'scripts/fetch-unbonding-flows.mjs',
@@ -37,7 +62,8 @@ function runPreflight() {
     'scripts/staking_ratio_updater.mjs',
     'scripts/fx_ecb_updater.mjs',
     'scripts/fetch-daily-metrics.js',
-    'scripts/fetch-total-staked.js'
+    'scripts/fetch-total-staked.js',
+    'scripts/fetch-validator-concentration.mjs'
   ].forEach(f => mustExist(f, errors));
 
   if (errors.length) {
@@ -48,44 +74,91 @@ function runPreflight() {
   console.log('✅ Guardrails preflight passed');
 }
 
-function runDataChecks() {
-  const errors = [];
-  const warnings = [];
-
-  const raw = readJson(path.join(ROOT, 'data/delegation-events-raw.json'), { items: [] });
-  const feed = readJson(path.join(ROOT, 'data/delegation_feed.json'), { items: [] });
-  const whales = readJson(path.join(ROOT, 'data/whale-events.json'), { events: [] });
-  const pending = readJson(path.join(ROOT, 'data/pending-undelegations.json'), {});
+// Cross-file invariants (scripts/lib/data-invariants.mjs); the full report,
+// with offending rows per invariant, goes to data/invariant-report.json.
+async function runDataChecks() {
+  const report = await runInvariants({ root: ROOT });
+  await writeJsonChecked(INVARIANT_REPORT, report);
 
-  const rawIcf = icfCount(raw.items, r => r.delegator);
-  const feedIcf = icfCount(feed.items, r => r.delegator);
-  const whaleIcf = icfCount(whales.events, r => r.delegator);
+  for (const r of report.invariants) {
+    const icon = { pass: '✅', fail: '❌', skip: '⏭️' }[r.status];
+    const detail = r.status === 'skip' ? r.reason : `${r.offending_count}/${r.checked} offending${r.unverified ? `, ${r.unverified} unverified` : ''}`;
+    console.log(`${icon} ${r.id}: ${detail}`);
+  }
 
-  if (rawIcf > 0 && feedIcf === 0) errors.push('ICF exists in raw but not in delegation_feed');
-  if (rawIcf > 0 && whaleIcf === 0) errors.push('ICF exists in raw but not in whale-events');
+  const quality = readJson(path.join(ROOT, 'data/event-intelligence.json'), {});
+  if (!quality?.generated_at) console.log('⚠️ event-intelligence.json missing or not generated');
 
-  const day = (pending.schedule || []).find(d => d.date === '2026-03-17');
-  const dayEx = (pending.schedule_excluding_icf || []).find(d => d.date === '2026-03-17');
-  if (day && dayEx && Number(dayEx.atom || 0) > Number(day.atom || 0)) {
-    errors.push('schedule_excluding_icf is greater than schedule for 2026-03-17');
+  console.log(`ℹ️ Invariants: ${report.summary.pass} pass, ${report.summary.fail} fail, ${report.summary.skip} skipped → ${path.relative(ROOT, INVARIANT_REPORT)}`);
+  if (report.status === 'fail') {
+    console.error('❌ Guardrails data check failed');
+    for (const r of report.invariants.filter((x) => x.status === 'fail')) {
+      console.error(' -', r.id, JSON.stringify(r.offending.slice(0, 3)));
+    }
+    process.exit(1);
   }
+  console.log('✅ Guardrails data check passed');
+}
 
-  const quality = readJson(path.join(ROOT, 'data/event-intelligence.json'), {});
-  if (!quality?.generated_at) warnings.push('event-intelligence.json missing or not generated');
+function listJsonFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((d) => {
+    const p = path.join(dir, d.name);
+    // data/.backup/ holds last good copies (scripts/lib/data-files.mjs), not served files
+    if (d.name.startsWith('.')) return [];
+    if (d.isDirectory()) return listJsonFiles(p);
+    return d.name.endsWith('.json') ? [p] : [];
+  });
+}
 
-  console.log(`ℹ️ ICF visibility: raw=${rawIcf}, feed=${feedIcf}, whale=${whaleIcf}`);
-  if (warnings.length) for (const w of warnings) console.log('⚠️', w);
+// Every data/**/*.json must parse and match its schemas/index.json contract.
+function runSchemaChecks() {
+  const errors = [];
+  let checked = 0;
+  let skipped = 0;
+
+  for (const file of listJsonFiles(path.join(ROOT, 'data')).sort()) {
+    const rel = path.relative(ROOT, file).split(path.sep).join('/');
+    let schema;
+    try {
+      schema = contractFor(file);
+    } catch (e) {
+      errors.push(e.message);
+      continue;
+    }
+    if (!schema) {
+      skipped++;
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      errors.push(`${rel}: invalid JSON (${e.message})`);
+      continue;
+    }
+    const violations = checkContract(file, data);
+    checked++;
+    if (violations.length) {
+      errors.push(`${rel} violates ${schema.$id}`);
+      for (const v of violations.slice(0, 10)) errors.push(`  ${v.path || '/'} ${v.message}`);
+      if (violations.length > 10) errors.push(`  … ${violations.length - 10} more`);
+    }
+  }
 
+  console.log(`ℹ️ Schema contracts: ${checked} files checked, ${skipped} unchecked`);
   if (errors.length) {
-    console.error('❌ Guardrails data check failed');
+    console.error('❌ Guardrails schema check failed');
     for (const e of errors) console.error(' -', e);
     process.exit(1);
   }
-  console.log('✅ Guardrails data check passed');
+  console.log('✅ Guardrails schema check passed');
 }
 
 if (MODE === 'preflight') runPreflight();
-else if (MODE === 'data') runDataChecks();
+else if (MODE === 'data') await runDataChecks();
+else if (MODE === 'schema') runSchemaChecks();
 else {
   console.error(`Unknown mode: ${MODE}`);
   process.exit(1);
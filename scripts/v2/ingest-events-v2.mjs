@@ -2,107 +2,108 @@ import fs from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
-import crypto from 'node:crypto';
 import { spawnSync } from 'node:child_process';
+import { createChainClient, defaultRpcBases, endpointName, splitBases } from '../lib/chain-client.mjs';
+import { writeJsonChecked } from '../lib/data-contracts.mjs';
+import { readJsonSafe, withFileLock, withFileLocks } from '../lib/data-files.mjs';
+import {
+  COVERAGE_FILE,
+  addCoverage,
+  blocksIn,
+  loadCoverage,
+  mergeRanges,
+  parseRangeList,
+  saveCoverage,
+  subtractRanges
+} from '../lib/ledger-coverage.mjs';
+import { eventId } from '../lib/event-identity.mjs';
+import { CHAIN_ALGO, checkPartition, parseLedgerLines, sealRecord } from '../lib/ledger-chain.mjs';
+import { normalizeEvent } from '../lib/ledger-events.mjs';
+import {
+  QUARANTINE_DIR,
+  loadQuarantine,
+  recordForensics,
+  saveQuarantine,
+  scannedRange,
+  selectQuorum
+} from '../lib/ledger-quarantine.mjs';
+import { LEDGER_SCHEMA_VERSION, LedgerSchemaVersionError } from '../lib/ledger-schema.mjs';
+import { isEntryPoint } from '../lib/pipeline.mjs';
 
 const ROOT = process.cwd();
 const LEDGER_DIR = path.join(ROOT, 'data', 'ledger');
 const STATE_FILE = path.join(LEDGER_DIR, 'state.json');
 const SOURCE_STATUS_FILE = path.join(ROOT, 'data', 'source-status.json');
 
-const OVERLAP_HOURS = Number(process.env.OVERLAP_HOURS ?? '6');
 const FEED_MIN = String(process.env.FEED_MIN ?? '1');
 const FEED_KEEP = String(process.env.FEED_KEEP ?? '1000');
 const WHALE_FEED_MIN = String(process.env.WHALE_FEED_MIN ?? '50000');
-const LIMIT_PAGES = String(process.env.LIMIT_PAGES ?? '10');
-const EXEC_LIMIT_PAGES = String(process.env.EXEC_LIMIT_PAGES ?? '2');
-const REST_BASE = (process.env.REST_BASE || 'https://rest.cosmos.directory/cosmoshub').replace(/\/+$/, '');
-
-const RPC_PROVIDERS = (process.env.RPC_PROVIDERS || process.env.RPC_BASES || [
-  'https://cosmos-rpc.publicnode.com',
-  'https://rpc.cosmos.directory/cosmoshub',
-  'https://rpc.silknodes.io/cosmos'
-].join(','))
-  .split(',')
-  .map((s) => s.trim().replace(/\/+$/, ''))
-  .filter(Boolean);
+
+// Height cursors: each provider resumes from its own last fully scanned block.
+// BOOTSTRAP_BLOCKS seeds the very first run (~6h of Hub blocks), MAX_BLOCKS_PER_RUN
+// caps catch-up work per run, and a provider more than MAX_LAG_BLOCKS behind its
+// tip skips ahead; heights nobody scanned are recorded as gaps for --repair-gaps.
+const BOOTSTRAP_BLOCKS = Number(process.env.BOOTSTRAP_BLOCKS ?? '3600');
+const MAX_BLOCKS_PER_RUN = Number(process.env.MAX_BLOCKS_PER_RUN ?? '3000');
+const MAX_LAG_BLOCKS = Number(process.env.MAX_LAG_BLOCKS ?? '20000');
+const REPAIR_MAX_BLOCKS = Number(process.env.REPAIR_MAX_BLOCKS ?? '50000');
+const REPAIR_GAPS = process.argv.includes('--repair-gaps')
+  || String(process.env.REPAIR_GAPS ?? 'false').toLowerCase() === 'true';
+
+// Explicit height ranges ("a-b,c-d") re-scan exactly those blocks with every
+// provider, like --repair-gaps; backfill-gaps-v2.mjs passes them to run().
+const SCAN_RANGES = parseRangeList(
+  process.argv.find((a) => a.startsWith('--ranges='))?.slice('--ranges='.length) ?? process.env.SCAN_RANGES
+);
+
+// Each provider runs the fetcher in isolation (a child process in its own temp
+// working directory, where the fetcher writes its files), so the list is split
+// here rather than handed to the fetcher as one pool.
+const RPC_PROVIDERS = process.env.RPC_PROVIDERS
+  ? splitBases(process.env.RPC_PROVIDERS)
+  : defaultRpcBases();
 
 const RPC_QUORUM_MIN = Math.max(1, Number(process.env.RPC_QUORUM_MIN ?? '2'));
 
 const nowIso = new Date().toISOString();
 
-function hashId(parts) {
-  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+function getPartitionKey(iso) {
+  const d = new Date(iso || nowIso);
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
+  return `${y}-${m}`;
 }
 
-function normalizeType(v) {
-  const t = String(v || '').toLowerCase();
-  if (t.includes('undelegate') || t.includes('unbond')) return 'undelegate';
-  if (t.includes('delegate')) return 'delegate';
-  return null;
+async function fetchTipHeight(rpcBase) {
+  const client = createChainClient({ rpcBases: [rpcBase] });
+  const status = await client.rpc('/status');
+  const tip = Number(status?.result?.sync_info?.latest_block_height || 0);
+  if (!tip) throw new Error(`No latest_block_height from ${rpcBase}/status`);
+  return tip;
 }
 
-function normalizeEvent(ev, source) {
-  const type = normalizeType(ev.type || ev.msg_type || ev.action || ev.event_type);
-  if (!type) return null;
-
-  const txhash = String(ev.txhash || ev.tx_hash || ev.hash || ev.transaction_hash || '').toUpperCase();
-  const msgIndex = Number(ev.msg_index ?? ev.message_index ?? 0);
-  const eventIndex = Number(ev.event_index ?? ev.log_index ?? 0);
-  const amountAtom = Number(ev.amount_atom ?? ev.amount ?? ev.atom ?? 0);
-  const timestampRaw = ev.timestamp || ev.block_time || ev.time || ev.completion_time;
-  const timestamp = timestampRaw ? new Date(timestampRaw).toISOString() : null;
-  const height = Number(ev.height || ev.block_height || 0) || 0;
-  const delegator = String(ev.delegator || ev.delegator_address || ev.address || '').toLowerCase();
-  const validatorAddr = String(ev.validator_addr || ev.validator || ev.validator_address || '');
-  const validatorName = String(ev.validator_name || ev.validator_moniker || '');
-
-  if (!Number.isFinite(amountAtom) || amountAtom <= 0) return null;
-  if (!timestamp && !height) return null;
-
-  const id = hashId([
-    'cosmoshub-4',
-    txhash,
-    String(msgIndex),
-    String(eventIndex),
-    type,
-    delegator,
-    validatorAddr,
-    amountAtom.toFixed(6),
-    String(height)
-  ]);
+// Picks the next height window for one provider from its persisted cursor.
+function planProviderRange(providerCursor, frontier, tip) {
+  let from;
+  if (providerCursor?.last_scanned_height) from = providerCursor.last_scanned_height + 1;
+  else if (frontier) from = frontier + 1;
+  else from = Math.max(1, tip - BOOTSTRAP_BLOCKS + 1);
 
-  return {
-    id,
-    chain_id: 'cosmoshub-4',
-    source,
-    type,
-    txhash,
-    msg_index: msgIndex,
-    event_index: eventIndex,
-    timestamp,
-    height,
-    delegator,
-    validator_addr: validatorAddr,
-    validator_name: validatorName,
-    amount_atom: amountAtom,
-    ingested_at: nowIso
-  };
+  if (from < tip - MAX_LAG_BLOCKS + 1) from = tip - MAX_LAG_BLOCKS + 1;
+  return { from_height: from, to_height: Math.min(tip, from + MAX_BLOCKS_PER_RUN - 1) };
 }
 
-async function readJsonSafe(file, fallback) {
-  try {
-    return JSON.parse(await fs.readFile(file, 'utf8'));
-  } catch {
-    return fallback;
+// Gap repair re-scans recorded gaps (oldest first) within REPAIR_MAX_BLOCKS.
+function planRepairRanges(gaps) {
+  const ranges = [];
+  let budget = REPAIR_MAX_BLOCKS;
+  for (const g of mergeRanges(gaps)) {
+    if (budget <= 0) break;
+    const to = Math.min(g.to_height, g.from_height + budget - 1);
+    ranges.push({ from_height: g.from_height, to_height: to });
+    budget -= to - g.from_height + 1;
   }
-}
-
-function getPartitionKey(iso) {
-  const d = new Date(iso || nowIso);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  return `${y}-${m}`;
+  return ranges;
 }
 
 async function loadExistingIdsForPartitions(partitions) {
@@ -110,30 +111,21 @@ async function loadExistingIdsForPartitions(partitions) {
   for (const p of partitions) {
     const file = path.join(LEDGER_DIR, `events-${p}.jsonl`);
     if (!existsSync(file)) continue;
-    const text = await fs.readFile(file, 'utf8');
-    for (const line of text.split('\n')) {
-      if (!line.trim()) continue;
-      try {
-        const row = JSON.parse(line);
-        if (row?.id) ids.add(row.id);
-      } catch {
-        // ignore bad lines
-      }
+    const { rows, malformed } = parseLedgerLines(await fs.readFile(file, 'utf8'));
+    for (const { row } of rows) {
+      ids.add(row.id);
+      // Rows written before ids were canonical still block their event
+      ids.add(eventId(row));
+    }
+    if (malformed.length) {
+      console.log(`⚠️ events-${p}.jsonl: ${malformed.length} malformed lines (first at line ${malformed[0].line}); see scripts/v2/verify-ledger-v2.mjs`);
     }
   }
   return ids;
 }
 
-function providerName(url) {
-  try {
-    return new URL(url).hostname;
-  } catch {
-    return url.replace(/^https?:\/\//, '');
-  }
-}
-
-async function runFetcherForProvider(rpcBase) {
-  const provider = providerName(rpcBase);
+async function runFetcherForProvider(rpcBase, range) {
+  const provider = endpointName(rpcBase);
   const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), `atomprice-v2-${provider.replace(/[^a-z0-9.-]/gi, '_')}-`));
   try {
     const result = spawnSync('node', [path.join(ROOT, 'scripts', 'fetch-delegation-feed.mjs')], {
@@ -141,15 +133,13 @@ async function runFetcherForProvider(rpcBase) {
       env: {
         ...process.env,
         RPC_BASES: rpcBase,
-        REST_BASE,
         FEED_MIN,
         FEED_KEEP,
         WHALE_FEED_MIN,
-        LIMIT_PAGES,
-        EXEC_LIMIT_PAGES,
+        SCAN_FROM_HEIGHT: String(range.from_height),
+        SCAN_TO_HEIGHT: String(range.to_height),
         INCREMENTAL: 'false',
-        RAW_IMMUTABLE: 'false',
-        RAW_KEEP_DAYS: '2',
+        RAW_IMMUTABLE: 'true',
       },
       encoding: 'utf8'
     });
@@ -160,19 +150,21 @@ async function runFetcherForProvider(rpcBase) {
         rpc_base: rpcBase,
         ok: false,
         error: (result.stderr || result.stdout || `exit ${result.status}`).trim(),
+        scan: null,
         events: []
       };
     }
 
     const rawFile = path.join(tmpDir, 'data', 'delegation-events-raw.json');
     const raw = await readJsonSafe(rawFile, { items: [] });
-    const events = (raw.items || []).map((r) => normalizeEvent(r, provider)).filter(Boolean);
+    const events = (raw.items || []).map((r) => normalizeEvent(r, provider, nowIso)).filter(Boolean);
 
     return {
       provider,
       rpc_base: rpcBase,
-      ok: true,
-      error: null,
+      ok: Boolean(raw.scan),
+      error: raw.scan ? raw.scan.error : 'Fetcher output has no scan range',
+      scan: raw.scan || null,
       events
     };
   } finally {
@@ -180,58 +172,136 @@ async function runFetcherForProvider(rpcBase) {
   }
 }
 
-async function main() {
-  await fs.mkdir(LEDGER_DIR, { recursive: true });
+function failedRun(rpcBase, err) {
+  return {
+    provider: endpointName(rpcBase),
+    rpc_base: rpcBase,
+    ok: false,
+    error: String(err?.message || err || 'unknown provider failure'),
+    scan: null,
+    events: []
+  };
+}
+
+// Normal mode: every provider advances its own cursor towards its tip.
+async function runCursorScan(state) {
+  const frontier = state.cursors?.height || null;
+  const runs = [];
+  for (const rpcBase of RPC_PROVIDERS) {
+    const provider = endpointName(rpcBase);
+    try {
+      const tip = await fetchTipHeight(rpcBase);
+      const range = planProviderRange(state.cursors?.providers?.[provider], frontier, tip);
+      if (range.from_height > range.to_height) {
+        runs.push({ provider, rpc_base: rpcBase, ok: true, error: null, scan: null, events: [], tip_height: tip });
+        continue;
+      }
+      console.log(`🔎 ${provider}: blocks ${range.from_height}-${range.to_height} (tip ${tip})`);
+      runs.push({ ...(await runFetcherForProvider(rpcBase, range)), tip_height: tip });
+    } catch (err) {
+      runs.push(failedRun(rpcBase, err));
+    }
+  }
+  return runs;
+}
+
+// Repair mode: every provider re-scans the same recorded gap windows.
+async function runGapRepair(ranges) {
+  const runs = [];
+  for (const rpcBase of RPC_PROVIDERS) {
+    for (const range of ranges) {
+      console.log(`🩹 ${endpointName(rpcBase)}: gap ${range.from_height}-${range.to_height}`);
+      try {
+        runs.push(await runFetcherForProvider(rpcBase, range));
+      } catch (err) {
+        runs.push(failedRun(rpcBase, err));
+      }
+    }
+  }
+  return runs;
+}
 
+async function loadState() {
   const state = await readJsonSafe(STATE_FILE, {
+    schema_version: LEDGER_SCHEMA_VERSION,
     last_ingest_at: null,
-    cursors: { since: null },
+    cursors: { height: null, providers: {} },
+    gaps: [],
     stats: {}
   });
+  // Rows this tree writes would be older than the ledger's; older ledgers only mix versions
+  const ledgerVersion = state.schema_version ?? 1;
+  if (ledgerVersion > LEDGER_SCHEMA_VERSION) throw new LedgerSchemaVersionError('data/ledger/state.json', ledgerVersion);
+  return state;
+}
 
-  const providerRuns = await Promise.allSettled(
-    RPC_PROVIDERS.map((rpcBase) => runFetcherForProvider(rpcBase))
-  ).then((results) =>
-    results.map((r, idx) =>
-      r.status === 'fulfilled'
-        ? r.value
-        : {
-            provider: providerName(RPC_PROVIDERS[idx]),
-            rpc_base: RPC_PROVIDERS[idx],
-            ok: false,
-            error: String(r.reason?.message || r.reason || 'unknown provider failure'),
-            events: []
-          }
-    )
-  );
-
-  const okRuns = providerRuns.filter((r) => r.ok);
-  const dynamicQuorum = okRuns.length >= RPC_QUORUM_MIN ? RPC_QUORUM_MIN : Math.max(1, okRuns.length);
-
-  const evidence = new Map();
-  const canonical = new Map();
-
-  for (const run of okRuns) {
-    for (const e of run.events) {
-      if (!canonical.has(e.id)) canonical.set(e.id, e);
-      if (!evidence.has(e.id)) evidence.set(e.id, new Set());
-      evidence.get(e.id).add(run.provider);
-    }
-  }
+// The ingest job of scripts/lib/pipeline.mjs; `ranges` re-scans those heights
+// instead of advancing the cursors.
+export async function run({ ranges = SCAN_RANGES, repairGaps = REPAIR_GAPS } = {}) {
+  const repairMode = repairGaps || ranges.length > 0;
+  await fs.mkdir(LEDGER_DIR, { recursive: true });
 
-  const quorumEvents = [];
-  let droppedByQuorum = 0;
-  for (const [id, ev] of canonical.entries()) {
-    const supporters = evidence.get(id)?.size || 0;
-    if (supporters >= dynamicQuorum) {
-      quorumEvents.push(ev);
-    } else {
-      droppedByQuorum++;
-    }
+  // The scans take minutes, so they are planned from a state read without a
+  // lock; recordRun reads it again under the lock it writes it with.
+  const planState = await loadState();
+  const ledgerVersion = planState.schema_version ?? 1;
+  if (ledgerVersion < LEDGER_SCHEMA_VERSION) {
+    console.log(`⚠️ Ledger is at schema v${ledgerVersion}; new rows are v${LEDGER_SCHEMA_VERSION}. Run scripts/v2/migrate-ledger-v2.mjs`);
   }
 
-  const partitions = [...new Set(quorumEvents.map((e) => getPartitionKey(e.timestamp)))];
+  const repairRanges = ranges.length ? ranges : (repairGaps ? planRepairRanges(planState.gaps || []) : []);
+  if (repairMode && !repairRanges.length) console.log('✅ No recorded gaps to repair');
+
+  const providerRuns = repairMode
+    ? await runGapRepair(repairRanges)
+    : await runCursorScan(planState);
+
+  // Another ingest (a backfill, a manual run) may have recorded its own run
+  // meanwhile: state, coverage and quarantine are read and written back under
+  // their locks, always taken in this order.
+  return withFileLocks([STATE_FILE, COVERAGE_FILE, QUARANTINE_DIR], () => recordRun({ providerRuns, repairMode }));
+}
+
+// Merges the provider runs into the ledger, quarantine, coverage and state.
+async function recordRun({ providerRuns, repairMode }) {
+  const state = await loadState();
+  const prevGaps = state.gaps || [];
+
+  // Events short of quorum go to quarantine (scripts/lib/ledger-quarantine.mjs)
+  // with their evidence; evidence and coverage from earlier runs count towards
+  // quorum, so a height only one provider has reached waits for a second.
+  const coverageIndex = await loadCoverage();
+  const {
+    okProviders,
+    coverage,
+    evidence,
+    canonical,
+    quorumEvents,
+    quarantine,
+    forensics,
+    droppedByQuorum,
+    quarantined,
+    promoted,
+    expired
+  } = selectQuorum({
+    providerRuns,
+    quarantine: await loadQuarantine(),
+    quorumMin: RPC_QUORUM_MIN,
+    nowIso,
+    priorCoverage: coverageIndex.providers || {},
+    providerCount: RPC_PROVIDERS.length
+  });
+  const dynamicQuorum = okProviders.size >= RPC_QUORUM_MIN ? RPC_QUORUM_MIN : Math.max(1, okProviders.size);
+
+  const partitions = [...new Set([
+    ...quorumEvents.map((e) => getPartitionKey(e.timestamp)),
+    ...[...quarantine.values()].map((q) => getPartitionKey(q.timestamp))
+  ])];
   const existingIds = await loadExistingIdsForPartitions(partitions);
+  // Reached the ledger some other way (a later quorum run, a repair)
+  for (const id of quarantine.keys()) {
+    if (existingIds.has(id)) quarantine.delete(id);
+  }
 
   const toAppendByPartition = new Map();
   let skippedExisting = 0;
@@ -245,41 +315,109 @@ async function main() {
     toAppendByPartition.get(p).push(e);
   }
 
+  // Appends extend each partition's hash chain (scripts/lib/ledger-chain.mjs);
+  // a partition whose sealed lines changed is not appended to. The partition's
+  // output lock keeps a migration from rewriting it between read and append.
+  const chains = { ...(state.chains || {}) };
   for (const [p, rows] of toAppendByPartition.entries()) {
-    const file = path.join(LEDGER_DIR, `events-${p}.jsonl`);
-    rows.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
-    const lines = rows.map((r) => JSON.stringify(r)).join('\n') + '\n';
-    await fs.appendFile(file, lines, 'utf8');
+    const name = `events-${p}.jsonl`;
+    const file = path.join(LEDGER_DIR, name);
+    await withFileLock(file, async () => {
+      const existing = existsSync(file) ? await fs.readFile(file, 'utf8') : '';
+      const check = checkPartition(name, existing, chains[p]);
+      if (check.status === 'altered' || check.status === 'truncated') {
+        throw new Error(`${name} no longer matches its sealed hash chain (${check.status}); run scripts/v2/verify-ledger-v2.mjs`);
+      }
+      if (existing && check.status !== 'ok') console.log(`⚠️ ${name}: sealing ${check.lines - (check.sealed_lines || 0)} lines nobody sealed`);
+      rows.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      // A torn last line stays a line of its own rather than swallowing the first new row
+      const lines = (existing && !existing.endsWith('\n') ? '\n' : '') + rows.map((r) => JSON.stringify(r)).join('\n') + '\n';
+      await fs.appendFile(file, lines, 'utf8');
+      chains[p] = sealRecord(name, existing + lines, nowIso);
+    });
   }
 
   const appended = Array.from(toAppendByPartition.values()).reduce((s, rows) => s + rows.length, 0);
 
-  const providerStats = Object.fromEntries(providerRuns.map((r) => [r.provider, {
-    rpc_base: r.rpc_base,
-    ok: r.ok,
-    error: r.error,
-    events: r.events.length
-  }]));
+  await saveQuarantine(quarantine);
+  await recordForensics({
+    providers: forensics,
+    quarantine: { quarantined, promoted, expired, open: quarantine.size }
+  }, nowIso);
+  if (quarantined || promoted || expired) {
+    console.log(`ℹ️ Quarantine: ${quarantined} new, ${promoted} promoted, ${expired} expired, ${quarantine.size} open`);
+  }
+
+  const providerStats = {};
+  for (const r of providerRuns) {
+    const prev = providerStats[r.provider];
+    const range = scannedRange(r);
+    providerStats[r.provider] = {
+      rpc_base: r.rpc_base,
+      ok: Boolean(prev?.ok || r.ok),
+      error: r.error || prev?.error || null,
+      events: (prev?.events || 0) + r.events.length,
+      scanned: [...(prev?.scanned || []), ...(range ? [range] : [])],
+      ...(r.tip_height ? { tip_height: r.tip_height } : {})
+    };
+  }
 
   const supportCounts = Array.from(evidence.values()).map((s) => s.size);
   const agreementAvg = supportCounts.length
     ? Number((supportCounts.reduce((a, b) => a + b, 0) / supportCounts.length).toFixed(3))
     : 0;
 
+  // Gaps: heights above the previous frontier that no provider scanned this run,
+  // plus earlier gaps still not covered by anyone.
+  const coveredRanges = mergeRanges(coverage.map((c) => c.range));
+  const prevFrontier = state.cursors?.height || null;
+  const maxScanned = coveredRanges.length ? coveredRanges[coveredRanges.length - 1].to_height : null;
+  const windowStart = prevFrontier ? prevFrontier + 1 : (coveredRanges[0]?.from_height ?? null);
+  const newGaps = !repairMode && maxScanned && windowStart <= maxScanned
+    ? subtractRanges([{ from_height: windowStart, to_height: maxScanned, detected_at: nowIso }], coveredRanges)
+    : [];
+  const gaps = mergeRanges(subtractRanges([...prevGaps, ...newGaps], coveredRanges));
+  const frontier = repairMode ? prevFrontier : Math.max(prevFrontier || 0, maxScanned || 0) || null;
+
+  const providerCursors = { ...(state.cursors?.providers || {}) };
+  if (!repairMode) {
+    for (const r of providerRuns) {
+      const prev = providerCursors[r.provider] || {};
+      const range = scannedRange(r);
+      providerCursors[r.provider] = {
+        rpc_base: r.rpc_base,
+        last_scanned_height: Math.max(prev.last_scanned_height || 0, range?.to_height || 0) || null,
+        tip_height: r.tip_height || prev.tip_height || null,
+        updated_at: range ? nowIso : (prev.updated_at || null),
+        last_error: r.error || null
+      };
+    }
+  }
+
   const nextState = {
     ...state,
     last_ingest_at: nowIso,
     cursors: {
-      ...(state.cursors || {}),
-      since: new Date(Date.now() - OVERLAP_HOURS * 3600 * 1000).toISOString()
+      height: frontier,
+      providers: providerCursors
     },
+    gaps,
+    chain_algo: CHAIN_ALGO,
+    chains,
     stats: {
-      providers_total: providerRuns.length,
-      providers_ok: okRuns.length,
+      mode: repairMode ? 'repair' : 'cursor',
+      providers_total: RPC_PROVIDERS.length,
+      providers_ok: okProviders.size,
       quorum_required: dynamicQuorum,
+      scanned_ranges: coveredRanges,
+      gaps_detected: newGaps.length,
+      gap_blocks_repaired: repairMode ? blocksIn(prevGaps) - blocksIn(gaps) : 0,
       candidate_events: canonical.size,
       quorum_events: quorumEvents.length,
       dropped_by_quorum: droppedByQuorum,
+      quarantined,
+      promoted_from_quarantine: promoted,
+      quarantine_open: quarantine.size,
       skipped_existing: skippedExisting,
       appended,
       partitions_touched: toAppendByPartition.size,
@@ -288,19 +426,33 @@ async function main() {
     }
   };
 
-  await fs.writeFile(STATE_FILE, JSON.stringify(nextState, null, 2));
+  await writeJsonChecked(STATE_FILE, nextState);
+
+  for (const r of providerRuns) {
+    const range = scannedRange(r);
+    if (range) addCoverage(coverageIndex, r.provider, r.rpc_base, { ...range, from_time: r.scan.from_time, to_time: r.scan.to_time });
+  }
+  const coverageSaved = await saveCoverage(coverageIndex, frontier);
 
   const sourceStatus = {
     generated_at: nowIso,
-    status: okRuns.length >= dynamicQuorum ? 'ok' : (okRuns.length > 0 ? 'degraded' : 'critical'),
-    overlap_hours: OVERLAP_HOURS,
+    status: okProviders.size >= dynamicQuorum ? 'ok' : (okProviders.size > 0 ? 'degraded' : 'critical'),
+    cursor: {
+      mode: repairMode ? 'repair' : 'cursor',
+      frontier_height: frontier,
+      scanned_ranges: coveredRanges,
+      gaps_open: gaps.length,
+      gap_blocks: blocksIn(gaps),
+      coverage_holes: coverageSaved.holes.length
+    },
     quorum: {
       configured_min: RPC_QUORUM_MIN,
       active_required: dynamicQuorum,
-      provider_count: providerRuns.length,
-      provider_success: okRuns.length,
+      provider_count: RPC_PROVIDERS.length,
+      provider_success: okProviders.size,
       agreement_avg_supporters: agreementAvg,
-      dropped_by_quorum: droppedByQuorum
+      dropped_by_quorum: droppedByQuorum,
+      quarantine_open: quarantine.size
     },
     providers: providerStats,
     ledger: {
@@ -310,12 +462,29 @@ async function main() {
     }
   };
 
-  await fs.writeFile(SOURCE_STATUS_FILE, JSON.stringify(sourceStatus, null, 2));
+  // REST metric quorum is recorded by the support jobs; carry it over untouched,
+  // under the lock they update it with.
+  await withFileLock(SOURCE_STATUS_FILE, async () => {
+    const prevSourceStatus = await readJsonSafe(SOURCE_STATUS_FILE, {});
+    if (prevSourceStatus.rest_quorum) sourceStatus.rest_quorum = prevSourceStatus.rest_quorum;
+    await writeJsonChecked(SOURCE_STATUS_FILE, sourceStatus);
+  });
 
-  console.log(`✅ v2 ingest done: providers_ok=${okRuns.length}/${providerRuns.length}, quorum=${dynamicQuorum}, candidate=${canonical.size}, quorum_events=${quorumEvents.length}, appended=${appended}`);
+  console.log(`✅ v2 ingest done (${repairMode ? 'repair' : 'cursor'}): providers_ok=${okProviders.size}/${RPC_PROVIDERS.length}, quorum=${dynamicQuorum}, frontier=${frontier}, gaps=${gaps.length}, candidate=${canonical.size}, quorum_events=${quorumEvents.length}, appended=${appended}`);
+  return {
+    mode: repairMode ? 'repair' : 'cursor',
+    status: sourceStatus.status,
+    providers_ok: okProviders.size,
+    frontier,
+    gaps: gaps.length,
+    quorum_events: quorumEvents.length,
+    appended,
+  };
 }
 
-main().catch((err) => {
-  console.error('❌ v2 ingest failed:', err);
-  process.exit(1);
-});
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error('❌ v2 ingest failed:', err);
+    process.exit(1);
+  });
+}
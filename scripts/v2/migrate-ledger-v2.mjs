@@ -0,0 +1,239 @@
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { writeJsonChecked } from '../lib/data-contracts.mjs';
+import { readJsonSafe, withFileLock, withFileLocks, writeFileAtomic } from '../lib/data-files.mjs';
+import { CHAIN_ALGO, checkPartition, sealRecord } from '../lib/ledger-chain.mjs';
+import { LEDGER_SCHEMA_VERSION, LedgerSchemaVersionError, MIGRATIONS, upgradeRow } from '../lib/ledger-schema.mjs';
+import { isEntryPoint } from '../lib/pipeline.mjs';
+
+// Upgrades ledger partitions in place to LEDGER_SCHEMA_VERSION by applying the
+// migrations in scripts/lib/ledger-schema.mjs to every row below it. Rows that
+// end up with the same id are merged into the earliest ingested one, filling
+// fields it left empty; rows that share an id but disagree on other fields are
+// collisions: they are reported and nothing is written unless --resolve=first
+// keeps the earliest ingested row. Cancel corrections recorded in
+// data/pending-undelegations.json follow rows whose id changed.
+//
+// Partitions whose sealed hash chain (scripts/lib/ledger-chain.mjs) no longer
+// matches are refused; rewritten ones are resealed. Each partition is replaced
+// atomically, with the old copy kept in data/.backup/ (scripts/lib/data-files.mjs),
+// and only when its content changed. Rows carry their own version, so a run interrupted between partitions
+// resumes where it stopped; a run on a current ledger writes nothing. Applied
+// migrations are recorded in data/ledger/state.json, last. state.json and every
+// partition stay locked from the read to the rewrite (state first, the order
+// ingest takes them in), so no append or seal lands in between.
+//   node scripts/v2/migrate-ledger-v2.mjs [--check] [--resolve=first]
+// --check writes nothing and exits 1 while anything still needs migrating.
+// run() is the migrate-ledger job of scripts/lib/pipeline.mjs.
+
+const ROOT = process.cwd();
+const LEDGER_DIR = path.join(ROOT, 'data', 'ledger');
+const STATE_FILE = path.join(LEDGER_DIR, 'state.json');
+const PENDING_FILE = path.join(ROOT, 'data', 'pending-undelegations.json');
+const CHECK = process.argv.includes('--check');
+const RESOLVE_FIRST = process.argv.includes('--resolve=first');
+
+// Per-provider bookkeeping and display names: allowed to differ between duplicates
+const METADATA_FIELDS = new Set(['id', 'source', 'ingested_at', 'msg_index', 'validator_name', 'src_validator_name']);
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === '';
+}
+
+function partitionOf(iso) {
+  return /^\d{4}-\d{2}/.test(iso || '') ? iso.slice(0, 7) : null;
+}
+
+async function partitionNames() {
+  return (await fs.readdir(LEDGER_DIR)).filter((n) => /^events-\d{4}-\d{2}\.jsonl$/.test(n)).sort();
+}
+
+async function loadPartitions(names) {
+  const partitions = [];
+  for (const name of names) {
+    const entries = [];
+    const text = await fs.readFile(path.join(LEDGER_DIR, name), 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push({ row: JSON.parse(line) });
+      } catch {
+        entries.push({ line });
+      }
+    }
+    partitions.push({ key: name.slice(7, 14), name, text, entries });
+  }
+  return partitions;
+}
+
+// Merges rows that share an id; returns the kept row and any conflicting fields.
+function mergeGroup(rows) {
+  const sorted = rows.slice().sort((a, b) => String(a.row.ingested_at || '').localeCompare(String(b.row.ingested_at || '')));
+  const merged = { ...sorted[0].row };
+  const conflicts = {};
+  for (const { row } of sorted.slice(1)) {
+    for (const [k, v] of Object.entries(row)) {
+      if (isEmpty(v)) continue;
+      if (isEmpty(merged[k])) merged[k] = v;
+      else if (!METADATA_FIELDS.has(k) && JSON.stringify(merged[k]) !== JSON.stringify(v)) {
+        conflicts[k] = [...new Set([...(conflicts[k] || [JSON.stringify(merged[k])]), JSON.stringify(v)])];
+      }
+    }
+  }
+  return { merged, conflicts, home: sorted[0].partition };
+}
+
+export async function run() {
+  if (!existsSync(LEDGER_DIR)) {
+    console.log('ℹ️ No ledger directory; nothing to migrate');
+    return { rows: 0, written: 0 };
+  }
+  // Partitions are listed under the state lock: ingest only appends holding it
+  return withFileLock(STATE_FILE, async () => {
+    const names = await partitionNames();
+    return withFileLocks(names.map((n) => path.join(LEDGER_DIR, n)), () => migrate(names));
+  });
+}
+
+async function migrate(names) {
+  const state = await readJsonSafe(STATE_FILE);
+  if (state?.schema_version !== undefined && state.schema_version > LEDGER_SCHEMA_VERSION) {
+    throw new LedgerSchemaVersionError('data/ledger/state.json', state.schema_version);
+  }
+  const partitions = await loadPartitions(names);
+  for (const p of partitions) {
+    const { status } = checkPartition(p.name, p.text, state?.chains?.[p.key]);
+    if (status === 'altered' || status === 'truncated') {
+      throw new Error(`${p.name} no longer matches its sealed hash chain (${status}); run scripts/v2/verify-ledger-v2.mjs`);
+    }
+  }
+
+  // Upgrade every row, then group by (possibly new) id
+  const applied = new Map(MIGRATIONS.map((m) => [m.id, 0]));
+  const groups = new Map();
+  const idMap = new Map();
+  let rows = 0;
+  let upgraded = 0;
+  for (const p of partitions) {
+    for (const entry of p.entries) {
+      if (!entry.row) continue;
+      rows++;
+      const result = upgradeRow(entry.row, `${p.name} row ${entry.row.id || rows}`);
+      if (result.applied.length) upgraded++;
+      for (const id of result.applied) applied.set(id, applied.get(id) + 1);
+      if (entry.row.id && entry.row.id !== result.row.id) idMap.set(entry.row.id, result.row.id);
+      entry.id = result.row.id;
+      if (!groups.has(entry.id)) groups.set(entry.id, []);
+      groups.get(entry.id).push({ row: result.row, partition: p.key });
+    }
+  }
+
+  const collisions = [];
+  const kept = new Map();
+  let merged = 0;
+  for (const [id, group] of groups) {
+    const result = mergeGroup(group);
+    if (Object.keys(result.conflicts).length) {
+      collisions.push({ id, rows: group.length, fields: result.conflicts });
+    }
+    merged += group.length - 1;
+    kept.set(id, { row: result.merged, partition: partitionOf(result.merged.timestamp) || result.home });
+  }
+
+  console.log(`📊 ${rows} rows in ${partitions.length} partitions: ${upgraded} upgraded to schema v${LEDGER_SCHEMA_VERSION}, ${idMap.size} new ids, ${merged} duplicates merged, ${collisions.length} collisions`);
+  for (const c of collisions.slice(0, 20)) {
+    console.log(`⚠️ Collision ${c.id} (${c.rows} rows): ${JSON.stringify(c.fields)}`);
+  }
+  if (collisions.length > 20) console.log(`⚠️ … ${collisions.length - 20} more collisions`);
+
+  if (collisions.length && !RESOLVE_FIRST) {
+    throw new Error(`${collisions.length} collisions found; nothing written. Inspect them, then re-run with --resolve=first to keep the earliest ingested row`);
+  }
+
+  // Each row goes out once, where its first copy stood (or its timestamp's month)
+  const out = new Map(partitions.map((p) => [p.key, []]));
+  const written = new Set();
+  for (const p of partitions) {
+    for (const entry of p.entries) {
+      if (!entry.row) {
+        out.get(p.key).push(entry.line);
+        continue;
+      }
+      if (written.has(entry.id)) continue;
+      const { row, partition } = kept.get(entry.id);
+      if (partition !== p.key && !out.has(partition)) out.set(partition, []);
+      out.get(partition).push(JSON.stringify(row));
+      written.add(entry.id);
+    }
+  }
+
+  const before = new Map(partitions.map((p) => [p.key, p.text]));
+  const changed = [...out].filter(([key, lines]) => (lines.length ? `${lines.join('\n')}\n` : null) !== (before.get(key) ?? null));
+  // A ledger started at the current version never needed the earlier migrations
+  const recorded = new Set((state?.migrations || []).map((m) => m.id));
+  const unrecorded = MIGRATIONS.filter((m) => applied.get(m.id) && !recorded.has(m.id));
+  const stateCurrent = !state || (state.schema_version === LEDGER_SCHEMA_VERSION && !unrecorded.length);
+
+  if (CHECK) {
+    if (changed.length || !stateCurrent) {
+      throw new Error(`${changed.length} partitions need scripts/v2/migrate-ledger-v2.mjs${stateCurrent ? '' : ' (state.json not at the current schema version)'}`);
+    }
+    console.log(`✅ Ledger at schema v${LEDGER_SCHEMA_VERSION}`);
+    return { rows, upgraded, collisions: collisions.length, written: 0 };
+  }
+
+  const nowIso = new Date().toISOString();
+  const chains = { ...(state?.chains || {}) };
+  for (const [key, lines] of changed) {
+    const name = `events-${key}.jsonl`;
+    const file = path.join(LEDGER_DIR, name);
+    if (!lines.length) {
+      await fs.rm(file, { force: true });
+      delete chains[key];
+      console.log(`💾 ${name}: removed (all rows merged elsewhere)`);
+      continue;
+    }
+    const text = `${lines.join('\n')}\n`;
+    await writeFileAtomic(file, text);
+    chains[key] = sealRecord(name, text, nowIso);
+    console.log(`💾 ${name}: ${lines.length} rows, resealed`);
+  }
+
+  if (idMap.size && existsSync(PENDING_FILE)) {
+    await withFileLock(PENDING_FILE, async () => {
+      const pending = await readJsonSafe(PENDING_FILE);
+      const corrections = pending?.cancel_corrections?.applied || [];
+      const remapped = corrections.filter((a) => idMap.has(a.id));
+      if (remapped.length) {
+        for (const a of remapped) a.id = idMap.get(a.id);
+        await writeJsonChecked(PENDING_FILE, pending);
+        console.log(`💾 pending-undelegations.json: ${remapped.length} cancel corrections re-pointed`);
+      }
+    });
+  }
+
+  if (!state) {
+    console.log('⚠️ No data/ledger/state.json yet; the next ingest records the schema version');
+  } else if (changed.length || !stateCurrent) {
+    await writeJsonChecked(STATE_FILE, {
+      ...state,
+      schema_version: LEDGER_SCHEMA_VERSION,
+      ...(changed.length ? { chain_algo: CHAIN_ALGO, chains } : {}),
+      migrations: [
+        ...(state.migrations || []),
+        ...unrecorded.map((m) => ({ id: m.id, version: m.version, applied_at: nowIso, rows: applied.get(m.id) }))
+      ]
+    });
+    console.log(`💾 state.json: schema v${LEDGER_SCHEMA_VERSION}${unrecorded.length ? `, recorded ${unrecorded.map((m) => m.id).join(', ')}` : ''}`);
+  }
+  console.log(changed.length || !stateCurrent ? `✅ Ledger migrated to schema v${LEDGER_SCHEMA_VERSION}` : `✅ Ledger already at schema v${LEDGER_SCHEMA_VERSION}; nothing written`);
+  return { rows, upgraded, collisions: collisions.length, written: changed.length };
+}
+
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error('❌ ledger migration failed:', err);
+    process.exit(1);
+  });
+}
@@ -1,221 +1,630 @@
 import fs from 'node:fs/promises';
-import { existsSync } from 'node:fs';
 import path from 'node:path';
-import { spawnSync } from 'node:child_process';
+import { createChainClient } from '../lib/chain-client.mjs';
+import { loadRegistry, loadSnapshotOnOrBefore, saveRegistry, upsertValidator } from '../lib/validator-registry.mjs';
+import { writeJsonChecked } from '../lib/data-contracts.mjs';
+import { readJsonSafe, withFileLock } from '../lib/data-files.mjs';
+import { AS_OF, knownAt, nowIso, nowMs, outputPath, readInput, recordSnapshot, snapshotDir } from '../lib/as-of.mjs';
+import {
+  DERIVED_CACHE_VERSION,
+  isFresh,
+  ledgerSources,
+  loadDerivedIndex,
+  loadPartitionCache,
+  pruneCaches,
+  sameSource,
+  saveDerivedIndex,
+  savePartitionCache
+} from '../lib/derived-cache.mjs';
+import {
+  aggregateByTime,
+  bucketFromCache,
+  bucketToCache,
+  toAtomBucket,
+  toIsoDay,
+  toIsoHour
+} from '../lib/flow-buckets.mjs';
+import { ICF_DELEGATORS } from '../lib/icf.mjs';
+import { parseLedgerLines } from '../lib/ledger-chain.mjs';
+import { assertReadableRow } from '../lib/ledger-schema.mjs';
+import { atomThreshold, eventUatom, uatomToAtom, uatomToWholeAtom } from '../lib/uatom.mjs';
+import { isEntryPoint } from '../lib/pipeline.mjs';
+
+// With --as-of=<ISO> (scripts/lib/as-of.mjs) outputs go to data/snapshots/<as-of>/
+// and are built from the ledger rows known at that time, bypassing the
+// partition cache.
+//   node scripts/v2/rebuild-derived-v2.mjs [--full] [--as-of=<ISO>]
+// run() is the rebuild job of scripts/lib/pipeline.mjs, which runs the pending
+// queue and unbonding flow fetchers first (`atomprice run rebuild`); run alone,
+// it reads the files they last wrote.
 
 const ROOT = process.cwd();
-const LEDGER_DIR = path.join(ROOT, 'data', 'ledger');
-const OUT_FEED = path.join(ROOT, 'data', 'delegation_feed.json');
-const OUT_RAW = path.join(ROOT, 'data', 'delegation-events-raw.json');
-const OUT_HOURLY = path.join(ROOT, 'data', 'delegation-flow-hourly.json');
-const OUT_DAILY = path.join(ROOT, 'data', 'delegation-flow-daily.json');
-const OUT_WHALE = path.join(ROOT, 'data', 'whale-events.json');
+const OUT_FEED = outputPath(path.join(ROOT, 'data', 'delegation_feed.json'));
+const OUT_RAW = outputPath(path.join(ROOT, 'data', 'delegation-events-raw.json'));
+const OUT_HOURLY = outputPath(path.join(ROOT, 'data', 'delegation-flow-hourly.json'));
+const OUT_DAILY = outputPath(path.join(ROOT, 'data', 'delegation-flow-daily.json'));
+const OUT_WHALE = outputPath(path.join(ROOT, 'data', 'whale-events.json'));
+const LIVE_TOKENIZED = path.join(ROOT, 'data', 'tokenized-stake-daily.json');
+const OUT_TOKENIZED = outputPath(LIVE_TOKENIZED);
+const OUT_VALIDATOR_FLOWS = outputPath(path.join(ROOT, 'data', 'validator-flows-daily.json'));
+const OUT_VALIDATOR_BOARD = outputPath(path.join(ROOT, 'data', 'validator-leaderboard.json'));
 const SOURCE_STATUS = path.join(ROOT, 'data', 'source-status.json');
-const VALIDATOR_CACHE_FILE = path.join(ROOT, 'data', 'validator_cache.json');
-const REST_BASE = (process.env.REST_BASE || 'https://rest.cosmos.directory/cosmoshub').replace(/\/+$/, '');
+const PENDING_FILE = outputPath(path.join(ROOT, 'data', 'pending-undelegations.json'));
 
 const FEED_KEEP = Number(process.env.FEED_KEEP ?? '1000');
 const WHALE_FEED_MIN = Number(process.env.WHALE_FEED_MIN ?? '50000');
+const WHALE_FEED_MIN_UATOM = atomThreshold(WHALE_FEED_MIN);
 const WHALE_FEED_DAYS = Number(process.env.WHALE_FEED_DAYS ?? '30');
 const WHALE_EVENT_MIN = Number(process.env.WHALE_EVENT_MIN ?? '50000');
+const WHALE_EVENT_MIN_UATOM = atomThreshold(WHALE_EVENT_MIN);
 const RAW_KEEP_DAYS = Number(process.env.RAW_KEEP_DAYS ?? '365');
 const HOURLY_KEEP_DAYS = Number(process.env.HOURLY_KEEP_DAYS ?? '370');
-const RUN_PENDING = String(process.env.RUN_PENDING ?? 'true').toLowerCase() !== 'false';
-const RUN_UNBONDING = String(process.env.RUN_UNBONDING ?? 'true').toLowerCase() !== 'false';
-
-const ICF_DELEGATORS = new Set([
-  'cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7',
-  'cosmos1z6czaavlk6kjd48rpf58kqqw9ssad2uaxnazgl',
-]);
-
-const validatorCache = {};
-
-function toIsoHour(iso) {
-  const d = new Date(iso);
-  if (!Number.isFinite(d.getTime())) return null;
-  d.setUTCMinutes(0, 0, 0);
-  return d.toISOString();
-}
-
-function toIsoDay(iso) {
-  const d = new Date(iso);
-  if (!Number.isFinite(d.getTime())) return null;
-  return d.toISOString().slice(0, 10);
-}
-
-async function readJsonSafe(file, fallback) {
-  try { return JSON.parse(await fs.readFile(file, 'utf8')); } catch { return fallback; }
-}
-
-async function loadValidatorCache() {
-  const data = await readJsonSafe(VALIDATOR_CACHE_FILE, {});
-  Object.assign(validatorCache, data || {});
-}
-
-async function saveValidatorCache() {
-  await fs.writeFile(VALIDATOR_CACHE_FILE, JSON.stringify(validatorCache, null, 2));
+const UNBONDING_DAYS = Number(process.env.UNBONDING_DAYS ?? '21');
+const LEADERBOARD_WINDOWS = [7, 30];
+// Ignore the per-partition cache (scripts/lib/derived-cache.mjs) and re-aggregate everything
+const FULL_REBUILD = process.argv.includes('--full');
+// The cache and derived index describe the ledger as it is now
+const USE_CACHE = !FULL_REBUILD && !AS_OF;
+
+// Whale category per ledger type; tokenization gets its own so LSM moves are not
+// mistaken for delegations.
+const WHALE_CATEGORIES = {
+  delegate: 'delegation',
+  undelegate: 'undelegation',
+  redelegate: 'redelegation',
+  cancel_unbond: 'cancelled_unbonding',
+  tokenize_shares: 'tokenization',
+  redeem_tokens: 'tokenization_redeem',
+  transfer_share_record: 'tokenization_transfer',
+};
+
+let registry = null;
+const client = createChainClient();
+
+function monikerOf(valoperAddr) {
+  return registry.validators[valoperAddr]?.moniker || '';
 }
 
+// Validators the last registry walk did not list are fetched once and upserted.
 async function resolveMoniker(valoperAddr) {
   if (!valoperAddr) return '';
-  if (validatorCache[valoperAddr]) return validatorCache[valoperAddr];
+  if (monikerOf(valoperAddr)) return monikerOf(valoperAddr);
   try {
-    const res = await fetch(`${REST_BASE}/cosmos/staking/v1beta1/validators/${valoperAddr}`, { headers: { accept: 'application/json' } });
-    if (!res.ok) return '';
-    const d = await res.json();
-    const moniker = d?.validator?.description?.moniker || '';
-    if (moniker) validatorCache[valoperAddr] = moniker;
-    return moniker;
+    const d = await client.rest(`/cosmos/staking/v1beta1/validators/${valoperAddr}`);
+    if (d?.validator) upsertValidator(registry, d.validator);
+    return monikerOf(valoperAddr);
   } catch {
     return '';
   }
 }
 
+// Redelegations carry a second (source) validator under src_validator_*.
+const VALIDATOR_FIELDS = [['validator_addr', 'validator_name'], ['src_validator_addr', 'src_validator_name']];
+
+// Returns the number of validators added to the registry.
 async function ensureValidatorNames(items) {
   const unknown = new Set();
   for (const e of items) {
-    const addr = e.validator_addr || '';
-    if (!addr) continue;
-    if (e.validator_name) {
-      validatorCache[addr] = e.validator_name;
-      continue;
-    }
-    if (validatorCache[addr]) {
-      e.validator_name = validatorCache[addr];
-      continue;
+    for (const [addrKey, nameKey] of VALIDATOR_FIELDS) {
+      const addr = e[addrKey] || '';
+      if (!addr || e[nameKey]) continue;
+      if (monikerOf(addr)) {
+        e[nameKey] = monikerOf(addr);
+        continue;
+      }
+      unknown.add(addr);
     }
-    unknown.add(addr);
   }
 
-  for (const addr of unknown) {
-    const moniker = await resolveMoniker(addr);
-    if (moniker) validatorCache[addr] = moniker;
+  let added = 0;
+  for (const addr of AS_OF ? [] : unknown) {
+    if (await resolveMoniker(addr)) added++;
   }
 
   for (const e of items) {
-    if (!e.validator_name && e.validator_addr && validatorCache[e.validator_addr]) {
-      e.validator_name = validatorCache[e.validator_addr];
+    for (const [addrKey, nameKey] of VALIDATOR_FIELDS) {
+      if (!e[nameKey] && e[addrKey] && monikerOf(e[addrKey])) {
+        e[nameKey] = monikerOf(e[addrKey]);
+      }
     }
   }
+  return added;
 }
 
-async function listLedgerFiles() {
-  if (!existsSync(LEDGER_DIR)) return [];
-  const names = await fs.readdir(LEDGER_DIR);
-  return names
-    .filter((n) => /^events-\d{4}-\d{2}\.jsonl$/.test(n))
-    .sort()
-    .map((n) => path.join(LEDGER_DIR, n));
+// One partition's rows, deduplicated by id. Refuses a partition holding rows of
+// a schema version this tree does not know (LedgerSchemaVersionError) rather
+// than deriving from fields it misreads. Malformed lines are skipped and
+// reported; verify-ledger-v2.mjs fails on them. With --as-of, rows the ledger
+// did not hold yet are left out.
+async function loadPartitionRows(source) {
+  const { rows, malformed } = parseLedgerLines(await fs.readFile(source.file, 'utf8'));
+  const dedup = new Map();
+  for (const { row } of rows) {
+    assertReadableRow(row, source.name);
+    if (knownAt(row)) dedup.set(row.id, row);
+  }
+  if (malformed.length) {
+    console.log(`⚠️ ${source.name}: skipped ${malformed.length} malformed lines (${malformed.slice(0, 5).map((m) => m.line).join(', ')}${malformed.length > 5 ? ', …' : ''})`);
+  }
+  return Array.from(dedup.values());
 }
 
-async function loadLedgerEvents() {
-  const files = await listLedgerFiles();
-  const dedup = new Map();
-  for (const file of files) {
-    const txt = await fs.readFile(file, 'utf8');
-    for (const line of txt.split('\n')) {
-      if (!line.trim()) continue;
-      try {
-        const row = JSON.parse(line);
-        if (!row?.id) continue;
-        dedup.set(row.id, row);
-      } catch {
-        // ignore bad line
-      }
+function newestFirst(a, b) {
+  const ta = Date.parse(a.timestamp || 0) || 0;
+  const tb = Date.parse(b.timestamp || 0) || 0;
+  if (tb !== ta) return tb - ta;
+  return Number(b.height || 0) - Number(a.height || 0);
+}
+
+// Chain-wide liquid staked total; the query moved with the LSM messages.
+async function fetchTotalLiquidStaked() {
+  for (const p of ['/gaia/liquid/v1beta1/total_liquid_staked', '/cosmos/staking/v1beta1/total_liquid_staked']) {
+    try {
+      const d = await client.rest(p);
+      const uatom = Number(d?.tokens ?? d?.total_liquid_staked ?? NaN);
+      if (Number.isFinite(uatom)) return uatom / 1_000_000;
+    } catch {
+      // try the next path
     }
   }
-  return Array.from(dedup.values());
+  return null;
 }
 
-function aggregateByTime(items, keyFn, includeWindowDays = null) {
-  const nowMs = Date.now();
-  const cutoffMs = includeWindowDays ? nowMs - includeWindowDays * 86400000 : null;
-  const buckets = new Map();
-
-  for (const item of items) {
-    const tsMs = Date.parse(item.timestamp || '');
-    if (!Number.isFinite(tsMs)) continue;
-    if (cutoffMs && tsMs < cutoffMs) continue;
-
-    const key = keyFn(item.timestamp);
-    if (!key) continue;
-
-    if (!buckets.has(key)) {
-      buckets.set(key, {
-        key,
-        delegate_atom: 0,
-        undelegate_atom: 0,
-        net_atom: 0,
-        delegates_count: 0,
-        undelegates_count: 0,
-        total_count: 0,
-      });
+// Daily tokenized stake: LSM tokenize/redeem flows from the ledger (uatom day
+// buckets) plus the chain total sampled once per rebuild (kept per day across runs).
+// An --as-of run samples nothing and keeps the live file's samples of earlier days.
+async function buildTokenizedSeries(daily) {
+  const today = toIsoDay(nowIso());
+  const prev = await readJsonSafe(LIVE_TOKENIZED, { items: [] });
+  const snapshots = new Map((prev.items || [])
+    .filter((d) => d.total_liquid_staked_atom !== null && d.total_liquid_staked_atom !== undefined)
+    .filter((d) => !AS_OF || d.date < today)
+    .map((d) => [d.date, d.total_liquid_staked_atom]));
+
+  const total = AS_OF ? null : await fetchTotalLiquidStaked();
+  if (total !== null) snapshots.set(today, Math.round(total));
+
+  const dates = [...new Set([
+    ...daily.filter((d) => d.tokenize_count || d.redeem_count).map((d) => d.key),
+    ...snapshots.keys(),
+  ])].sort();
+  const byDate = new Map(daily.map((d) => [d.key, d]));
+
+  let cumulative = 0n;
+  return dates.map((date) => {
+    const d = byDate.get(date) || {};
+    const tokenized = d.tokenize_atom ?? 0n;
+    const redeemed = d.redeem_atom ?? 0n;
+    cumulative += tokenized - redeemed;
+    return {
+      date,
+      tokenized_atom: uatomToWholeAtom(tokenized),
+      redeemed_atom: uatomToWholeAtom(redeemed),
+      net_tokenized_atom: uatomToWholeAtom(tokenized - redeemed),
+      cumulative_net_atom: uatomToWholeAtom(cumulative),
+      tokenize_count: Number(d.tokenize_count || 0),
+      redeem_count: Number(d.redeem_count || 0),
+      total_liquid_staked_atom: snapshots.get(date) ?? null,
+    };
+  });
+}
+
+// Stake a ledger event moves in or out of each validator it touches; a
+// redelegation leaves its source and lands on its destination.
+const VALIDATOR_FLOW_SIGNS = { delegate: 1, redelegate_in: 1, cancel_unbond: 1, undelegate: -1, redelegate_out: -1 };
+
+function validatorFlowLegs(e) {
+  if (e.type === 'redelegate') return [[e.validator_addr, 'redelegate_in'], [e.src_validator_addr, 'redelegate_out']];
+  return e.type in VALIDATOR_FLOW_SIGNS ? [[e.validator_addr, e.type]] : [];
+}
+
+// Per-validator daily uatom flows: Map valoper → Map day → { [leg]: uatom, net, events }
+function validatorDayFlows(events) {
+  const byValidator = new Map();
+  for (const e of events) {
+    const day = toIsoDay(e.timestamp || '');
+    const amt = eventUatom(e);
+    if (!day || amt <= 0n) continue;
+    for (const [addr, field] of validatorFlowLegs(e)) {
+      if (!addr) continue;
+      if (!byValidator.has(addr)) byValidator.set(addr, new Map());
+      const days = byValidator.get(addr);
+      if (!days.has(day)) days.set(day, { net: 0n, events: 0, ...Object.fromEntries(Object.keys(VALIDATOR_FLOW_SIGNS).map((f) => [f, 0n])) });
+      const row = days.get(day);
+      row[field] += amt;
+      row.net += BigInt(VALIDATOR_FLOW_SIGNS[field]) * amt;
+      row.events += 1;
+    }
+  }
+  return byValidator;
+}
+
+// Cached as { [valoper]: { [day]: { [leg]: "uatom", ..., events } } }, zero legs left out
+function validatorDaysToCache(byValidator) {
+  const out = {};
+  for (const [addr, days] of byValidator) {
+    out[addr] = Object.fromEntries([...days].map(([day, row]) => [day, bucketToCache(row)]));
+  }
+  return out;
+}
+
+function mergeValidatorDays(byValidator, cached, fromDay) {
+  for (const [addr, days] of Object.entries(cached)) {
+    if (!byValidator.has(addr)) byValidator.set(addr, new Map());
+    for (const [day, c] of Object.entries(days)) {
+      if (day < fromDay) continue;
+      const row = { net: 0n, events: 0, ...Object.fromEntries(Object.keys(VALIDATOR_FLOW_SIGNS).map((f) => [f, 0n])) };
+      for (const [k, v] of Object.entries(c)) row[k] = k === 'events' ? v : BigInt(v);
+      byValidator.get(addr).set(day, row);
     }
+  }
+}
+
+// Per-validator daily series, stored column-wise to keep the file small:
+// { [valoper]: { name, dates: [...], delegate_atom: [...], ..., net_atom: [...], events: [...] } }
+function buildValidatorFlows(byValidator) {
+  const out = {};
+  for (const addr of [...byValidator.keys()].sort()) {
+    const days = byValidator.get(addr);
+    if (!days.size) continue;
+    const dates = [...days.keys()].sort();
+    const column = (f) => dates.map((d) => uatomToWholeAtom(days.get(d)[f]));
+    out[addr] = {
+      name: monikerOf(addr),
+      dates,
+      ...Object.fromEntries(Object.keys(VALIDATOR_FLOW_SIGNS).map((f) => [`${f}_atom`, column(f)])),
+      net_atom: column('net'),
+      events: dates.map((d) => days.get(d).events),
+    };
+  }
+  return out;
+}
+
+function flowWindow(series, fromDay) {
+  const w = { inflow_atom: 0, outflow_atom: 0, net_atom: 0, events: 0 };
+  if (!series) return w;
+  series.dates.forEach((date, i) => {
+    if (date < fromDay) return;
+    for (const [f, sign] of Object.entries(VALIDATOR_FLOW_SIGNS)) {
+      w[sign > 0 ? 'inflow_atom' : 'outflow_atom'] += series[`${f}_atom`][i];
+    }
+    w.net_atom += series.net_atom[i];
+    w.events += series.events[i];
+  });
+  return w;
+}
+
+// The registry as of AS_OF: status, commission, voting power and rank from the
+// last daily snapshot taken by then (validator-history), monikers from the
+// current registry. Without --as-of, the current registry.
+async function registryAsOf() {
+  const reg = await loadRegistry();
+  if (!AS_OF) return reg;
+  let snapshot = await loadSnapshotOnOrBefore(toIsoDay(AS_OF));
+  if (snapshot && snapshot.generated_at > AS_OF) {
+    snapshot = await loadSnapshotOnOrBefore(toIsoDay(new Date(Date.parse(snapshot.date) - 86400000).toISOString()));
+  }
+  const validators = {};
+  for (const addr of new Set([...Object.keys(reg.validators), ...Object.keys(snapshot?.validators || {})])) {
+    validators[addr] = { moniker: reg.validators[addr]?.moniker || '', ...(snapshot?.validators?.[addr] || {}) };
+  }
+  return { generated_at: snapshot?.generated_at || null, validators };
+}
 
-    const b = buckets.get(key);
-    const amt = Number(item.amount_atom || 0);
-    if (!Number.isFinite(amt) || amt <= 0) continue;
-
-    if (item.type === 'delegate') {
-      b.delegate_atom += amt;
-      b.delegates_count += 1;
-      b.net_atom += amt;
-    } else if (item.type === 'undelegate') {
-      b.undelegate_atom += amt;
-      b.undelegates_count += 1;
-      b.net_atom -= amt;
+// Ranks validators by windowed flows, pending unbonding queue and voting power
+// change. Runs after the pending refresh so registry and queue are current.
+async function buildValidatorLeaderboard(flows) {
+  const reg = await registryAsOf();
+  const pending = await readJsonSafe(PENDING_FILE, null);
+  const today = toIsoDay(nowIso());
+
+  const queue = new Map();
+  for (const [date, entries] of Object.entries(pending?.delegators_by_date || {})) {
+    if (date < today) continue;
+    for (const e of entries) {
+      if (!e.validator) continue;
+      const q = queue.get(e.validator) || { atom: 0, entries: 0 };
+      q.atom += Number(e.atom || 0);
+      q.entries += 1;
+      queue.set(e.validator, q);
     }
-    b.total_count += 1;
   }
 
-  return Array.from(buckets.values()).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+  const dayOffset = (days) => toIsoDay(new Date(nowMs() - days * 86400000).toISOString());
+  const windows = [];
+  for (const days of LEADERBOARD_WINDOWS) {
+    // Voting power baseline: the snapshot taken `days` ago, tolerating a few missed days
+    const snapshot = await loadSnapshotOnOrBefore(dayOffset(days));
+    windows.push({
+      key: `${days}d`,
+      from: dayOffset(days - 1),
+      snapshot: snapshot && snapshot.date >= dayOffset(days + 3) ? snapshot : null,
+    });
+  }
+
+  const addrs = new Set([
+    ...Object.entries(reg.validators).filter(([, v]) => v.status === 'bonded').map(([a]) => a),
+    ...Object.keys(flows),
+    ...queue.keys(),
+  ]);
+
+  const rows = [...addrs].map((addr) => {
+    const v = reg.validators[addr] || {};
+    const row = {
+      validator_addr: addr,
+      name: v.moniker || flows[addr]?.name || '',
+      status: v.status ?? null,
+      jailed: v.jailed ?? null,
+      rank: v.rank ?? null,
+      commission_rate: v.commission_rate ?? null,
+      voting_power_atom: v.voting_power_atom ?? null,
+      voting_power_pct: v.voting_power_pct ?? null,
+      unbonding_queue_atom: Math.round(queue.get(addr)?.atom || 0),
+      unbonding_queue_entries: queue.get(addr)?.entries || 0,
+      windows: {},
+    };
+    for (const w of windows) {
+      const before = w.snapshot?.validators?.[addr]?.voting_power_atom;
+      row.windows[w.key] = {
+        ...flowWindow(flows[addr], w.from),
+        voting_power_change_atom: Number.isFinite(before) && Number.isFinite(row.voting_power_atom)
+          ? Math.round(row.voting_power_atom - before)
+          : null,
+      };
+    }
+    return row;
+  });
+
+  const last = windows[windows.length - 1].key;
+  rows.sort((a, b) => b.windows[last].net_atom - a.windows[last].net_atom);
+  return {
+    windows: Object.fromEntries(windows.map((w) => [w.key, { from_date: w.from, snapshot_date: w.snapshot?.date || null }])),
+    pending_generated_at: pending?.generated_at || null,
+    registry_generated_at: reg.generated_at || null,
+    rows,
+  };
 }
 
 function normalizeFeedItem(e) {
   return {
     type: e.type,
-    amount_atom: Number(e.amount_atom || 0),
+    amount_uatom: eventUatom(e).toString(),
+    amount_atom: uatomToAtom(eventUatom(e)),
     delegator: e.delegator || '',
     validator_addr: e.validator_addr || '',
     validator_name: e.validator_name || '',
+    ...(e.type === 'redelegate' ? {
+      src_validator_addr: e.src_validator_addr || '',
+      src_validator_name: e.src_validator_name || '',
+    } : {}),
+    ...(e.type === 'cancel_unbond' ? { creation_height: Number(e.creation_height || 0) || null } : {}),
+    ...(e.share_record_id !== undefined ? { share_record_id: e.share_record_id || '', share_owner: e.share_owner || '' } : {}),
     height: Number(e.height || 0),
+    // Kept so eventId() (scripts/lib/event-identity.mjs) can be recomputed from feed rows
+    event_index: Number(e.event_index ?? 0),
     txhash: e.txhash || '',
     timestamp: e.timestamp || null,
   };
 }
 
-function runScript(file, env = {}) {
-  const res = spawnSync('node', [file], {
-    cwd: ROOT,
-    env: { ...process.env, ...env },
-    encoding: 'utf8'
+// Completion date of the unbonding entry a cancel event removed: the original
+// undelegation's time + UNBONDING_DAYS when it is in the ledger, otherwise the
+// pending date holding the same delegator/validator entry that covers the amount.
+function cancelCompletionDate(cancel, undelegateTimes, delegatorsByDate) {
+  const key = `${cancel.creation_height}|${cancel.delegator}|${cancel.validator_addr}`;
+  const startedAt = undelegateTimes.get(key);
+  if (startedAt) {
+    return new Date(Date.parse(startedAt) + UNBONDING_DAYS * 86400000).toISOString().slice(0, 10);
+  }
+
+  const candidates = Object.keys(delegatorsByDate).sort().filter((date) =>
+    delegatorsByDate[date].some((d) => d.address === cancel.delegator && d.validator === cancel.validator_addr)
+  );
+  const amount = uatomToAtom(eventUatom(cancel));
+  return candidates.find((date) => delegatorsByDate[date].some((d) =>
+    d.address === cancel.delegator && d.validator === cancel.validator_addr && Number(d.atom || 0) >= amount - 0.001
+  )) || candidates[0] || null;
+}
+
+// Cancelled unbondings leave pending-undelegations.json stale until the next
+// fetch-pending-undelegations.mjs snapshot. Cancels newer than the snapshot are
+// subtracted from their completion date; applied ids are recorded on the file so
+// repeated rebuilds never subtract twice, and a fresh snapshot starts clean.
+async function applyCancelCorrections(events) {
+  // Held from the read to the write so a concurrent snapshot is not overwritten
+  return withFileLock(PENDING_FILE, async () => {
+    const pending = await readJsonSafe(PENDING_FILE, null);
+    if (!pending?.generated_at || !Array.isArray(pending.schedule)) return null;
+
+    const prev = pending.cancel_corrections || { applied: [] };
+    const appliedIds = new Set(prev.applied.map((a) => a.id));
+    const cancels = events.filter((e) =>
+      e.type === 'cancel_unbond' && e.timestamp && e.timestamp > pending.generated_at && !appliedIds.has(e.id)
+    );
+
+    const undelegateTimes = new Map();
+    for (const e of events) {
+      if (e.type === 'undelegate' && e.timestamp) {
+        undelegateTimes.set(`${e.height}|${e.delegator}|${e.validator_addr}`, e.timestamp);
+      }
+    }
+
+    const delegatorsByDate = pending.delegators_by_date || {};
+    const applied = [];
+    let unmatched = 0;
+
+    for (const c of cancels.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))) {
+      const date = cancelCompletionDate(c, undelegateTimes, delegatorsByDate);
+      const entries = date ? delegatorsByDate[date] : null;
+      const entry = entries?.find((d) => d.address === c.delegator && d.validator === c.validator_addr);
+      if (!entry) {
+        // Entries under the pending MIN_ATOM threshold were never in the schedule
+        unmatched++;
+        continue;
+      }
+
+      const atom = Math.min(Number(entry.atom || 0), uatomToAtom(eventUatom(c)));
+      entry.atom = Math.round((Number(entry.atom || 0) - atom) * 1000) / 1000;
+      if (entry.atom <= 0) entries.splice(entries.indexOf(entry), 1);
+
+      const isIcf = ICF_DELEGATORS.has(c.delegator);
+      const delegatorCount = new Set(entries.map((d) => d.address)).size;
+      const icfFreeCount = new Set(entries.filter((d) => !ICF_DELEGATORS.has(d.address)).map((d) => d.address)).size;
+      for (const [list, count, skip] of [
+        [pending.schedule, delegatorCount, false],
+        [pending.schedule_excluding_icf || [], icfFreeCount, isIcf],
+      ]) {
+        const day = list.find((d) => d.date === date);
+        if (!day || skip) continue;
+        day.atom = Math.max(0, Math.round(Number(day.atom || 0) - atom));
+        day.delegator_count = count;
+      }
+      pending.total_unbonding_atom = Math.max(0, Math.round(Number(pending.total_unbonding_atom || 0) - atom));
+      if (!isIcf && pending.total_unbonding_atom_excluding_icf !== undefined) {
+        pending.total_unbonding_atom_excluding_icf = Math.max(0, Math.round(Number(pending.total_unbonding_atom_excluding_icf || 0) - atom));
+      }
+
+      applied.push({
+        id: c.id,
+        txhash: c.txhash || '',
+        timestamp: c.timestamp,
+        date,
+        atom: Math.round(atom * 1000) / 1000,
+        delegator: c.delegator || '',
+        validator: c.validator_addr || '',
+      });
+    }
+
+    pending.cancel_corrections = {
+      snapshot_generated_at: pending.generated_at,
+      updated_at: nowIso(),
+      applied: [...prev.applied, ...applied],
+      unmatched,
+    };
+    if (applied.length || unmatched !== prev.unmatched) {
+      await writeJsonChecked(PENDING_FILE, pending);
+    }
+    return { applied: applied.length, unmatched };
   });
-  if (res.status !== 0) {
-    throw new Error(`${file} failed: ${res.stderr || res.stdout || `exit ${res.status}`}`);
+}
+
+// Whale-sized rows kept in each partition cache: the lower of the two whale
+// thresholds, plus every ICF move.
+const WHALE_CACHE_MIN_UATOM = WHALE_FEED_MIN_UATOM < WHALE_EVENT_MIN_UATOM ? WHALE_FEED_MIN_UATOM : WHALE_EVENT_MIN_UATOM;
+
+function isWhaleCandidate(e) {
+  const amt = eventUatom(e);
+  return amt > 0n && (amt >= WHALE_CACHE_MIN_UATOM || ICF_DELEGATORS.has(e.delegator));
+}
+
+function buildPartitionCache(source, rows) {
+  return {
+    cache_version: DERIVED_CACHE_VERSION,
+    partition: source.key,
+    source: { bytes: source.bytes, head: source.head },
+    whale_min_uatom: WHALE_CACHE_MIN_UATOM.toString(),
+    built_at: new Date().toISOString(),
+    rows: rows.length,
+    undated: rows.filter((e) => !e.timestamp).length,
+    hourly: aggregateByTime(rows, toIsoHour).map(bucketToCache),
+    daily: aggregateByTime(rows, toIsoDay).map(bucketToCache),
+    validators: validatorDaysToCache(validatorDayFlows(rows)),
+    whales: rows.filter(isWhaleCandidate),
+    cancels: rows.filter((e) => e.type === 'cancel_unbond'),
+  };
+}
+
+// Partitions inside the retention window with their cache entry; rows are
+// loaded (and the entry rebuilt) only for partitions that changed since it was built.
+async function loadPartitions(fromDay) {
+  const sources = (await ledgerSources())
+    .filter((s) => s.key >= fromDay.slice(0, 7) && (!AS_OF || s.key <= AS_OF.slice(0, 7)));
+  const parts = [];
+  for (const source of sources) {
+    let cache = USE_CACHE ? await loadPartitionCache(source.key) : null;
+    let rows = null;
+    if (!isFresh(cache, source, { whale_min_uatom: WHALE_CACHE_MIN_UATOM.toString() })) {
+      rows = await loadPartitionRows(source);
+      cache = buildPartitionCache(source, rows);
+      if (!AS_OF) await savePartitionCache(cache);
+    }
+    parts.push({ source, cache, rows });
+  }
+  if (!AS_OF) await pruneCaches(new Set(sources.map((s) => s.key)));
+  return parts.reverse();
+}
+
+async function partitionRows(part) {
+  if (!part.rows) part.rows = await loadPartitionRows(part.source);
+  return part.rows;
+}
+
+// delegation-events-raw.json is every ledger event in the window. Items of
+// partitions unchanged since the previous raw file was written are taken from it;
+// the rest are normalised from their rows.
+async function buildRawItems(parts, fromIso) {
+  const index = USE_CACHE ? await loadDerivedIndex() : null;
+  const prev = index?.raw ? await readJsonSafe(OUT_RAW, null) : null;
+  const reusable = prev?.generated_at && prev.generated_at === index.raw.generated_at;
+  const prevByMonth = new Map();
+  if (reusable) {
+    for (const item of prev.items || []) {
+      if (!item.timestamp) continue;
+      const key = item.timestamp.slice(0, 7);
+      if (!prevByMonth.has(key)) prevByMonth.set(key, []);
+      prevByMonth.get(key).push(item);
+    }
+  }
+
+  const items = [];
+  let reused = 0;
+  for (const part of parts) {
+    const { key } = part.source;
+    if (reusable && !part.rows && !part.cache.undated && sameSource(index.raw.partitions?.[key], part.source)) {
+      const kept = (prevByMonth.get(key) || []).filter((i) => i.timestamp >= fromIso);
+      items.push(...kept);
+      reused++;
+      continue;
+    }
+    const rows = (await partitionRows(part)).filter((e) => !e.timestamp || e.timestamp >= fromIso);
+    items.push(...rows.sort(newestFirst).map(normalizeFeedItem));
   }
+  // Undated rows sort last, as they always have
+  items.sort((a, b) => (!a.timestamp) - (!b.timestamp));
+  return { items, reused };
 }
 
-async function main() {
+export async function run() {
   await fs.mkdir(path.join(ROOT, 'data'), { recursive: true });
-  await loadValidatorCache();
-
-  const sourceStatus = await readJsonSafe(SOURCE_STATUS, {});
-  let events = await loadLedgerEvents();
-
-  const rawCutoffIso = new Date(Date.now() - RAW_KEEP_DAYS * 86400000).toISOString();
-  events = events.filter((e) => !e.timestamp || e.timestamp >= rawCutoffIso);
-  await ensureValidatorNames(events);
-  events.sort((a, b) => {
-    const ta = Date.parse(a.timestamp || 0) || 0;
-    const tb = Date.parse(b.timestamp || 0) || 0;
-    if (tb !== ta) return tb - ta;
-    return Number(b.height || 0) - Number(a.height || 0);
-  });
+  registry = await loadRegistry();
+  if (AS_OF) console.log(`📸 As of ${AS_OF}: writing ${path.relative(ROOT, snapshotDir())}/`);
+
+  const sourceStatus = await readInput(SOURCE_STATUS, {});
+
+  // Everything derived covers whole UTC days from RAW_KEEP_DAYS ago
+  const fromDay = toIsoDay(new Date(nowMs() - RAW_KEEP_DAYS * 86400000).toISOString());
+  const fromIso = `${fromDay}T00:00:00.000Z`;
+  const parts = await loadPartitions(fromDay);
+  const rebuilt = parts.filter((p) => p.rows).map((p) => p.source.key);
+  console.log(`ℹ️ Ledger partitions: ${parts.length} in window, re-aggregated ${rebuilt.length ? rebuilt.join(', ') : 'none'}`);
+
+  const inWindow = (e) => !e.timestamp || e.timestamp >= fromIso;
+
+  // Newest partitions until the feed is full
+  const recent = [];
+  for (const part of parts) {
+    recent.push(...(await partitionRows(part)).filter(inWindow));
+    if (recent.length >= FEED_KEEP) break;
+  }
+  const recentFeed = recent.sort(newestFirst).slice(0, FEED_KEEP);
+  const whaleRows = parts.flatMap((p) => p.cache.whales).filter(inWindow).sort(newestFirst);
+
+  const named = [...recentFeed, ...whaleRows, ...parts.flatMap((p) => p.rows || [])];
+  if (await ensureValidatorNames(named) && !AS_OF) await saveRegistry(registry);
 
-  const recentFeed = events.slice(0, FEED_KEEP);
-  const whaleCutoffIso = new Date(Date.now() - WHALE_FEED_DAYS * 86400000).toISOString();
-  const whaleFeed = events.filter((e) =>
-    Number(e.amount_atom || 0) >= WHALE_FEED_MIN && (!e.timestamp || e.timestamp >= whaleCutoffIso)
+  const whaleCutoffIso = new Date(nowMs() - WHALE_FEED_DAYS * 86400000).toISOString();
+  const whaleFeed = whaleRows.filter((e) =>
+    eventUatom(e) >= WHALE_FEED_MIN_UATOM && (!e.timestamp || e.timestamp >= whaleCutoffIso)
   );
 
   const feedMap = new Map();
@@ -223,89 +632,170 @@ async function main() {
     feedMap.set(e.id, normalizeFeedItem(e));
   }
 
-  const feedItems = Array.from(feedMap.values()).sort((a, b) => {
-    const ta = Date.parse(a.timestamp || 0) || 0;
-    const tb = Date.parse(b.timestamp || 0) || 0;
-    if (tb !== ta) return tb - ta;
-    return Number(b.height || 0) - Number(a.height || 0);
-  });
+  const feedItems = Array.from(feedMap.values()).sort(newestFirst);
 
   const dCount = feedItems.filter((i) => i.type === 'delegate').length;
   const uCount = feedItems.filter((i) => i.type === 'undelegate').length;
+  const rCount = feedItems.filter((i) => i.type === 'redelegate').length;
+  const cCount = feedItems.filter((i) => i.type === 'cancel_unbond').length;
 
-  await fs.writeFile(OUT_FEED, JSON.stringify({
-    generated_at: new Date().toISOString(),
+  await writeJsonChecked(OUT_FEED, {
+    generated_at: nowIso(),
     min_atom: 1,
     total: feedItems.length,
     delegates: dCount,
     undelegates: uCount,
+    redelegates: rCount,
+    cancel_unbonds: cCount,
     ingestion_health: sourceStatus,
     items: feedItems,
-  }, null, 2));
+  });
 
-  await fs.writeFile(OUT_RAW, JSON.stringify({
-    generated_at: new Date().toISOString(),
+  const raw = await buildRawItems(parts, fromIso);
+  const rawGeneratedAt = nowIso();
+  await writeJsonChecked(OUT_RAW, {
+    generated_at: rawGeneratedAt,
     timezone: 'UTC',
     min_atom: 1,
     retention_days: RAW_KEEP_DAYS,
     immutable: true,
-    total: events.length,
-    items: events.map(normalizeFeedItem),
-  }, null, 2));
-
-  const hourly = aggregateByTime(events, toIsoHour, HOURLY_KEEP_DAYS);
-  const daily = aggregateByTime(events, toIsoDay, null);
+    total: raw.items.length,
+    items: raw.items,
+  });
+  if (!AS_OF) {
+    await saveDerivedIndex({
+      generated_at: rawGeneratedAt,
+      raw: {
+        generated_at: rawGeneratedAt,
+        partitions: Object.fromEntries(parts.map((p) => [p.source.key, { bytes: p.source.bytes, head: p.source.head }])),
+      },
+    });
+  }
 
-  await fs.writeFile(OUT_HOURLY, JSON.stringify({
-    generated_at: new Date().toISOString(),
+  // Hours and days belong to one month each, so cached buckets merge without overlap
+  const hourlyFromIso = [fromIso, toIsoHour(new Date(nowMs() - HOURLY_KEEP_DAYS * 86400000).toISOString())].sort()[1];
+  const byKey = (a, b) => String(a.key).localeCompare(String(b.key));
+  const hourly = parts.flatMap((p) => p.cache.hourly).filter((b) => b.key >= hourlyFromIso)
+    .map(bucketFromCache).sort(byKey).map(toAtomBucket);
+  const dailyUatom = parts.flatMap((p) => p.cache.daily).filter((b) => b.key >= fromDay)
+    .map(bucketFromCache).sort(byKey);
+  const daily = dailyUatom.map(toAtomBucket);
+
+  await writeJsonChecked(OUT_HOURLY, {
+    generated_at: nowIso(),
     timezone: 'UTC',
     source: 'event-ledger-v2',
     retention_days: HOURLY_KEEP_DAYS,
     total: hourly.length,
     items: hourly,
-  }, null, 2));
+  });
 
-  await fs.writeFile(OUT_DAILY, JSON.stringify({
-    generated_at: new Date().toISOString(),
+  await writeJsonChecked(OUT_DAILY, {
+    generated_at: nowIso(),
     timezone: 'UTC',
     source: 'event-ledger-v2',
     total: daily.length,
     items: daily,
-  }, null, 2));
+  });
 
-  const yearAgo = new Date(Date.now() - 365 * 86400000).toISOString();
-  const whales = events
-    .filter((e) => Number(e.amount_atom || 0) >= WHALE_EVENT_MIN || ICF_DELEGATORS.has(e.delegator))
+  const yearAgo = new Date(nowMs() - 365 * 86400000).toISOString();
+  const whales = whaleRows
+    .filter((e) => eventUatom(e) >= WHALE_EVENT_MIN_UATOM || ICF_DELEGATORS.has(e.delegator))
     .filter((e) => !e.timestamp || e.timestamp >= yearAgo)
     .map((e) => ({
       type: e.type,
-      atom: Math.round(Number(e.amount_atom || 0)),
+      category: WHALE_CATEGORIES[e.type] || e.type,
+      atom: uatomToWholeAtom(eventUatom(e)),
       timestamp: e.timestamp,
       txhash: e.txhash || '',
       validator_addr: e.validator_addr || '',
       validator_name: e.validator_name || '',
       delegator: e.delegator || '',
+      ...(e.type === 'redelegate' ? {
+        src_validator_addr: e.src_validator_addr || '',
+        src_validator_name: e.src_validator_name || '',
+      } : {}),
     }));
 
-  await fs.writeFile(OUT_WHALE, JSON.stringify({
-    generated_at: new Date().toISOString(),
+  const tokenized = await buildTokenizedSeries(dailyUatom);
+  await writeJsonChecked(OUT_TOKENIZED, {
+    generated_at: nowIso(),
+    timezone: 'UTC',
+    source: 'event-ledger-v2',
+    note: 'cumulative_net_atom covers the ledger window only; total_liquid_staked_atom is the chain total sampled at rebuild time',
+    total: tokenized.length,
+    items: tokenized,
+  });
+
+  await writeJsonChecked(OUT_WHALE, {
+    generated_at: nowIso(),
     whale_min_atom: WHALE_EVENT_MIN,
     total: whales.length,
+    categories: whales.reduce((acc, w) => ({ ...acc, [w.category]: (acc[w.category] || 0) + 1 }), {}),
     events: whales,
-  }, null, 2));
+  });
 
-  if (RUN_PENDING) {
-    runScript('scripts/fetch-pending-undelegations.mjs', { MIN_ATOM: process.env.PENDING_MIN_ATOM || '100' });
+  // Cancels come from the caches; the undelegations they may undo from the
+  // partitions an unbonding that short could have started in
+  const cancels = parts.flatMap((p) => p.cache.cancels).filter(inWindow);
+  const undelegations = [];
+  if (cancels.length) {
+    const oldest = cancels.map((c) => c.timestamp).filter(Boolean).sort()[0] || fromIso;
+    const fromMonth = new Date(Date.parse(oldest) - UNBONDING_DAYS * 86400000).toISOString().slice(0, 7);
+    for (const part of parts.filter((p) => p.source.key >= fromMonth)) {
+      undelegations.push(...(await partitionRows(part)).filter((e) => e.type === 'undelegate'));
+    }
   }
-  if (RUN_UNBONDING) {
-    runScript('scripts/fetch-unbonding-flows.mjs', {});
+  const cancelFix = await applyCancelCorrections([...cancels, ...undelegations]);
+  if (cancelFix?.applied) console.log(`↺ Pending schedule: ${cancelFix.applied} cancelled unbondings subtracted`);
+
+  const validatorDays = new Map();
+  for (const part of parts) mergeValidatorDays(validatorDays, part.cache.validators, fromDay);
+  const validatorFlows = buildValidatorFlows(validatorDays);
+  await writeJsonChecked(OUT_VALIDATOR_FLOWS, {
+    generated_at: nowIso(),
+    timezone: 'UTC',
+    source: 'event-ledger-v2',
+    retention_days: RAW_KEEP_DAYS,
+    total: Object.keys(validatorFlows).length,
+    validators: validatorFlows,
+  }, { space: null });
+
+  const board = await buildValidatorLeaderboard(validatorFlows);
+  await writeJsonChecked(OUT_VALIDATOR_BOARD, {
+    generated_at: nowIso(),
+    source: 'event-ledger-v2',
+    windows: board.windows,
+    pending_generated_at: board.pending_generated_at,
+    registry_generated_at: board.registry_generated_at,
+    total: board.rows.length,
+    validators: board.rows,
+  });
+
+  if (AS_OF) {
+    await recordSnapshot('rebuild-derived-v2', [
+      OUT_FEED, OUT_RAW, OUT_HOURLY, OUT_DAILY, OUT_WHALE, OUT_TOKENIZED, OUT_VALIDATOR_FLOWS, OUT_VALIDATOR_BOARD,
+    ], [
+      'unbonding-flows.json: fetch-unbonding-flows.mjs traces matured unbondings through the chain as it is now',
+      'tokenized-stake-daily.json total_liquid_staked_atom of the as-of day: sampled from the chain at rebuild time',
+      ...(Object.keys(sourceStatus).length ? [] : ['delegation_feed.json ingestion_health: source-status.json was written after the as-of time']),
+    ]);
   }
 
-  await saveValidatorCache();
-  console.log(`✅ v2 rebuild done: events=${events.length}, feed=${feedItems.length}, whales=${whales.length}`);
+  console.log(`✅ v2 rebuild done: events=${raw.items.length} (raw items of ${raw.reused}/${parts.length} partitions reused), feed=${feedItems.length}, whales=${whales.length}`);
+  return {
+    events: raw.items.length,
+    partitions: parts.length,
+    partitions_reaggregated: rebuilt.length,
+    feed: feedItems.length,
+    whales: whales.length,
+    cancels_subtracted: cancelFix?.applied || 0,
+  };
 }
 
-main().catch((err) => {
-  console.error('❌ v2 rebuild failed:', err);
-  process.exit(1);
-});
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error('❌ v2 rebuild failed:', err);
+    process.exit(1);
+  });
+}
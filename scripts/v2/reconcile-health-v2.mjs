@@ -1,21 +1,25 @@
-import fs from 'node:fs/promises';
 import path from 'node:path';
+import { writeJsonChecked } from '../lib/data-contracts.mjs';
+import { AS_OF, nowIso, nowMs, outputPath, readInput, recordSnapshot } from '../lib/as-of.mjs';
+import { reconcileMassBalance } from '../lib/mass-balance.mjs';
+import { isEntryPoint } from '../lib/pipeline.mjs';
 
-const ROOT = process.cwd();
+// With --as-of=<ISO> (scripts/lib/as-of.mjs) freshness is measured at that time
+// against the inputs known then (the snapshot's, after the other builders ran
+// with the same --as-of) and the report is written into the snapshot.
+//   node scripts/v2/reconcile-health-v2.mjs [--as-of=<ISO>]
+// run() is the health job of scripts/lib/pipeline.mjs.
 
-async function readJson(file, fallback = null) {
-  try {
-    return JSON.parse(await fs.readFile(file, 'utf8'));
-  } catch {
-    return fallback;
-  }
-}
+const ROOT = process.cwd();
+// Quarantined events that expired this recently make the ledger check degraded
+const QUARANTINE_EXPIRED_DAYS = 7;
+const OUT_FILE = outputPath(path.join(ROOT, 'data', 'ingestion-health.json'));
 
 function minutesSince(iso) {
   if (!iso) return null;
   const t = Date.parse(iso);
   if (!Number.isFinite(t)) return null;
-  return Math.round((Date.now() - t) / 60000);
+  return Math.round((nowMs() - t) / 60000);
 }
 
 function statusByFreshness(mins, okMax) {
@@ -24,12 +28,13 @@ function statusByFreshness(mins, okMax) {
   return 'stale';
 }
 
-async function main() {
-  const source = await readJson(path.join(ROOT, 'data', 'source-status.json'), {});
-  const feed = await readJson(path.join(ROOT, 'data', 'delegation_feed.json'), {});
-  const pending = await readJson(path.join(ROOT, 'data', 'pending-undelegations.json'), {});
-  const unbonding = await readJson(path.join(ROOT, 'data', 'unbonding-flows.json'), {});
-  const eventIntelligence = await readJson(path.join(ROOT, 'data', 'event-intelligence.json'), {});
+export async function run() {
+  const source = await readInput(path.join(ROOT, 'data', 'source-status.json'), {});
+  const feed = await readInput(path.join(ROOT, 'data', 'delegation_feed.json'), {});
+  const pending = await readInput(path.join(ROOT, 'data', 'pending-undelegations.json'), {});
+  const unbonding = await readInput(path.join(ROOT, 'data', 'unbonding-flows.json'), {});
+  const eventIntelligence = await readInput(path.join(ROOT, 'data', 'event-intelligence.json'), {});
+  const forensics = await readInput(path.join(ROOT, 'data', 'ledger', 'quorum-forensics.json'), {});
 
   const freshness = {
     source_mins: minutesSince(source.generated_at),
@@ -59,11 +64,34 @@ async function main() {
     checks.quorum = 'ok';
   }
 
+  if (source?.cursor) {
+    checks.ledger_gaps = Number(source.cursor.gaps_open || 0) > 0 ? 'degraded' : 'ok';
+  }
+
+  // An event that expires from quarantine never reached quorum: it is not in the ledger
+  const expiredSince = new Date(nowMs() - (QUARANTINE_EXPIRED_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+  const quarantineExpired = (forensics.days || [])
+    .filter((d) => d.date >= expiredSince)
+    .reduce((sum, d) => sum + Number(d.expired || 0), 0);
+  if (Array.isArray(forensics.days)) {
+    checks.ledger_quarantine = quarantineExpired > 0 ? 'degraded' : 'ok';
+  }
+
+  for (const [job, report] of Object.entries(source?.rest_quorum || {})) {
+    checks[`rest_quorum_${job}`] = report?.status || 'missing';
+  }
+
+  // Ledger net flow vs observed bonded-token change; only days the ledger fully covers count
+  const massBalance = await reconcileMassBalance({ asOf: AS_OF });
+  if (massBalance.summary.days_checked > 0) {
+    checks.mass_balance = massBalance.summary.days_suspect > 0 ? 'degraded' : 'ok';
+  }
+
   const degradedCount = Object.values(checks).filter((v) => v !== 'ok').length;
   const overall = degradedCount === 0 ? 'ok' : degradedCount <= 2 ? 'degraded' : 'critical';
 
   const report = {
-    generated_at: new Date().toISOString(),
+    generated_at: nowIso(),
     overall,
     freshness,
     checks,
@@ -74,18 +102,40 @@ async function main() {
       pending_days: Array.isArray(pending.schedule) ? pending.schedule.length : 0,
       unbonding_days: Array.isArray(unbonding.daily_flows) ? unbonding.daily_flows.length : 0,
       event_intelligence_points: Number(eventIntelligence.total_events || eventIntelligence.sample_size || 0),
+      ledger_frontier_height: source?.cursor?.frontier_height ?? null,
+      ledger_gap_blocks: Number(source?.cursor?.gap_blocks || 0),
+      ledger_quarantine_open: Number(source?.quorum?.quarantine_open || 0),
+      ledger_quarantine_expired: quarantineExpired,
+      mass_balance_days_checked: massBalance.summary.days_checked,
+      mass_balance_days_suspect: massBalance.summary.days_suspect,
+      mass_balance_max_abs_residual_atom: massBalance.summary.max_abs_residual_atom,
     },
+    mass_balance: massBalance,
     notes: {
       source: 'v2 ledger pipeline',
       guidance: overall === 'ok' ? 'Data healthy' : 'At least one source/check degraded. Keep fallback enabled.'
     }
   };
 
-  await fs.writeFile(path.join(ROOT, 'data', 'ingestion-health.json'), JSON.stringify(report, null, 2));
+  await writeJsonChecked(OUT_FILE, report);
+  if (AS_OF) {
+    await recordSnapshot('reconcile-health-v2', [OUT_FILE], [
+      'mass balance coverage: data/ledger/coverage.json keeps no scan times, so it is taken as it is now',
+    ]);
+  }
   console.log(`✅ v2 health: ${overall}`);
+  if (quarantineExpired) {
+    console.log(`⚠️ ${quarantineExpired} quarantined events expired without reaching quorum in the last ${QUARANTINE_EXPIRED_DAYS} days (data/ledger/quorum-forensics.json)`);
+  }
+  for (const day of massBalance.flagged) {
+    console.log(`⚠️ Mass balance ${day.date}: residual ${day.residual_atom.toLocaleString()} ATOM (${day.hint})`);
+  }
+  return { overall, mass_balance_days_suspect: massBalance.summary.days_suspect };
 }
 
-main().catch((err) => {
-  console.error('❌ v2 reconcile failed:', err);
-  process.exit(1);
-});
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error('❌ v2 reconcile failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,128 @@
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { writeJsonChecked } from '../lib/data-contracts.mjs';
+import {
+  CHAIN_ALGO,
+  checkPartition,
+  listPartitions,
+  parseLedgerLines,
+  partitionKey,
+  sealRecord
+} from '../lib/ledger-chain.mjs';
+import { isEntryPoint } from '../lib/pipeline.mjs';
+
+// Verifies every ledger partition against the hash chain heads sealed in
+// data/ledger/state.json (scripts/lib/ledger-chain.mjs) and reports malformed
+// lines. Exits 1 when any sealed line was edited, reordered or dropped, when a
+// sealed partition is missing, when a partition has lines nobody sealed, or when
+// a line is not a ledger row.
+//   node scripts/v2/verify-ledger-v2.mjs [--since=<git rev>] [--seal]
+// --since also checks today's partitions against the heads sealed at an earlier
+// commit, so a rewrite of both a partition and state.json still shows.
+// --seal records heads for unsealed partitions and unsealed tails (first seal,
+// or after an ingest that crashed before writing state.json). It never reseals
+// altered or truncated partitions.
+// run() is the verify-ledger job of scripts/lib/pipeline.mjs.
+
+const ROOT = process.cwd();
+const LEDGER_DIR = path.join(ROOT, 'data', 'ledger');
+const STATE_FILE = path.join(LEDGER_DIR, 'state.json');
+const SEAL = process.argv.includes('--seal');
+const SINCE = (process.argv.find((a) => a.startsWith('--since=')) || '').split('=')[1] || null;
+
+const MAX_REPORTED_LINES = 20;
+
+function chainsAtRevision(rev) {
+  const res = spawnSync('git', ['show', `${rev}:data/ledger/state.json`], { cwd: ROOT, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (res.status !== 0) throw new Error(`git show ${rev}:data/ledger/state.json failed: ${(res.stderr || '').trim()}`);
+  return JSON.parse(res.stdout).chains || {};
+}
+
+function describe(r) {
+  switch (r.status) {
+    case 'ok': return `✅ ${r.name}: ${r.lines} lines, head ${r.head.slice(0, 12)}`;
+    case 'extended': return `⚠️ ${r.name}: ${r.lines - r.sealed_lines} lines after the ${r.sealed_lines} sealed ones were never sealed`;
+    case 'unsealed': return `⚠️ ${r.name}: ${r.lines} lines, never sealed`;
+    case 'truncated': return `❌ ${r.name}: ${r.lines} lines, ${r.sealed_lines} were sealed (truncated)`;
+    case 'altered': return `❌ ${r.name}: sealed lines changed (first difference in lines ${r.altered_lines.from}-${r.altered_lines.to})`;
+    case 'missing': return `❌ ${r.name}: sealed with ${r.sealed_lines} lines but the file is gone`;
+    default: return `❌ ${r.name}: ${r.status}`;
+  }
+}
+
+export async function run() {
+  if (!existsSync(STATE_FILE)) {
+    console.log('ℹ️ No data/ledger/state.json; nothing to verify');
+    return { partitions: 0 };
+  }
+  const state = JSON.parse(await fs.readFile(STATE_FILE, 'utf8'));
+  const chains = state.chains || {};
+  if (state.chain_algo && state.chain_algo !== CHAIN_ALGO) {
+    throw new Error(`state.json chains use ${state.chain_algo}; this tree verifies ${CHAIN_ALGO}`);
+  }
+
+  const names = await listPartitions(LEDGER_DIR);
+  const texts = new Map();
+  for (const name of names) texts.set(name, await fs.readFile(path.join(LEDGER_DIR, name), 'utf8'));
+
+  const results = names.map((name) => checkPartition(name, texts.get(name), chains[partitionKey(name)]));
+  for (const [key, record] of Object.entries(chains)) {
+    const name = `events-${key}.jsonl`;
+    if (!texts.has(name)) results.push({ name, status: 'missing', sealed_lines: record.lines });
+  }
+
+  let failures = 0;
+  for (const r of results) {
+    console.log(describe(r));
+    if (r.status !== 'ok' && !(SEAL && (r.status === 'unsealed' || r.status === 'extended'))) failures++;
+  }
+
+  let malformedTotal = 0;
+  for (const name of names) {
+    const { malformed } = parseLedgerLines(texts.get(name));
+    malformedTotal += malformed.length;
+    for (const m of malformed.slice(0, MAX_REPORTED_LINES)) {
+      console.log(`❌ ${name}:${m.line} ${m.error}${m.text ? `: ${m.text}` : ''}`);
+    }
+    if (malformed.length > MAX_REPORTED_LINES) console.log(`❌ ${name}: … ${malformed.length - MAX_REPORTED_LINES} more malformed lines`);
+  }
+  failures += malformedTotal;
+
+  if (SINCE) {
+    const earlier = chainsAtRevision(SINCE);
+    for (const [key, record] of Object.entries(earlier)) {
+      const name = `events-${key}.jsonl`;
+      const r = texts.has(name) ? checkPartition(name, texts.get(name), record) : { name, status: 'missing', sealed_lines: record.lines };
+      if (r.status === 'ok' || r.status === 'extended') {
+        console.log(`✅ ${name}: the ${record.lines} lines sealed at ${SINCE} are intact`);
+      } else {
+        console.log(`${describe(r)} since ${SINCE}`);
+        failures++;
+      }
+    }
+  }
+
+  if (SEAL) {
+    const nowIso = new Date().toISOString();
+    const sealable = results.filter((r) => r.status === 'unsealed' || r.status === 'extended');
+    if (sealable.length) {
+      const nextChains = { ...chains };
+      for (const r of sealable) nextChains[partitionKey(r.name)] = sealRecord(r.name, texts.get(r.name), nowIso);
+      await writeJsonChecked(STATE_FILE, { ...state, chain_algo: CHAIN_ALGO, chains: nextChains });
+      console.log(`💾 state.json: sealed ${sealable.map((r) => r.name).join(', ')}`);
+    }
+  }
+
+  if (failures) throw new Error(`${failures} problems (${malformedTotal} malformed lines)`);
+  console.log(`✅ Ledger verified: ${names.length} partitions`);
+  return { partitions: names.length };
+}
+
+if (isEntryPoint(import.meta.url)) {
+  run().catch((err) => {
+    console.error('❌ ledger verification failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,576 @@
+// test/mock-chain/server.mjs
+// Local stand-in for the Cosmos Hub REST/RPC providers, Kraken, the ECB and
+// Frankfurter, so every fetcher can run offline against recorded fixtures:
+//   node test/mock-chain/server.mjs [--scenario=default|faults|<file>] [--port=26700]
+//                                   [--host=127.0.0.1] [--now=<ISO>|recorded] [--log]
+// then run a script with the env it prints, e.g.
+//   REST_BASES=http://127.0.0.1:26700 RPC_BASES=http://127.0.0.1:26700 node scripts/fetch-pending-undelegations.mjs
+// or start it in-process with startMockChain() (its `env` holds the same
+// variables). Only what the scripts read is served:
+//   RPC   /status, /block, /tx_search
+//   REST  staking pool, validators (+ one, its unbonding_delegations and
+//         self-delegation), bank supply, mint inflation, total_liquid_staked,
+//         txs by hash and by query, tendermint blocks
+//   other Kraken /0/public/OHLC, ECB /stats/eurofxref/eurofxref-daily.xml,
+//         Frankfurter /latest
+//
+// fixtures/ holds the chain as recorded at chain.json's recorded_at: a tip
+// height, validators, unbonding queues and the transactions of the hour
+// before it (txs.json; the RPC and REST views of a tx are both derived from
+// it). Block times follow from the height (block_seconds apart, the tip at
+// recorded_at). Unless --now=recorded, every time is shifted by whole hours so
+// the tip lands on the current hour: windows like "last 24h" and unbonding
+// completions stay meaningful however old the recording is.
+//
+// A scenario (scenarios/*.json) lists the providers; each gets its own port,
+// so the scripts see them as separate hosts. A provider can disagree with the
+// others (`tip_lag` blocks behind, `omit_txs` it does not index, `overrides`
+// replacing a REST body by path) and inject faults. A fault applies to
+// requests whose path starts with `match` (and whose decoded query contains
+// `query`, if given), for the first `times` of them or for good:
+//   timeout       answer only after `delay_ms` (default 60000)
+//   429           rate limited, with Retry-After: `retry_after` seconds
+//   status        HTTP `status` (default 503)
+//   empty         a well-formed answer with nothing in it
+//   invalid-json  an HTML error page with status 200
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(HERE, 'fixtures');
+export const SCENARIOS_DIR = path.join(HERE, 'scenarios');
+
+const HOUR_MS = 3600 * 1000;
+const DEFAULT_PORT = 26700;
+const DEFAULT_DELAY_MS = 60000;
+const FAULTS = new Set(['timeout', '429', 'status', 'empty', 'invalid-json']);
+
+export class MockChainError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MockChainError';
+  }
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function loadFixtures(dir = FIXTURES_DIR) {
+  return {
+    chain: readJson(path.join(dir, 'chain.json')),
+    txs: readJson(path.join(dir, 'txs.json')).txs,
+    kraken: readJson(path.join(dir, 'kraken-ohlc-atomusd-60.json')),
+    ecbXml: fs.readFileSync(path.join(dir, 'ecb-eurofxref-daily.xml'), 'utf8'),
+    frankfurter: readJson(path.join(dir, 'frankfurter-latest.json')),
+  };
+}
+
+/** A scenario by name (scenarios/<name>.json) or path, checked. */
+export function loadScenario(nameOrFile = 'default') {
+  const file = /[\\/]|\.json$/.test(nameOrFile) ? path.resolve(nameOrFile) : path.join(SCENARIOS_DIR, `${nameOrFile}.json`);
+  const scenario = readJson(file);
+  const names = new Set();
+  for (const p of scenario.providers || []) {
+    if (!p.name || names.has(p.name)) throw new MockChainError(`${file}: provider names must be set and unique`);
+    names.add(p.name);
+    for (const f of p.faults || []) {
+      if (!FAULTS.has(f.fault)) throw new MockChainError(`${file}: ${p.name} has unknown fault ${f.fault}`);
+      if (!f.match) throw new MockChainError(`${file}: ${p.name} has a ${f.fault} fault without match`);
+    }
+  }
+  if (!names.size) throw new MockChainError(`${file}: no providers`);
+  return scenario;
+}
+
+// ── tx_search / REST tx queries ──
+
+/** Conditions of a CometBFT event query: `a.b='x' AND tx.height>=5`. */
+export function parseTxQuery(query) {
+  let q = String(query || '').trim();
+  if (q.startsWith('"')) q = JSON.parse(q);
+  if (!q) throw new MockChainError('empty query');
+  return q.split(/\s+AND\s+/i).map((cond) => {
+    const m = cond.match(/^\s*([\w.-]+)\s*(<=|>=|=|<|>|\s+CONTAINS\s+)\s*(.+?)\s*$/i);
+    if (!m) throw new MockChainError(`cannot parse query condition: ${cond}`);
+    return { key: m[1], op: m[2].trim().toUpperCase(), value: m[3].replace(/^'(.*)'$/, '$1') };
+  });
+}
+
+function compare(actual, op, expected) {
+  if (op === 'CONTAINS') return String(actual).includes(expected);
+  if (op === '=') return String(actual) === expected;
+  const a = Number(actual);
+  const b = Number(expected);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+  return op === '<' ? a < b : op === '<=' ? a <= b : op === '>' ? a > b : a >= b;
+}
+
+function txMatches(tx, conds) {
+  return conds.every(({ key, op, value }) => {
+    if (key === 'tx.height') return compare(tx.height, op, value);
+    if (key === 'tx.hash') return compare(tx.hash, op, value);
+    const dot = key.indexOf('.');
+    const type = key.slice(0, dot);
+    const attr = key.slice(dot + 1);
+    return tx.events.some((ev) => ev.type === type && ev.attributes.some((a) => a.key === attr && compare(a.value, op, value)));
+  });
+}
+
+// ── One provider's view of the chain ──
+
+function createView(fixtures, provider, shiftMs) {
+  const { chain } = fixtures;
+  const recordedMs = Date.parse(chain.recorded_at);
+  const tip = chain.tip_height - (provider.tip_lag || 0);
+  const earliest = provider.earliest_height ?? chain.earliest_height ?? 1;
+  const omitted = new Set(provider.omit_txs || []);
+  const txs = fixtures.txs.filter((t) => t.height <= tip && !omitted.has(t.hash));
+
+  const shiftIso = (iso) => new Date(Date.parse(iso) + shiftMs).toISOString();
+  const blockTime = (h) => new Date(recordedMs + shiftMs - (chain.tip_height - h) * chain.block_seconds * 1000).toISOString();
+  const blockHash = (h) => createHash('sha256').update(`${chain.chain_id}:${h}`).digest('hex').toUpperCase();
+  // Event attributes carry completion times too
+  const shiftEvents = (events) => events.map((ev) => ({
+    ...ev,
+    attributes: ev.attributes.map((a) => (a.key === 'completion_time' ? { ...a, value: shiftIso(a.value) } : a)),
+  }));
+
+  return { chain, tip, earliest, txs, shiftMs, shiftIso, blockTime, blockHash, shiftEvents };
+}
+
+// ── Responses ──
+
+class Reply {
+  constructor(status, body, headers = {}) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+const json = (body, status = 200, headers = {}) => new Reply(status, JSON.stringify(body), { 'Content-Type': 'application/json', ...headers });
+const rpcResult = (result) => json({ jsonrpc: '2.0', id: -1, result });
+const rpcError = (message, data, status = 500) => json({ jsonrpc: '2.0', id: -1, error: { code: -32603, message, data } }, status);
+const grpcError = (status, code, message) => json({ code, message, details: [] }, status);
+const notFound = (what) => grpcError(404, 5, `rpc error: code = NotFound desc = ${what}: key not found`);
+
+function page(items, params) {
+  const limit = Math.max(1, Math.min(1000, Number(params.get('pagination.limit') || 100)));
+  const key = params.get('pagination.key');
+  const offset = key
+    ? Number(Buffer.from(key, 'base64').toString('utf8').replace(/^offset:/, '')) || 0
+    : Number(params.get('pagination.offset') || 0);
+  const end = offset + limit;
+  return {
+    items: items.slice(offset, end),
+    pagination: {
+      next_key: end < items.length ? Buffer.from(`offset:${end}`).toString('base64') : null,
+      total: params.get('pagination.count_total') === 'true' ? String(items.length) : '0',
+    },
+  };
+}
+
+function blockHeader(view, h) {
+  return {
+    version: { block: '11', app: '0' },
+    chain_id: view.chain.chain_id,
+    height: String(h),
+    time: view.blockTime(h),
+    last_block_id: { hash: view.blockHash(h - 1), parts: { total: 1, hash: view.blockHash(h - 1) } },
+    proposer_address: view.blockHash(h % 180).slice(0, 40),
+  };
+}
+
+function blockTxs(view, h) {
+  return view.txs.filter((t) => t.height === h).map((t) => Buffer.from(t.hash, 'hex').toString('base64'));
+}
+
+function rpcTx(view, t) {
+  return {
+    hash: t.hash,
+    height: String(t.height),
+    index: t.index,
+    tx_result: { code: t.code, data: '', log: '', info: '', gas_wanted: t.gas_wanted, gas_used: t.gas_used, events: view.shiftEvents(t.events), codespace: t.code ? 'sdk' : '' },
+    tx: Buffer.from(t.hash, 'hex').toString('base64'),
+  };
+}
+
+function restTx(view, t) {
+  const body = { messages: t.messages, memo: t.memo, timeout_height: '0', extension_options: [], non_critical_extension_options: [] };
+  const authInfo = { signer_infos: [], fee: { amount: [{ denom: 'uatom', amount: '5000' }], gas_limit: t.gas_wanted, payer: '', granter: '' } };
+  const tx = { body, auth_info: authInfo, signatures: [] };
+  return {
+    tx,
+    tx_response: {
+      height: String(t.height),
+      txhash: t.hash,
+      codespace: t.code ? 'sdk' : '',
+      code: t.code,
+      data: '',
+      raw_log: '',
+      logs: [],
+      info: '',
+      gas_wanted: t.gas_wanted,
+      gas_used: t.gas_used,
+      tx: { '@type': '/cosmos.tx.v1beta1.Tx', ...tx },
+      timestamp: view.blockTime(t.height).replace(/\.\d{3}Z$/, 'Z'),
+      events: view.shiftEvents(t.events),
+    },
+  };
+}
+
+function sortTxs(txs, order) {
+  const dir = /desc/i.test(order || '') ? -1 : 1;
+  return txs.slice().sort((a, b) => dir * (a.height - b.height || a.index - b.index));
+}
+
+// RPC (CometBFT URI endpoints)
+function routeRpc(view, pathname, params, ctx) {
+  if (pathname === '/status') {
+    return rpcResult({
+      node_info: { network: view.chain.chain_id, moniker: ctx.provider.name, version: '0.38.17' },
+      sync_info: {
+        latest_block_hash: view.blockHash(view.tip),
+        latest_block_height: String(view.tip),
+        latest_block_time: view.blockTime(view.tip),
+        earliest_block_height: String(view.earliest),
+        catching_up: false,
+      },
+    });
+  }
+
+  if (pathname === '/block') {
+    const h = params.has('height') ? Number(params.get('height')) : view.tip;
+    if (!Number.isInteger(h) || h < 1) return rpcError('Invalid params', `height must be a positive integer, got ${params.get('height')}`);
+    if (h > view.tip) return rpcError('Internal error', `height ${h} must be less than or equal to the current blockchain height ${view.tip}`);
+    if (h < view.earliest) return rpcError('Internal error', `height ${h} is not available, lowest height is ${view.earliest}`);
+    return rpcResult({
+      block_id: { hash: view.blockHash(h), parts: { total: 1, hash: view.blockHash(h) } },
+      block: { header: blockHeader(view, h), data: { txs: blockTxs(view, h) }, evidence: { evidence: [] }, last_commit: null },
+    });
+  }
+
+  if (pathname === '/tx_search') {
+    let conds;
+    try {
+      conds = parseTxQuery(params.get('query'));
+    } catch (err) {
+      return rpcError('Invalid params', err.message);
+    }
+    const perPage = Math.max(1, Math.min(100, Number(params.get('per_page') || 30)));
+    const pageNo = Math.max(1, Number(params.get('page') || 1));
+    const matched = ctx.empty ? [] : sortTxs(view.txs.filter((t) => txMatches(t, conds)), params.get('order_by'));
+    const pages = Math.max(1, Math.ceil(matched.length / perPage));
+    if (pageNo > pages) return rpcError('Internal error', `page should be within [1, ${pages}] range, given ${pageNo}`);
+    return rpcResult({
+      txs: matched.slice((pageNo - 1) * perPage, pageNo * perPage).map((t) => rpcTx(view, t)),
+      total_count: String(matched.length),
+    });
+  }
+
+  return null;
+}
+
+// REST (Cosmos SDK gRPC gateway)
+function routeRest(view, pathname, params, ctx) {
+  const { chain } = view;
+  const override = ctx.provider.overrides?.[pathname];
+  if (override) return json(override);
+
+  if (pathname === '/cosmos/staking/v1beta1/pool') return json({ pool: chain.pool });
+  if (pathname === '/cosmos/mint/v1beta1/inflation') return json({ inflation: chain.inflation });
+  if (pathname === '/cosmos/bank/v1beta1/supply/by_denom') {
+    return params.get('denom') === chain.supply.denom ? json({ amount: chain.supply }) : json({ amount: { denom: params.get('denom') || '', amount: '0' } });
+  }
+  if (pathname === '/cosmos/bank/v1beta1/supply') {
+    return json({ supply: ctx.empty ? [] : [chain.supply], pagination: { next_key: null, total: ctx.empty ? '0' : '1' } });
+  }
+  if (pathname === '/cosmos/staking/v1beta1/total_liquid_staked' || pathname === '/gaia/liquid/v1beta1/total_liquid_staked') {
+    return json({ tokens: chain.total_liquid_staked });
+  }
+
+  if (pathname === '/cosmos/staking/v1beta1/validators') {
+    const status = params.get('status');
+    const all = ctx.empty ? [] : chain.validators.filter((v) => !status || v.status === status);
+    const { items, pagination } = page(all, params);
+    return json({ validators: items, pagination });
+  }
+
+  let m = pathname.match(/^\/cosmos\/staking\/v1beta1\/validators\/([a-z0-9]+)(\/unbonding_delegations|\/delegations\/([a-z0-9]+))?$/);
+  if (m) {
+    const [, valoper, sub, delegator] = m;
+    const validator = chain.validators.find((v) => v.operator_address === valoper);
+    if (!validator) return notFound(`validator ${valoper} not found`);
+    if (!sub) return json({ validator });
+    if (delegator) {
+      const self = chain.self_delegations[valoper];
+      return self && self.delegation_response.delegation.delegator_address === delegator
+        ? json(self)
+        : notFound(`delegation with delegator ${delegator} not found for validator ${valoper}`);
+    }
+    const responses = ctx.empty ? [] : (chain.unbonding_delegations[valoper] || []).map((r) => ({
+      ...r,
+      entries: r.entries.map((e) => ({ ...e, completion_time: view.shiftIso(e.completion_time) })),
+    }));
+    const { items, pagination } = page(responses, params);
+    return json({ unbonding_responses: items, pagination });
+  }
+
+  m = pathname.match(/^\/cosmos\/tx\/v1beta1\/txs\/([0-9A-Fa-f]{64})$/);
+  if (m) {
+    const t = view.txs.find((x) => x.hash === m[1].toUpperCase());
+    return t ? json(restTx(view, t)) : notFound(`tx not found: ${m[1]}`);
+  }
+
+  if (pathname === '/cosmos/tx/v1beta1/txs') {
+    const query = params.get('query') || params.getAll('events').join(' AND ');
+    let conds;
+    try {
+      conds = parseTxQuery(query);
+    } catch (err) {
+      return grpcError(400, 3, `rpc error: code = InvalidArgument desc = ${err.message}: invalid request`);
+    }
+    const matched = ctx.empty ? [] : sortTxs(view.txs.filter((t) => txMatches(t, conds)), params.get('order_by'));
+    const limit = Math.max(1, Math.min(100, Number(params.get('limit') || params.get('pagination.limit') || 100)));
+    const offset = params.has('page') ? (Math.max(1, Number(params.get('page'))) - 1) * limit : Number(params.get('pagination.offset') || 0);
+    const rows = matched.slice(offset, offset + limit).map((t) => restTx(view, t));
+    return json({ txs: rows.map((r) => r.tx), tx_responses: rows.map((r) => r.tx_response), pagination: null, total: String(matched.length) });
+  }
+
+  m = pathname.match(/^\/cosmos\/base\/tendermint\/v1beta1\/blocks\/(latest|\d+)$/);
+  if (m) {
+    const h = m[1] === 'latest' ? view.tip : Number(m[1]);
+    if (h > view.tip) return grpcError(400, 3, `rpc error: code = InvalidArgument desc = requested block height is bigger then the chain length: invalid request`);
+    if (h < view.earliest) return notFound(`block ${h} pruned`);
+    const block = { header: blockHeader(view, h), data: { txs: blockTxs(view, h) }, evidence: { evidence: [] }, last_commit: null };
+    return json({ block_id: { hash: Buffer.from(view.blockHash(h), 'hex').toString('base64') }, block, sdk_block: block });
+  }
+
+  if (pathname.startsWith('/cosmos/') || pathname.startsWith('/gaia/')) return grpcError(501, 12, 'Not Implemented');
+  return null;
+}
+
+// Kraken, ECB and Frankfurter
+function routeMarket(fixtures, view, pathname, params, ctx) {
+  if (pathname === '/0/public/OHLC') {
+    if ((params.get('pair') || '').toUpperCase() !== 'ATOMUSD') return json({ error: ['EQuery:Unknown asset pair'] });
+    const interval = Number(params.get('interval') || 1);
+    if (!Number.isInteger(interval) || interval < 60 || interval % 60) return json({ error: ['EGeneral:Invalid arguments'] });
+    const shiftSec = view.shiftMs / 1000;
+    const since = Number(params.get('since') || 0);
+    const step = interval * 60;
+    const buckets = new Map();
+    for (const r of ctx.empty ? [] : fixtures.kraken.result.ATOMUSD) {
+      const time = r[0] + shiftSec;
+      const key = Math.floor(time / step) * step;
+      const b = buckets.get(key);
+      if (!b) buckets.set(key, [key, r[1], r[2], r[3], r[4], r[5], Number(r[6]), r[7]]);
+      else {
+        b[2] = String(Math.max(Number(b[2]), Number(r[2])));
+        b[3] = String(Math.min(Number(b[3]), Number(r[3])));
+        b[4] = r[4];
+        b[6] += Number(r[6]);
+        b[7] += r[7];
+      }
+    }
+    const rows = [...buckets.values()]
+      .filter((b) => b[0] >= since)
+      .slice(-720)
+      .map((b) => [...b.slice(0, 6), b[6].toFixed(8), b[7]]);
+    return json({ error: [], result: { ATOMUSD: rows, last: rows.length ? rows[rows.length - 1][0] : since } });
+  }
+
+  if (pathname === '/stats/eurofxref/eurofxref-daily.xml') {
+    const xml = ctx.empty ? fixtures.ecbXml.replace(/\s*<Cube currency="[^"]+" rate="[^"]+"\/>/g, '') : fixtures.ecbXml;
+    return new Reply(200, xml, { 'Content-Type': 'text/xml' });
+  }
+
+  if (pathname === '/latest') {
+    return json(ctx.empty ? { ...fixtures.frankfurter, rates: {} } : fixtures.frankfurter);
+  }
+
+  return null;
+}
+
+// ── Faults ──
+
+function takeFault(state, pathname, query) {
+  for (const f of state.faults) {
+    if (f.remaining === 0) continue;
+    if (!pathname.startsWith(f.match)) continue;
+    if (f.query && !query.includes(f.query)) continue;
+    if (f.remaining > 0) f.remaining -= 1;
+    return f;
+  }
+  return null;
+}
+
+function armFaults(faults = []) {
+  return faults.map((f) => {
+    if (!FAULTS.has(f.fault)) throw new MockChainError(`unknown fault ${f.fault}`);
+    return { ...f, remaining: f.times ?? -1 };
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(t);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// ── Servers ──
+
+function clockShift(chain, now) {
+  if (now === null || now === 'recorded') return 0;
+  const nowMs = typeof now === 'number' ? now : Date.parse(now);
+  if (!Number.isFinite(nowMs)) throw new MockChainError(`now=${now} is not a date`);
+  return Math.floor((nowMs - Date.parse(chain.recorded_at)) / HOUR_MS) * HOUR_MS;
+}
+
+/**
+ * Starts one HTTP server per scenario provider on consecutive ports from
+ * `port` (0: any free ports). Resolves with the providers ({ name, url,
+ * requests, setFaults }), `env` to point the scripts at them, and close().
+ */
+export async function startMockChain({
+  scenario = 'default',
+  fixtures = loadFixtures(),
+  now = Date.now(),
+  host = '127.0.0.1',
+  port = 0,
+  log = false,
+} = {}) {
+  const spec = typeof scenario === 'string' ? loadScenario(scenario) : scenario;
+  const shiftMs = clockShift(fixtures.chain, now);
+  const closing = new AbortController();
+  const providers = [];
+
+  for (const [i, provider] of spec.providers.entries()) {
+    const view = createView(fixtures, provider, shiftMs);
+    const state = { faults: armFaults(provider.faults) };
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+      const url = new URL(req.url, 'http://mock');
+      let query;
+      try {
+        query = decodeURIComponent(url.search);
+      } catch {
+        query = url.search;
+      }
+      const entry = { method: req.method, path: `${url.pathname}${url.search}`, status: null, fault: null };
+      requests.push(entry);
+
+      const fault = takeFault(state, url.pathname, query);
+      const ctx = { provider, empty: fault?.fault === 'empty' };
+      let reply;
+      if (fault) entry.fault = fault.fault;
+      if (fault?.fault === 'timeout') await sleep(fault.delay_ms ?? DEFAULT_DELAY_MS, closing.signal);
+      if (fault?.fault === '429') {
+        reply = json({ code: 8, message: 'rate limit exceeded', details: [] }, 429, { 'Retry-After': String(fault.retry_after ?? 1) });
+      } else if (fault?.fault === 'status') {
+        reply = new Reply(fault.status ?? 503, 'Service Unavailable', { 'Content-Type': 'text/plain' });
+      } else if (fault?.fault === 'invalid-json') {
+        reply = new Reply(200, '<!DOCTYPE html><html><head><title>Just a moment...</title></head><body></body></html>', { 'Content-Type': 'text/html' });
+      } else {
+        const params = url.searchParams;
+        try {
+          reply = routeRpc(view, url.pathname, params, ctx)
+            ?? routeRest(view, url.pathname, params, ctx)
+            ?? routeMarket(fixtures, view, url.pathname, params, ctx)
+            ?? new Reply(404, 'Not Found', { 'Content-Type': 'text/plain' });
+        } catch (err) {
+          // A mock bug, not a provider behaviour; say so loudly
+          console.error(`❌ mock ${provider.name} ${entry.path}:`, err);
+          reply = new Reply(500, `mock chain error: ${err.message}`, { 'Content-Type': 'text/plain' });
+        }
+      }
+
+      entry.status = reply.status;
+      if (log) console.log(`   ${provider.name} ${req.method} ${entry.path} → ${reply.status}${entry.fault ? ` (${entry.fault})` : ''}`);
+      if (res.destroyed) return;
+      res.writeHead(reply.status, reply.headers);
+      res.end(reply.body);
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port ? port + i : 0, host, resolve);
+    });
+
+    providers.push({
+      name: provider.name,
+      url: `http://${host}:${server.address().port}`,
+      requests,
+      setFaults: (faults) => { state.faults = armFaults(faults); },
+      server,
+    });
+  }
+
+  const urls = providers.map((p) => p.url).join(',');
+  return {
+    scenario: spec,
+    shiftMs,
+    providers,
+    provider: (name) => providers.find((p) => p.name === name),
+    env: {
+      REST_BASES: urls,
+      RPC_BASES: urls,
+      RPC_PROVIDERS: urls,
+      LCD_BASE: urls,
+      KRAKEN_BASE: providers[0].url,
+      ECB_BASE: providers[0].url,
+      FRANKFURTER_BASE: providers[0].url,
+    },
+    close: async () => {
+      closing.abort();
+      await Promise.all(providers.map((p) => new Promise((resolve) => {
+        p.server.closeAllConnections();
+        p.server.close(() => resolve());
+      })));
+    },
+  };
+}
+
+function arg(name, fallback) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : fallback;
+}
+
+async function main() {
+  const mock = await startMockChain({
+    scenario: arg('scenario', 'default'),
+    now: arg('now', Date.now()),
+    host: arg('host', '127.0.0.1'),
+    port: Number(arg('port', DEFAULT_PORT)),
+    log: process.argv.includes('--log'),
+  });
+  const hours = mock.shiftMs / HOUR_MS;
+  console.log(`🧪 Mock chain: ${mock.providers.length} providers, fixtures shifted ${hours >= 0 ? '+' : ''}${hours}h`);
+  for (const p of mock.providers) console.log(`   ${p.name.padEnd(8)} ${p.url}`);
+  console.log('ℹ️ Point the scripts at it with:');
+  for (const [k, v] of Object.entries(mock.env)) console.log(`export ${k}=${v}`);
+
+  const stop = async () => {
+    await mock.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error('❌ mock chain failed:', err.message);
+    process.exit(1);
+  });
+}
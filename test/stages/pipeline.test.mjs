@@ -0,0 +1,241 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startMockChain } from '../mock-chain/server.mjs';
+
+// Each stage runs through the atomprice CLI in a scratch copy of scripts/ and
+// schemas/ with an empty data/, against the in-process mock chain. Children
+// must be spawned async: a sync spawn would block the mock's event loop.
+
+const REPO = fileURLToPath(new URL('../..', import.meta.url));
+const ICF = 'cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7';
+
+async function workspace() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atomprice-stages-'));
+  for (const sub of ['scripts', 'schemas']) {
+    await fs.cp(path.join(REPO, sub), path.join(dir, sub), { recursive: true });
+  }
+  await fs.mkdir(path.join(dir, 'data'));
+  return dir;
+}
+
+function atomprice(dir, env, ...args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['scripts/atomprice.mjs', ...args], {
+      cwd: dir,
+      env: { ...process.env, FEED_MIN: '1', BOOTSTRAP_BLOCKS: '1200', ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let out = '';
+    child.stdout.on('data', (d) => { out += d; });
+    child.stderr.on('data', (d) => { out += d; });
+    child.on('error', reject);
+    child.on('exit', (code) => resolve({ code, out }));
+  });
+}
+
+async function run(dir, env, ...args) {
+  const { code, out } = await atomprice(dir, env, 'run', ...args);
+  assert.equal(code, 0, `atomprice run ${args.join(' ')} exited ${code}\n${out}`);
+  return out;
+}
+
+const readJson = async (dir, file) => JSON.parse(await fs.readFile(path.join(dir, 'data', file), 'utf8'));
+const utcDay = (offsetDays) => new Date(Date.now() + offsetDays * 86400000).toISOString().slice(0, 10);
+
+describe('pipeline stages against a healthy mock chain', () => {
+  let chain;
+  let dir;
+
+  before(async () => {
+    dir = await workspace();
+    chain = await startMockChain();
+  });
+
+  after(async () => {
+    await chain?.close();
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('ingest appends the fixture hour with all providers agreeing', async () => {
+    await run(dir, chain.env, 'ingest');
+    const status = await readJson(dir, 'source-status.json');
+    assert.equal(status.status, 'ok');
+    assert.equal(status.quorum.provider_success, 3);
+    assert.equal(status.quorum.dropped_by_quorum, 0);
+    assert.equal(status.cursor.gaps_open, 0);
+
+    const state = await readJson(dir, 'ledger/state.json');
+    assert.equal(state.cursors.height, 30000000);
+    const partitions = (await fs.readdir(path.join(dir, 'data/ledger'))).filter((f) => /^events-.*\.jsonl$/.test(f));
+    const lines = [];
+    for (const f of partitions) {
+      lines.push(...(await fs.readFile(path.join(dir, 'data/ledger', f), 'utf8')).split('\n').filter(Boolean));
+    }
+    assert.equal(lines.length, 14);
+  });
+
+  test('re-scanning the same blocks appends nothing', async () => {
+    const out = await run(dir, chain.env, 'ingest', '--force');
+    assert.match(out, /providers_ok=3 .*appended=0/);
+  });
+
+  test('pending builds the unlock schedule with and without ICF', async () => {
+    await run(dir, chain.env, 'pending');
+    const pending = await readJson(dir, 'pending-undelegations.json');
+    assert.ok(pending.schedule.length > 0);
+    assert.equal(pending.total_unbonding_atom - pending.total_unbonding_atom_excluding_icf, 500000);
+    assert.ok(Object.values(pending.delegators_by_date).flat().some((d) => d.address === ICF));
+
+    const registry = await readJson(dir, 'validator-registry.json');
+    assert.equal(registry.total, 9);
+  });
+
+  test('unbonding classifies where matured unlocks went, leaving out ICF', async () => {
+    // Yesterday's unlocks are gone from the chain; the archive is how they are remembered
+    const archive = await readJson(dir, 'undelegation-archive.json').catch(() => ({}));
+    archive[utcDay(-1)] = [
+      { address: 'cosmos14lultfckehtszvzw4ehu0apvsr77afvyhgqhwh', atom: 60000 },
+      { address: 'cosmos1r6urzhdn72mypazwefer3zq3ypwaxke2ce4ksf', atom: 30000 },
+      { address: 'cosmos1dtq0y9reqst7d99fd3c7x6dflh4eazm4ha8qqh', atom: 10000 },
+      { address: ICF, atom: 500000 },
+    ];
+    await fs.writeFile(path.join(dir, 'data/undelegation-archive.json'), JSON.stringify(archive));
+
+    await run(dir, chain.env, 'unbonding');
+    const { daily_flows } = await readJson(dir, 'unbonding-flows.json');
+    const day = daily_flows.find((f) => f.date === utcDay(-1));
+    assert.ok(day, 'yesterday was analysed');
+    assert.equal(day.total_matured_atom, 100000);
+    assert.equal(day.tracked_pct, 100);
+    assert.deepEqual(Object.fromEntries(day.delegators.map((d) => [d.a, d.cls])), {
+      cosmos14lultfckehtszvzw4ehu0apvsr77afvyhgqhwh: 'restaked',
+      cosmos1r6urzhdn72mypazwefer3zq3ypwaxke2ce4ksf: 'ibc_transfer',
+      cosmos1dtq0y9reqst7d99fd3c7x6dflh4eazm4ha8qqh: 'held',
+    });
+    assert.deepEqual(day.flows.restaked, { atom: 60000, pct: 60 });
+    assert.deepEqual(day.top_ibc_destinations.map((d) => d.chain), ['osmosis']);
+  });
+
+  test('rebuild derives the feed, flows and whale files from the ledger', async () => {
+    await run(dir, chain.env, 'rebuild');
+    const feed = await readJson(dir, 'delegation_feed.json');
+    assert.equal(feed.total, 14);
+    assert.equal(feed.items.length, 14);
+    assert.ok(feed.items.every((it) => it.amount_atom >= 1));
+
+    const whales = await readJson(dir, 'whale-events.json');
+    assert.deepEqual(whales.events.map((e) => [e.type, e.atom]).sort((a, b) => b[1] - a[1]), [
+      ['undelegate', 500000],
+      ['delegate', 75000],
+      ['undelegate', 62000],
+    ]);
+
+    const hourly = await readJson(dir, 'delegation-flow-hourly.json');
+    const daily = await readJson(dir, 'delegation-flow-daily.json');
+    const sum = (rows) => rows.reduce((a, r) => a + r.total_count, 0);
+    assert.equal(sum(hourly.items), 14);
+    assert.equal(sum(daily.items), 14);
+  });
+
+  test('event intelligence scores events without ICF', async () => {
+    await run(dir, chain.env, 'event-intelligence');
+    const intel = await readJson(dir, 'event-intelligence.json');
+    assert.ok(intel.events.length > 0);
+    assert.ok(intel.config.excluded_delegators.icf.includes(ICF));
+    // The ICF's 500k undelegation is in the ledger but not in the event set
+    const whales = await readJson(dir, 'whale-events.json');
+    const icfTx = whales.events.find((e) => e.delegator === ICF).txhash;
+    assert.ok(!intel.events.some((e) => e.txhash === icfTx));
+  });
+
+  test('health reports every stage fresh and the ledger balanced', async () => {
+    await run(dir, chain.env, 'health');
+    const health = await readJson(dir, 'ingestion-health.json');
+    assert.equal(health.overall, 'ok');
+    for (const check of ['source', 'feed', 'pending', 'unbonding', 'event_intelligence', 'quorum', 'ledger_gaps', 'ledger_quarantine']) {
+      assert.equal(health.checks[check], 'ok', check);
+    }
+  });
+
+  test('staking ratio, FX and daily metrics read the mock endpoints', async () => {
+    await run(dir, chain.env, 'staking-ratio');
+    const ratio = await readJson(dir, 'staking_ratio.json');
+    assert.equal(ratio.source.quorum.supporters, 3);
+    assert.ok(Math.abs(ratio.staking_ratio_vs_supply - 1 / 3) < 1e-3);
+
+    await run(dir, chain.env, 'fx');
+    const fx = await readJson(dir, 'fx_rates.json');
+    assert.equal(fx.source.ecb_date, '2026-02-27');
+    assert.equal(fx.rates.USD, 1.0412);
+
+    await run(dir, chain.env, 'daily-metrics');
+    const [today] = await readJson(dir, 'daily-metrics.json');
+    assert.equal(today.date, utcDay(0));
+    assert.equal(today.ratio, 33.33);
+  });
+});
+
+describe('ingest against a faulty mock chain', () => {
+  let chain;
+  let dir;
+
+  before(async () => {
+    dir = await workspace();
+    chain = await startMockChain({ scenario: 'faults' });
+  });
+
+  after(async () => {
+    await chain?.close();
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('a rate-limited provider and a lagging one still reach quorum', async () => {
+    await run(dir, { ...chain.env, CHAIN_RETRIES: '0' }, 'ingest');
+    const status = await readJson(dir, 'source-status.json');
+    assert.equal(status.quorum.provider_count, 3);
+    assert.ok(status.quorum.provider_success >= 2);
+    assert.equal(status.quorum.active_required, 2);
+  });
+});
+
+describe('job locks', () => {
+  let dir;
+
+  // A lock held by a process that is still running: this test
+  const holdLock = async (job) => {
+    await fs.mkdir(path.join(dir, 'data/pipeline/locks'), { recursive: true });
+    await fs.writeFile(
+      path.join(dir, 'data/pipeline/locks', `${job}.lock`),
+      JSON.stringify({ pid: process.pid, host: os.hostname(), label: 'test', acquired_at: new Date().toISOString() })
+    );
+  };
+
+  before(async () => {
+    dir = await workspace();
+  });
+
+  after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('backfill-gaps leaves the ledger to a running ingest', async () => {
+    await holdLock('ingest');
+    const { code, out } = await atomprice(dir, {}, 'run', 'backfill-gaps');
+    assert.equal(code, 0, out);
+    assert.match(out, /backfill-gaps: locked \(ingest lock: pid \d+/);
+    await fs.rm(path.join(dir, 'data/pipeline/locks/ingest.lock'));
+  });
+
+  test('a job whose dependency stays locked is blocked', async () => {
+    await holdLock('verify-ledger');
+    const { code, out } = await atomprice(dir, { PIPELINE_LOCK_WAIT_SECONDS: '0' }, 'run', 'ingest');
+    assert.notEqual(code, 0);
+    assert.match(out, /ingest: blocked \(verify-ledger locked\)/);
+    assert.doesNotMatch(out, /▶️ ingest/);
+  });
+});
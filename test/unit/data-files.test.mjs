@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// Read at import: keep a held lock from stalling the suite for the default 30s
+process.env.DATA_LOCK_WAIT_MS = '1000';
+const { backupPath, lockPath, readJsonSafe, withFileLock, writeFileAtomic } = await import('../../scripts/lib/data-files.mjs');
+const { LockHeldError, tryLock } = await import('../../scripts/lib/file-lock.mjs');
+
+async function dataDir() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'atomprice-data-files-'));
+  await fs.mkdir(path.join(root, 'data'));
+  return path.join(root, 'data');
+}
+
+// A lock file owned by a process that is still running: the test runner's parent
+const foreignLock = (file) => fs.mkdir(path.dirname(lockPath(file)), { recursive: true }).then(() => fs.writeFile(
+  lockPath(file),
+  JSON.stringify({ pid: process.ppid, host: os.hostname(), label: 'other job', acquired_at: new Date().toISOString() })
+));
+
+test('backups and locks sit outside the served files', () => {
+  assert.equal(backupPath('/srv/site/data/ledger/state.json'), '/srv/site/data/.backup/ledger/state.json');
+  assert.equal(lockPath('/srv/site/data/ledger/state.json'), '/srv/site/data/pipeline/locks/files/ledger/state.json.lock');
+  assert.equal(backupPath('/tmp/out.json'), '/tmp/.backup/out.json');
+  assert.equal(lockPath('/tmp/out.json'), '/tmp/out.json.lock');
+});
+
+test('a write replaces the file and keeps the one it replaced', async () => {
+  const dir = await dataDir();
+  const file = path.join(dir, 'feed.json');
+  await writeFileAtomic(file, '{"v":1}');
+  await assert.rejects(fs.stat(backupPath(file)), { code: 'ENOENT' });
+
+  await writeFileAtomic(file, '{"v":2}');
+  assert.equal(await fs.readFile(file, 'utf8'), '{"v":2}');
+  assert.equal(await fs.readFile(backupPath(file), 'utf8'), '{"v":1}');
+  // No temp files or lock left behind
+  assert.deepEqual(await fs.readdir(dir), ['.backup', 'feed.json', 'pipeline']);
+  assert.deepEqual(await fs.readdir(path.dirname(lockPath(file))), []);
+});
+
+test('a corrupt file is not made the backup', async () => {
+  const dir = await dataDir();
+  const file = path.join(dir, 'feed.json');
+  await writeFileAtomic(file, '{"v":1}');
+  await writeFileAtomic(file, '{"v":2}');
+  await fs.writeFile(file, '{"v":3, "items": [');
+  await writeFileAtomic(file, '{"v":4}');
+  assert.equal(await fs.readFile(backupPath(file), 'utf8'), '{"v":1}');
+
+  const ledger = path.join(dir, 'events-2026-03.jsonl');
+  await writeFileAtomic(ledger, '{"a":1}\n');
+  await fs.appendFile(ledger, '{"a":2');
+  await writeFileAtomic(ledger, '{"a":1}\n{"a":2}\n');
+  await assert.rejects(fs.stat(backupPath(ledger)), { code: 'ENOENT' });
+});
+
+test('reads fall back to the last good copy, then to the default', async () => {
+  const dir = await dataDir();
+  const file = path.join(dir, 'undelegation-archive.json');
+  assert.deepEqual(await readJsonSafe(file, {}), {});
+
+  await writeFileAtomic(file, '{"2026-03-01":[]}');
+  await writeFileAtomic(file, '{"2026-03-01":[],"2026-03-02":[]}');
+  assert.deepEqual(Object.keys(await readJsonSafe(file, {})), ['2026-03-01', '2026-03-02']);
+
+  await fs.writeFile(file, '{"2026-03-01":[],"2026-');
+  assert.deepEqual(Object.keys(await readJsonSafe(file, {})), ['2026-03-01']);
+  await fs.rm(file);
+  assert.deepEqual(Object.keys(await readJsonSafe(file, {})), ['2026-03-01']);
+
+  await fs.writeFile(backupPath(file), '');
+  assert.equal(await readJsonSafe(file), null);
+});
+
+test('a writer waits for another job\'s lock and gives up after the wait', async () => {
+  const dir = await dataDir();
+  const file = path.join(dir, 'whale-events.json');
+  await foreignLock(file);
+  await assert.rejects(writeFileAtomic(file, '{}'), LockHeldError);
+  await assert.rejects(fs.stat(file), { code: 'ENOENT' });
+
+  setTimeout(() => fs.rm(lockPath(file)), 200);
+  await writeFileAtomic(file, '{"v":1}');
+  assert.equal(await fs.readFile(file, 'utf8'), '{"v":1}');
+});
+
+test('a lock whose owner is not written yet is held until its file is old', async () => {
+  const dir = await dataDir();
+  const file = path.join(dir, 'job.lock');
+  await fs.writeFile(file, '');
+  assert.deepEqual(await tryLock(file, { maxAgeMs: 60000 }), { held: {} });
+  assert.equal(await fs.readFile(file, 'utf8'), '');
+
+  const old = new Date(Date.now() - 120000);
+  await fs.utimes(file, old, old);
+  const lock = await tryLock(file, { maxAgeMs: 60000 });
+  assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).pid, process.pid);
+  await lock.release();
+  await assert.rejects(fs.stat(file), { code: 'ENOENT' });
+});
+
+test('writes inside withFileLock reuse it; concurrent ones take turns', async () => {
+  const dir = await dataDir();
+  const file = path.join(dir, 'source-status.json');
+  await writeFileAtomic(file, '{"n":0}');
+
+  const bump = () => withFileLock(file, async () => {
+    const { n } = await readJsonSafe(file);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await writeFileAtomic(file, JSON.stringify({ n: n + 1 }));
+  });
+  await Promise.all([bump(), bump(), bump()]);
+  assert.deepEqual(await readJsonSafe(file), { n: 3 });
+});
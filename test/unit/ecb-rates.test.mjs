@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseEcbXml } from '../../scripts/lib/ecb-rates.mjs';
+
+const FIXTURE = fs.readFileSync(new URL('../mock-chain/fixtures/ecb-eurofxref-daily.xml', import.meta.url), 'utf8');
+
+test('parses the ECB daily file', () => {
+  const parsed = parseEcbXml(FIXTURE);
+  assert.equal(parsed.reason, null);
+  assert.equal(parsed.ecb_date, '2026-02-27');
+  assert.deepEqual(parsed.missing, []);
+  assert.equal(parsed.rates.EUR, 1);
+  assert.equal(parsed.rates.USD, 1.0412);
+  assert.equal(parsed.rates.TRY, 37.9754);
+});
+
+test('accepts rate before currency', () => {
+  const xml = FIXTURE.replace('<Cube currency="USD" rate="1.0412"/>', '<Cube rate="1.0412" currency="USD" />');
+  assert.equal(parseEcbXml(xml).rates.USD, 1.0412);
+});
+
+test('reports required currencies the file lacks', () => {
+  const xml = FIXTURE.replace(/\s*<Cube currency="(TRY|CNY)"[^>]*\/>/g, '');
+  const parsed = parseEcbXml(xml);
+  assert.deepEqual(parsed.missing, ['TRY', 'CNY']);
+  assert.deepEqual(parseEcbXml(FIXTURE, ['USD', 'XAU']).missing, ['XAU']);
+});
+
+test('rejects pages that are not eurofxref XML', () => {
+  const parsed = parseEcbXml('<html><body>Access denied</body></html>');
+  assert.equal(parsed.rates, null);
+  assert.match(parsed.reason, /did not look like eurofxref XML/);
+  assert.equal(parseEcbXml('').rates, null);
+});
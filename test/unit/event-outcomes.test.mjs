@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildEventOutcomes,
+  buildEventSet,
+  findIndexAtOrAfter,
+  median,
+  pickEdgeCard,
+  stdev,
+  summarizeByCategory
+} from '../../scripts/lib/event-outcomes.mjs';
+
+const NOW_MS = Date.parse('2026-03-01T00:00:00Z');
+const ICF = 'cosmos1z6czaavlk6kjd48rpf58kqqw9ssad2uaxnazgl';
+const set = (inputs, options = {}) => buildEventSet(inputs, { nowMs: NOW_MS, ...options });
+
+test('stats helpers handle empty and even-length input', () => {
+  assert.equal(median([]), null);
+  assert.equal(median([3, 1, 2, 4]), 2.5);
+  assert.equal(stdev([1]), null);
+  assert.equal(findIndexAtOrAfter([], 5), -1);
+  assert.equal(findIndexAtOrAfter([10, 20, 30], 15), 1);
+  assert.equal(findIndexAtOrAfter([10, 20, 30], 31), -1);
+});
+
+test('no inputs and an empty schedule give no events', () => {
+  assert.deepEqual(set({}), []);
+  assert.deepEqual(set({ pendingUndelegations: { schedule: [], schedule_excluding_icf: [] }, rawEvents: { items: [] } }), []);
+});
+
+test('ICF delegators are left out of every source', () => {
+  const events = set({
+    rawEvents: { items: [{ type: 'undelegate', amount_atom: 500000, timestamp: '2026-02-28T23:12:00Z', delegator: ICF, txhash: 'A' }] },
+    whaleEvents: { events: [{ type: 'undelegate', atom: 500000, timestamp: '2026-02-28T23:12:00Z', delegator: ICF.toUpperCase(), txhash: 'B' }] },
+    whalePending: { events: [{ atom: 500000, timestamp: '2026-02-20T00:00:00Z', delegator: ICF, txhash: 'C' }] },
+  });
+  assert.deepEqual(events, []);
+});
+
+test('one tx reported by several files is one event', () => {
+  const tx = { timestamp: '2026-02-28T23:03:30Z', delegator: 'cosmos14lultf', txhash: '3510D2' };
+  const events = set({
+    rawEvents: { items: [{ ...tx, type: 'delegate', amount_atom: 75000 }, { ...tx, type: 'delegate', amount_atom: 75000 }] },
+    whaleEvents: { events: [{ ...tx, type: 'delegate', atom: 75000 }] },
+    topDelegations: { delegations: [{ ...tx, amount_atom: 75000 }] },
+  });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].source, 'raw_archive');
+  assert.equal(events[0].ts, Date.parse(tx.timestamp) / 1000);
+});
+
+test('events without a hash dedupe by amount and hour', () => {
+  const events = set({
+    whalePending: {
+      events: [
+        { atom: 62000.2, timestamp: '2026-02-25T10:05:00Z', delegator: 'cosmos1a' },
+        { atom: 61999.9, timestamp: '2026-02-25T10:55:00Z', delegator: 'cosmos1b' },
+        { atom: 62000, timestamp: '2026-02-25T11:05:00Z', delegator: 'cosmos1a' },
+      ],
+    },
+  });
+  assert.deepEqual(events.map((e) => e.timestamp), ['2026-02-25T10:05:00Z', '2026-02-25T11:05:00Z']);
+});
+
+test('the window, minimum size and event types filter the set', () => {
+  const events = set({
+    rawEvents: {
+      items: [
+        { type: 'delegate', amount_atom: 10, timestamp: '2026-01-15T00:00:00Z', txhash: 'OLD' },
+        { type: 'delegate', amount_atom: 0.5, timestamp: '2026-02-28T00:00:00Z', txhash: 'DUST' },
+        { type: 'redelegate', amount_atom: 30, timestamp: '2026-02-28T00:00:00Z', txhash: 'RED' },
+        { type: 'undelegate', amount_atom: 24, timestamp: 'garbage', txhash: 'BAD' },
+        { type: 'undelegate', amount_atom: 24, timestamp: '2026-02-28T01:00:00Z', txhash: 'OK' },
+      ],
+    },
+  }, { windowDays: 30, minEventAtom: 1 });
+  assert.deepEqual(events.map((e) => [e.txhash, e.category]), [['OK', 'undelegation_initiated']]);
+});
+
+test('a scheduled unlock day gives way to an exact unlock that UTC day', () => {
+  const events = set({
+    pendingUndelegations: {
+      schedule: [{ date: '2026-02-20', atom: 999999 }],
+      schedule_excluding_icf: [{ date: '2026-02-20', atom: 80000 }, { date: '2026-02-21', atom: 40000 }],
+    },
+    whalePending: { events: [{ atom: 62000, timestamp: '2026-02-20T23:30:00Z', delegator: 'cosmos1a', txhash: 'U1' }] },
+  });
+  assert.deepEqual(events.map((e) => [e.timestamp, e.estimated]), [
+    ['2026-02-20T23:30:00Z', false],
+    ['2026-02-21T12:00:00.000Z', true],
+  ]);
+});
+
+// Hourly closes from `start`: flat at 10, then +1% per hour from hour `riseAt`
+function candles(hours, riseAt = Infinity) {
+  const start = NOW_MS / 1000 - hours * 3600;
+  let close = 10;
+  return Array.from({ length: hours }, (_, i) => {
+    if (i >= riseAt) close *= 1.01;
+    return { time: start + i * 3600, close };
+  });
+}
+
+test('outcomes measure the forward return and its alpha over the baseline', () => {
+  const c = candles(24 * 10, 24 * 9);
+  const ts = c[24 * 9 - 1].time;
+  const { events } = buildEventOutcomes([{ category: 'delegation', ts, estimated: false }], c, {
+    horizonsHours: [1, 4],
+    baselineLookbackDays: 5,
+  });
+  const [e] = events;
+  assert.equal(e.price_at_event, 10);
+  assert.equal(e.price_time, ts);
+  assert.ok(Math.abs(e.outcomes.h1.return - 0.01) < 1e-12);
+  assert.ok(Math.abs(e.outcomes.h4.return - (1.01 ** 4 - 1)) < 1e-12);
+  // The flat baseline has mean 0 and no spread: alpha is the return, z undefined
+  assert.ok(Math.abs(e.outcomes.h1.alpha - e.outcomes.h1.return) < 1e-12);
+  assert.equal(e.outcomes.h1.z, null);
+  assert.equal(e.outcomes.h1.samples, 5 * 24);
+  assert.equal(e.timestamp_quality, 'exact');
+});
+
+test('events outside the candles, or before a horizon closes, have no outcome', () => {
+  const c = candles(48);
+  const { events } = buildEventOutcomes([
+    { category: 'delegation', ts: c[0].time - 7200, estimated: true },
+    { category: 'delegation', ts: c[47].time, estimated: false },
+  ], c, { horizonsHours: [1] });
+  assert.deepEqual(events[0].outcomes, {});
+  assert.equal(events[0].timestamp_quality, 'estimated');
+  assert.deepEqual(events[1].outcomes.h1, { return: null, alpha: null, z: null, samples: 0 });
+
+  const none = buildEventOutcomes([{ category: 'delegation', ts: c[5].time, estimated: false }], [], { horizonsHours: [1] });
+  assert.deepEqual(none.events[0].outcomes, {});
+});
+
+function summaryWith(count, alpha = 0.02) {
+  const outcome = { return: 0.01, alpha, z: 1 };
+  const events = Array.from({ length: count }, () => ({ category: 'delegation', estimated: false, outcomes: { h24: outcome } }));
+  return summarizeByCategory(events, { horizonsHours: [24] });
+}
+
+test('the edge card is gated on samples and exact timestamps', () => {
+  const empty = pickEdgeCard(summarizeByCategory([], { horizonsHours: [24] }), { exact_pct: 1 }, 'delegation');
+  assert.equal(empty.count, 0);
+  assert.equal(empty.gate_reason, 'No 24h sample yet');
+
+  const few = pickEdgeCard(summaryWith(5), { exact_pct: 0.5 }, 'delegation', { minSamples: 12, minExactPct: 0.7 });
+  assert.equal(few.qualified, false);
+  assert.equal(few.confidence, 'Low');
+  assert.equal(few.gate_reason, 'Calibrating (n<12, exact<70%)');
+
+  const enough = pickEdgeCard(summaryWith(30), { exact_pct: 0.9 }, 'delegation', { minSamples: 12, minExactPct: 0.7 });
+  assert.equal(enough.qualified, true);
+  assert.equal(enough.confidence, 'High');
+  assert.equal(enough.edge, 0.02);
+  assert.equal(enough.win_rate, 1);
+});
+
+test('the edge falls back to the median return without an alpha', () => {
+  const card = pickEdgeCard(summaryWith(12, null), { exact_pct: 1 }, 'delegation');
+  assert.equal(card.edge, 0.01);
+  assert.equal(card.confidence, 'Medium');
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  aggregateByTime,
+  bucketFromCache,
+  bucketToCache,
+  toAtomBucket,
+  toIsoDay,
+  toIsoHour
+} from '../../scripts/lib/flow-buckets.mjs';
+
+const row = (type, timestamp, amount_uatom) => ({ type, timestamp, amount_uatom });
+
+test('keys are UTC hours and days whatever offset a time was written with', () => {
+  assert.equal(toIsoHour('2026-03-29T01:59:59.999Z'), '2026-03-29T01:00:00.000Z');
+  assert.equal(toIsoHour('2026-03-29T03:30:00+02:00'), '2026-03-29T01:00:00.000Z');
+  assert.equal(toIsoDay('2026-03-29T23:30:00-05:00'), '2026-03-30');
+  assert.equal(toIsoDay('2026-03-30T00:30:00+01:00'), '2026-03-29');
+  assert.equal(toIsoHour('yesterday'), null);
+  assert.equal(toIsoDay(''), null);
+});
+
+test('a DST change day still has 24 hourly buckets', () => {
+  // Europe springs forward on 2026-03-29 and falls back on 2026-10-25,
+  // the US on 2026-03-08 and 2026-11-01
+  for (const day of ['2026-03-08', '2026-03-29', '2026-10-25', '2026-11-01']) {
+    const start = Date.parse(`${day}T00:00:00Z`);
+    const rows = Array.from({ length: 24 }, (_, h) => row('delegate', new Date(start + h * 3600000 + 1800000).toISOString(), '1000000'));
+    const hourly = aggregateByTime(rows, toIsoHour);
+    assert.equal(hourly.length, 24, day);
+    assert.equal(hourly[0].key, `${day}T00:00:00.000Z`);
+    assert.equal(hourly[23].key, `${day}T23:00:00.000Z`);
+
+    const daily = aggregateByTime(rows, toIsoDay);
+    assert.deepEqual(daily.map((b) => [b.key, b.delegates_count]), [[day, 24]]);
+  }
+});
+
+test('net flow counts delegations and cancellations in, undelegations out', () => {
+  const [b] = aggregateByTime([
+    row('delegate', '2026-03-01T10:00:00Z', '5000000'),
+    row('undelegate', '2026-03-01T10:10:00Z', '2000000'),
+    row('redelegate', '2026-03-01T10:20:00Z', '7000000'),
+    row('cancel_unbond', '2026-03-01T10:30:00Z', '1000000'),
+    row('tokenize_shares', '2026-03-01T10:40:00Z', '3000000'),
+    row('redeem_tokens', '2026-03-01T10:50:00Z', '4000000'),
+  ], toIsoHour);
+  assert.equal(b.key, '2026-03-01T10:00:00.000Z');
+  assert.equal(b.net_atom, 4000000n);
+  assert.equal(b.redelegate_atom, 7000000n);
+  assert.equal(b.tokenize_atom, 3000000n);
+  assert.equal(b.redeem_atom, 4000000n);
+  assert.equal(b.total_count, 6);
+  assert.equal(toAtomBucket(b).net_atom, 4);
+});
+
+test('rows without a time or amount are not counted', () => {
+  const out = aggregateByTime([
+    row('delegate', null, '5000000'),
+    row('delegate', 'garbage', '5000000'),
+    row('transfer_share_record', '2026-03-01T10:00:00Z', '0'),
+  ], toIsoDay);
+  // The zero-amount row opens its bucket but adds nothing to it
+  assert.deepEqual(out.map((b) => [b.key, b.total_count]), [['2026-03-01', 0]]);
+});
+
+test('an empty ledger has no buckets', () => {
+  assert.deepEqual(aggregateByTime([], toIsoHour), []);
+});
+
+test('buckets survive the partition cache round trip', () => {
+  const [b] = aggregateByTime([
+    row('delegate', '2026-03-01T10:00:00Z', '123456789012345678'),
+    row('undelegate', '2026-03-01T11:00:00Z', '1'),
+  ], toIsoDay);
+  const cached = bucketToCache(b);
+  assert.equal(cached.delegate_atom, '123456789012345678');
+  assert.ok(!('redelegate_atom' in cached));
+  assert.ok(!('redelegates_count' in cached));
+  assert.deepEqual(bucketFromCache(JSON.parse(JSON.stringify(cached))), b);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEvent, normalizeType } from '../../scripts/lib/ledger-events.mjs';
+import { eventId } from '../../scripts/lib/event-identity.mjs';
+import { LEDGER_SCHEMA_VERSION } from '../../scripts/lib/ledger-schema.mjs';
+
+const INGESTED_AT = '2026-03-01T00:05:00.000Z';
+
+const feedRow = (over = {}) => ({
+  type: 'delegate',
+  txhash: '3510d2c486ed315275b71978c684a616633be57eb2c84b0b18b5f73c8cb2b31a',
+  height: 29999455,
+  timestamp: '2026-02-28T23:03:30Z',
+  delegator: 'cosmos14lultfckehtszvzw4ehu0apvsr77afvyhgqhwh',
+  validator_addr: 'cosmosvaloper156gqf9837u7d4c4678yt3rl4ls9c5vuursrrzf',
+  amount_uatom: '75000000000',
+  event_index: 7,
+  ...over,
+});
+
+test('normalizeType folds message names and actions onto ledger types', () => {
+  assert.equal(normalizeType('/cosmos.staking.v1beta1.MsgDelegate'), 'delegate');
+  assert.equal(normalizeType('/cosmos.staking.v1beta1.MsgUndelegate'), 'undelegate');
+  assert.equal(normalizeType('begin_unbonding'), 'undelegate');
+  assert.equal(normalizeType('/cosmos.staking.v1beta1.MsgBeginRedelegate'), 'redelegate');
+  assert.equal(normalizeType('/cosmos.staking.v1beta1.MsgCancelUnbondingDelegation'), 'cancel_unbond');
+  assert.equal(normalizeType('/gaia.liquid.v1beta1.MsgTokenizeShares'), 'tokenize_shares');
+  assert.equal(normalizeType('/gaia.liquid.v1beta1.MsgRedeemTokensForShares'), 'redeem_tokens');
+  assert.equal(normalizeType('/gaia.liquid.v1beta1.MsgTransferTokenizeShareRecord'), 'transfer_share_record');
+  assert.equal(normalizeType('/cosmos.bank.v1beta1.MsgSend'), null);
+  assert.equal(normalizeType(undefined), null);
+});
+
+test('normalizeEvent produces a ledger row with the canonical id', () => {
+  const row = normalizeEvent(feedRow(), 'rpc.example', INGESTED_AT);
+  assert.equal(row.schema_version, LEDGER_SCHEMA_VERSION);
+  assert.equal(row.type, 'delegate');
+  assert.equal(row.txhash, '3510D2C486ED315275B71978C684A616633BE57EB2C84B0B18B5F73C8CB2B31A');
+  assert.equal(row.timestamp, '2026-02-28T23:03:30.000Z');
+  assert.equal(row.amount_uatom, '75000000000');
+  assert.equal(row.source, 'rpc.example');
+  assert.equal(row.ingested_at, INGESTED_AT);
+  assert.equal(row.id, eventId(row));
+  assert.ok(!('src_validator_addr' in row));
+});
+
+test('the same event from two providers gets one id', () => {
+  const a = normalizeEvent(feedRow(), 'a.example', INGESTED_AT);
+  // Float ATOM, lower-case hash, other alias fields and a later ingest time
+  const b = normalizeEvent({
+    msg_type: '/cosmos.staking.v1beta1.MsgDelegate',
+    hash: a.txhash.toLowerCase(),
+    block_height: '29999455',
+    block_time: '2026-02-28T23:03:30.000Z',
+    delegator_address: 'COSMOS14LULTFCKEHTSZVZW4EHU0APVSR77AFVYHGQHWH',
+    validator_address: 'cosmosvaloper156gqf9837u7d4c4678yt3rl4ls9c5vuursrrzf',
+    amount_atom: 75000,
+    log_index: 7,
+  }, 'b.example', '2026-03-01T01:00:00.000Z');
+  assert.equal(b.id, a.id);
+  assert.equal(b.amount_uatom, a.amount_uatom);
+});
+
+test('normalizeEvent recovers integer uatom from float ATOM', () => {
+  const row = normalizeEvent(feedRow({ amount_uatom: undefined, amount_atom: 0.1 + 0.2 }), 'p', INGESTED_AT);
+  assert.equal(row.amount_uatom, '300000');
+});
+
+test('redelegations, cancellations and LSM rows keep their extra fields', () => {
+  const red = normalizeEvent(feedRow({ type: 'redelegate', src_validator_addr: 'cosmosvaloper1src', src_validator_name: 'Src' }), 'p', INGESTED_AT);
+  assert.equal(red.src_validator_addr, 'cosmosvaloper1src');
+  assert.equal(red.src_validator_name, 'Src');
+
+  const cancel = normalizeEvent(feedRow({ type: 'cancel_unbond', creation_height: '29720000' }), 'p', INGESTED_AT);
+  assert.equal(cancel.creation_height, 29720000);
+
+  const transfer = normalizeEvent(feedRow({ type: 'transfer_share_record', amount_uatom: '0', share_record_id: 42, share_owner: 'cosmos1new' }), 'p', INGESTED_AT);
+  assert.equal(transfer.amount_uatom, '0');
+  assert.equal(transfer.share_record_id, '42');
+  assert.equal(transfer.share_owner, 'cosmos1new');
+});
+
+test('normalizeEvent drops rows the ledger cannot hold', () => {
+  assert.equal(normalizeEvent(feedRow({ type: 'send' }), 'p', INGESTED_AT), null);
+  assert.equal(normalizeEvent(feedRow({ amount_uatom: '0' }), 'p', INGESTED_AT), null);
+  assert.equal(normalizeEvent(feedRow({ amount_uatom: undefined, amount_atom: 'n/a' }), 'p', INGESTED_AT), null);
+  assert.equal(normalizeEvent(feedRow({ timestamp: null, height: 0 }), 'p', INGESTED_AT), null);
+});
+
+test('an unparseable time falls back to the height', () => {
+  const row = normalizeEvent(feedRow({ timestamp: 'not a date' }), 'p', INGESTED_AT);
+  assert.equal(row.timestamp, null);
+  assert.equal(row.height, 29999455);
+  assert.equal(normalizeEvent(feedRow({ timestamp: 'not a date', height: 0 }), 'p', INGESTED_AT), null);
+});
@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { selectQuorum } from '../../scripts/lib/ledger-quarantine.mjs';
+import { normalizeEvent } from '../../scripts/lib/ledger-events.mjs';
+
+const NOW = '2026-03-01T00:05:00.000Z';
+
+function ev(height, amount = '1000000', delegator = 'cosmos1a') {
+  return normalizeEvent({
+    type: 'delegate',
+    txhash: `TX${height}`,
+    height,
+    timestamp: '2026-02-28T23:30:00Z',
+    delegator,
+    validator_addr: 'cosmosvaloper1v',
+    amount_uatom: amount,
+  }, 'fetcher', NOW);
+}
+
+// A provider run that fully scanned [from, to] and reported `events`
+const run = (provider, from, to, events) => ({
+  provider,
+  ok: true,
+  scan: { from_height: from, scanned_to_height: to },
+  events,
+});
+
+test('an event reported by quorum providers is selected once', () => {
+  const e = ev(105);
+  const out = selectQuorum({
+    providerRuns: [run('a', 100, 110, [e]), run('b', 100, 110, [e]), run('c', 100, 110, [e])],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  assert.deepEqual(out.quorumEvents.map((x) => x.id), [e.id]);
+  assert.equal(out.canonical.size, 1);
+  assert.deepEqual([...out.evidence.get(e.id)].sort(), ['a', 'b', 'c']);
+  assert.equal(out.quarantine.size, 0);
+  assert.deepEqual(out.forensics.a, { events: 1, unique: 0, missed: 0 });
+});
+
+test('duplicates within one provider count as one supporter', () => {
+  const e = ev(105);
+  const out = selectQuorum({
+    providerRuns: [run('a', 100, 110, [e, { ...e }]), run('b', 100, 110, [])],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  assert.equal(out.quorumEvents.length, 0);
+  assert.equal(out.droppedByQuorum, 1);
+  assert.equal(out.quarantined, 1);
+  const entry = out.quarantine.get(e.id);
+  assert.deepEqual(entry.supporters, ['a']);
+  assert.deepEqual(entry.scanned_by, ['a', 'b']);
+  assert.deepEqual(out.forensics.a, { events: 1, unique: 1, missed: 0 });
+  assert.deepEqual(out.forensics.b, { events: 0, unique: 0, missed: 1 });
+});
+
+test('a height only one provider reached is quarantined', () => {
+  const e = ev(115);
+  const out = selectQuorum({
+    providerRuns: [run('a', 100, 120, [e]), run('b', 100, 110, [])],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  assert.equal(out.quorumEvents.length, 0);
+  assert.equal(out.quarantined, 1);
+  assert.deepEqual(out.quarantine.get(e.id).supporters, ['a']);
+  assert.deepEqual(out.quarantine.get(e.id).scanned_by, ['a']);
+  assert.equal(out.forensics.a.unique, 0);
+});
+
+test('coverage from earlier runs counts as scanning the height', () => {
+  // A lagging provider re-scanning heights the others passed in earlier runs
+  const e = ev(105);
+  const out = selectQuorum({
+    providerRuns: [run('a', 100, 110, [e]), run('b', 111, 120, [])],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+    priorCoverage: { b: { ranges: [{ from_height: 90, to_height: 110 }] }, c: { ranges: [{ from_height: 100, to_height: 105 }] } },
+    providerCount: 3,
+  });
+  assert.equal(out.quorumEvents.length, 0);
+  assert.deepEqual(out.quarantine.get(e.id).scanned_by, ['a', 'b', 'c']);
+  assert.deepEqual(out.forensics.a, { events: 1, unique: 1, missed: 0 });
+  assert.deepEqual(out.forensics.b, { events: 0, unique: 0, missed: 0 });
+});
+
+test('a single configured provider needs only itself', () => {
+  const e = ev(105);
+  const out = selectQuorum({
+    providerRuns: [run('a', 100, 110, [e])],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  assert.deepEqual(out.quorumEvents.map((x) => x.id), [e.id]);
+});
+
+test('failed providers give no evidence and no coverage', () => {
+  const e = ev(105);
+  const out = selectQuorum({
+    providerRuns: [run('a', 100, 110, [e]), { provider: 'b', ok: false, scan: null, events: [e] }],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  assert.deepEqual([...out.okProviders], ['a']);
+  assert.deepEqual(out.coverage.map((c) => c.provider), ['a']);
+  assert.equal(out.quorumEvents.length, 0);
+  assert.deepEqual(out.quarantine.get(e.id).supporters, ['a']);
+});
+
+test('quarantined evidence from an earlier run promotes the event', () => {
+  const e = ev(105);
+  const first = selectQuorum({
+    providerRuns: [run('a', 100, 110, [e]), run('b', 100, 110, [])],
+    quarantine: new Map(),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  const second = selectQuorum({
+    providerRuns: [run('c', 100, 110, [e])],
+    quarantine: first.quarantine,
+    quorumMin: 2,
+    nowIso: '2026-03-01T00:20:00.000Z',
+    providerCount: 3,
+  });
+  assert.deepEqual(second.quorumEvents.map((x) => x.id), [e.id]);
+  assert.equal(second.promoted, 1);
+  assert.equal(second.quarantine.size, 0);
+  // The input map is left as it was
+  assert.equal(first.quarantine.size, 1);
+});
+
+test('an entry this run scanned past gains the scanners; old entries expire', () => {
+  const kept = ev(105, '2000000');
+  const old = ev(106, '3000000');
+  const entry = (e, firstSeen) => ({
+    id: e.id,
+    height: e.height,
+    timestamp: e.timestamp,
+    first_seen_at: firstSeen,
+    last_seen_at: firstSeen,
+    supporters: ['a'],
+    scanned_by: ['a'],
+    event: e,
+  });
+  const out = selectQuorum({
+    providerRuns: [run('b', 100, 110, [])],
+    quarantine: new Map([
+      [kept.id, entry(kept, '2026-02-27T00:00:00.000Z')],
+      [old.id, entry(old, '2025-12-01T00:00:00.000Z')],
+    ]),
+    quorumMin: 2,
+    nowIso: NOW,
+  });
+  assert.equal(out.expired, 1);
+  assert.deepEqual([...out.quarantine.keys()], [kept.id]);
+  assert.deepEqual(out.quarantine.get(kept.id).scanned_by, ['a', 'b']);
+  assert.equal(out.quarantine.get(kept.id).last_seen_at, '2026-02-27T00:00:00.000Z');
+});
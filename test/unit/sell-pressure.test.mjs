@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sellPressure from '../../js/sell-pressure.js';
+
+const { calculateSellPressure } = sellPressure;
+
+const NOW = new Date('2026-03-08T12:00:00Z');
+const DAY = 86400;
+
+function schedule(fromDate, atoms) {
+  const start = Date.parse(`${fromDate}T00:00:00Z`);
+  return atoms.map((atom, i) => ({ date: new Date(start + i * DAY * 1000).toISOString().slice(0, 10), atom }));
+}
+
+// 45 daily closes ending the day before NOW, falling from 15 to 10.6
+const history = Array.from({ length: 45 }, (_, i) => ({
+  time: Date.parse('2026-01-22T12:00:00Z') / 1000 + i * DAY,
+  close: 15 - i * 0.1,
+}));
+
+const inputs = (over = {}) => ({
+  pendingUndelegations: { schedule: schedule('2026-03-08', [100000, 600000, 20000, 20000, 20000, 20000, 20000, 20000, 20000]) },
+  unbondingFlows: null,
+  dailyPriceHistory: history,
+  priceUsd: 10.5,
+  volume24hUsd: 10.5 * 400000,
+  now: NOW,
+  ...over,
+});
+
+test('no scheduled unlocks, or only past ones, give no gauge', () => {
+  assert.equal(calculateSellPressure(), null);
+  assert.equal(calculateSellPressure(inputs({ pendingUndelegations: { schedule: [] } })), null);
+  assert.equal(calculateSellPressure(inputs({ pendingUndelegations: { schedule: schedule('2026-02-01', [1000, 2000]) } })), null);
+});
+
+test('the ICF-free schedule is used when present', () => {
+  const icfHeavy = schedule('2026-03-08', [100000, 5000000, 20000, 20000, 20000, 20000, 20000]);
+  const withIcf = calculateSellPressure(inputs({ pendingUndelegations: { schedule: icfHeavy } }));
+  const withoutIcf = calculateSellPressure(inputs({
+    pendingUndelegations: { schedule: icfHeavy, schedule_excluding_icf: inputs().pendingUndelegations.schedule },
+  }));
+  assert.deepEqual(withoutIcf, calculateSellPressure(inputs()));
+  assert.ok(withIcf.total > withoutIcf.total);
+});
+
+test('components add up to the total and explain the high ones', () => {
+  const r = calculateSellPressure(inputs());
+  const parts = [r.supply, r.absorption, r.pnl, r.concentration, r.behavior].map((p) => p.score);
+  assert.equal(r.total, Math.min(100, parts.reduce((a, b) => a + b, 0)));
+  assert.equal(r.formula, `${parts.join(' + ')} = ${r.total}`);
+  assert.deepEqual(r.window, { start: '2026-03-08', end: '2026-03-14' });
+  assert.equal(r.updatedAt, NOW.toISOString());
+  // Unlockers started 21 days before their day, at 12.0-12.6, and sit at 10.5
+  assert.equal(r.pnl.score, 8);
+  assert.match(r.narrative, /avg unlocker down \d+% since initiation/);
+  assert.match(r.narrative, /concentrated on Mar 9/);
+  assert.equal(r.confidence.label, 'Medium');
+  assert.equal(r.behavior.calibrating, true);
+});
+
+test('the score does not depend on the viewer\'s time zone', () => {
+  // Closes step from 20 to 11 on 2026-02-15, 21 days before the first unlock,
+  // so a lookback that lands a day early changes the P&L score
+  const stepped = history.map((p) => ({ time: p.time, close: p.time < Date.parse('2026-02-15T00:00:00Z') / 1000 ? 20 : 11 }));
+  const saved = process.env.TZ;
+  try {
+    const results = ['UTC', 'Pacific/Auckland', 'America/Los_Angeles', 'Asia/Kolkata'].map((tz) => {
+      process.env.TZ = tz;
+      // 2026-03-08 is the US spring-forward day
+      return calculateSellPressure(inputs({
+        pendingUndelegations: { schedule: schedule('2026-03-08', [600000, 20000, 20000]) },
+        dailyPriceHistory: stepped,
+      }));
+    });
+    assert.equal(results[0].pnl.score, 2);
+    for (const r of results.slice(1)) assert.deepEqual(r, results[0]);
+  } finally {
+    if (saved === undefined) delete process.env.TZ;
+    else process.env.TZ = saved;
+  }
+});
+
+test('as of a past day, live volume is ignored and price is the prior close', () => {
+  const live = calculateSellPressure(inputs());
+  const asOf = calculateSellPressure(inputs({ asOf: true, priceUsd: 13 }));
+  assert.ok(live.absorption.score > 0);
+  assert.equal(asOf.absorption.score, 0);
+  // Down from the close of 2026-03-07 (10.6); at the live 13 they would be up
+  assert.equal(asOf.pnl.score, 8);
+  assert.match(asOf.narrative, /avg unlocker down/);
+});
+
+test('behavior comes from where past unlocks went', () => {
+  const day = (date, exchange, restaked) => ({ date, flows: { exchange: { pct: exchange }, restaked: { pct: restaked } } });
+  const flows = { daily_flows: ['07', '06', '05', '04', '03', '02', '01'].map((d) => day(`2026-03-${d}`, 49, 10)) };
+  const r = calculateSellPressure(inputs({ unbondingFlows: flows }));
+  assert.equal(r.behavior.score, 14);
+  assert.equal(r.behavior.calibrating, false);
+  assert.match(r.narrative, /49% sent to exchanges/);
+  assert.equal(r.confidence.label, 'High');
+
+  const short = calculateSellPressure(inputs({ unbondingFlows: { daily_flows: flows.daily_flows.slice(0, 3) } }));
+  assert.equal(short.behavior.score, 6);
+  assert.equal(short.behavior.calibrating, true);
+});
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDailyFlow,
+  classifyDelegator,
+  resolveIbcChain,
+  trackedDelegators
+} from '../../scripts/lib/unbonding-flows.mjs';
+
+const ICF = 'cosmos1sufkm72dw7ua9crpfhhp0dqpyuggtlhdse98e7';
+
+// A chain client over in-memory txs: { hash, actions, tx } newest first per sender
+function txClient(bySender, { failRest = false } = {}) {
+  const byHash = new Map(Object.values(bySender).flat().map((t) => [t.hash, t]));
+  return {
+    async rpc(pathAndQuery) {
+      const query = JSON.parse(new URLSearchParams(pathAndQuery.split('?')[1]).get('query'));
+      const sender = query.match(/message\.sender='([^']+)'/)[1];
+      return {
+        result: {
+          txs: (bySender[sender] || []).map((t) => ({
+            hash: t.hash,
+            tx_result: { events: [{ type: 'message', attributes: t.actions.map((value) => ({ key: 'action', value })) }] },
+          })),
+        },
+      };
+    },
+    async rest(p) {
+      if (failRest) throw new Error('HTTP 503');
+      return { tx: byHash.get(p.split('/').pop()).tx };
+    },
+  };
+}
+
+const send = (hash, uatom, memo) => ({
+  hash,
+  actions: ['/cosmos.bank.v1beta1.MsgSend'],
+  tx: { body: { memo, messages: [{ '@type': '/cosmos.bank.v1beta1.MsgSend', to_address: 'cosmos1exchange', amount: [{ denom: 'uatom', amount: String(uatom) }] }] } },
+});
+const delegate = (hash) => ({ hash, actions: ['/cosmos.staking.v1beta1.MsgDelegate'], tx: { body: { messages: [] } } });
+const ibc = (hash, uatom, channel) => ({
+  hash,
+  actions: ['/ibc.applications.transfer.v1.MsgTransfer'],
+  tx: { body: { messages: [{ '@type': '/ibc.applications.transfer.v1.MsgTransfer', source_channel: channel, token: { denom: 'uatom', amount: String(uatom) } }] } },
+});
+
+const classify = (client, address, atom = 5000) => classifyDelegator(client, address, atom, { memoMinAtom: 1000, pauseMs: 0 });
+
+test('a send with a memo above the minimum is an exchange deposit', async () => {
+  const res = await classify(txClient({ w: [send('S1', 4_000_000_000, '104882731 binance deposit memo')] }), 'w');
+  assert.equal(res.classification, 'exchange');
+  assert.equal(res.amount, 4000);
+  assert.deepEqual(res.details, { to_address: 'cosmos1exchange', memo_hint: '104882731 binance de…' });
+});
+
+test('memo-less or small sends fall through to older txs', async () => {
+  const client = txClient({ w: [send('S1', 120_000_000_000, ''), send('S2', 500_000_000, 'memo'), delegate('D1')] });
+  const res = await classify(client, 'w');
+  assert.equal(res.classification, 'restaked');
+  assert.equal(res.amount, 5000);
+});
+
+test('IBC transfers name the destination chain', async () => {
+  const res = await classify(txClient({ w: [ibc('I1', 61_000_000_000, 'channel-141')] }), 'w');
+  assert.equal(res.classification, 'ibc_transfer');
+  assert.equal(res.amount, 61000);
+  assert.deepEqual(res.details, { chain: 'osmosis', channel: 'channel-141' });
+  assert.equal(resolveIbcChain('channel-9999'), 'ibc-channel-9999');
+});
+
+test('an IBC transfer whose details fail is still IBC; lookups failing leave "held"', async () => {
+  const res = await classify(txClient({ w: [ibc('I1', 1, 'channel-0')] }, { failRest: true }), 'w');
+  assert.equal(res.classification, 'ibc_transfer');
+  assert.equal(res.amount, 5000);
+  assert.equal(res.details, null);
+
+  const quiet = await classify(txClient({}), 'nobody');
+  assert.equal(quiet.classification, 'held');
+
+  const broken = await classifyDelegator({ rpc: async () => { throw new Error('down'); } }, 'w', 10, { pauseMs: 0 });
+  assert.equal(broken.classification, 'held');
+});
+
+test('ICF delegators are never tracked', () => {
+  const { matured, tracked } = trackedDelegators([
+    { address: ICF, atom: 500000 },
+    { address: ICF.toUpperCase(), atom: 100000 },
+    { address: 'cosmos1a', atom: 62000 },
+    { address: 'cosmos1b', atom: 900 },
+    { address: 'cosmos1c', atom: 2400 },
+  ], { minAtom: 1000, maxDelegators: 50 });
+  assert.deepEqual(matured.map((d) => d.address), ['cosmos1a', 'cosmos1b', 'cosmos1c']);
+  assert.deepEqual(tracked.map((d) => d.address), ['cosmos1a', 'cosmos1c']);
+});
+
+test('tracking keeps the largest delegators up to the cap', () => {
+  const delegators = Array.from({ length: 10 }, (_, i) => ({ address: `cosmos1d${i}`, atom: 1000 + i }));
+  const { tracked } = trackedDelegators(delegators, { minAtom: 1000, maxDelegators: 3 });
+  assert.deepEqual(tracked.map((d) => d.atom), [1009, 1008, 1007]);
+});
+
+test('a date with nothing matured gives an all-zero flow', () => {
+  const { matured, tracked } = trackedDelegators(undefined);
+  const flow = buildDailyFlow('2026-03-01', matured, tracked, []);
+  assert.equal(flow.total_matured_atom, 0);
+  assert.equal(flow.tracked_pct, 0);
+  assert.deepEqual(flow.flows.held, { atom: 0, pct: 0 });
+  assert.deepEqual(flow.top_ibc_destinations, []);
+  assert.deepEqual(flow.delegators, []);
+});
+
+test('flows split the tracked ATOM by classification', () => {
+  const matured = [{ address: 'a', atom: 6000 }, { address: 'b', atom: 3000 }, { address: 'c', atom: 1000 }];
+  const tracked = matured.slice(0, 2);
+  const flow = buildDailyFlow('2026-03-01', matured, tracked, [
+    { address: 'a', matured_atom: 6000, classification: 'exchange', amount: 6000, details: { to_address: 'x', memo_hint: 'm' } },
+    { address: 'b', matured_atom: 3000, classification: 'ibc_transfer', amount: 2500, details: { chain: 'osmosis', channel: 'channel-141' } },
+  ]);
+  assert.equal(flow.tracked_pct, 90);
+  assert.equal(flow.untracked_atom, 1000);
+  assert.deepEqual(flow.flows.exchange, { atom: 6000, pct: 66.7 });
+  assert.deepEqual(flow.flows.ibc_transfer, { atom: 3000, pct: 33.3 });
+  assert.deepEqual(flow.top_ibc_destinations, [{ chain: 'osmosis', atom: 2500 }]);
+  assert.deepEqual(flow.delegators.map((d) => d.cls), ['exchange', 'ibc_transfer']);
+});